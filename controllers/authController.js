@@ -1,13 +1,30 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken } = require('../utils/tokens');
+const { disconnectSessions } = require('../utils/realtime');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail } = require('../utils/emailTemplates');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// Revoke every session of a user and drop their live socket connections
+const revokeAllSessions = async (userId, reason) => {
+  const sessionIds = await Session.revokeAllForUser(userId, reason);
+  disconnectSessions(sessionIds);
+};
+
+// Issue a verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({
+      name: user.name,
+      token,
+      expiresInHours: User.EMAIL_VERIFICATION_TTL_HOURS
+    })
   });
 };
 
@@ -57,13 +74,22 @@ const register = asyncHandler(async (req, res) => {
 
   const user = await User.create(userData);
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Registration succeeds even if the email can't be sent; the user can request another
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
+
+  // Start a session
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     token,
+    refreshToken,
+    expiresIn,
     user: {
       _id: user._id,
       name: user.name,
@@ -124,13 +150,15 @@ const login = asyncHandler(async (req, res) => {
   // Update last seen
   user.updateLastSeen();
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start a session
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     token,
+    refreshToken,
+    expiresIn,
     user: {
       _id: user._id,
       name: user.name,
@@ -291,9 +319,16 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out everywhere, then start a fresh session for this device
+  await revokeAllSessions(user._id, 'password_changed');
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
   res.status(200).json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully. All other sessions have been signed out.',
+    token,
+    refreshToken,
+    expiresIn
   });
 });
 
@@ -313,25 +348,34 @@ const forgotPassword = asyncHandler(async (req, res) => {
   }
 
   // Generate reset token
-  const resetToken = crypto.randomBytes(20).toString('hex');
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
 
-  // Hash token and set to resetPasswordToken field
-  user.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        name: user.name,
+        token: resetToken,
+        expiresInMinutes: User.PASSWORD_RESET_TTL_MINUTES
+      })
+    });
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
 
-  // Set expire (10 minutes)
-  user.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
 
-  await user.save({ validateBeforeSave: false });
+    return res.status(500).json({
+      success: false,
+      message: 'Password reset email could not be sent. Please try again later.'
+    });
+  }
 
-  // In production, send email with reset link
-  // For now, return the token (remove this in production)
   res.status(200).json({
     success: true,
-    message: 'Password reset token sent',
-    resetToken: resetToken // Remove this in production
+    message: 'Password reset link sent to your email'
   });
 });
 
@@ -341,16 +385,7 @@ const forgotPassword = asyncHandler(async (req, res) => {
 const resetPassword = asyncHandler(async (req, res) => {
   const { newPassword } = req.body;
 
-  // Get hashed token
-  const resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(req.params.resettoken)
-    .digest('hex');
-
-  const user = await User.findOne({
-    resetPasswordToken,
-    resetPasswordExpire: { $gt: Date.now() }
-  });
+  const user = await User.findByPasswordResetToken(req.params.resettoken);
 
   if (!user) {
     return res.status(400).json({
@@ -366,29 +401,171 @@ const resetPassword = asyncHandler(async (req, res) => {
 
   await user.save();
 
-  // Generate new token
-  const token = generateToken(user._id);
+  // Sign out everywhere, then start a new session
+  await revokeAllSessions(user._id, 'password_reset');
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Password reset successful',
-    token
+    token,
+    refreshToken,
+    expiresIn
+  });
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findByEmailVerificationToken(req.params.token);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired verification link'
+    });
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  // Allow one new link per minute
+  const ttl = User.EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+  if (user.emailVerificationExpire && user.emailVerificationExpire.getTime() - ttl > Date.now() - 60 * 1000) {
+    return res.status(429).json({
+      success: false,
+      message: 'A verification email was just sent. Please wait a minute before requesting another.'
+    });
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Verification email could not be sent. Please try again later.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
   });
 });
 
-// @desc    Logout user
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = asyncHandler(async (req, res) => {
+  try {
+    const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error.name !== 'AuthError') {
+      throw error;
+    }
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  // In a real-world scenario, you might want to blacklist the token
-  // For now, we'll just send a success response
-  
+  await req.authSession.revoke('logout');
+  disconnectSessions([req.authSession._id]);
+
   res.status(200).json({
     success: true,
     message: 'Logout successful'
   });
 });
 
+// @desc    Get active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastUsedAt');
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  if (!session.revokedAt) {
+    await session.revoke('revoked_by_user');
+    disconnectSessions([session._id]);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
 module.exports = {
   register,
   login,
@@ -397,5 +574,10 @@ module.exports = {
   changePassword,
   forgotPassword,
   resetPassword,
-  logout
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession
 };
@@ -0,0 +1,186 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const cartPopulate = {
+  path: 'items.product',
+  select: 'name images price availability variants isActive seller delivery.fee',
+  populate: {
+    path: 'seller',
+    select: 'name businessInfo.businessName avatar'
+  }
+};
+
+// Build the cart response with current product prices (for display only -
+// authoritative totals come from POST /api/checkout/quote)
+const formatCart = (cart) => {
+  const items = cart.items.filter(item => item.product);
+  const subtotal = items.reduce((sum, item) => {
+    const variant = item.product.getVariant(item.variant);
+    return sum + (variant ? variant.price : item.product.price) * item.quantity;
+  }, 0);
+
+  return {
+    _id: cart._id,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: Math.round(subtotal * 100) / 100,
+    updatedAt: cart.updatedAt
+  };
+};
+
+// @desc    Get current user's cart
+// @route   GET /api/cart
+// @access  Private (Buyer only)
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  await cart.populate(cartPopulate);
+
+  res.status(200).json({
+    success: true,
+    cart: formatCart(cart)
+  });
+});
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Private (Buyer only)
+const addToCart = asyncHandler(async (req, res) => {
+  const { productId, variantId, quantity = 1, customizations } = req.body;
+
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (product.seller.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot add your own product to the cart'
+    });
+  }
+
+  // Products with variants need one chosen
+  const variant = product.getVariant(variantId);
+  if (product.variants.length > 0 && (!variant || !variant.isActive)) {
+    return res.status(400).json({
+      success: false,
+      message: `Please choose an option for: ${product.name}`
+    });
+  }
+
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  const existingItem = cart.findItem(productId, variant && variant._id);
+  const newQuantity = (existingItem ? existingItem.quantity : 0) + Number(quantity);
+  const stock = variant || product.availability;
+
+  // Made-to-order products are made after ordering, so need no stock
+  const madeToOrder = product.getFulfilmentMode() === 'made_to_order';
+
+  if (!madeToOrder && ((!variant && !product.availability.inStock) || stock.quantity < newQuantity)) {
+    return res.status(400).json({
+      success: false,
+      message: `Insufficient stock for: ${product.name}. Available: ${stock.quantity}, Requested: ${newQuantity}`
+    });
+  }
+
+  await cart.addItem(product._id, Number(quantity), customizations, variant && variant._id);
+  await cart.populate(cartPopulate);
+
+  res.status(200).json({
+    success: true,
+    message: 'Item added to cart',
+    cart: formatCart(cart)
+  });
+});
+
+// @desc    Update cart item quantity
+// @route   PUT /api/cart/items/:productId
+// @access  Private (Buyer only)
+const updateCartItem = asyncHandler(async (req, res) => {
+  const { quantity, customizations, variantId } = req.body;
+
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  const item = cart.findItem(req.params.productId, variantId);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item is not in your cart'
+    });
+  }
+
+  const product = await Product.findById(req.params.productId);
+  const stock = product && (product.getVariant(variantId) || product.availability);
+
+  if (stock && product.getFulfilmentMode() !== 'made_to_order' && stock.quantity < Number(quantity)) {
+    return res.status(400).json({
+      success: false,
+      message: `Insufficient stock for: ${product.name}. Available: ${stock.quantity}, Requested: ${quantity}`
+    });
+  }
+
+  item.quantity = Number(quantity);
+  if (customizations !== undefined) {
+    item.customizations = customizations;
+  }
+
+  await cart.save();
+  await cart.populate(cartPopulate);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart updated',
+    cart: formatCart(cart)
+  });
+});
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Private (Buyer only)
+const removeFromCart = asyncHandler(async (req, res) => {
+  const { variantId } = req.query;
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+
+  if (!cart.findItem(req.params.productId, variantId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item is not in your cart'
+    });
+  }
+
+  await cart.removeItems([{ product: req.params.productId, variant: variantId }]);
+  await cart.populate(cartPopulate);
+
+  res.status(200).json({
+    success: true,
+    message: 'Item removed from cart',
+    cart: formatCart(cart)
+  });
+});
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Private (Buyer only)
+const clearCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOrCreateForUser(req.user._id);
+  await cart.clear();
+
+  res.status(200).json({
+    success: true,
+    message: 'Cart cleared successfully',
+    cart: formatCart(cart)
+  });
+});
+
+module.exports = {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart
+};
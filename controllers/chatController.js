@@ -1,5 +1,8 @@
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { notifyNewMessage } = require('../utils/notifications');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 // @desc    Get user's chats
@@ -64,20 +67,23 @@ const getOrCreateDirectChat = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get single chat with messages
-// @route   GET /api/chat/:id
+// @route   GET /api/chat/:id?before=<messageId>|after=<messageId>&limit=50
 // @access  Private
 const getChat = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 50 } = req.query;
-  const skip = (page - 1) * limit;
+  const { before, after } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+  if (before && after) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use either before or after, not both'
+    });
+  }
 
   const chat = await Chat.findById(req.params.id)
     .populate('participants.user', 'name avatar businessInfo.businessName')
     .populate('relatedOrder', 'orderNumber status')
-    .populate('relatedProduct', 'name images')
-    .populate({
-      path: 'messages.sender',
-      select: 'name avatar'
-    });
+    .populate('relatedProduct', 'name images');
 
   if (!chat) {
     return res.status(404).json({
@@ -98,14 +104,25 @@ const getChat = asyncHandler(async (req, res) => {
     });
   }
 
-  // Get paginated messages
-  const totalMessages = chat.messages.filter(msg => !msg.isDeleted).length;
-  const messages = chat.messages
-    .filter(msg => !msg.isDeleted)
-    .slice(-limit - skip, -skip || undefined);
+  // Latest messages by default; before/after page through history from a message
+  const page = await Message.getPage(chat._id, { before, after, limit });
 
-  // Mark messages as read
-  await chat.markAsRead(req.user._id);
+  if (!page) {
+    return res.status(400).json({
+      success: false,
+      message: 'Pagination cursor is not a message in this chat'
+    });
+  }
+
+  const { messages, hasMore } = page;
+
+  // Loading older history doesn't mean the user has seen new messages
+  if (!before) {
+    await chat.markAsRead(req.user._id);
+
+    // Reading the chat clears its message notification
+    await Notification.markRead(req.user._id, { collapseKey: `chat_${chat._id}` });
+  }
 
   res.status(200).json({
     success: true,
@@ -124,10 +141,13 @@ const getChat = asyncHandler(async (req, res) => {
     },
     messages,
     pagination: {
-      page: Number(page),
-      limit: Number(limit),
-      total: totalMessages,
-      pages: Math.ceil(totalMessages / limit)
+      limit,
+      total: chat.metadata.totalMessages,
+      // More messages exist beyond this page in the requested direction
+      hasMore,
+      // Pass as ?before= to load older messages, or ?after= to load newer ones
+      before: messages.length > 0 ? messages[0]._id : before || null,
+      after: messages.length > 0 ? messages[messages.length - 1]._id : after || null
     }
   });
 });
@@ -174,28 +194,20 @@ const sendMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check for duplicate messages (same content from same user within last 5 seconds)
-  const fiveSecondsAgo = new Date(Date.now() - 5000);
-  const recentDuplicate = chat.messages.find(msg => 
-    msg.sender.toString() === req.user._id.toString() &&
-    msg.content === content.trim() &&
-    msg.createdAt > fiveSecondsAgo &&
-    !msg.isDeleted
-  );
+  const newMessage = await chat.addMessage(req.user._id, content.trim(), messageType, attachments);
 
-  if (recentDuplicate) {
-    // Return the existing message instead of creating a duplicate
+  // Same content from same user within the last 5 seconds: return the existing message
+  if (newMessage.$locals.isDuplicate) {
     return res.status(200).json({
       success: true,
-      message: recentDuplicate,
+      message: newMessage,
       isDuplicate: true
     });
   }
 
-  await chat.addMessage(req.user._id, content.trim(), messageType, attachments);
-  await chat.populate('messages.sender', 'name avatar');
+  await newMessage.populate('sender', 'name avatar');
 
-  const newMessage = chat.messages[chat.messages.length - 1];
+  notifyNewMessage(chat, req.user, content.trim());
 
   res.status(201).json({
     success: true,
@@ -231,6 +243,9 @@ const markAsRead = asyncHandler(async (req, res) => {
 
   await chat.markAsRead(req.user._id);
 
+  // Reading the chat clears its message notification
+  await Notification.markRead(req.user._id, { collapseKey: `chat_${chat._id}` });
+
   res.status(200).json({
     success: true,
     message: 'Messages marked as read'
@@ -288,7 +303,7 @@ const deleteMessage = asyncHandler(async (req, res) => {
     });
   }
 
-  const message = chat.messages.id(messageId);
+  const message = await Message.findOne({ _id: messageId, chat: chat._id, isDeleted: false });
 
   if (!message) {
     return res.status(404).json({
@@ -306,10 +321,7 @@ const deleteMessage = asyncHandler(async (req, res) => {
   }
 
   // Soft delete - mark as deleted
-  message.isDeleted = true;
-  message.deletedAt = new Date();
-
-  await chat.save();
+  await chat.deleteMessage(message);
 
   res.status(200).json({
     success: true,
@@ -346,14 +358,19 @@ const searchChats = asyncHandler(async (req, res) => {
   .limit(Number(limit))
   .skip(skip);
 
-  // Search existing chats
-  const chats = await Chat.find({
+  // Search existing chats by message content
+  const userChatIds = await Chat.find({
     'participants.user': req.user._id,
-    isActive: true,
-    $or: [
-      { 'messages.content': { $regex: query, $options: 'i' } }
-    ]
-  })
+    isActive: true
+  }).distinct('_id');
+
+  const matchingChatIds = await Message.find({
+    chat: { $in: userChatIds },
+    isDeleted: false,
+    content: { $regex: query, $options: 'i' }
+  }).distinct('chat');
+
+  const chats = await Chat.find({ _id: { $in: matchingChatIds } })
   .populate('participants.user', 'name avatar businessInfo.businessName')
   .limit(Number(limit))
   .skip(skip);
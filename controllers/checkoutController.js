@@ -0,0 +1,99 @@
+const Cart = require('../models/Cart');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const { buildQuote, QuoteError } = require('../utils/pricing');
+const { PromotionError } = require('../utils/promotions');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get a signed checkout quote for the cart (or explicit items) with promotions applied
+// @route   POST /api/checkout/quote
+// @access  Private (Buyer only)
+const createQuote = asyncHandler(async (req, res) => {
+  const { items, deliveryMethod, deliveryAddress, couponCode } = req.body;
+
+  let quoteItems = items;
+  let fromCart = false;
+
+  // Quote the buyer's cart when no explicit items are given
+  if (!quoteItems || quoteItems.length === 0) {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    quoteItems = cart.items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      customizations: item.customizations
+    }));
+    fromCart = true;
+  }
+
+  try {
+    const quote = await buildQuote({
+      buyerId: req.user._id,
+      items: quoteItems,
+      deliveryMethod,
+      deliveryCoordinates: deliveryAddress && deliveryAddress.coordinates,
+      fromCart,
+      couponCode
+    });
+
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    if (error instanceof QuoteError || error instanceof PromotionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details
+      });
+    }
+    throw error;
+  }
+});
+
+// @desc    Get checkout group with its per-seller orders
+// @route   GET /api/checkout/groups/:id
+// @access  Private
+const getCheckoutGroup = asyncHandler(async (req, res) => {
+  const checkoutGroup = await CheckoutGroup.findById(req.params.id)
+    .populate({
+      path: 'orders',
+      select: 'orderNumber seller items totals status payment.status',
+      populate: [
+        { path: 'seller', select: 'name avatar businessInfo.businessName' },
+        { path: 'items.product', select: 'name images price' }
+      ]
+    });
+
+  if (!checkoutGroup) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checkout not found'
+    });
+  }
+
+  if (checkoutGroup.buyer.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this checkout'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    checkoutGroup
+  });
+});
+
+module.exports = {
+  createQuote,
+  getCheckoutGroup
+};
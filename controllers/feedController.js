@@ -0,0 +1,97 @@
+const Product = require('../models/Product');
+const Follow = require('../models/Follow');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get new and restocked products from followed sellers
+// @route   GET /api/feed
+// @access  Private
+const getFeed = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const sellerIds = await Follow.getFollowedSellerIds(req.user._id);
+
+  if (sellerIds.length === 0) {
+    return res.status(200).json({
+      success: true,
+      count: 0,
+      total: 0,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        pages: 0
+      },
+      items: []
+    });
+  }
+
+  const match = {
+    seller: { $in: sellerIds },
+    isActive: true
+  };
+
+  // A product appears once, at its latest event: listed or restocked
+  const [items, total] = await Promise.all([
+    Product.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          feedAt: { $max: ['$createdAt', { $ifNull: ['$restockedAt', '$createdAt'] }] },
+          feedReason: {
+            $cond: [{ $gt: ['$restockedAt', '$createdAt'] }, 'restocked', 'new']
+          }
+        }
+      },
+      { $sort: { feedAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: Number(limit) },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'seller',
+          foreignField: '_id',
+          as: 'seller',
+          pipeline: [{ $project: { name: 1, avatar: 1, 'businessInfo.businessName': 1 } }]
+        }
+      },
+      { $unwind: '$seller' },
+      {
+        $project: {
+          feedAt: 1,
+          feedReason: 1,
+          product: {
+            _id: '$_id',
+            name: '$name',
+            price: '$price',
+            images: '$images',
+            category: '$category',
+            ratings: '$ratings',
+            availability: '$availability',
+            seller: '$seller'
+          }
+        }
+      }
+    ]),
+    Product.countDocuments(match)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: items.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    items: items.map(({ feedAt, feedReason, product }) => ({
+      type: feedReason,
+      at: feedAt,
+      product
+    }))
+  });
+});
+
+module.exports = {
+  getFeed
+};
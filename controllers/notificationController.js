@@ -0,0 +1,118 @@
+const Notification = require('../models/Notification');
+const { getIO } = require('../utils/realtime');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Keep the user's other tabs/devices in sync after reading notifications
+const emitUnreadCount = async (userId) => {
+  const io = getIO();
+  if (!io) {
+    return;
+  }
+
+  const unreadCount = await Notification.getUnreadCount(userId);
+  io.to(`user_${userId}`).emit('notifications_read', { unreadCount });
+};
+
+// @desc    Get user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const { unreadOnly, type, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = { recipient: req.user._id };
+
+  if (unreadOnly === 'true') {
+    query.isRead = false;
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const [total, unreadCount] = await Promise.all([
+    Notification.countDocuments(query),
+    Notification.getUnreadCount(req.user._id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    notifications
+  });
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    unreadCount
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id
+  });
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+    await emitUnreadCount(req.user._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read',
+    notification
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.markRead(req.user._id);
+  await emitUnreadCount(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read',
+    updated: result.modifiedCount
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -1,133 +1,271 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const { verifyQuote, QuoteError } = require('../utils/pricing');
+const {
+  InventoryError,
+  reserveOrderItems,
+  checkMadeToOrderLimit,
+  releaseOrderReservations
+} = require('../utils/inventory');
+const { notifyOrderPlaced, notifyOrderStatus } = require('../utils/notifications');
+const { OrderStatusError, changeOrderStatus } = require('../utils/orderStatus');
+const { publishOrderUpdate, canAccessOrder } = require('../utils/orderTracking');
+const { DeliveryTrackingError, recordLocationPing } = require('../utils/deliveryTracking');
+const {
+  PromotionError,
+  redeemPromotions,
+  releasePromotions,
+  releaseOrderPromotions
+} = require('../utils/promotions');
+const {
+  TimeSlotError,
+  bookOrderSlot,
+  releaseSlotBooking,
+  releaseOrderSlot
+} = require('../utils/timeSlots');
+const { BusinessHoursError, applyBusinessHours } = require('../utils/businessHours');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// @desc    Create new order
+// Generate unique order number
+const generateOrderNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `LT-${timestamp}-${random}`;
+};
+
+// @desc    Create orders from a checkout quote (one order per seller)
 // @route   POST /api/orders
+// @route   POST /api/checkout
 // @access  Private
 const createOrder = asyncHandler(async (req, res) => {
   const {
-    seller,
-    items,
-    totals,
+    quoteToken,
     delivery,
     payment,
+    timeSlots,
     notes,
     metadata
   } = req.body;
 
-  if (!items || items.length === 0) {
-    return res.status(400).json({
+  // Additional check: Prevent sellers from buying their own products
+  if (req.user.role === 'seller') {
+    return res.status(403).json({
       success: false,
-      message: 'Order items are required'
+      message: 'Sellers cannot purchase products. Please use a buyer account for purchases.'
     });
   }
 
-  if (!seller) {
-    return res.status(400).json({
-      success: false,
-      message: 'Seller is required'
-    });
+  // Items, prices and totals come from the signed checkout quote, never from the client
+  let quote;
+  try {
+    quote = verifyQuote(quoteToken, req.user._id);
+  } catch (error) {
+    if (error instanceof QuoteError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
   }
 
-  // Additional check: Prevent sellers from buying their own products
-  if (req.user.role === 'seller') {
-    return res.status(403).json({
+  if (quote.deliveryMethod !== delivery.method) {
+    return res.status(400).json({
       success: false,
-      message: 'Sellers cannot purchase products. Please use a buyer account for purchases.'
+      message: 'Delivery method does not match the checkout quote'
     });
   }
 
-  // Validate items and check stock
-  const orderItems = [];
+  // Delivery fees were worked out for the quoted address
+  if (quote.deliveryCoordinates) {
+    const coordinates = delivery.address && delivery.address.coordinates;
+    const sameAddress = Array.isArray(coordinates) && coordinates.length === 2 &&
+      coordinates.every((value, index) => Math.abs(Number(value) - quote.deliveryCoordinates[index]) < 1e-6);
 
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) {
-      return res.status(404).json({
+    if (!sameAddress) {
+      return res.status(400).json({
         success: false,
-        message: `Product not found: ${item.product}`
+        message: 'Delivery address does not match the checkout quote. Please request a new quote.'
       });
     }
+  }
 
-    if (!product.isActive || !product.availability.inStock) {
-      return res.status(400).json({
+  const paymentStatus = payment.method === 'cash_on_delivery' ? 'pending' : 'processing';
+  const builtOrders = [];
+  const createdOrders = [];
+  const slotOrders = [];
+  let redeemedPromotions = [];
+
+  const checkoutGroup = new CheckoutGroup({
+    groupNumber: CheckoutGroup.generateGroupNumber(),
+    buyer: req.user._id,
+    quoteId: quote.jti,
+    totals: quote.totals,
+    payment: {
+      method: payment.method,
+      status: paymentStatus
+    }
+  });
+
+  // Claim the quote before anything is reserved; a second use hits the unique index
+  try {
+    await checkoutGroup.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
         success: false,
-        message: `Product is not available: ${product.name}`
+        message: 'This checkout quote has already been used. Please request a new quote.'
       });
     }
+    throw error;
+  }
 
-    if (product.availability.quantity < item.quantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock for: ${product.name}. Available: ${product.availability.quantity}, Requested: ${item.quantity}`
+  try {
+    for (const group of quote.groups) {
+      const order = new Order({
+        orderNumber: generateOrderNumber(),
+        buyer: req.user._id,
+        seller: group.seller,
+        checkoutGroup: checkoutGroup._id,
+        items: group.items.map(item => ({
+          product: item.product,
+          variant: item.variant,
+          sku: item.sku,
+          variantOptions: item.variantOptions,
+          quantity: item.quantity,
+          price: item.price,
+          fulfilmentMode: item.fulfilmentMode,
+          customizations: item.customizations
+        })),
+        promotions: group.promotions || [],
+        totals: {
+          deliveryFee: group.totals.deliveryFee
+        },
+        delivery: {
+          ...delivery,
+          distanceKm: group.deliveryDistanceKm,
+          estimatedTime: group.estimatedTime
+        },
+        payment: {
+          method: payment.method,
+          status: paymentStatus
+        },
+        notes: {
+          buyerNotes: notes?.buyerNotes
+        },
+        metadata: metadata || {
+          source: req.headers['user-agent']?.includes('Mobile') ? 'mobile' : 'web',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        }
       });
+
+      order.calculateTotals();
+
+      if (Math.abs(order.totals.total - group.totals.total) > 0.01) {
+        throw new QuoteError('Checkout quote is out of date. Please request a new quote.', 409);
+      }
+
+      builtOrders.push(order);
     }
 
-    orderItems.push({
-      product: product._id,
-      quantity: item.quantity,
-      price: item.price,
-      customizations: item.customizations
-    });
+    // Promotions are checked again (dates, limits) and counted as used
+    redeemedPromotions = await redeemPromotions(quote, req.user._id);
 
-    // Reserve product quantity
-    product.availability.reservedQuantity += item.quantity;
-    await product.save();
-  }
+    // Book the chosen time slot with sellers that take bookings. Orders placed
+    // while a seller is closed are scheduled for when they open again.
+    const sellers = await User.find({ _id: { $in: quote.groups.map(group => group.seller) } })
+      .select('name businessInfo');
 
-  // Generate unique order number
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  const orderNumber = `LT-${timestamp}-${random}`;
+    for (const order of builtOrders) {
+      const seller = sellers.find(candidate => candidate._id.equals(order.seller));
+      const choice = (timeSlots || []).find(slot => slot.seller === order.seller.toString());
 
-  try {
-    const order = await Order.create({
-      orderNumber,
-      buyer: req.user._id,
-      seller: seller,
-      items: orderItems,
-      totals: totals || {
-        subtotal: 0,
-        deliveryFee: 0,
-        tax: 0,
-        total: 0
-      },
-      delivery,
-      payment: {
-        method: payment.method,
-        status: payment.method === 'cash_on_delivery' ? 'pending' : 'processing'
-      },
-      notes: {
-        buyerNotes: notes?.buyerNotes
-      },
-      metadata: metadata || {
-        source: req.headers['user-agent']?.includes('Mobile') ? 'mobile' : 'web',
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent']
+      await checkMadeToOrderLimit(order, seller);
+
+      if (await bookOrderSlot(order, seller, choice && choice.startsAt)) {
+        slotOrders.push(order);
       }
-    });
 
-    await order.populate([
-      { path: 'buyer', select: 'name email phone avatar' },
-      { path: 'seller', select: 'name email phone avatar businessInfo' },
-      { path: 'items.product', select: 'name images price' }
-    ]);
+      applyBusinessHours(order, seller);
+    }
+
+    // Reserve stock atomically for every order before anything is saved
+    for (const order of builtOrders) {
+      await reserveOrderItems(order);
+    }
+
+    for (const order of builtOrders) {
+      await order.save();
+      createdOrders.push(order);
+    }
+
+    checkoutGroup.orders = createdOrders.map(order => order._id);
+    await checkoutGroup.save();
+
+    // Remove purchased items from the cart the quote was built from
+    if (quote.fromCart) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      if (cart) {
+        await cart.removeItems(
+          createdOrders.flatMap(order => order.items.map(item => ({
+            product: item.product,
+            variant: item.variant
+          })))
+        );
+      }
+    }
+
+    for (const order of createdOrders) {
+      notifyOrderPlaced(order);
+    }
+
+    for (const order of createdOrders) {
+      await order.populate([
+        { path: 'buyer', select: 'name email phone avatar' },
+        { path: 'seller', select: 'name email phone avatar businessInfo' },
+        { path: 'items.product', select: 'name images price' }
+      ]);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
-      order
+      message: createdOrders.length > 1
+        ? `${createdOrders.length} orders created successfully`
+        : 'Order created successfully',
+      checkoutGroup,
+      orders: createdOrders,
+      order: createdOrders.length === 1 ? createdOrders[0] : undefined
     });
   } catch (error) {
-    // Rollback reserved quantities if order creation fails
-    for (const item of orderItems) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.availability.reservedQuantity -= item.quantity;
-        await product.save();
-      }
+    // Rollback created orders and reserved stock if checkout fails. The group
+    // is removed too, so the quote can be tried again.
+    await Order.deleteMany({ _id: { $in: createdOrders.map(order => order._id) } });
+    await CheckoutGroup.deleteOne({ _id: checkoutGroup._id });
+
+    for (const order of builtOrders) {
+      await releaseOrderReservations(order._id, 'checkout_failed');
+    }
+
+    await releasePromotions(redeemedPromotions);
+
+    for (const order of slotOrders) {
+      await releaseSlotBooking(order.timeSlot);
+    }
+
+    if (
+      error instanceof QuoteError ||
+      error instanceof InventoryError ||
+      error instanceof PromotionError ||
+      error instanceof TimeSlotError ||
+      error instanceof BusinessHoursError
+    ) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
     }
     
     console.error('Order creation error:', error);
@@ -194,7 +332,8 @@ const getOrder = asyncHandler(async (req, res) => {
       { path: 'buyer', select: 'name email phone avatar location' },
       { path: 'seller', select: 'name email phone avatar businessInfo location' },
       { path: 'items.product', select: 'name images price description' },
-      { path: 'statusHistory.updatedBy', select: 'name' }
+      { path: 'statusHistory.updatedBy', select: 'name' },
+      { path: 'checkoutGroup', select: 'groupNumber orders totals payment.status' }
     ]);
 
   if (!order) {
@@ -205,9 +344,7 @@ const getOrder = asyncHandler(async (req, res) => {
   }
 
   // Check if user has access to this order
-  if (order.buyer._id.toString() !== req.user._id.toString() && 
-      order.seller._id.toString() !== req.user._id.toString() &&
-      req.user.role !== 'admin') {
+  if (!canAccessOrder(order, req.user)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this order'
@@ -220,11 +357,51 @@ const getOrder = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update order status
-// @route   PUT /api/orders/:id/status
+// @desc    Get live delivery tracking for an order
+// @route   GET /api/orders/:id/tracking
 // @access  Private
-const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, note } = req.body;
+const getOrderTracking = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('orderNumber buyer seller status delivery')
+    .populate('delivery.courier', 'name avatar phone');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (!canAccessOrder(order, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this order'
+    });
+  }
+
+  const tracking = order.delivery.tracking || {};
+
+  res.status(200).json({
+    success: true,
+    tracking: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      isLive: order.delivery.method === 'delivery' && order.status === 'out_for_delivery',
+      courier: order.delivery.courier,
+      destination: order.delivery.address && order.delivery.address.coordinates,
+      lastLocation: tracking.lastLocation,
+      eta: tracking.eta,
+      trail: tracking.trail || []
+    }
+  });
+});
+
+// @desc    Assign a courier (the seller or one they approved) to a delivery order
+// @route   PUT /api/orders/:id/courier
+// @access  Private (Seller/Admin)
+const assignCourier = asyncHandler(async (req, res) => {
+  const { courierId } = req.body;
 
   const order = await Order.findById(req.params.id);
 
@@ -235,7 +412,6 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check authorization
   if (order.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
     return res.status(403).json({
       success: false,
@@ -243,26 +419,111 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate status transition
-  const validTransitions = {
-    'pending': ['confirmed', 'cancelled'],
-    'confirmed': ['preparing', 'cancelled'],
-    'preparing': ['ready', 'cancelled'],
-    'ready': ['out_for_delivery', 'delivered'],
-    'out_for_delivery': ['delivered'],
-    'delivered': [],
-    'cancelled': [],
-    'refunded': []
-  };
+  if (order.delivery.method !== 'delivery') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only delivery orders can have a courier'
+    });
+  }
 
-  if (!validTransitions[order.status].includes(status)) {
+  if (['delivered', 'cancelled', 'refunded'].includes(order.status)) {
     return res.status(400).json({
       success: false,
-      message: `Cannot change status from ${order.status} to ${status}`
+      message: `Cannot assign a courier to a ${order.status} order`
+    });
+  }
+
+  const seller = await User.findById(order.seller).select('businessInfo.couriers');
+  const approved = order.seller.toString() === courierId ||
+    (!!seller && (seller.businessInfo.couriers || []).some(id => id.toString() === courierId));
+
+  if (!approved) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the seller or a courier the seller approved can deliver this order'
     });
   }
 
-  await order.updateStatus(status, req.user._id, note);
+  const courier = await User.findById(courierId);
+  if (!courier || !courier.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Courier not found'
+    });
+  }
+
+  order.delivery.courier = courier._id;
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Courier assigned successfully',
+    courier: {
+      _id: courier._id,
+      name: courier.name,
+      avatar: courier.avatar
+    }
+  });
+});
+
+// @desc    Share the courier's location for an order out for delivery
+// @route   POST /api/orders/:id/location
+// @access  Private (Seller/Courier)
+const shareOrderLocation = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    const { location, eta } = await recordLocationPing(order, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      location,
+      eta
+    });
+  } catch (error) {
+    if (error instanceof DeliveryTrackingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+});
+
+// @desc    Update order status
+// @route   PUT /api/orders/:id/status
+// @access  Private
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    await changeOrderStatus(order, status, req.user, note);
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
 
   await order.populate([
     { path: 'buyer', select: 'name email phone avatar' },
@@ -323,13 +584,21 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
   await order.save();
 
-  // Release reserved product quantities
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      product.availability.reservedQuantity -= item.quantity;
-      await product.save();
-    }
+  // Release reserved product quantities, the booked time slot and the
+  // promotion redemptions
+  await releaseOrderReservations(order._id, 'order_cancelled');
+  await releaseOrderSlot(order);
+  await releaseOrderPromotions(order);
+
+  // Update anyone tracking the order and the order chat
+  await publishOrderUpdate(order);
+
+  // Let the other party know
+  if (!order.buyer.equals(req.user._id)) {
+    notifyOrderStatus(order, order.buyer);
+  }
+  if (!order.seller.equals(req.user._id)) {
+    notifyOrderStatus(order, order.seller);
   }
 
   res.status(200).json({
@@ -462,6 +731,9 @@ module.exports = {
   createOrder,
   getOrders,
   getOrder,
+  getOrderTracking,
+  assignCourier,
+  shareOrderLocation,
   updateOrderStatus,
   cancelOrder,
   addOrderMessage,
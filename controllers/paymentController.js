@@ -1,241 +1,202 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Razorpay = require('razorpay');
 const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const { roundCurrency } = require('../utils/pricing');
+const { markOrdersPaid, refundOrder } = require('../utils/payments');
+const { processPaymentEvent } = require('../utils/paymentWebhooks');
+const {
+  PaymentProviderError,
+  getProvider,
+  getConfiguredProviders
+} = require('../utils/paymentProviders');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+// Resolve the provider named in the route, or respond with an error
+const resolveProvider = (req, res) => {
+  try {
+    return getProvider(req.params.provider);
+  } catch (error) {
+    if (error instanceof PaymentProviderError) {
+      res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+      return null;
+    }
+    throw error;
+  }
+};
 
-// @desc    Create Stripe payment intent
-// @route   POST /api/payments/stripe/intent
-// @access  Private
-const createStripePaymentIntent = asyncHandler(async (req, res) => {
-  const { orderId } = req.body;
+// Resolve what a payment request is for: a single order (orderId) or every
+// order in a checkout group (checkoutGroupId), paid together in one payment
+const getPayableOrders = async ({ orderId, checkoutGroupId }, userId) => {
+  if (checkoutGroupId) {
+    const group = await CheckoutGroup.findById(checkoutGroupId);
+
+    if (!group) {
+      return { error: { status: 404, message: 'Checkout not found' } };
+    }
+
+    if (group.buyer.toString() !== userId.toString()) {
+      return { error: { status: 403, message: 'Not authorized for this checkout' } };
+    }
+
+    if (group.payment.status === 'completed') {
+      return { error: { status: 400, message: 'Checkout is already paid' } };
+    }
+
+    const orders = await Order.find({
+      checkoutGroup: group._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (orders.length === 0) {
+      return { error: { status: 400, message: 'No payable orders in this checkout' } };
+    }
+
+    return {
+      group,
+      orders,
+      amount: roundCurrency(orders.reduce((sum, order) => sum + order.totals.total, 0)),
+      receipt: group.groupNumber,
+      notes: {
+        checkoutGroupId: group._id.toString(),
+        buyerId: group.buyer.toString()
+      }
+    };
+  }
 
   const order = await Order.findById(orderId);
 
   if (!order) {
-    return res.status(404).json({
-      success: false,
-      message: 'Order not found'
-    });
+    return { error: { status: 404, message: 'Order not found' } };
   }
 
   // Check if user owns this order
-  if (order.buyer.toString() !== req.user._id.toString()) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized for this order'
-    });
+  if (order.buyer.toString() !== userId.toString()) {
+    return { error: { status: 403, message: 'Not authorized for this order' } };
   }
 
   if (order.payment.status === 'completed') {
-    return res.status(400).json({
-      success: false,
-      message: 'Order is already paid'
-    });
+    return { error: { status: 400, message: 'Order is already paid' } };
   }
 
-  try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.totals.total * 100), // Amount in cents
-      currency: 'usd',
-      metadata: {
-        orderId: order._id.toString(),
-        buyerId: order.buyer.toString(),
-        sellerId: order.seller.toString()
-      }
-    });
+  return {
+    group: null,
+    orders: [order],
+    amount: order.totals.total,
+    receipt: order.orderNumber,
+    notes: {
+      orderId: order._id.toString(),
+      buyerId: order.buyer.toString(),
+      sellerId: order.seller.toString()
+    }
+  };
+};
 
-    // Update order with payment intent ID
-    order.payment.paymentIntentId = paymentIntent.id;
-    order.payment.status = 'processing';
+// Record payment details on each order (and its checkout group)
+const setPaymentDetails = async (orders, group, details) => {
+  for (const order of orders) {
+    Object.assign(order.payment, details);
     await order.save();
-
-    res.status(200).json({
-      success: true,
-      clientSecret: paymentIntent.client_secret
-    });
-  } catch (error) {
-    console.error('Stripe payment intent creation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating payment intent'
-    });
   }
-});
 
-// @desc    Confirm Stripe payment
-// @route   POST /api/payments/stripe/confirm
-// @access  Private
-const confirmStripePayment = asyncHandler(async (req, res) => {
-  const { paymentIntentId } = req.body;
-
-  try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-
-    if (paymentIntent.status === 'succeeded') {
-      const orderId = paymentIntent.metadata.orderId;
-      const order = await Order.findById(orderId);
-
-      if (order) {
-        order.payment.status = 'completed';
-        order.payment.transactionId = paymentIntent.id;
-        order.payment.paidAt = new Date();
-        
-        // Update order status to confirmed
-        if (order.status === 'pending') {
-          order.status = 'confirmed';
-          order.statusHistory.push({
-            status: 'confirmed',
-            timestamp: new Date(),
-            note: 'Payment confirmed',
-            updatedBy: order.buyer
-          });
-        }
-
-        await order.save();
-      }
-
-      res.status(200).json({
-        success: true,
-        message: 'Payment confirmed successfully'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Payment not successful'
-      });
-    }
-  } catch (error) {
-    console.error('Stripe payment confirmation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error confirming payment'
-    });
+  if (group) {
+    Object.assign(group.payment, details);
+    await group.save();
   }
-});
+};
 
-// @desc    Create Razorpay order
+// @desc    Start a payment with a provider
+// @route   POST /api/payments/:provider/intent
 // @route   POST /api/payments/razorpay/order
 // @access  Private
-const createRazorpayOrder = asyncHandler(async (req, res) => {
-  const { orderId } = req.body;
-
-  const order = await Order.findById(orderId);
-
-  if (!order) {
-    return res.status(404).json({
-      success: false,
-      message: 'Order not found'
-    });
+const createPaymentIntent = asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  if (!provider) {
+    return;
   }
 
-  // Check if user owns this order
-  if (order.buyer.toString() !== req.user._id.toString()) {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized for this order'
-    });
-  }
+  const { orders, group, amount, receipt, notes, error } = await getPayableOrders(req.body, req.user._id);
 
-  if (order.payment.status === 'completed') {
-    return res.status(400).json({
+  if (error) {
+    return res.status(error.status).json({
       success: false,
-      message: 'Order is already paid'
+      message: error.message
     });
   }
 
   try {
-    const razorpayOrder = await razorpay.orders.create({
-      amount: Math.round(order.totals.total * 100), // Amount in paise
-      currency: 'INR',
-      receipt: order.orderNumber,
-      notes: {
-        orderId: order._id.toString(),
-        buyerId: order.buyer.toString(),
-        sellerId: order.seller.toString()
-      }
-    });
+    const intent = await provider.createIntent({ amount, receipt, metadata: notes });
 
-    // Update order with Razorpay order ID
-    order.payment.transactionId = razorpayOrder.id;
-    order.payment.status = 'processing';
-    await order.save();
+    // Update orders with the provider's payment reference
+    await setPaymentDetails(orders, group, {
+      ...intent.payment,
+      method: provider.id,
+      status: 'processing'
+    });
 
     res.status(200).json({
       success: true,
-      razorpayOrderId: razorpayOrder.id,
-      amount: razorpayOrder.amount,
-      currency: razorpayOrder.currency
+      provider: provider.id,
+      amount,
+      ...intent.client
     });
   } catch (error) {
-    console.error('Razorpay order creation error:', error);
+    console.error(`${provider.name} payment creation error:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error creating Razorpay order'
+      message: 'Error creating payment'
     });
   }
 });
 
-// @desc    Verify Razorpay payment
+// @desc    Confirm a payment made with a provider
+// @route   POST /api/payments/:provider/confirm
 // @route   POST /api/payments/razorpay/verify
 // @access  Private
-const verifyRazorpayPayment = asyncHandler(async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+const confirmPayment = asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  if (!provider) {
+    return;
+  }
 
   try {
-    const crypto = require('crypto');
-    const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
-    hmac.update(razorpay_order_id + '|' + razorpay_payment_id);
-    const generated_signature = hmac.digest('hex');
-
-    if (generated_signature === razorpay_signature) {
-      // Payment is verified
-      const order = await Order.findOne({ 'payment.transactionId': razorpay_order_id });
-
-      if (order) {
-        order.payment.status = 'completed';
-        order.payment.paymentIntentId = razorpay_payment_id;
-        order.payment.paidAt = new Date();
-        
-        // Update order status to confirmed
-        if (order.status === 'pending') {
-          order.status = 'confirmed';
-          order.statusHistory.push({
-            status: 'confirmed',
-            timestamp: new Date(),
-            note: 'Payment verified',
-            updatedBy: order.buyer
-          });
-        }
-
-        await order.save();
-      }
+    const result = await provider.confirm(req.body);
 
-      res.status(200).json({
-        success: true,
-        message: 'Payment verified successfully'
+    if (!result.succeeded) {
+      return res.status(400).json({
+        success: false,
+        message: result.message || 'Payment not successful'
       });
-    } else {
-      res.status(400).json({
+    }
+
+    // Only the buyer's own orders can be confirmed; cancelled ones are refunded
+    const orders = await Order.find({ ...result.query, buyer: req.user._id });
+    const group = await CheckoutGroup.findOne({ ...result.query, buyer: req.user._id });
+
+    if (orders.length === 0 && !group) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid payment signature'
+        message: 'No orders found for this payment'
       });
     }
+
+    await markOrdersPaid(orders, group, result.payment, 'Payment confirmed');
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment confirmed successfully'
+    });
   } catch (error) {
-    console.error('Razorpay payment verification error:', error);
+    console.error(`${provider.name} payment confirmation error:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error verifying payment'
+      message: 'Error confirming payment'
     });
   }
 });
 
-// @desc    Process refund
+// @desc    Refund an order in full, or part of it with `amount`
 // @route   POST /api/payments/refund
 // @access  Private
 const processRefund = asyncHandler(async (req, res) => {
@@ -258,65 +219,52 @@ const processRefund = asyncHandler(async (req, res) => {
     });
   }
 
-  if (order.payment.status !== 'completed') {
+  if (order.payment.status === 'refunded') {
     return res.status(400).json({
       success: false,
-      message: 'Order payment is not completed'
+      message: 'Order is already refunded'
     });
   }
 
-  if (order.payment.status === 'refunded') {
+  if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
     return res.status(400).json({
       success: false,
-      message: 'Order is already refunded'
+      message: 'Order payment is not completed'
     });
   }
 
-  try {
-    let refund;
-
-    if (order.payment.method === 'stripe') {
-      // Process Stripe refund
-      refund = await stripe.refunds.create({
-        payment_intent: order.payment.paymentIntentId,
-        reason: 'requested_by_customer'
-      });
-
-      order.payment.refundId = refund.id;
-    } else if (order.payment.method === 'razorpay') {
-      // Process Razorpay refund
-      refund = await razorpay.payments.refund(order.payment.paymentIntentId, {
-        amount: Math.round(order.totals.total * 100),
-        notes: {
-          reason: reason,
-          orderId: order._id.toString()
-        }
-      });
-
-      order.payment.refundId = refund.id;
-    }
+  // Defaults to everything not refunded yet
+  const amount = req.body.amount !== undefined ? Number(req.body.amount) : order.getRefundableAmount();
 
-    // Update order
-    order.payment.status = 'refunded';
-    order.payment.refundedAt = new Date();
-    order.payment.refundReason = reason;
-    order.status = 'refunded';
-
-    order.statusHistory.push({
-      status: 'refunded',
-      timestamp: new Date(),
-      note: `Refunded: ${reason}`,
-      updatedBy: req.user._id
+  if (amount > order.getRefundableAmount()) {
+    return res.status(400).json({
+      success: false,
+      message: `At most $${order.getRefundableAmount().toFixed(2)} can be refunded for this order`
     });
+  }
 
-    await order.save();
+  try {
+    const refund = await refundOrder(order, {
+      amount,
+      reason,
+      refundedBy: req.user._id
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Refund processed successfully',
-      refundId: refund.id
+      message: refund.fullyRefunded ? 'Refund processed successfully' : 'Partial refund processed successfully',
+      refundId: refund.refundId,
+      amount: refund.amount,
+      refundedAmount: order.payment.refundedAmount,
+      paymentStatus: order.payment.status
     });
   } catch (error) {
+    if (error instanceof PaymentProviderError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Refund processing error:', error);
     res.status(500).json({
       success: false,
@@ -329,74 +277,64 @@ const processRefund = asyncHandler(async (req, res) => {
 // @route   GET /api/payments/methods
 // @access  Public
 const getPaymentMethods = asyncHandler(async (req, res) => {
-  const methods = [
-    {
-      id: 'stripe',
-      name: 'Credit/Debit Card',
-      description: 'Pay securely with your credit or debit card',
-      enabled: !!process.env.STRIPE_SECRET_KEY
-    },
-    {
-      id: 'razorpay',
-      name: 'Razorpay',
-      description: 'Pay with UPI, Net Banking, or Cards',
-      enabled: !!process.env.RAZORPAY_KEY_ID
-    },
-    {
-      id: 'cash_on_delivery',
-      name: 'Cash on Delivery',
-      description: 'Pay when you receive your order',
-      enabled: true
-    }
-  ];
+  const methods = getConfiguredProviders().map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    description: provider.description,
+    enabled: true
+  }));
+
+  methods.push({
+    id: 'cash_on_delivery',
+    name: 'Cash on Delivery',
+    description: 'Pay when you receive your order',
+    enabled: true
+  });
 
   res.status(200).json({
     success: true,
-    methods: methods.filter(method => method.enabled)
+    methods
   });
 });
 
-// @desc    Stripe webhook handler
-// @route   POST /api/payments/stripe/webhook
-// @access  Public
-const stripeWebhook = asyncHandler(async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// @desc    Payment provider webhook handler
+// @route   POST /api/payments/:provider/webhook
+// @access  Public (verified by the provider's signature)
+const paymentWebhook = asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  if (!provider) {
+    return;
+  }
 
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = provider.parseWebhook(req.body, req.headers);
   } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
+    console.error(`${provider.name} webhook verification failed:`, err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      // Handle successful payment
-      console.log('Payment succeeded:', paymentIntent.id);
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      // Handle failed payment
-      console.log('Payment failed:', failedPayment.id);
-      break;
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  let result;
+  try {
+    result = await processPaymentEvent(provider.id, event);
+  } catch (error) {
+    // Providers retry events that don't get a 2xx response
+    console.error(`Error processing ${provider.id} event ${event.id} (${event.type}):`, error);
+    return res.status(500).json({ received: false });
+  }
+
+  if (!result.handled) {
+    console.log(`Unhandled ${provider.id} event type ${event.type}`);
   }
 
-  res.json({ received: true });
+  res.json({ received: true, duplicate: !!result.duplicate });
 });
 
 module.exports = {
-  createStripePaymentIntent,
-  confirmStripePayment,
-  createRazorpayOrder,
-  verifyRazorpayPayment,
+  createPaymentIntent,
+  confirmPayment,
   processRefund,
   getPaymentMethods,
-  stripeWebhook
+  paymentWebhook
 };
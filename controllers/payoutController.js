@@ -0,0 +1,331 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutBatch = require('../models/PayoutBatch');
+const User = require('../models/User');
+const {
+  COMMISSION_RATE,
+  LedgerError,
+  getSellerBalance,
+  generatePayoutBatch,
+  markBatchPaid,
+  cancelBatch
+} = require('../utils/ledger');
+const { toCSV } = require('../utils/csv');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const BATCH_POPULATE = [
+  { path: 'payouts.seller', select: 'name email businessInfo.businessName' },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'paidBy', select: 'name email' },
+  { path: 'cancelledBy', select: 'name email' }
+];
+
+const CSV_COLUMNS = ['batchNumber', 'sellerId', 'sellerName', 'sellerEmail', 'businessName', 'amount'];
+
+const sendLedgerError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Sellers see their own account; admins can pass ?sellerId
+const getAccountSellerId = (req) => (
+  req.user.role === 'admin' && req.query.sellerId ? req.query.sellerId : req.user._id
+);
+
+// Load the batch in :id or send a 404
+const findBatch = async (req, res) => {
+  const batch = await PayoutBatch.findById(req.params.id);
+
+  if (!batch) {
+    res.status(404).json({
+      success: false,
+      message: 'Payout batch not found'
+    });
+    return null;
+  }
+
+  return batch;
+};
+
+// @desc    Get seller balance (pending and available funds)
+// @route   GET /api/payouts/balance
+// @access  Private (Seller or Admin)
+const getBalance = asyncHandler(async (req, res) => {
+  const balance = await getSellerBalance(getAccountSellerId(req));
+
+  res.status(200).json({
+    success: true,
+    balance
+  });
+});
+
+// @desc    Get seller ledger transactions (sales, refunds and payouts)
+// @route   GET /api/payouts/ledger
+// @access  Private (Seller or Admin)
+const getLedger = asyncHandler(async (req, res) => {
+  const { type, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = { seller: getAccountSellerId(req) };
+  if (type) {
+    query.type = type;
+  }
+
+  const transactions = await LedgerTransaction.find(query)
+    .populate([
+      { path: 'order', select: 'orderNumber' },
+      { path: 'payoutBatch', select: 'batchNumber status' }
+    ])
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await LedgerTransaction.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    transactions
+  });
+});
+
+// @desc    Get commission rules and the default rate
+// @route   GET /api/payouts/commission-rules
+// @access  Private (Admin only)
+const getCommissionRules = asyncHandler(async (req, res) => {
+  const rules = await CommissionRule.find()
+    .populate('seller', 'name email businessInfo.businessName')
+    .sort({ scope: 1, category: 1 });
+
+  res.status(200).json({
+    success: true,
+    defaultRate: COMMISSION_RATE,
+    rules
+  });
+});
+
+// @desc    Set the commission rate for a category or a seller
+// @route   PUT /api/payouts/commission-rules
+// @access  Private (Admin only)
+const setCommissionRule = asyncHandler(async (req, res) => {
+  const { scope, category, sellerId, rate } = req.body;
+
+  if (scope === 'seller') {
+    const seller = await User.findOne({ _id: sellerId, role: 'seller' });
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+  }
+
+  const filter = scope === 'seller'
+    ? { scope, seller: sellerId, category: null }
+    : { scope, category, seller: null };
+
+  const rule = await CommissionRule.findOneAndUpdate(
+    filter,
+    { $set: { rate, updatedBy: req.user._id } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Commission rate saved',
+    rule
+  });
+});
+
+// @desc    Remove a commission rule (the default rate applies again)
+// @route   DELETE /api/payouts/commission-rules/:id
+// @access  Private (Admin only)
+const deleteCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Commission rule not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Commission rule removed'
+  });
+});
+
+// @desc    Generate a payout batch of the sellers' available funds
+// @route   POST /api/payouts/batches
+// @access  Private (Admin only)
+const createPayoutBatch = asyncHandler(async (req, res) => {
+  try {
+    const batch = await generatePayoutBatch(req.user);
+    await batch.populate(BATCH_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch created for ${batch.payouts.length} seller(s)`,
+      batch
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendLedgerError(res, error);
+    }
+    throw error;
+  }
+});
+
+// @desc    Get payout batches
+// @route   GET /api/payouts/batches
+// @access  Private (Admin only)
+const getPayoutBatches = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+
+  const batches = await PayoutBatch.find(query)
+    .populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'paidBy', select: 'name email' }
+    ])
+    .select('-payouts')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await PayoutBatch.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: batches.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    batches
+  });
+});
+
+// @desc    Get a payout batch
+// @route   GET /api/payouts/batches/:id
+// @access  Private (Admin only)
+const getPayoutBatch = asyncHandler(async (req, res) => {
+  const batch = await findBatch(req, res);
+  if (!batch) {
+    return;
+  }
+
+  await batch.populate(BATCH_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    batch
+  });
+});
+
+// @desc    Export a payout batch as CSV for the bank transfer
+// @route   GET /api/payouts/batches/:id/export
+// @access  Private (Admin only)
+const exportPayoutBatch = asyncHandler(async (req, res) => {
+  const batch = await findBatch(req, res);
+  if (!batch) {
+    return;
+  }
+
+  await batch.populate(BATCH_POPULATE);
+
+  const records = batch.payouts.map(payout => ({
+    batchNumber: batch.batchNumber,
+    sellerId: payout.seller._id,
+    sellerName: payout.seller.name,
+    sellerEmail: payout.seller.email,
+    businessName: payout.seller.businessInfo && payout.seller.businessInfo.businessName,
+    amount: payout.amount.toFixed(2)
+  }));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="payouts-${batch.batchNumber}.csv"`);
+  res.status(200).send(toCSV(CSV_COLUMNS, records));
+});
+
+// @desc    Mark a payout batch as paid
+// @route   PUT /api/payouts/batches/:id/paid
+// @access  Private (Admin only)
+const markPayoutBatchPaid = asyncHandler(async (req, res) => {
+  const batch = await findBatch(req, res);
+  if (!batch) {
+    return;
+  }
+
+  try {
+    const paid = await markBatchPaid(batch, req.user, req.body.reference);
+    await paid.populate(BATCH_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch marked as paid',
+      batch: paid
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendLedgerError(res, error);
+    }
+    throw error;
+  }
+});
+
+// @desc    Cancel an unpaid payout batch (funds return to the sellers' balances)
+// @route   PUT /api/payouts/batches/:id/cancel
+// @access  Private (Admin only)
+const cancelPayoutBatch = asyncHandler(async (req, res) => {
+  const batch = await findBatch(req, res);
+  if (!batch) {
+    return;
+  }
+
+  try {
+    const cancelled = await cancelBatch(batch, req.user, req.body.note);
+    await cancelled.populate(BATCH_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout batch cancelled',
+      batch: cancelled
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendLedgerError(res, error);
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  getBalance,
+  getLedger,
+  getCommissionRules,
+  setCommissionRule,
+  deleteCommissionRule,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch
+};
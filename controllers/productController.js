@@ -1,6 +1,62 @@
 const Product = require('../models/Product');
 const User = require('../models/User');
+const { notifyNewReview, notifyReviewReply } = require('../utils/notifications');
+const { getHiddenSellerIds } = require('../utils/businessHours');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { removeUploads } = require('../middleware/upload');
+
+// Build the price filter. Products with variants match when any active
+// variant is in range; other products match on their own price.
+const buildPriceFilter = (minPrice, maxPrice) => {
+  const range = {};
+  if (minPrice && minPrice !== '') range.$gte = Number(minPrice);
+  if (maxPrice && maxPrice !== '') range.$lte = Number(maxPrice);
+
+  if (Object.keys(range).length === 0) {
+    return null;
+  }
+
+  return {
+    $or: [
+      { 'variants.0': { $exists: false }, price: range },
+      { variants: { $elemMatch: { isActive: true, price: range } } }
+    ]
+  };
+};
+
+// Query string values as a list of strings. Anything else (such as the
+// object parsed from ?sku[$ne]=x) is dropped so it can't add query operators.
+const toQueryStrings = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(item => typeof item === 'string' && item !== '');
+};
+
+// Build the variant option filter from ?options[Size]=M&options[Color]=Red.
+// Matches products with an active variant having all the given values.
+// Only option names that products define are used.
+const buildVariantOptionFilter = (options, inStockOnly, optionNames) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return null;
+  }
+
+  const elemMatch = { isActive: true };
+  for (const [name, value] of Object.entries(options)) {
+    const values = toQueryStrings(value);
+    if (optionNames.includes(name) && values.length > 0) {
+      elemMatch[`options.${name}`] = { $in: values };
+    }
+  }
+
+  if (Object.keys(elemMatch).length === 1) {
+    return null;
+  }
+
+  if (inStockOnly === 'true' || inStockOnly === true) {
+    elemMatch.quantity = { $gt: 0 };
+  }
+
+  return { variants: { $elemMatch: elemMatch } };
+};
 
 // @desc    Get all products with location-based filtering
 // @route   GET /api/products
@@ -21,10 +77,25 @@ const getProducts = asyncHandler(async (req, res) => {
     inStockOnly,
     freeDelivery,
     minRating,
-    tags
+    tags,
+    options,
+    sku
   } = req.query;
 
   let query = { isActive: true };
+
+  // Leave out sellers who hide their products while away
+  const hiddenSellers = await getHiddenSellerIds();
+  if (hiddenSellers.length > 0) {
+    query.seller = { $nin: hiddenSellers };
+  }
+
+  const optionNames = options ? await Product.distinct('variantOptions.name') : [];
+  const variantFilters = [
+    buildPriceFilter(minPrice, maxPrice),
+    buildVariantOptionFilter(options, inStockOnly, optionNames)
+  ].filter(Boolean);
+  const skus = toQueryStrings(sku);
   let products;
 
   // Stock filter
@@ -41,11 +112,14 @@ const getProducts = asyncHandler(async (req, res) => {
     query.subcategory = new RegExp(subcategory, 'i');
   }
   
-  // Price range filter
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice && minPrice !== '') query.price.$gte = Number(minPrice);
-    if (maxPrice && maxPrice !== '') query.price.$lte = Number(maxPrice);
+  // Price range and variant option filters
+  if (variantFilters.length > 0) {
+    query.$and = variantFilters;
+  }
+
+  // Variant SKU filter
+  if (skus.length > 0) {
+    query['variants.sku'] = { $in: skus };
   }
 
   // Rating filter
@@ -120,16 +194,20 @@ const getProducts = asyncHandler(async (req, res) => {
       };
       
       // Apply other filters to regex query
+      if (hiddenSellers.length > 0) {
+        regexSearchQuery.seller = { $nin: hiddenSellers };
+      }
       if (category && category !== '') {
         regexSearchQuery.category = category;
       }
       if (subcategory && subcategory !== '') {
         regexSearchQuery.subcategory = new RegExp(subcategory, 'i');
       }
-      if (minPrice || maxPrice) {
-        regexSearchQuery.price = {};
-        if (minPrice && minPrice !== '') regexSearchQuery.price.$gte = Number(minPrice);
-        if (maxPrice && maxPrice !== '') regexSearchQuery.price.$lte = Number(maxPrice);
+      if (variantFilters.length > 0) {
+        regexSearchQuery.$and = variantFilters;
+      }
+      if (skus.length > 0) {
+        regexSearchQuery['variants.sku'] = { $in: skus };
       }
       if (minRating && minRating !== '') {
         regexSearchQuery['ratings.average'] = { $gte: Number(minRating) };
@@ -234,7 +312,10 @@ const createProduct = asyncHandler(async (req, res) => {
     specifications,
     delivery,
     pickup,
-    tags
+    fulfilment,
+    tags,
+    variantOptions,
+    variants
   } = req.body;
 
   // Use seller's location if product location not provided
@@ -276,7 +357,10 @@ const createProduct = asyncHandler(async (req, res) => {
     specifications,
     delivery,
     pickup,
-    tags
+    fulfilment,
+    tags,
+    variantOptions,
+    variants
   });
 
   await product.populate('seller', 'name businessInfo.businessName avatar ratings');
@@ -309,14 +393,37 @@ const updateProduct = asyncHandler(async (req, res) => {
     });
   }
 
-  product = await Product.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    {
-      new: true,
-      runValidators: true
+  // Products hidden by moderation stay hidden until an admin restores them
+  if (product.moderation.isHidden && req.body.isActive && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'This product was hidden by moderation and cannot be re-activated'
+    });
+  }
+
+  // Load-modify-save so variant checks and the variant summary run on update.
+  // Reserved stock is managed by the inventory service, not by sellers,
+  // and moderation state by admins through reports.
+  const { availability, variants, moderation, ...updates } = req.body;
+  product.set(updates);
+
+  if (availability) {
+    const { reservedQuantity, ...availabilityUpdates } = availability;
+    product.set('availability', { ...product.availability.toObject(), ...availabilityUpdates });
+  }
+
+  if (variants) {
+    const error = product.replaceVariants(variants);
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
     }
-  ).populate('seller', 'name businessInfo.businessName avatar ratings');
+  }
+
+  await product.save();
+  await product.populate('seller', 'name businessInfo.businessName avatar ratings');
 
   res.status(200).json({
     success: true,
@@ -356,6 +463,66 @@ const deleteProduct = asyncHandler(async (req, res) => {
   });
 });
 
+// Photos uploaded with a review
+const getReviewPhotos = (files = []) => files.map(file => ({
+  url: `/uploads/reviews/${file.filename}`,
+  filename: file.filename
+}));
+
+// Review as shown to a user: voter lists replaced by the user's own vote
+// (true for helpful, false for not helpful, null for none)
+const formatReview = (review, user) => {
+  const { helpfulVotes, notHelpfulVotes, ...fields } = review.toObject();
+  const userId = user && user._id.toString();
+  const hasVoted = (voters) => !!userId && voters.some(voter => voter.toString() === userId);
+
+  return {
+    ...fields,
+    myVote: hasVoted(helpfulVotes) ? true : (hasVoted(notHelpfulVotes) ? false : null)
+  };
+};
+
+const formatReviews = (reviews, user) => reviews.map(review => formatReview(review, user));
+
+// @desc    Get product reviews
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getReviews = asyncHandler(async (req, res) => {
+  const { sort = 'newest', rating, verified, page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const product = await Product.findById(req.params.id)
+    .select('reviews ratings isActive')
+    .populate('reviews.user', 'name avatar');
+
+  if (!product || !product.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  const reviews = product.getSortedReviews(sort).filter(review => (
+    (!rating || review.rating === Number(rating)) &&
+    (verified !== 'true' || review.verifiedPurchase)
+  ));
+  const total = reviews.length;
+  const pageReviews = reviews.slice(skip, skip + Number(limit));
+
+  res.status(200).json({
+    success: true,
+    count: pageReviews.length,
+    total,
+    ratings: product.ratings,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    reviews: formatReviews(pageReviews, req.user)
+  });
+});
+
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private (Buyers who purchased the product)
@@ -395,36 +562,40 @@ const addReview = asyncHandler(async (req, res) => {
   const Order = require('../models/Order');
   const skipPurchaseCheck = process.env.NODE_ENV === 'development' && process.env.SKIP_REVIEW_VERIFICATION === 'true';
   
-  if (!skipPurchaseCheck) {
-    const userOrder = await Order.findOne({
-      buyer: req.user._id,
-      'items.product': req.params.id,
-      status: 'delivered' // Only allow reviews for delivered orders
+  // The buyer's latest delivered order of the product is the one reviewed
+  const userOrder = await Order.findOne({
+    buyer: req.user._id,
+    'items.product': req.params.id,
+    status: 'delivered' // Only allow reviews for delivered orders
+  }).sort({ createdAt: -1 });
+
+  if (!userOrder && !skipPurchaseCheck) {
+    return res.status(400).json({
+      success: false,
+      message: 'You can only review products you have purchased and received'
     });
-
-    if (!userOrder) {
-      return res.status(400).json({
-        success: false,
-        message: 'You can only review products you have purchased and received'
-      });
-    }
   }
 
   const review = {
     user: req.user._id,
     rating,
-    comment
+    comment,
+    order: userOrder ? userOrder._id : undefined,
+    verifiedPurchase: !!userOrder,
+    photos: getReviewPhotos(req.files)
   };
 
   product.reviews.push(review);
   await product.save();
 
+  notifyNewReview(product, product.reviews[product.reviews.length - 1], req.user);
+
   await product.populate('reviews.user', 'name avatar');
 
   res.status(201).json({
     success: true,
     message: 'Review added successfully',
-    reviews: product.reviews
+    reviews: formatReviews(product.reviews, req.user)
   });
 });
 
@@ -704,13 +875,21 @@ const updateReview = asyncHandler(async (req, res) => {
   review.rating = rating;
   review.comment = comment;
 
+  // Uploaded photos replace the review's current ones
+  let replacedPhotos = [];
+  if (req.files && req.files.length > 0) {
+    replacedPhotos = review.photos.map(photo => photo.filename);
+    review.photos = getReviewPhotos(req.files);
+  }
+
   await product.save();
+  await removeUploads('reviews', replacedPhotos);
   await product.populate('reviews.user', 'name avatar');
 
   res.status(200).json({
     success: true,
     message: 'Review updated successfully',
-    reviews: product.reviews
+    reviews: formatReviews(product.reviews, req.user)
   });
 });
 
@@ -744,13 +923,150 @@ const deleteReview = asyncHandler(async (req, res) => {
     });
   }
 
+  const photos = review.photos.map(photo => photo.filename);
+
   product.reviews.pull(req.params.reviewId);
   await product.save();
+  await removeUploads('reviews', photos);
 
   res.status(200).json({
     success: true,
     message: 'Review deleted successfully',
-    reviews: product.reviews
+    reviews: formatReviews(product.reviews, req.user)
+  });
+});
+
+// @desc    Vote a review helpful or not helpful (voting the same way again removes the vote)
+// @route   POST /api/products/:id/reviews/:reviewId/vote
+// @access  Private (Buyer only)
+const voteReview = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('reviews._id reviews.user');
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  const review = product.reviews.id(req.params.reviewId);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  if (review.user.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot vote on your own review'
+    });
+  }
+
+  const vote = await Product.voteReview(product._id, review._id, req.user._id, req.body.helpful);
+
+  const updated = await Product.findById(product._id).select('reviews._id reviews.helpfulCount reviews.notHelpfulCount');
+  const updatedReview = updated.reviews.id(review._id);
+
+  res.status(200).json({
+    success: true,
+    message: vote === null ? 'Vote removed' : 'Vote recorded',
+    vote,
+    helpfulCount: updatedReview.helpfulCount,
+    notHelpfulCount: updatedReview.notHelpfulCount
+  });
+});
+
+// @desc    Add or edit the seller's public reply to a review
+// @route   PUT /api/products/:id/reviews/:reviewId/reply
+// @access  Private (Product seller only)
+const replyToReview = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (product.seller.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the seller of this product can reply to its reviews'
+    });
+  }
+
+  const review = product.reviews.id(req.params.reviewId);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  const isNew = !review.sellerReply || !review.sellerReply.text;
+  const now = new Date();
+
+  review.sellerReply = {
+    text: req.body.text,
+    createdAt: isNew ? now : review.sellerReply.createdAt,
+    updatedAt: now
+  };
+
+  await product.save();
+
+  if (isNew) {
+    notifyReviewReply(product, review);
+  }
+
+  await product.populate('reviews.user', 'name avatar');
+
+  res.status(200).json({
+    success: true,
+    message: isNew ? 'Reply added successfully' : 'Reply updated successfully',
+    review: formatReview(product.reviews.id(req.params.reviewId), req.user)
+  });
+});
+
+// @desc    Delete the seller's reply to a review
+// @route   DELETE /api/products/:id/reviews/:reviewId/reply
+// @access  Private (Product seller or admin)
+const deleteReviewReply = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+
+  if (product.seller.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this reply'
+    });
+  }
+
+  const review = product.reviews.id(req.params.reviewId);
+
+  if (!review || !review.sellerReply || !review.sellerReply.text) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reply not found'
+    });
+  }
+
+  review.sellerReply = undefined;
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Reply deleted successfully'
   });
 });
 
@@ -760,9 +1076,13 @@ module.exports = {
   createProduct,
   updateProduct,
   deleteProduct,
+  getReviews,
   addReview,
   updateReview,
   deleteReview,
+  voteReview,
+  replyToReview,
+  deleteReviewReply,
   canReview,
   getSellerProducts,
   toggleLike,
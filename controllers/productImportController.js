@@ -0,0 +1,405 @@
+const path = require('path');
+const { validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const { createProductValidation } = require('../middleware/productValidation');
+const { parseCSV, toCSV } = require('../utils/csv');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Maximum number of rows accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Flat CSV columns, shared by import and export so exported files round-trip.
+// Variants are only supported in JSON files.
+const CSV_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'subcategory',
+  'quantity',
+  'inStock',
+  'tags',
+  'images',
+  'material',
+  'color',
+  'customizable',
+  'deliveryAvailable',
+  'deliveryFee',
+  'deliveryRadius',
+  'pickupAvailable',
+  'fulfilmentMode',
+  'leadTimeDays',
+  'releaseDate',
+  'isActive'
+];
+
+// List values (tags, images) are separated by '|' inside a CSV cell
+const splitList = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  return value.split('|').map(item => item.trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return ['true', '1', 'yes', 'y'].includes(String(value).toLowerCase());
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return Number(value);
+};
+
+// Drop undefined keys so missing CSV cells don't overwrite existing values
+const compact = (object) => {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = compact(value);
+      if (Object.keys(nested).length > 0) {
+        result[key] = nested;
+      }
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+};
+
+// Convert a flat CSV record to the POST /api/products body shape
+const csvRecordToProduct = (record) => {
+  const images = splitList(record.images);
+
+  return compact({
+    sku: record.sku || undefined,
+    name: record.name,
+    description: record.description,
+    price: toNumber(record.price),
+    category: record.category,
+    subcategory: record.subcategory || undefined,
+    availability: {
+      quantity: toNumber(record.quantity),
+      inStock: toBoolean(record.inStock)
+    },
+    tags: splitList(record.tags),
+    images: images && images.map(url => ({
+      public_id: path.basename(url).split('.')[0],
+      url
+    })),
+    specifications: {
+      material: record.material || undefined,
+      color: record.color || undefined,
+      customizable: toBoolean(record.customizable)
+    },
+    delivery: {
+      available: toBoolean(record.deliveryAvailable),
+      fee: toNumber(record.deliveryFee),
+      radius: toNumber(record.deliveryRadius)
+    },
+    pickup: {
+      available: toBoolean(record.pickupAvailable)
+    },
+    fulfilment: {
+      mode: record.fulfilmentMode || undefined,
+      leadTimeDays: toNumber(record.leadTimeDays),
+      releaseDate: record.releaseDate || undefined
+    },
+    isActive: toBoolean(record.isActive)
+  });
+};
+
+// Convert a product to a flat CSV record
+const productToCsvRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category,
+  subcategory: product.subcategory,
+  quantity: product.availability.quantity,
+  inStock: product.availability.inStock,
+  tags: (product.tags || []).join('|'),
+  images: (product.images || []).map(image => image.url).join('|'),
+  material: product.specifications?.material,
+  color: product.specifications?.color,
+  customizable: product.specifications?.customizable,
+  deliveryAvailable: product.delivery?.available,
+  deliveryFee: product.delivery?.fee,
+  deliveryRadius: product.delivery?.radius,
+  pickupAvailable: product.pickup?.available,
+  fulfilmentMode: product.fulfilment?.mode,
+  leadTimeDays: product.fulfilment?.leadTimeDays,
+  releaseDate: product.fulfilment?.releaseDate && product.fulfilment.releaseDate.toISOString(),
+  isActive: product.isActive
+});
+
+// Read the uploaded file into product bodies with the row number each came
+// from (the file line for CSV, the position in the list for JSON)
+const parseImportFile = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const text = file.buffer.toString('utf8');
+
+  if (extension === '.json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.products;
+
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must contain an array of products or a { "products": [...] } object');
+    }
+    return rows.map((row, index) => ({ rowNumber: index + 1, row }));
+  }
+
+  return parseCSV(text).map(({ line, record }) => ({ rowNumber: line, row: csvRecordToProduct(record) }));
+};
+
+// Run the POST /api/products validation rules against one row
+const validateRow = async (row) => {
+  const rowReq = { body: { ...row } };
+
+  for (const validation of createProductValidation) {
+    await validation.run(rowReq);
+  }
+
+  const errors = validationResult(rowReq).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { body: rowReq.body, errors };
+};
+
+// Fields an import row may set (seller, ratings, reviews etc. are not importable)
+const IMPORTABLE_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'subcategory',
+  'images',
+  'availability',
+  'specifications',
+  'delivery',
+  'pickup',
+  'fulfilment',
+  'tags',
+  'variantOptions',
+  'variants',
+  'isActive'
+];
+
+const pickImportable = (body) => {
+  const data = {};
+  for (const field of IMPORTABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  // Reserved stock is managed by the inventory service, never imported
+  if (data.availability) {
+    const { reservedQuantity, ...availability } = data.availability;
+    data.availability = availability;
+  }
+  if (Array.isArray(data.variants)) {
+    data.variants = data.variants.map(({ _id, reservedQuantity, ...variant }) => variant);
+  }
+  return data;
+};
+
+// @desc    Bulk import products from a CSV or JSON file (upserts by SKU)
+// @route   POST /api/products/import?dryRun=true
+// @access  Private (Seller only)
+const importProducts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a CSV or JSON file'
+    });
+  }
+
+  let rows;
+  try {
+    rows = parseImportFile(req.file);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Could not read import file: ${error.message}`
+    });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Import file contains no products'
+    });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `Import files are limited to ${MAX_IMPORT_ROWS} products`
+    });
+  }
+
+  // Existing products with a SKU, for upserts
+  const skus = rows.map(({ row }) => row && row.sku).filter(Boolean).map(sku => String(sku).trim());
+  const existingProducts = await Product.find({ seller: req.user._id, sku: { $in: skus } });
+  const existingBySku = new Map(existingProducts.map(product => [product.sku, product]));
+
+  const seenSkus = new Set();
+  const results = [];
+
+  for (const { rowNumber, row } of rows) {
+    if (!row || typeof row !== 'object') {
+      results.push({ row: rowNumber, action: 'error', errors: [{ message: 'Row is not a product object' }] });
+      continue;
+    }
+
+    const sku = row.sku ? String(row.sku).trim() : undefined;
+    const existing = sku ? existingBySku.get(sku) : null;
+
+    if (sku && seenSkus.has(sku)) {
+      results.push({ row: rowNumber, sku, action: 'error', errors: [{ field: 'sku', message: 'Duplicate SKU in import file' }] });
+      continue;
+    }
+    if (sku) seenSkus.add(sku);
+
+    // Updates may leave out fields that the product already has
+    const { body, errors } = await validateRow(
+      existing ? { ...existing.toObject(), ...row, variants: row.variants } : row
+    );
+
+    if (errors.length > 0) {
+      results.push({ row: rowNumber, sku, action: 'error', errors });
+      continue;
+    }
+
+    // Updates only change the fields in the row, using their sanitized values
+    const data = pickImportable(existing
+      ? Object.fromEntries(Object.keys(row).map(field => [field, body[field]]))
+      : body);
+    let product;
+
+    if (existing) {
+      product = existing;
+      // Products hidden by moderation can't be re-activated by import
+      if (product.moderation.isHidden) {
+        delete data.isActive;
+      }
+      if (data.availability) {
+        data.availability = { ...product.availability.toObject(), ...data.availability };
+      }
+      // Variants keep their ids and reservations; dropping one that holds stock fails the row
+      const { variants, ...fields } = data;
+      const variantError = variants ? product.replaceVariants(variants) : null;
+      if (variantError) {
+        results.push({ row: rowNumber, sku, action: 'error', errors: [{ field: 'variants', message: variantError }] });
+        continue;
+      }
+      product.set(fields);
+    } else {
+      const coordinates = req.user.location && req.user.location.coordinates && req.user.location.coordinates.length === 2
+        ? req.user.location.coordinates
+        : [-122.4194, 37.7749];
+
+      product = new Product({
+        ...data,
+        seller: req.user._id,
+        location: {
+          type: 'Point',
+          coordinates,
+          address: (req.user.location && req.user.location.address) || {}
+        }
+      });
+    }
+
+    try {
+      if (dryRun) {
+        await product.validate();
+      } else {
+        await product.save();
+      }
+
+      results.push({
+        row: rowNumber,
+        sku,
+        action: existing ? 'update' : 'create',
+        productId: dryRun && !existing ? undefined : product._id
+      });
+    } catch (error) {
+      const modelErrors = error.errors
+        ? Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+        : [{ message: error.message }];
+      results.push({ row: rowNumber, sku, action: 'error', errors: modelErrors });
+    }
+  }
+
+  const summary = {
+    total: rows.length,
+    created: results.filter(result => result.action === 'create').length,
+    updated: results.filter(result => result.action === 'update').length,
+    failed: results.filter(result => result.action === 'error').length
+  };
+
+  res.status(200).json({
+    success: true,
+    dryRun,
+    message: dryRun
+      ? `Dry run: ${summary.created} to create, ${summary.updated} to update, ${summary.failed} with errors`
+      : `Imported ${summary.created + summary.updated} product(s), ${summary.failed} with errors`,
+    summary,
+    results
+  });
+});
+
+// @desc    Export the seller's catalogue as CSV or JSON
+// @route   GET /api/products/export?format=csv|json
+// @access  Private (Seller only)
+const exportProducts = asyncHandler(async (req, res) => {
+  const { format = 'csv', includeInactive } = req.query;
+
+  const query = { seller: req.user._id };
+  if (includeInactive !== 'true') {
+    query.isActive = true;
+  }
+
+  const products = await Product.find(query).sort('name');
+  const timestamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'json') {
+    // Variant options are Maps, which JSON would write as {}
+    const data = products.map(product => pickImportable(product.toObject({ flattenMaps: true })));
+
+    res.setHeader('Content-Disposition', `attachment; filename="products-${timestamp}.json"`);
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      products: data
+    });
+  }
+
+  if (format !== 'csv') {
+    return res.status(400).json({
+      success: false,
+      message: 'Format must be csv or json'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="products-${timestamp}.csv"`);
+  res.status(200).send(toCSV(CSV_COLUMNS, products.map(productToCsvRecord)));
+});
+
+module.exports = {
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,198 @@
+const Promotion = require('../models/Promotion');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Settings a promotion's owner can change
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'code',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'categories',
+  'minSpend',
+  'firstOrderOnly',
+  'perUserLimit',
+  'usageLimit',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const canManagePromotion = (promotion, user) => (
+  user.role === 'admin' || (!!promotion.seller && promotion.seller.toString() === user._id.toString())
+);
+
+// Load the promotion in :id if the user can manage it, or send 404/403
+const findManagedPromotion = async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (!promotion) {
+    res.status(404).json({
+      success: false,
+      message: 'Promotion not found'
+    });
+    return null;
+  }
+
+  if (!canManagePromotion(promotion, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this promotion'
+    });
+    return null;
+  }
+
+  return promotion;
+};
+
+// @desc    Create a promotion (sellers for their own products, admins for the platform)
+// @route   POST /api/promotions
+// @access  Private (Seller or Admin)
+const createPromotion = asyncHandler(async (req, res) => {
+  let seller = req.user.role === 'seller' ? req.user._id : undefined;
+
+  // Admins can run a promotion on behalf of a seller
+  if (req.user.role === 'admin' && req.body.sellerId) {
+    const sellerUser = await User.findOne({ _id: req.body.sellerId, role: 'seller' });
+    if (!sellerUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+    seller = sellerUser._id;
+  }
+
+  const promotion = await Promotion.create({
+    ...pickEditable(req.body),
+    seller,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    promotion
+  });
+});
+
+// @desc    Get promotions (a seller's own, or all for admins)
+// @route   GET /api/promotions
+// @access  Private (Seller or Admin)
+const getPromotions = asyncHandler(async (req, res) => {
+  const { active, sellerId, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+
+  if (req.user.role === 'seller') {
+    query.seller = req.user._id;
+  } else if (sellerId) {
+    query.seller = sellerId === 'platform' ? null : sellerId;
+  }
+
+  if (active !== undefined) {
+    query.isActive = active === 'true';
+  }
+
+  const promotions = await Promotion.find(query)
+    .populate('seller', 'name businessInfo.businessName')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Promotion.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: promotions.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    promotions
+  });
+});
+
+// @desc    Get a promotion
+// @route   GET /api/promotions/:id
+// @access  Private (Owner or Admin)
+const getPromotion = asyncHandler(async (req, res) => {
+  const promotion = await findManagedPromotion(req, res);
+  if (!promotion) {
+    return;
+  }
+
+  await promotion.populate('seller', 'name businessInfo.businessName');
+
+  res.status(200).json({
+    success: true,
+    promotion
+  });
+});
+
+// @desc    Update a promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (Owner or Admin)
+const updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await findManagedPromotion(req, res);
+  if (!promotion) {
+    return;
+  }
+
+  // Load-modify-save so the type checks in the model run on update
+  promotion.set(pickEditable(req.body));
+  await promotion.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated successfully',
+    promotion
+  });
+});
+
+// @desc    Delete a promotion (used ones are deactivated so orders keep their reference)
+// @route   DELETE /api/promotions/:id
+// @access  Private (Owner or Admin)
+const deletePromotion = asyncHandler(async (req, res) => {
+  const promotion = await findManagedPromotion(req, res);
+  if (!promotion) {
+    return;
+  }
+
+  if (promotion.redemptionCount > 0) {
+    promotion.isActive = false;
+    await promotion.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Promotion has been used, so it was deactivated instead of deleted',
+      promotion
+    });
+  }
+
+  await promotion.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion deleted successfully'
+  });
+});
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotion,
+  updatePromotion,
+  deletePromotion
+};
@@ -0,0 +1,271 @@
+const ProductQuestion = require('../models/ProductQuestion');
+const Product = require('../models/Product');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { notifyNewQuestion, notifyQuestionAnswered } = require('../utils/notifications');
+
+const QUESTION_POPULATE = [
+  { path: 'asker', select: 'name avatar' },
+  { path: 'answers.user', select: 'name avatar role' }
+];
+
+// Question as shown on the listing: answers sorted, voter lists replaced by
+// whether the current user has voted
+const formatQuestion = (question, user) => {
+  const { answers, ...rest } = question.toObject();
+  const userId = user && user._id.toString();
+
+  return {
+    ...rest,
+    answers: question.getSortedAnswers().map(answer => {
+      const { voters, ...fields } = answer.toObject();
+      return {
+        ...fields,
+        hasVoted: !!userId && voters.some(voter => voter.toString() === userId)
+      };
+    })
+  };
+};
+
+// Load the active product in :id or send a 404
+const findProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id).select('name seller isActive');
+
+  if (!product || !product.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  return product;
+};
+
+// Load the question in :questionId of the product in :id or send a 404
+const findQuestion = async (req, res) => {
+  const question = await ProductQuestion.findOne({ _id: req.params.questionId, product: req.params.id });
+
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  return question;
+};
+
+// @desc    Get questions and answers for a product
+// @route   GET /api/products/:id/questions
+// @access  Public
+const getQuestions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const product = await findProduct(req, res);
+  if (!product) {
+    return;
+  }
+
+  const query = { product: product._id };
+
+  const questions = await ProductQuestion.find(query)
+    .populate(QUESTION_POPULATE)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await ProductQuestion.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    questions: questions.map(question => formatQuestion(question, req.user))
+  });
+});
+
+// @desc    Ask a public question about a product
+// @route   POST /api/products/:id/questions
+// @access  Private (Buyer only)
+const askQuestion = asyncHandler(async (req, res) => {
+  const product = await findProduct(req, res);
+  if (!product) {
+    return;
+  }
+
+  const question = await ProductQuestion.create({
+    product: product._id,
+    seller: product.seller,
+    asker: req.user._id,
+    question: req.body.question
+  });
+
+  notifyNewQuestion(question, product, req.user);
+
+  await question.populate(QUESTION_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    message: 'Question posted successfully',
+    question: formatQuestion(question, req.user)
+  });
+});
+
+// @desc    Answer a product question (the seller's answers are official)
+// @route   POST /api/products/:id/questions/:questionId/answers
+// @access  Private (Product seller or buyers)
+const answerQuestion = asyncHandler(async (req, res) => {
+  const product = await findProduct(req, res);
+  if (!product) {
+    return;
+  }
+
+  const isProductSeller = product.seller.toString() === req.user._id.toString();
+
+  if (req.user.role === 'seller' && !isProductSeller) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the seller of this product can answer questions as a seller'
+    });
+  }
+
+  const question = await findQuestion(req, res);
+  if (!question) {
+    return;
+  }
+
+  question.answers.push({
+    user: req.user._id,
+    text: req.body.text,
+    isOfficial: isProductSeller
+  });
+  await question.save();
+
+  const answer = question.answers[question.answers.length - 1];
+
+  if (question.asker.toString() !== req.user._id.toString()) {
+    notifyQuestionAnswered(question, product, answer);
+  }
+
+  await question.populate(QUESTION_POPULATE);
+
+  res.status(201).json({
+    success: true,
+    message: 'Answer posted successfully',
+    question: formatQuestion(question, req.user)
+  });
+});
+
+// @desc    Vote for an answer, or take the vote back
+// @route   POST /api/products/:id/questions/:questionId/answers/:answerId/vote
+// @access  Private (Buyer only)
+const voteAnswer = asyncHandler(async (req, res) => {
+  const question = await findQuestion(req, res);
+  if (!question) {
+    return;
+  }
+
+  const answer = question.answers.id(req.params.answerId);
+
+  if (!answer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Answer not found'
+    });
+  }
+
+  if (answer.user.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot vote for your own answer'
+    });
+  }
+
+  const hasVoted = await ProductQuestion.toggleAnswerVote(question._id, answer._id, req.user._id);
+  const updated = await ProductQuestion.findById(question._id).select('answers._id answers.voteCount');
+  const updatedAnswer = updated && updated.answers.id(answer._id);
+
+  res.status(200).json({
+    success: true,
+    message: hasVoted ? 'Vote added' : 'Vote removed',
+    voteCount: updatedAnswer ? updatedAnswer.voteCount : 0,
+    hasVoted
+  });
+});
+
+// @desc    Delete a product question
+// @route   DELETE /api/products/:id/questions/:questionId
+// @access  Private (Asker or admin)
+const deleteQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestion(req, res);
+  if (!question) {
+    return;
+  }
+
+  if (question.asker.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this question'
+    });
+  }
+
+  await question.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Question deleted successfully'
+  });
+});
+
+// @desc    Delete an answer to a product question
+// @route   DELETE /api/products/:id/questions/:questionId/answers/:answerId
+// @access  Private (Answer author or admin)
+const deleteAnswer = asyncHandler(async (req, res) => {
+  const question = await findQuestion(req, res);
+  if (!question) {
+    return;
+  }
+
+  const answer = question.answers.id(req.params.answerId);
+
+  if (!answer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Answer not found'
+    });
+  }
+
+  if (answer.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this answer'
+    });
+  }
+
+  question.answers.pull(answer._id);
+  await question.save();
+
+  await question.populate(QUESTION_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Answer deleted successfully',
+    question: formatQuestion(question, req.user)
+  });
+});
+
+module.exports = {
+  getQuestions,
+  askQuestion,
+  answerQuestion,
+  voteAnswer,
+  deleteQuestion,
+  deleteAnswer
+};
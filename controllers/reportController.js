@@ -0,0 +1,239 @@
+const Report = require('../models/Report');
+const User = require('../models/User');
+const {
+  ACTIONS_BY_TARGET,
+  ModerationError,
+  createReport: fileReport,
+  applyModerationAction
+} = require('../utils/moderation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const REPORT_POPULATE = [
+  { path: 'reporter', select: 'name email avatar' },
+  { path: 'targetUser', select: 'name email avatar role isActive' },
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'resolution.resolvedBy', select: 'name email' },
+  { path: 'actions.performedBy', select: 'name email' }
+];
+
+const sendModerationError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @desc    Report a user, product, review or chat message
+// @route   POST /api/reports
+// @access  Private
+const createReport = asyncHandler(async (req, res) => {
+  try {
+    const report = await fileReport(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted successfully',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return sendModerationError(res, error);
+    }
+    throw error;
+  }
+});
+
+// @desc    Get the moderation queue
+// @route   GET /api/reports
+// @access  Private (Admin only)
+const getReports = asyncHandler(async (req, res) => {
+  const { status, targetType, assignedTo, targetUser, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  // Unresolved reports by default, oldest first
+  const query = {
+    status: status ? status : { $in: ['open', 'investigating'] }
+  };
+
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  if (assignedTo === 'me') {
+    query.assignedTo = req.user._id;
+  } else if (assignedTo === 'none') {
+    query.assignedTo = { $exists: false };
+  } else if (assignedTo) {
+    query.assignedTo = assignedTo;
+  }
+
+  if (targetUser) {
+    query.targetUser = targetUser;
+  }
+
+  const reports = await Report.find(query)
+    .populate(REPORT_POPULATE)
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Report.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    reports
+  });
+});
+
+// @desc    Get a report
+// @route   GET /api/reports/:id
+// @access  Private (Admin only)
+const getReport = asyncHandler(async (req, res) => {
+  const report = await Report.findById(req.params.id).populate(REPORT_POPULATE);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  // Other reports against the same user help triage repeat offenders
+  const relatedReports = await Report.countDocuments({
+    _id: { $ne: report._id },
+    targetUser: report.targetUser._id
+  });
+
+  res.status(200).json({
+    success: true,
+    report,
+    relatedReports,
+    availableActions: ACTIONS_BY_TARGET[report.targetType]
+  });
+});
+
+// @desc    Assign a report to an admin
+// @route   PUT /api/reports/:id/assign
+// @access  Private (Admin only)
+const assignReport = asyncHandler(async (req, res) => {
+  const adminId = req.body.adminId || req.user._id;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  const admin = await User.findById(adminId);
+
+  if (!admin || admin.role !== 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'Reports can only be assigned to admins'
+    });
+  }
+
+  report.assignedTo = admin._id;
+  if (report.status === 'open') {
+    report.status = 'investigating';
+  }
+  report.recordAction('assigned', req.user._id, `Assigned to ${admin.name}`);
+  await report.save();
+  await report.populate(REPORT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report assigned successfully',
+    report
+  });
+});
+
+// @desc    Update report status (e.g. investigating, dismissed)
+// @route   PUT /api/reports/:id/status
+// @access  Private (Admin only)
+const updateReportStatus = asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  if (['actioned', 'dismissed'].includes(status)) {
+    report.resolve(status, req.user._id, notes);
+  } else {
+    report.status = status;
+    report.resolution = undefined;
+  }
+
+  report.recordAction('status_changed', req.user._id, notes ? `${status}: ${notes}` : status);
+  await report.save();
+  await report.populate(REPORT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Report status updated successfully',
+    report
+  });
+});
+
+// @desc    Take a moderation action on a report's target
+// @route   POST /api/reports/:id/actions
+// @access  Private (Admin only)
+const takeReportAction = asyncHandler(async (req, res) => {
+  const { action, notes } = req.body;
+
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  try {
+    await applyModerationAction(report, action, req.user._id, notes);
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return sendModerationError(res, error);
+    }
+    throw error;
+  }
+
+  await report.populate(REPORT_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Moderation action applied successfully',
+    report
+  });
+});
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  assignReport,
+  updateReportStatus,
+  takeReportAction
+};
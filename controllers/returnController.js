@@ -0,0 +1,233 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const {
+  ReturnError,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  cancelReturn
+} = require('../utils/returns');
+const { PaymentProviderError } = require('../utils/paymentProviders');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const RETURN_POPULATE = [
+  { path: 'order', select: 'orderNumber status totals payment.status payment.refundedAmount' },
+  { path: 'buyer', select: 'name email avatar' },
+  { path: 'seller', select: 'name email avatar businessInfo' },
+  { path: 'items.product', select: 'name images price' },
+  { path: 'decision.decidedBy', select: 'name' }
+];
+
+const canViewReturn = (request, user) => (
+  user.role === 'admin' ||
+  request.buyer.toString() === user._id.toString() ||
+  request.seller.toString() === user._id.toString()
+);
+
+// Load the request in :id or send a 404
+const findReturnRequest = async (req, res) => {
+  const request = await ReturnRequest.findById(req.params.id);
+
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      message: 'Return request not found'
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// Send errors from the returns workflow as JSON, rethrow anything else
+const handleReturnError = (error, res) => {
+  if (error instanceof ReturnError || error instanceof PaymentProviderError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private (Buyer of the order)
+const createReturn = asyncHandler(async (req, res) => {
+  const { orderId, items, reason, description } = req.body;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const photos = (req.files || []).map(file => ({
+    url: `/uploads/returns/${file.filename}`,
+    filename: file.filename
+  }));
+
+  try {
+    const request = await createReturnRequest(order, req.user, { items, reason, description, photos });
+    await request.populate(RETURN_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      returnRequest: request
+    });
+  } catch (error) {
+    handleReturnError(error, res);
+  }
+});
+
+// @desc    Get return requests (the buyer's own, or those for the seller's orders)
+// @route   GET /api/returns
+// @access  Private
+const getReturns = asyncHandler(async (req, res) => {
+  const { status, orderId, page = 1, limit = 10 } = req.query;
+  const skip = (page - 1) * limit;
+
+  let query = {};
+
+  // Filter by user role
+  if (req.user.role === 'seller') {
+    query.seller = req.user._id;
+  } else if (req.user.role !== 'admin') {
+    query.buyer = req.user._id;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+  if (orderId) {
+    query.order = orderId;
+  }
+
+  const returnRequests = await ReturnRequest.find(query)
+    .populate(RETURN_POPULATE)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: returnRequests.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    returnRequests
+  });
+});
+
+// @desc    Get single return request
+// @route   GET /api/returns/:id
+// @access  Private
+const getReturn = asyncHandler(async (req, res) => {
+  const request = await findReturnRequest(req, res);
+  if (!request) {
+    return;
+  }
+
+  if (!canViewReturn(request, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this return request'
+    });
+  }
+
+  await request.populate(RETURN_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    returnRequest: request
+  });
+});
+
+// @desc    Approve a return and refund its items
+// @route   PUT /api/returns/:id/approve
+// @access  Private (Seller of the order or Admin)
+const approveReturnRequest = asyncHandler(async (req, res) => {
+  const { restock = false, note } = req.body;
+
+  const request = await findReturnRequest(req, res);
+  if (!request) {
+    return;
+  }
+
+  try {
+    const approved = await approveReturn(request, req.user, { restock, note });
+    await approved.populate(RETURN_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return approved and refunded successfully',
+      returnRequest: approved
+    });
+  } catch (error) {
+    handleReturnError(error, res);
+  }
+});
+
+// @desc    Reject a return
+// @route   PUT /api/returns/:id/reject
+// @access  Private (Seller of the order or Admin)
+const rejectReturnRequest = asyncHandler(async (req, res) => {
+  const request = await findReturnRequest(req, res);
+  if (!request) {
+    return;
+  }
+
+  try {
+    await rejectReturn(request, req.user, req.body.note);
+    await request.populate(RETURN_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected',
+      returnRequest: request
+    });
+  } catch (error) {
+    handleReturnError(error, res);
+  }
+});
+
+// @desc    Withdraw a return request
+// @route   PUT /api/returns/:id/cancel
+// @access  Private (Buyer of the order)
+const cancelReturnRequest = asyncHandler(async (req, res) => {
+  const request = await findReturnRequest(req, res);
+  if (!request) {
+    return;
+  }
+
+  try {
+    await cancelReturn(request, req.user);
+    await request.populate(RETURN_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request cancelled',
+      returnRequest: request
+    });
+  } catch (error) {
+    handleReturnError(error, res);
+  }
+});
+
+module.exports = {
+  createReturn,
+  getReturns,
+  getReturn,
+  approveReturnRequest,
+  rejectReturnRequest,
+  cancelReturnRequest
+};
@@ -0,0 +1,44 @@
+const User = require('../models/User');
+const { usesTimeSlots, getAvailableSlots } = require('../utils/timeSlots');
+const { getTimeZone } = require('../utils/businessHours');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get a seller's bookable pickup/delivery time slots with the capacity left
+// @route   GET /api/sellers/:id/slots
+// @access  Public
+const getSellerSlots = asyncHandler(async (req, res) => {
+  const { from, days, method } = req.query;
+
+  const seller = await User.findOne({ _id: req.params.id, role: 'seller', isActive: true })
+    .select('name businessInfo');
+
+  if (!seller) {
+    return res.status(404).json({
+      success: false,
+      message: 'Seller not found'
+    });
+  }
+
+  const slots = await getAvailableSlots(seller, {
+    from: from ? new Date(from) : undefined,
+    days: days ? Number(days) : undefined,
+    method
+  });
+
+  res.status(200).json({
+    success: true,
+    seller: {
+      _id: seller._id,
+      name: seller.name,
+      businessName: seller.businessInfo && seller.businessInfo.businessName
+    },
+    timezone: getTimeZone(seller),
+    enabled: usesTimeSlots(seller),
+    count: slots.length,
+    slots
+  });
+});
+
+module.exports = {
+  getSellerSlots
+};
@@ -1,11 +1,16 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Follow = require('../models/Follow');
+const { notifyNewFollower } = require('../utils/notifications');
+const { createReport, ModerationError } = require('../utils/moderation');
+const { getSellerBalance } = require('../utils/ledger');
+const { getBusinessStatus } = require('../utils/businessHours');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 // @desc    Get user profile
 // @route   GET /api/users/:id
-// @access  Public
+// @access  Public (optional auth adds isFollowing)
 const getUserProfile = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).select('-password');
 
@@ -35,6 +40,13 @@ const getUserProfile = asyncHandler(async (req, res) => {
     .sort('-createdAt');
   }
 
+  const counts = await Follow.getCounts(user._id);
+
+  let isFollowing = false;
+  if (req.user && user.role === 'seller') {
+    isFollowing = !!(await Follow.exists({ follower: req.user._id, seller: user._id }));
+  }
+
   res.status(200).json({
     success: true,
     user: {
@@ -43,10 +55,15 @@ const getUserProfile = asyncHandler(async (req, res) => {
       avatar: user.avatar,
       role: user.role,
       businessInfo: user.businessInfo,
+      // Open now / opens at, worked out in the seller's timezone
+      businessStatus: user.role === 'seller' ? getBusinessStatus(user) : undefined,
       ratings: user.ratings,
       location: {
         address: user.location.address
       },
+      followerCount: counts.followers,
+      followingCount: counts.following,
+      isFollowing,
       createdAt: user.createdAt
     },
     products
@@ -154,7 +171,9 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       activeProducts,
       totalOrders,
       pendingOrders,
-      revenue
+      revenue,
+      followerCount,
+      balance
     ] = await Promise.all([
       Product.countDocuments({ seller: userId }),
       Product.countDocuments({ seller: userId, isActive: true }),
@@ -163,7 +182,9 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       Order.aggregate([
         { $match: { seller: userId, 'payment.status': 'completed' } },
         { $group: { _id: null, total: { $sum: '$totals.total' } } }
-      ])
+      ]),
+      Follow.countDocuments({ seller: userId }),
+      getSellerBalance(userId)
     ]);
 
     stats = {
@@ -171,7 +192,10 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       activeProducts,
       totalOrders,
       pendingOrders,
-      totalRevenue: revenue[0]?.total || 0
+      totalRevenue: revenue[0]?.total || 0,
+      followerCount,
+      // Earnings after commission and refunds (see GET /api/payouts/balance)
+      balance
     };
 
   } else if (userRole === 'buyer') {
@@ -279,21 +303,84 @@ const toggleFollow = asyncHandler(async (req, res) => {
   }
 
   const targetUser = await User.findById(targetUserId);
-  if (!targetUser) {
+  if (!targetUser || !targetUser.isActive) {
     return res.status(404).json({
       success: false,
       message: 'User not found'
     });
   }
 
-  const currentUser = await User.findById(currentUserId);
+  if (targetUser.role !== 'seller') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only sellers can be followed'
+    });
+  }
+
+  const existingFollow = await Follow.findOne({
+    follower: currentUserId,
+    seller: targetUser._id
+  });
+
+  let following;
+  if (existingFollow) {
+    await existingFollow.deleteOne();
+    following = false;
+  } else {
+    try {
+      await Follow.create({ follower: currentUserId, seller: targetUser._id });
+    } catch (error) {
+      // A concurrent request already created the follow
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    following = true;
+    notifyNewFollower(targetUser._id, req.user);
+  }
+
+  const followerCount = await Follow.countDocuments({ seller: targetUser._id });
+
+  res.status(200).json({
+    success: true,
+    message: following ? `You are now following ${targetUser.name}` : `You unfollowed ${targetUser.name}`,
+    following,
+    followerCount
+  });
+});
+
+// @desc    Get sellers the current user follows
+// @route   GET /api/users/me/following
+// @access  Private
+const getFollowing = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = { follower: req.user._id };
+
+  const follows = await Follow.find(query)
+    .populate('seller', 'name avatar businessInfo ratings location.address')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(Number(limit));
+
+  const total = await Follow.countDocuments(query);
 
-  // For simplicity, we'll just return success
-  // In a full implementation, you'd add followers/following arrays to the User model
-  
   res.status(200).json({
     success: true,
-    message: 'Follow status updated'
+    count: follows.length,
+    total,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      pages: Math.ceil(total / limit)
+    },
+    following: follows
+      .filter(follow => follow.seller)
+      .map(follow => ({
+        seller: follow.seller,
+        followedAt: follow.createdAt
+      }))
   });
 });
 
@@ -302,7 +389,6 @@ const toggleFollow = asyncHandler(async (req, res) => {
 // @access  Private
 const reportUser = asyncHandler(async (req, res) => {
   const { reason, description } = req.body;
-  const reportedUserId = req.params.id;
 
   if (!reason) {
     return res.status(400).json({
@@ -311,22 +397,28 @@ const reportUser = asyncHandler(async (req, res) => {
     });
   }
 
-  const reportedUser = await User.findById(reportedUserId);
-  if (!reportedUser) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
+  try {
+    const report = await createReport(req.user._id, {
+      targetType: 'user',
+      targetId: req.params.id,
+      reason,
+      description
     });
-  }
-
-  // In a full implementation, you'd save the report to a Reports collection
-  // For now, we'll just log it
-  console.log(`User ${req.user._id} reported user ${reportedUserId} for: ${reason}`);
 
-  res.status(200).json({
-    success: true,
-    message: 'User reported successfully'
-  });
+    res.status(200).json({
+      success: true,
+      message: 'User reported successfully',
+      reportId: report._id
+    });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
 });
 
 // @desc    Get user's favorite products
@@ -480,6 +572,7 @@ module.exports = {
   getDashboardStats,
   searchUsers,
   toggleFollow,
+  getFollowing,
   reportUser,
   getFavorites,
   verifyBusiness,
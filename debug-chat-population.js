@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Chat = require('./models/Chat');
+const Message = require('./models/Message');
 
 // Connect to MongoDB
 // Load environment variables
@@ -23,42 +24,25 @@ async function debugChatPopulation() {
     console.log('Testing chat population...');
     
     // Test without population first
-    const chatWithoutPopulation = await Chat.findById(chatId);
+    const rawMessages = await Message.find({ chat: chatId }).sort({ createdAt: 1 });
     console.log('\nWithout population:');
-    console.log('Messages count:', chatWithoutPopulation.messages.length);
-    if (chatWithoutPopulation.messages.length > 0) {
-      console.log('First message sender (raw):', chatWithoutPopulation.messages[0].sender);
-    }
-    
-    // Test with population
-    const chatWithPopulation = await Chat.findById(chatId)
-      .populate('participants.user', 'name avatar businessInfo.businessName')
-      .populate({
-        path: 'messages.sender',
-        select: 'name avatar'
-      });
-    
-    console.log('\nWith population:');
-    console.log('Messages count:', chatWithPopulation.messages.length);
-    if (chatWithPopulation.messages.length > 0) {
-      console.log('First message sender (populated):', chatWithPopulation.messages[0].sender);
+    console.log('Messages count:', rawMessages.length);
+    if (rawMessages.length > 0) {
+      console.log('First message sender (raw):', rawMessages[0].sender);
     }
     
     // Test the exact same population as the controller
-    const controllerStyleChat = await Chat.findById(chatId)
+    const chat = await Chat.findById(chatId)
       .populate('participants.user', 'name avatar businessInfo.businessName')
       .populate('relatedOrder', 'orderNumber status')
-      .populate('relatedProduct', 'name images')  
-      .populate({
-        path: 'messages.sender',
-        select: 'name avatar'
-      });
+      .populate('relatedProduct', 'name images');
+    const { messages } = await Message.getPage(chat._id, { limit: 50 });
     
     console.log('\nController style population:');
-    console.log('Messages count:', controllerStyleChat.messages.length);
-    if (controllerStyleChat.messages.length > 0) {
-      console.log('First message sender:', controllerStyleChat.messages[0].sender);
-      console.log('Is sender populated?', typeof controllerStyleChat.messages[0].sender === 'object' && controllerStyleChat.messages[0].sender.name);
+    console.log('Messages count:', messages.length);
+    if (messages.length > 0) {
+      console.log('First message sender:', messages[0].sender);
+      console.log('Is sender populated?', typeof messages[0].sender === 'object' && messages[0].sender.name);
     }
     
   } catch (error) {
@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateAccessToken } = require('../utils/tokens');
 
 // Protect routes - authenticate user
 const protect = async (req, res, next) => {
@@ -18,38 +17,26 @@ const protect = async (req, res, next) => {
       });
     }
 
+    let auth;
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found. Invalid token.'
-        });
-      }
-
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account has been deactivated.'
-        });
-      }
-
-      // Update last seen
-      user.updateLastSeen();
-
-      req.user = user;
-      next();
+      // Verify token and check that its session has not been revoked
+      auth = await authenticateAccessToken(token);
     } catch (error) {
+      if (error.name !== 'AuthError') {
+        throw error;
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid token.'
+        message: error.message
       });
     }
+
+    // Update last seen
+    auth.user.updateLastSeen();
+
+    req.user = auth.user;
+    req.authSession = auth.session;
+    next();
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
@@ -91,13 +78,10 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
-        
-        if (user && user.isActive) {
-          req.user = user;
-          user.updateLastSeen();
-        }
+        const { user, session } = await authenticateAccessToken(token);
+        req.user = user;
+        req.authSession = session;
+        user.updateLastSeen();
       } catch (error) {
         // Invalid token, but continue without authentication
         console.log('Optional auth: Invalid token, continuing without auth');
@@ -191,6 +175,25 @@ const requireVerifiedSeller = (req, res, next) => {
   next();
 };
 
+// Check that sellers have verified their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.role === 'seller' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before listing products'
+    });
+  }
+
+  next();
+};
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -262,6 +265,7 @@ module.exports = {
   checkOwnership,
   requireSeller,
   requireVerifiedSeller,
+  requireVerifiedEmail,
   requireAdmin,
   requireBuyer,
   preventBuyerSelling
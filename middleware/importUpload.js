@@ -0,0 +1,27 @@
+const multer = require('multer');
+const path = require('path');
+
+// Keep import files in memory - they are parsed and discarded
+const storage = multer.memoryStorage();
+
+// File filter for CSV and JSON files only
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (['.csv', '.json'].includes(extension)) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only CSV and JSON files are allowed'));
+  }
+};
+
+// Configure multer
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = importUpload;
@@ -0,0 +1,80 @@
+const { body } = require('express-validator');
+
+// Validation rules for creating a product. Shared by POST /api/products
+// and the bulk importer, which runs them against each imported row.
+const createProductValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Product name must be between 2 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+  body('price')
+    .if(body('variants').not().exists())
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  body('sku')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('SKU must be between 1 and 64 characters'),
+  body('category')
+    .isIn(['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other'])
+    .withMessage('Invalid category'),
+  body('images')
+    .isArray({ min: 1 })
+    .withMessage('At least one image is required'),
+  body('images.*.url')
+    .custom((value) => {
+      // Accept full URLs or relative paths starting with /uploads/
+      if (value.startsWith('/uploads/') || value.match(/^https?:\/\//)) {
+        return true;
+      }
+      throw new Error('Invalid image URL');
+    })
+    .withMessage('Invalid image URL'),
+  body('variantOptions')
+    .optional()
+    .isArray()
+    .withMessage('Variant options must be an array'),
+  body('variantOptions.*.name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Option name must be between 1 and 30 characters'),
+  body('variantOptions.*.values')
+    .isArray({ min: 1 })
+    .withMessage('Each option needs at least one value'),
+  body('variants')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Variants must be a non-empty array'),
+  body('variants.*.sku')
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Variant SKU must be between 1 and 64 characters'),
+  body('variants.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+  body('variants.*.quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Variant quantity cannot be negative'),
+  body('fulfilment.mode')
+    .optional()
+    .isIn(['in_stock', 'made_to_order', 'pre_order'])
+    .withMessage('Fulfilment mode must be in_stock, made_to_order or pre_order'),
+  body('fulfilment.leadTimeDays')
+    .if(body('fulfilment.mode').equals('made_to_order'))
+    .isInt({ min: 1, max: 180 })
+    .withMessage('Made-to-order products need a lead time of 1 to 180 days'),
+  body('fulfilment.releaseDate')
+    .if(body('fulfilment.mode').equals('pre_order'))
+    .isISO8601()
+    .withMessage('Pre-order products need a valid release date')
+];
+
+module.exports = {
+  createProductValidation
+};
@@ -2,25 +2,6 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../public/uploads/products');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, 'product-' + uniqueSuffix + extension);
-  }
-});
-
 // File filter for images only
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /jpeg|jpg|png|gif|webp/;
@@ -34,13 +15,68 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Configure multer
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: fileFilter
-});
+const UPLOADS_DIR = path.join(__dirname, '../public/uploads');
+
+// Image upload stored in public/uploads/<folder>, served from /uploads/<folder>
+const createImageUpload = (folder, prefix) => {
+  // Ensure upload directory exists
+  const uploadDir = path.join(UPLOADS_DIR, folder);
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+
+  // Configure storage
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+      // Generate unique filename
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const extension = path.extname(file.originalname);
+      cb(null, `${prefix}-` + uniqueSuffix + extension);
+    }
+  });
+
+  // Configure multer
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+    fileFilter: fileFilter
+  });
+};
+
+// Delete files by path; files that are already gone are ignored
+const removeFiles = (filePaths) => Promise.all(filePaths.map(filePath => (
+  fs.promises.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error deleting upload ${filePath}:`, error);
+    }
+  })
+)));
+
+// Delete stored uploads, e.g. photos that were replaced or whose review was deleted
+const removeUploads = (folder, filenames) => removeFiles(
+  filenames.filter(Boolean).map(filename => path.join(UPLOADS_DIR, folder, path.basename(filename)))
+);
+
+// Delete the files uploaded with a request when it is answered with an error
+// (failed validation, authorization or any later check), so rejected
+// requests leave no files behind. Use after an upload's .array() middleware.
+const removeUploadsOnError = (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400 && req.files && req.files.length > 0) {
+      removeFiles(req.files.map(file => file.path));
+    }
+  });
+  next();
+};
+
+const upload = createImageUpload('products', 'product');
 
 module.exports = upload;
+module.exports.createImageUpload = createImageUpload;
+module.exports.removeUploads = removeUploads;
+module.exports.removeUploadsOnError = removeUploadsOnError;
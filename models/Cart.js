@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Selected variant (for products with variants)
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    customizations: {
+      type: String,
+      maxlength: [500, 'Customization details cannot exceed 500 characters']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Static method to get a user's cart, creating an empty one if needed
+cartSchema.statics.findOrCreateForUser = async function(userId) {
+  let cart = await this.findOne({ user: userId });
+
+  if (!cart) {
+    cart = await this.create({ user: userId, items: [] });
+  }
+
+  return cart;
+};
+
+// Method to find the cart line for a product (and variant)
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Method to add an item (merges quantity if the product is already in the cart)
+cartSchema.methods.addItem = function(productId, quantity = 1, customizations, variantId) {
+  const existingItem = this.findItem(productId, variantId);
+
+  if (existingItem) {
+    existingItem.quantity += quantity;
+    if (customizations !== undefined) {
+      existingItem.customizations = customizations;
+    }
+  } else {
+    this.items.push({
+      product: productId,
+      variant: variantId,
+      quantity,
+      customizations
+    });
+  }
+
+  return this.save();
+};
+
+// Method to remove cart lines matching { product, variant } pairs
+cartSchema.methods.removeItems = function(itemsToRemove) {
+  this.items = this.items.filter(item => !itemsToRemove.some(remove =>
+    item.product.toString() === remove.product.toString() &&
+    String(item.variant || '') === String(remove.variant || '')
+  ));
+  return this.save();
+};
+
+// Method to clear the cart
+cartSchema.methods.clear = function() {
+  this.items = [];
+  return this.save();
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Message = require('./Message');
 
 const chatSchema = new mongoose.Schema({
   participants: [{
@@ -29,60 +30,6 @@ const chatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   },
-  messages: [{
-    sender: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: [1000, 'Message cannot exceed 1000 characters']
-    },
-    messageType: {
-      type: String,
-      enum: ['text', 'image', 'file', 'location', 'order_update'],
-      default: 'text'
-    },
-    attachments: [{
-      type: {
-        type: String,
-        enum: ['image', 'document', 'location']
-      },
-      url: String,
-      filename: String,
-      size: Number,
-      coordinates: {
-        latitude: Number,
-        longitude: Number
-      }
-    }],
-    readBy: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      readAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    editedAt: Date,
-    deletedAt: Date,
-    isDeleted: {
-      type: Boolean,
-      default: false
-    },
-    replyTo: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Message'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   lastMessage: {
     content: String,
     sender: {
@@ -146,7 +93,7 @@ chatSchema.index({
   partialFilterExpression: { type: 'direct', isActive: true }
 });
 
-// Pre-save middleware to update last message, metadata, and participantIds
+// Pre-save middleware to update participantIds
 chatSchema.pre('save', function(next) {
   // Update participantIds for unique indexing
   if (this.isModified('participants') || this.isNew) {
@@ -154,30 +101,14 @@ chatSchema.pre('save', function(next) {
       .map(p => p.user.toString())
       .sort();
   }
-  
-  if (this.isModified('messages') && this.messages.length > 0) {
-    const lastMsg = this.messages[this.messages.length - 1];
-    this.lastMessage = {
-      content: lastMsg.content,
-      sender: lastMsg.sender,
-      timestamp: lastMsg.createdAt || new Date()
-    };
-    
-    this.metadata.totalMessages = this.messages.filter(msg => !msg.isDeleted).length;
-    
-    // Update unread count for each participant
-    this.participants.forEach(participant => {
-      if (!participant.user.equals(lastMsg.sender)) {
-        // Extract ObjectId string safely whether user is populated or not
-        const userId = participant.user._id ? participant.user._id.toString() : participant.user.toString();
-        const currentCount = this.metadata.unreadCount.get(userId) || 0;
-        this.metadata.unreadCount.set(userId, currentCount + 1);
-      }
-    });
-  }
   next();
 });
 
+// Extract ObjectId string safely whether user is populated or not
+const participantId = (participant) => (
+  participant.user._id ? participant.user._id.toString() : participant.user.toString()
+);
+
 // Static method to find or create direct chat between two users
 chatSchema.statics.findOrCreateDirectChat = async function(user1Id, user2Id) {
   // Sort user IDs to ensure consistent ordering and prevent duplicate chats
@@ -228,55 +159,127 @@ chatSchema.statics.findOrCreateDirectChat = async function(user1Id, user2Id) {
   }
 };
 
-// Method to add message
-chatSchema.methods.addMessage = function(senderId, content, messageType = 'text', attachments = []) {
-  // Check for duplicate messages (same content from same user within last 5 seconds)
-  const fiveSecondsAgo = new Date(Date.now() - 5000);
-  const recentDuplicate = this.messages.find(msg => 
-    msg.sender.toString() === senderId.toString() &&
-    msg.content === content &&
-    msg.createdAt > fiveSecondsAgo &&
-    !msg.isDeleted
-  );
+// Method to add message. Returns the new message, or the existing one if the
+// same content was just sent by the same user (double submit).
+chatSchema.methods.addMessage = async function(senderId, content, messageType = 'text', attachments = []) {
+  const recentDuplicate = await Message.findRecentDuplicate(this._id, senderId, content);
 
   if (recentDuplicate) {
-    // Don't add duplicate message, just return without saving
-    return Promise.resolve(this);
+    recentDuplicate.$locals.isDuplicate = true;
+    return recentDuplicate;
   }
 
-  const message = {
+  const message = await Message.create({
+    chat: this._id,
     sender: senderId,
-    content: content,
-    messageType: messageType,
-    attachments: attachments,
-    readBy: [{ user: senderId }],
-    createdAt: new Date()
+    content,
+    messageType,
+    attachments,
+    readBy: [{ user: senderId }]
+  });
+
+  const lastMessage = {
+    content: message.content,
+    sender: message.sender,
+    timestamp: message.createdAt
   };
-  
-  this.messages.push(message);
-  return this.save();
+
+  // Counters are updated atomically so concurrent senders don't overwrite each other
+  const update = {
+    $set: { lastMessage },
+    $inc: { 'metadata.totalMessages': 1 }
+  };
+  const recipients = this.participants
+    .map(participantId)
+    .filter(userId => userId !== senderId.toString());
+  recipients.forEach(userId => {
+    update.$inc[`metadata.unreadCount.${userId}`] = 1;
+  });
+
+  await this.constructor.updateOne({ _id: this._id }, update);
+
+  // Keep this instance in step with the database
+  this.lastMessage = lastMessage;
+  this.metadata.totalMessages += 1;
+  recipients.forEach(userId => {
+    this.metadata.unreadCount.set(userId, (this.metadata.unreadCount.get(userId) || 0) + 1);
+  });
+
+  return message;
 };
 
 // Method to mark messages as read
-chatSchema.methods.markAsRead = function(userId) {
-  // Find unread messages and mark them as read
-  this.messages.forEach(message => {
-    if (!message.sender.equals(userId) && 
-        !message.readBy.some(read => read.user.equals(userId))) {
-      message.readBy.push({ user: userId });
+chatSchema.methods.markAsRead = async function(userId) {
+  await Message.updateMany(
+    Message.unreadFilter(this._id, userId),
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+
+  // Reset unread count and update last seen for this user
+  await this.constructor.updateOne(
+    { _id: this._id, 'participants.user': userId },
+    {
+      $set: {
+        [`metadata.unreadCount.${userId}`]: 0,
+        'participants.$.lastSeenAt': new Date()
+      }
     }
-  });
-  
-  // Reset unread count for this user
+  );
+
   this.metadata.unreadCount.set(userId.toString(), 0);
-  
-  // Update last seen
-  const participant = this.participants.find(p => p.user.equals(userId));
+  const participant = this.participants.find(p => participantId(p) === userId.toString());
   if (participant) {
     participant.lastSeenAt = new Date();
   }
-  
-  return this.save();
+
+  return this;
+};
+
+// Method to soft delete a message and keep the chat summary correct
+chatSchema.methods.deleteMessage = async function(message) {
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  await message.save();
+
+  return this.refreshMessageSummary();
+};
+
+// Method to recompute lastMessage, totalMessages and per-participant unread
+// counts from the Message collection
+chatSchema.methods.refreshMessageSummary = async function() {
+  const [latest, totalMessages, unreadCounts] = await Promise.all([
+    Message.findOne({ chat: this._id, isDeleted: false }).sort({ createdAt: -1, _id: -1 }),
+    Message.countDocuments({ chat: this._id, isDeleted: false }),
+    Promise.all(this.participants.map(async participant => {
+      const userId = participantId(participant);
+      return [userId, await Message.countDocuments(Message.unreadFilter(this._id, userId))];
+    }))
+  ]);
+
+  const update = {
+    $set: {
+      'metadata.totalMessages': totalMessages,
+      'metadata.unreadCount': Object.fromEntries(unreadCounts)
+    }
+  };
+
+  if (latest) {
+    update.$set.lastMessage = {
+      content: latest.content,
+      sender: latest.sender,
+      timestamp: latest.createdAt
+    };
+  } else {
+    update.$unset = { lastMessage: 1 };
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, update);
+
+  this.lastMessage = update.$set.lastMessage;
+  this.metadata.totalMessages = totalMessages;
+  this.metadata.unreadCount = new Map(unreadCounts);
+
+  return this;
 };
 
 // Method to get unread count for a user
@@ -317,4 +320,16 @@ chatSchema.statics.getUserChats = function(userId, page = 1, limit = 20) {
   .limit(limit);
 };
 
+// Static method to get the ids of everyone a user has an active chat with
+chatSchema.statics.getContactIds = async function(userId) {
+  const participantIds = await this.distinct('participants.user', {
+    'participants.user': userId,
+    isActive: true
+  });
+
+  return participantIds
+    .map(id => id.toString())
+    .filter(id => id !== userId.toString());
+};
+
 module.exports = mongoose.model('Chat', chatSchema);
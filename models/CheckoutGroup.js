@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../utils/paymentProviders');
+
+// A checkout group links the per-seller orders created by one checkout,
+// so the buyer can pay for all of them in a single payment.
+const checkoutGroupSchema = new mongoose.Schema({
+  groupNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Id (jti) of the checkout quote the group was created from; unique so a
+  // quote can only be used once
+  quoteId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  // Promotions whose redemption was given back after their orders were cancelled
+  releasedPromotions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  }],
+  totals: {
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    deliveryFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  },
+  payment: {
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      default: 'pending'
+    },
+    transactionId: String,
+    paymentIntentId: String,
+    paidAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+checkoutGroupSchema.index({ buyer: 1, createdAt: -1 });
+checkoutGroupSchema.index({ 'payment.transactionId': 1 });
+
+// Static method to generate a group number
+checkoutGroupSchema.statics.generateGroupNumber = function() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `LTG-${timestamp}-${random}`;
+};
+
+module.exports = mongoose.model('CheckoutGroup', checkoutGroupSchema);
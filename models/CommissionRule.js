@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const COMMISSION_SCOPES = ['category', 'seller'];
+
+// Commission rate for a product category or a seller. A seller's rate wins
+// over category rates; anything else uses COMMISSION_RATE.
+const commissionRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: COMMISSION_SCOPES,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other'],
+    required: function() {
+      return this.scope === 'category';
+    }
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.scope === 'seller';
+    }
+  },
+  // Fraction of the item subtotal kept by the platform, e.g. 0.1 for 10%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commissionRuleSchema.index({ scope: 1, category: 1, seller: 1 }, { unique: true });
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+CommissionRule.SCOPES = COMMISSION_SCOPES;
+
+module.exports = CommissionRule;
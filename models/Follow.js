@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A user following a seller
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+followSchema.index({ follower: 1, seller: 1 }, { unique: true });
+followSchema.index({ seller: 1, createdAt: -1 });
+
+// Static method to get follower and following counts for a user
+followSchema.statics.getCounts = async function(userId) {
+  const [followers, following] = await Promise.all([
+    this.countDocuments({ seller: userId }),
+    this.countDocuments({ follower: userId })
+  ]);
+
+  return { followers, following };
+};
+
+// Static method to get the ids of sellers a user follows
+followSchema.statics.getFollowedSellerIds = async function(userId) {
+  const follows = await this.find({ follower: userId }).select('seller');
+  return follows.map(follow => follow.seller);
+};
+
+module.exports = mongoose.model('Follow', followSchema);
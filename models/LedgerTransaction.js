@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/pricing');
+
+// platform_cash: money held in the platform's payment provider account
+// seller_collected: cash on delivery payments collected by a seller
+// seller_payable: what the platform owes a seller (negative when the seller owes commission)
+// commission_revenue: the platform's commission on sales
+// promotion_expense: discounts the platform paid for on sellers' orders
+const LEDGER_ACCOUNTS = [
+  'platform_cash',
+  'seller_collected',
+  'seller_payable',
+  'commission_revenue',
+  'promotion_expense'
+];
+const TRANSACTION_TYPES = ['sale', 'refund', 'payout', 'payout_reversal'];
+
+// A balanced double-entry transaction: its debits always equal its credits
+const ledgerTransactionSchema = new mongoose.Schema({
+  // Identifies the business event so it is never recorded twice,
+  // e.g. "sale:<orderId>" or "payout:<batchId>:<sellerId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Platform commission included in the amount (sales and refunds)
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // Discount paid for by the platform's promotions (sales and refunds)
+  platformDiscount: {
+    type: Number,
+    default: 0
+  },
+  description: String,
+  entries: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true
+    },
+    // Seller the account belongs to (seller_payable, seller_collected)
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // seller_payable funds count as pending until this date
+    availableAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerTransactionSchema.index({ seller: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ order: 1 });
+ledgerTransactionSchema.index({ 'entries.account': 1, 'entries.seller': 1 });
+
+// Reject unbalanced transactions
+ledgerTransactionSchema.pre('validate', function(next) {
+  const debits = roundCurrency(this.entries.reduce((sum, entry) => sum + entry.debit, 0));
+  const credits = roundCurrency(this.entries.reduce((sum, entry) => sum + entry.credit, 0));
+
+  if (this.entries.length < 2 || debits !== credits) {
+    return next(new Error(`Ledger transaction ${this.key} is not balanced (debits ${debits}, credits ${credits})`));
+  }
+  next();
+});
+
+// Static method to get a seller's pending (still on hold) and available funds
+ledgerTransactionSchema.statics.getSellerBalance = async function(sellerId, now = new Date()) {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const results = await this.aggregate([
+    { $match: { 'entries.seller': sellerObjectId } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': 'seller_payable', 'entries.seller': sellerObjectId } },
+    {
+      $group: {
+        _id: { $cond: [{ $gt: ['$entries.availableAt', now] }, 'pending', 'available'] },
+        total: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } },
+        nextAvailableAt: { $min: '$entries.availableAt' }
+      }
+    }
+  ]);
+
+  const pending = results.find(result => result._id === 'pending');
+  const available = results.find(result => result._id === 'available');
+
+  return {
+    pending: roundCurrency(pending ? pending.total : 0),
+    available: roundCurrency(available ? available.total : 0),
+    nextAvailableAt: pending ? pending.nextAvailableAt : null
+  };
+};
+
+// Static method to get every seller's available funds of at least minimum
+ledgerTransactionSchema.statics.getAvailableBalances = async function(minimum, now = new Date()) {
+  const results = await this.aggregate([
+    { $match: { 'entries.account': 'seller_payable' } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': 'seller_payable', 'entries.availableAt': { $lte: now } } },
+    {
+      $group: {
+        _id: '$entries.seller',
+        total: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } }
+      }
+    },
+    { $match: { total: { $gte: minimum } } },
+    { $sort: { total: -1 } }
+  ]);
+
+  return results.map(result => ({ seller: result._id, amount: roundCurrency(result.total) }));
+};
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+LedgerTransaction.ACCOUNTS = LEDGER_ACCOUNTS;
+LedgerTransaction.TYPES = TRANSACTION_TYPES;
+
+module.exports = LedgerTransaction;
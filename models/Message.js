@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// A chat message. Messages live in their own collection so busy chats don't
+// grow the Chat document; the chat keeps lastMessage and counters in sync.
+const messageSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'location', 'order_update'],
+    default: 'text'
+  },
+  attachments: [{
+    type: {
+      type: String,
+      enum: ['image', 'document', 'location']
+    },
+    url: String,
+    filename: String,
+    size: Number,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  }],
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: Date,
+  deletedAt: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chat: 1, isDeleted: 1, sender: 1 });
+
+// Query for messages of a chat that a user hasn't read yet
+messageSchema.statics.unreadFilter = function(chatId, userId) {
+  return {
+    chat: chatId,
+    isDeleted: false,
+    sender: { $ne: userId },
+    'readBy.user': { $ne: userId }
+  };
+};
+
+// Static method to find the same message sent moments ago (double submits)
+messageSchema.statics.findRecentDuplicate = function(chatId, senderId, content) {
+  return this.findOne({
+    chat: chatId,
+    sender: senderId,
+    content,
+    isDeleted: false,
+    createdAt: { $gt: new Date(Date.now() - 5000) }
+  });
+};
+
+// Static method to get a page of a chat's messages around a cursor.
+// `before`/`after` are message ids; results are always oldest first.
+messageSchema.statics.getPage = async function(chatId, { before, after, limit = 50 }) {
+  const query = { chat: chatId, isDeleted: false };
+  const cursorId = before || after;
+  const newerFirst = !after;
+
+  if (cursorId) {
+    const cursor = await this.findOne({ _id: cursorId, chat: chatId }).select('createdAt');
+    if (!cursor) {
+      return null;
+    }
+
+    const op = before ? '$lt' : '$gt';
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const direction = newerFirst ? -1 : 1;
+  const messages = await this.find(query)
+    .populate('sender', 'name avatar')
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  if (newerFirst) {
+    page.reverse();
+  }
+
+  return { messages: page, hasMore };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
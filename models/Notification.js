@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'order_placed',
+  'order_status',
+  'order_cancelled',
+  'payment_received',
+  'payment_failed',
+  'refund_issued',
+  'payment_disputed',
+  'return_requested',
+  'return_updated',
+  'new_review',
+  'review_reply',
+  'new_question',
+  'question_answered',
+  'new_message',
+  'new_follower'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Ids of the related resources, e.g. { orderId, productId, chatId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Repeated events with the same key replace the unread notification
+  // instead of piling up (e.g. several messages in one chat); count
+  // is how many events it stands for
+  collapseKey: String,
+  count: {
+    type: Number,
+    default: 1
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, collapseKey: 1, isRead: 1 });
+
+// Static method to get a user's unread count
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Static method to mark notifications as read
+notificationSchema.statics.markRead = function(userId, filter = {}) {
+  return this.updateMany(
+    { ...filter, recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
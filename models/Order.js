@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { TAX_RATE, roundCurrency, sumDiscounts } = require('../utils/pricing');
+const { publishOrderUpdate } = require('../utils/orderTracking');
+const { PAYMENT_METHODS } = require('../utils/paymentProviders');
+
+// Payment statuses of an order whose payment was received
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Statuses an order can move to from each status
+const STATUS_TRANSITIONS = {
+  'pending': ['confirmed', 'cancelled'],
+  'confirmed': ['preparing', 'cancelled'],
+  'preparing': ['ready', 'cancelled'],
+  'ready': ['out_for_delivery', 'delivered'],
+  'out_for_delivery': ['delivered'],
+  'delivered': [],
+  'cancelled': [],
+  'refunded': []
+};
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -16,12 +34,23 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  checkoutGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckoutGroup'
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
+    // Variant bought (for products with variants), with a snapshot of its SKU and options
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    variantOptions: {
+      type: Map,
+      of: String
+    },
     quantity: {
       type: Number,
       required: true,
@@ -35,6 +64,18 @@ const orderSchema = new mongoose.Schema({
     customizations: {
       type: String,
       maxlength: [500, 'Customization details cannot exceed 500 characters']
+    },
+    // How the item is fulfilled (made-to-order items hold no stock)
+    fulfilmentMode: {
+      type: String,
+      enum: ['in_stock', 'made_to_order', 'pre_order'],
+      default: 'in_stock'
+    },
+    // Units refunded through approved returns
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   }],
   totals: {
@@ -43,6 +84,12 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // Sum of the promotions below
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     deliveryFee: {
       type: Number,
       default: 0,
@@ -59,6 +106,33 @@ const orderSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // Promotions applied at checkout (the discount breakdown)
+  promotions: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    // Taken off the items or off the delivery fee
+    appliesTo: {
+      type: String,
+      enum: ['items', 'delivery']
+    },
+    // Who pays for the discount
+    fundedBy: {
+      type: String,
+      enum: ['seller', 'platform']
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  }],
   delivery: {
     method: {
       type: String,
@@ -76,30 +150,114 @@ const orderSchema = new mongoose.Schema({
         required: false // Make coordinates optional
       }
     },
+    // Distance from the seller the delivery fee was worked out for
+    distanceKm: Number,
+    // Worked out at checkout from the items' fulfilment modes and delivery times
     estimatedTime: {
       min: Number, // in hours
       max: Number  // in hours
     },
     actualDeliveryTime: Date,
-    instructions: String
+    instructions: String,
+    // Who delivers the order (the seller when not set)
+    courier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Live location while out for delivery
+    tracking: {
+      lastLocation: {
+        coordinates: [Number], // [longitude, latitude]
+        speed: Number, // meters per second
+        heading: Number,
+        accuracy: Number, // meters
+        recordedAt: Date,
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      },
+      eta: {
+        distanceMeters: Number,
+        estimatedArrival: Date,
+        computedAt: Date
+      },
+      // Most recent pings only (see DELIVERY_TRAIL_LIMIT)
+      trail: [{
+        _id: false,
+        coordinates: [Number],
+        speed: Number,
+        recordedAt: Date
+      }]
+    }
   },
   payment: {
     method: {
       type: String,
-      enum: ['stripe', 'razorpay', 'cash_on_delivery'],
+      enum: PAYMENT_METHODS,
       required: true
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
     transactionId: String,
     paymentIntentId: String,
     paidAt: Date,
+    // Latest refund; every refund is listed in `refunds`
     refundId: String,
     refundedAt: Date,
-    refundReason: String
+    refundReason: String,
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    refunds: [{
+      refundId: String,
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      reason: String,
+      returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+      },
+      refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      refundedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    failureReason: String,
+    // Set when a payment could not be handled automatically, e.g. the refund
+    // of a payment received after the order was cancelled failed
+    needsReview: {
+      type: Boolean,
+      default: false
+    },
+    reviewReason: String,
+    // Chargeback opened by the buyer's bank (reported by Stripe)
+    dispute: {
+      id: String,
+      status: String,
+      reason: String,
+      amount: Number,
+      openedAt: Date
+    }
+  },
+  // Seller's share of the sale, recorded in the ledger once the order is delivered
+  settlement: {
+    commission: Number,
+    // End of the hold period; the seller's earnings can be paid out after it
+    availableAt: Date,
+    recordedAt: Date
   },
   status: {
     type: String,
@@ -173,6 +331,17 @@ const orderSchema = new mongoose.Schema({
     cancelledAt: Date
   },
   scheduledFor: Date, // For pre-orders or scheduled deliveries
+  // Seller time slot booked for the order (scheduledFor is its start)
+  timeSlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TimeSlot'
+    },
+    endsAt: Date,
+    quantity: Number,
+    // Set when the order is cancelled and the slot is freed again
+    releasedAt: Date
+  },
   notes: {
     buyerNotes: String,
     sellerNotes: String,
@@ -195,8 +364,11 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ buyer: 1, createdAt: -1 });
 orderSchema.index({ seller: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ checkoutGroup: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.paymentIntentId': 1 });
+orderSchema.index({ seller: 1, status: 1, 'settlement.recordedAt': 1 });
 
 // Pre-save middleware to generate order number
 orderSchema.pre('save', async function(next) {
@@ -220,8 +392,14 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Method to update order status
-orderSchema.methods.updateStatus = function(newStatus, updatedBy, note = '') {
+// Method to check a status change is allowed
+orderSchema.methods.canTransitionTo = function(newStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Method to update order status. The change is broadcast to the order's room
+// and posted to its order chat.
+orderSchema.methods.updateStatus = async function(newStatus, updatedBy, note = '') {
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
@@ -238,7 +416,10 @@ orderSchema.methods.updateStatus = function(newStatus, updatedBy, note = '') {
     this.payment.status = 'failed';
   }
   
-  return this.save();
+  await this.save();
+  await publishOrderUpdate(this);
+
+  return this;
 };
 
 // Method to add message
@@ -254,18 +435,48 @@ orderSchema.methods.addMessage = function(senderId, message) {
 
 // Method to calculate totals
 orderSchema.methods.calculateTotals = function() {
-  this.totals.subtotal = this.items.reduce((sum, item) => {
+  this.totals.subtotal = roundCurrency(this.items.reduce((sum, item) => {
     return sum + (item.price * item.quantity);
-  }, 0);
+  }, 0));
   
-  // Calculate tax (assuming 8% tax rate)
-  this.totals.tax = this.totals.subtotal * 0.08;
+  const discounts = sumDiscounts(this.promotions, this.totals.subtotal, this.totals.deliveryFee || 0);
+  this.totals.discount = roundCurrency(discounts.items + discounts.delivery);
+
+  // Calculate tax on the discounted items (TAX_RATE, 8% by default)
+  this.totals.tax = roundCurrency((this.totals.subtotal - discounts.items) * TAX_RATE);
   
-  this.totals.total = this.totals.subtotal + this.totals.deliveryFee + this.totals.tax;
+  this.totals.total = roundCurrency(
+    this.totals.subtotal - this.totals.discount + (this.totals.deliveryFee || 0) + this.totals.tax
+  );
   
   return this.totals;
 };
 
+// Method to get when the order was delivered, from its status history
+orderSchema.methods.getDeliveredAt = function() {
+  const entry = this.statusHistory.slice().reverse().find(item => item.status === 'delivered');
+  return entry ? entry.timestamp : null;
+};
+
+// Method to get the amount that has not been refunded yet
+orderSchema.methods.getRefundableAmount = function() {
+  return roundCurrency(this.totals.total - (this.payment.refundedAmount || 0));
+};
+
+// Method to get the refund for some units of an order line: their price
+// less their share of item discounts, plus their share of the order's tax
+// (the delivery fee is only refunded once every line has been returned)
+orderSchema.methods.getLineRefundAmount = function(item, quantity) {
+  if (this.totals.subtotal <= 0) {
+    return 0;
+  }
+
+  const share = (item.price * quantity) / this.totals.subtotal;
+  const itemDiscount = sumDiscounts(this.promotions, this.totals.subtotal, this.totals.deliveryFee || 0).items;
+
+  return roundCurrency(share * (this.totals.subtotal - itemDiscount + this.totals.tax));
+};
+
 // Static method to get order statistics
 orderSchema.statics.getOrderStats = function(sellerId, startDate, endDate) {
   return this.aggregate([
@@ -299,4 +510,9 @@ orderSchema.statics.getOrderStats = function(sellerId, startDate, endDate) {
   ]);
 };
 
-module.exports = mongoose.model('Order', orderSchema);
+const Order = mongoose.model('Order', orderSchema);
+
+Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Order.PAID_PAYMENT_STATUSES = PAID_PAYMENT_STATUSES;
+
+module.exports = Order;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// 'generating' is held while the batch's ledger entries are being recorded
+const PAYOUT_BATCH_STATUSES = ['generating', 'pending', 'paid', 'cancelled'];
+
+// Payouts of the sellers' available funds, generated together by an admin
+// and exported as CSV for the bank transfer
+const payoutBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PAYOUT_BATCH_STATUSES,
+    default: 'generating'
+  },
+  payouts: [{
+    _id: false,
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reference: String,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'payouts.seller': 1, createdAt: -1 });
+// Only one batch can be generated at a time, so two admins can't pay the same funds twice
+payoutBatchSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'generating' }, name: 'one_generating_batch' }
+);
+
+// Static method to generate a batch number
+payoutBatchSchema.statics.generateBatchNumber = function() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `LTP-${timestamp}-${random}`;
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+PayoutBatch.STATUSES = PAYOUT_BATCH_STATUSES;
+
+module.exports = PayoutBatch;
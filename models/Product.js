@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+const FULFILMENT_MODES = ['in_stock', 'made_to_order', 'pre_order'];
+const MAX_REVIEW_PHOTOS = 5;
+const REVIEW_SORTS = ['helpful', 'newest', 'rating_high', 'rating_low'];
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -26,6 +30,12 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Seller's own stock keeping unit, unique per seller (used for bulk import upserts)
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
   images: [{
     public_id: {
       type: String,
@@ -75,6 +85,69 @@ const productSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // When the product last came back into stock (shown in follower feeds)
+  restockedAt: Date,
+  // How orders are fulfilled: from stock, made after ordering (leadTimeDays
+  // to make, no stock needed) or pre-ordered until the releaseDate
+  fulfilment: {
+    mode: {
+      type: String,
+      enum: FULFILMENT_MODES,
+      default: 'in_stock'
+    },
+    leadTimeDays: {
+      type: Number,
+      min: [1, 'Lead time must be at least 1 day'],
+      max: [180, 'Lead time cannot exceed 180 days']
+    },
+    releaseDate: Date
+  },
+  // Option matrix for variants, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+  variantOptions: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [30, 'Option name cannot exceed 30 characters']
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [{
+    sku: {
+      type: String,
+      required: [true, 'Variant SKU is required'],
+      trim: true,
+      maxlength: [64, 'SKU cannot exceed 64 characters']
+    },
+    // One value per option name, e.g. { Size: 'M', Color: 'Red' }
+    options: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    price: {
+      type: Number,
+      required: [true, 'Variant price is required'],
+      min: [0, 'Price cannot be negative']
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   ratings: {
     average: {
       type: Number,
@@ -103,6 +176,55 @@ const productSchema = new mongoose.Schema({
       type: String,
       maxlength: [500, 'Review comment cannot exceed 500 characters']
     },
+    // Delivered order the review was written for (a verified purchase)
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    verifiedPurchase: {
+      type: Boolean,
+      default: false
+    },
+    photos: {
+      type: [{
+        _id: false,
+        url: String,
+        filename: String
+      }],
+      validate: {
+        validator: photos => photos.length <= MAX_REVIEW_PHOTOS,
+        message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`
+      }
+    },
+    // Buyers who found the review helpful or not (never sent to clients);
+    // counts are kept with them
+    helpfulVotes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    notHelpfulVotes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    notHelpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // The seller's public reply (one per review)
+    sellerReply: {
+      text: {
+        type: String,
+        maxlength: [500, 'Reply cannot exceed 500 characters']
+      },
+      createdAt: Date,
+      updatedAt: Date
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -173,6 +295,19 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when an admin hides the product after a report; sellers can't re-activate it
+  moderation: {
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: Date,
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -186,7 +321,17 @@ const productSchema = new mongoose.Schema({
     ref: 'User'
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Who voted on a review is private; responses only show the counts
+    transform: (doc, ret) => {
+      (ret.reviews || []).forEach(review => {
+        delete review.helpfulVotes;
+        delete review.notHelpfulVotes;
+      });
+      return ret;
+    }
+  }
 });
 
 // Create geospatial index
@@ -214,6 +359,11 @@ productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ seller: 1, isActive: 1 });
 productSchema.index({ 'ratings.average': -1, isActive: 1 });
 productSchema.index({ createdAt: -1, isActive: 1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index(
+  { seller: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
 
 // Static method to find products within radius
 productSchema.statics.findNearby = function(longitude, latitude, maxDistance = 10000, filters = {}) {
@@ -237,6 +387,172 @@ productSchema.statics.findNearby = function(longitude, latitude, maxDistance = 1
     .sort({ createdAt: -1 });
 };
 
+// Method to find a variant by id
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId) {
+    return null;
+  }
+  return this.variants.id(variantId);
+};
+
+// Method to replace the variants with an edited list. Variants are matched to
+// the current ones by id or SKU so they keep their id and reserved stock,
+// which reservations and orders point to. Returns an error message, and
+// changes nothing, when a variant holding reserved stock would be removed.
+productSchema.methods.replaceVariants = function(variants) {
+  const keptIds = new Set();
+
+  const merged = variants.map(({ _id, reservedQuantity, ...variant }) => {
+    const existing = [
+      _id && this.variants.id(_id),
+      this.variants.find(current => current.sku === variant.sku)
+    ].find(candidate => candidate && !keptIds.has(candidate._id.toString()));
+
+    if (!existing) {
+      return { ...variant, reservedQuantity: 0 };
+    }
+
+    keptIds.add(existing._id.toString());
+    return { ...variant, _id: existing._id, reservedQuantity: existing.reservedQuantity };
+  });
+
+  const held = this.variants.find(
+    variant => !keptIds.has(variant._id.toString()) && variant.reservedQuantity > 0
+  );
+
+  if (held) {
+    return `Variant ${held.sku} has stock reserved by open orders and cannot be removed. Deactivate it instead.`;
+  }
+
+  this.variants = merged;
+  return null;
+};
+
+// Method to check that every variant matches the option matrix
+productSchema.methods.validateVariants = function() {
+  const optionValues = new Map(
+    this.variantOptions.map(option => [option.name, option.values])
+  );
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      return `Duplicate variant SKU: ${variant.sku}`;
+    }
+    skus.add(variant.sku);
+
+    const options = variant.options || new Map();
+
+    for (const [name, values] of optionValues) {
+      const value = options.get(name);
+      if (!value) {
+        return `Variant ${variant.sku} is missing a value for ${name}`;
+      }
+      if (values.length > 0 && !values.includes(value)) {
+        return `Variant ${variant.sku} has an invalid ${name}: ${value}`;
+      }
+    }
+
+    for (const name of options.keys()) {
+      if (!optionValues.has(name)) {
+        return `Variant ${variant.sku} uses an unknown option: ${name}`;
+      }
+    }
+
+    const combination = Array.from(optionValues.keys())
+      .map(name => `${name}=${options.get(name)}`)
+      .join('|');
+    if (combinations.has(combination)) {
+      return `Duplicate variant options for SKU: ${variant.sku}`;
+    }
+    combinations.add(combination);
+  }
+
+  return null;
+};
+
+// Method to roll variant prices and stock up into the product-level fields,
+// so listings, sorting and stock filters keep working for variant products
+productSchema.methods.syncVariantSummary = function() {
+  if (this.variants.length === 0) {
+    return;
+  }
+
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+  const pricedVariants = activeVariants.length > 0 ? activeVariants : this.variants;
+
+  this.price = Math.min(...pricedVariants.map(variant => variant.price));
+  // Totals include inactive variants: stock updates change the product
+  // totals along with the variant, whether or not it is on sale
+  this.availability.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  this.availability.reservedQuantity = this.variants.reduce((sum, variant) => sum + variant.reservedQuantity, 0);
+  this.availability.inStock = activeVariants.some(
+    variant => variant.quantity - variant.reservedQuantity > 0
+  );
+};
+
+// Pre-validate middleware to check variants and sync product-level summary
+productSchema.pre('validate', function(next) {
+  if (this.isModified('variants') || this.isModified('variantOptions')) {
+    const error = this.validateVariants();
+    if (error) {
+      this.invalidate('variants', error);
+      return next();
+    }
+    this.syncVariantSummary();
+  }
+
+  // Stock status follows the quantity, so a restock through an update or an
+  // import puts a sold out product back on sale (variant products are
+  // summed in syncVariantSummary)
+  if (this.variants.length === 0) {
+    this.availability.inStock = this.availability.quantity > 0;
+  }
+
+  // Made-to-order products need no stock, so they stay listed as in stock
+  if (this.fulfilment.mode === 'made_to_order') {
+    if (!this.fulfilment.leadTimeDays) {
+      this.invalidate('fulfilment.leadTimeDays', 'Lead time is required for made-to-order products');
+    }
+    this.availability.inStock = true;
+  }
+  if (this.fulfilment.mode === 'pre_order' && !this.fulfilment.releaseDate) {
+    this.invalidate('fulfilment.releaseDate', 'Release date is required for pre-order products');
+  }
+  next();
+});
+
+// Method to get the fulfilment mode in effect (pre-orders become regular
+// stock once released)
+productSchema.methods.getFulfilmentMode = function(now = new Date()) {
+  const { mode, releaseDate } = this.fulfilment;
+  return mode === 'pre_order' && releaseDate <= now ? 'in_stock' : mode;
+};
+
+// Method to check whether any stock can be bought
+productSchema.methods.isAvailable = function() {
+  if (this.fulfilment.mode === 'made_to_order') {
+    return true;
+  }
+  return this.availability.inStock &&
+    this.availability.quantity - this.availability.reservedQuantity > 0;
+};
+
+// Remember availability as loaded, to detect restocks on save
+productSchema.post('init', function() {
+  this.$locals.wasAvailable = this.isAvailable();
+});
+
+// Pre-save middleware to record restocks
+productSchema.pre('save', function(next) {
+  if (!this.isNew && this.$locals.wasAvailable === false && this.isAvailable()) {
+    this.restockedAt = new Date();
+  }
+  this.$locals.wasAvailable = this.isAvailable();
+  next();
+});
+
 // Method to calculate average rating
 productSchema.methods.calculateAverageRating = function() {
   if (this.reviews.length === 0) {
@@ -258,10 +574,60 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Reviews in a listing order: 'helpful' (net helpful votes), 'newest',
+// 'rating_high' or 'rating_low'. Ties go to the newest review.
+productSchema.methods.getSortedReviews = function(sort = 'newest') {
+  const newest = (a, b) => b.createdAt - a.createdAt;
+  const compare = {
+    helpful: (a, b) => (b.helpfulCount - b.notHelpfulCount) - (a.helpfulCount - a.notHelpfulCount) || newest(a, b),
+    newest,
+    rating_high: (a, b) => b.rating - a.rating || newest(a, b),
+    rating_low: (a, b) => a.rating - b.rating || newest(a, b)
+  }[sort] || newest;
+
+  return [...this.reviews].sort(compare);
+};
+
+// Static method to record a buyer's vote on a review. Voting the same way
+// again takes the vote back; voting the other way moves it. Each change is a
+// conditional update, so a vote is only counted once. Returns the user's
+// vote afterwards (true, false or null).
+productSchema.statics.voteReview = async function(productId, reviewId, userId, helpful) {
+  const [votes, count, otherVotes, otherCount] = helpful
+    ? ['helpfulVotes', 'helpfulCount', 'notHelpfulVotes', 'notHelpfulCount']
+    : ['notHelpfulVotes', 'notHelpfulCount', 'helpfulVotes', 'helpfulCount'];
+
+  const added = await this.updateOne(
+    { _id: productId, reviews: { $elemMatch: { _id: reviewId, [votes]: { $ne: userId } } } },
+    { $push: { [`reviews.$.${votes}`]: userId }, $inc: { [`reviews.$.${count}`]: 1 } }
+  );
+
+  if (added.modifiedCount === 0) {
+    await this.updateOne(
+      { _id: productId, reviews: { $elemMatch: { _id: reviewId, [votes]: userId } } },
+      { $pull: { [`reviews.$.${votes}`]: userId }, $inc: { [`reviews.$.${count}`]: -1 } }
+    );
+    return null;
+  }
+
+  await this.updateOne(
+    { _id: productId, reviews: { $elemMatch: { _id: reviewId, [otherVotes]: userId } } },
+    { $pull: { [`reviews.$.${otherVotes}`]: userId }, $inc: { [`reviews.$.${otherCount}`]: -1 } }
+  );
+
+  return helpful;
+};
+
 // Method to increment views
 productSchema.methods.incrementViews = function() {
   this.views += 1;
   return this.save({ validateBeforeSave: false });
 };
 
-module.exports = mongoose.model('Product', productSchema);
+const Product = mongoose.model('Product', productSchema);
+
+Product.FULFILMENT_MODES = FULFILMENT_MODES;
+Product.MAX_REVIEW_PHOTOS = MAX_REVIEW_PHOTOS;
+Product.REVIEW_SORTS = REVIEW_SORTS;
+
+module.exports = Product;
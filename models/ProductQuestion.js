@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// An answer to a product question. Answers by the product's seller are
+// official; buyers vote for the answers they found useful.
+const answerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true,
+    maxlength: [1000, 'Answer cannot exceed 1000 characters']
+  },
+  isOfficial: {
+    type: Boolean,
+    default: false
+  },
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  voteCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// A public question about a product, shown on its listing
+const productQuestionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Seller of the product, kept for their question inbox
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  asker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+  answers: [answerSchema],
+  answerCount: {
+    type: Number,
+    default: 0
+  },
+  isAnsweredBySeller: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+productQuestionSchema.index({ product: 1, createdAt: -1 });
+productQuestionSchema.index({ seller: 1, isAnsweredBySeller: 1, createdAt: -1 });
+
+productQuestionSchema.pre('save', function(next) {
+  if (this.isModified('answers')) {
+    this.answerCount = this.answers.length;
+    this.isAnsweredBySeller = this.answers.some(answer => answer.isOfficial);
+  }
+  next();
+});
+
+// Answers with the official ones first, then by votes
+productQuestionSchema.methods.getSortedAnswers = function() {
+  return [...this.answers].sort((a, b) => (
+    Number(b.isOfficial) - Number(a.isOfficial) ||
+    b.voteCount - a.voteCount ||
+    a.createdAt - b.createdAt
+  ));
+};
+
+// Static method to add or remove a user's vote for an answer. Each change is
+// a conditional update, so a user's vote is only counted once.
+productQuestionSchema.statics.toggleAnswerVote = async function(questionId, answerId, userId) {
+  const added = await this.updateOne(
+    { _id: questionId, answers: { $elemMatch: { _id: answerId, voters: { $ne: userId } } } },
+    { $push: { 'answers.$.voters': userId }, $inc: { 'answers.$.voteCount': 1 } }
+  );
+
+  if (added.modifiedCount > 0) {
+    return true;
+  }
+
+  await this.updateOne(
+    { _id: questionId, answers: { $elemMatch: { _id: answerId, voters: userId } } },
+    { $pull: { 'answers.$.voters': userId }, $inc: { 'answers.$.voteCount': -1 } }
+  );
+
+  return false;
+};
+
+module.exports = mongoose.model('ProductQuestion', productQuestionSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_delivery', 'buy_x_get_y'];
+
+// A discount run by a seller (on their own products) or by the platform.
+// Promotions with a code are coupons the buyer enters at checkout; the rest
+// apply automatically to every eligible checkout.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  // Percent off (percentage, buy_x_get_y) or amount off (fixed_amount)
+  value: {
+    type: Number,
+    min: 0
+  },
+  // Cap on a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // buy_x_get_y: for every buyQuantity units bought, getQuantity more are
+  // discounted by `value` percent (100 = free); the cheapest units are discounted
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Seller running (and paying for) the promotion; empty for platform promotions
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Limit the promotion to products of these categories (all when empty)
+  categories: [{
+    type: String,
+    enum: ['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other']
+  }],
+  // Smallest subtotal of eligible items
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Checkouts each buyer can use the promotion in
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  // Checkouts the promotion can be used in overall (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+promotionSchema.index({ isActive: 1, seller: 1, startsAt: 1, endsAt: 1 });
+
+// Check the settings each promotion type needs
+promotionSchema.pre('validate', function(next) {
+  if (['percentage', 'buy_x_get_y'].includes(this.type) && (!this.value || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'fixed_amount' && !this.value) {
+    this.invalidate('value', 'Discount amount is required');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Method to check the usage limit has not been reached (no limit means unlimited)
+promotionSchema.methods.hasRedemptionsLeft = function() {
+  return this.usageLimit == null || this.redemptionCount < this.usageLimit;
+};
+
+// Method to check the promotion is running and has redemptions left
+promotionSchema.methods.isRedeemable = function(now = new Date()) {
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt > now) &&
+    this.hasRedemptionsLeft();
+};
+
+// Static method to find the running automatic promotions for the given
+// sellers, plus the coupon with the given code
+promotionSchema.statics.findForCheckout = function(sellerIds, code, now = new Date()) {
+  const conditions = [{ code: null, seller: { $in: [...sellerIds, null] } }];
+  if (code) {
+    conditions.push({ code: code.trim().toUpperCase() });
+  }
+
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: conditions },
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+Promotion.TYPES = PROMOTION_TYPES;
+
+module.exports = Promotion;
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['user', 'product', 'review', 'message'];
+const REPORT_STATUSES = ['open', 'investigating', 'actioned', 'dismissed'];
+const REPORT_ACTIONS = [
+  'assigned',
+  'status_changed',
+  'deactivate_user',
+  'reactivate_user',
+  'hide_product',
+  'unhide_product',
+  'remove_review',
+  'remove_message'
+];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  // The user responsible for the reported content (the reported user,
+  // the product's seller, the review's author or the message's sender)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  review: mongoose.Schema.Types.ObjectId,
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  message: mongoose.Schema.Types.ObjectId,
+  // Copy of the reported content, kept even if the original is edited or removed
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    trim: true,
+    maxlength: [100, 'Report reason cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    notes: {
+      type: String,
+      maxlength: [1000, 'Resolution notes cannot exceed 1000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  // Audit trail of everything done with the report
+  actions: [{
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS,
+      required: true
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: String,
+    performedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ targetType: 1, targetUser: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetUser: 1, product: 1, review: 1, message: 1 });
+
+// Method to append an audit entry
+reportSchema.methods.recordAction = function(action, performedBy, note) {
+  this.actions.push({
+    action,
+    performedBy,
+    note,
+    performedAt: new Date()
+  });
+};
+
+// Method to close the report
+reportSchema.methods.resolve = function(status, resolvedBy, notes) {
+  this.status = status;
+  this.resolution = {
+    notes,
+    resolvedBy,
+    resolvedAt: new Date()
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.TARGET_TYPES = REPORT_TARGET_TYPES;
+Report.STATUSES = REPORT_STATUSES;
+
+module.exports = Report;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A stock reservation held for an order until it is paid and delivered.
+// Active reservations count towards Product.availability.reservedQuantity.
+const reservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product variant the stock is held on (for products with variants)
+  variant: mongoose.Schema.Types.ObjectId,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released', 'committed'],
+    default: 'active'
+  },
+  // Unpaid reservations are released by the sweeper after this time.
+  // Not set for cash on delivery orders, which are paid on delivery.
+  expiresAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+  committedAt: Date,
+  // Released and committed records are purged by MongoDB after this time
+  purgeAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+reservationSchema.index({ order: 1, status: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'not_as_described',
+  'wrong_item',
+  'missing_parts',
+  'no_longer_needed',
+  'other'
+];
+// 'processing' is held while an approval's refund is being issued;
+// 'needs_attention' marks an approval that refunded the buyer but failed
+// afterwards, so it can't be approved (and refunded) again
+const RETURN_STATUSES = ['requested', 'processing', 'approved', 'needs_attention', 'rejected', 'cancelled'];
+const OPEN_RETURN_STATUSES = ['requested', 'processing', 'needs_attention'];
+
+// A buyer's request to return some items of a delivered order. Approving it
+// refunds just those lines.
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    _id: false,
+    // Id of the line in order.items
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  photos: [{
+    _id: false,
+    url: String,
+    filename: String
+  }],
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'requested'
+  },
+  // Amount refunded for the returned lines (including their share of tax)
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  decision: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: String
+  },
+  refundId: String,
+  refundedAt: Date,
+  // Why an approval needs attention after its refund was issued
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ buyer: 1, createdAt: -1 });
+returnRequestSchema.index({ seller: 1, status: 1, createdAt: -1 });
+
+// Method to record the seller's decision
+returnRequestSchema.methods.decide = function(status, userId, note) {
+  this.status = status;
+  this.decision = {
+    decidedBy: userId,
+    decidedAt: new Date(),
+    note
+  };
+};
+
+// Static method to get quantities of each order line in open return requests
+returnRequestSchema.statics.getOpenQuantities = async function(orderId) {
+  const requests = await this.find({ order: orderId, status: { $in: OPEN_RETURN_STATUSES } });
+  const quantities = new Map();
+
+  requests.forEach(request => request.items.forEach(item => {
+    const key = item.orderItem.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  }));
+
+  return quantities;
+};
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+ReturnRequest.REASONS = RETURN_REASONS;
+ReturnRequest.STATUSES = RETURN_STATUSES;
+
+module.exports = ReturnRequest;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A login session. Access tokens carry the session id (sid) and are only
+// accepted while the session is active; the refresh token is rotated on
+// every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: String,
+  deviceName: {
+    type: String,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to find an active session by id
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke all of a user's active sessions. Returns the revoked ids.
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const sessions = await this.find({
+    user: userId,
+    revokedAt: { $exists: false }
+  }).select('_id');
+
+  const ids = sessions.map(session => session._id);
+
+  await this.updateMany(
+    { _id: { $in: ids } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return ids;
+};
+
+// Static method to record session use (at most once a minute per session)
+sessionSchema.statics.touch = function(sessionId) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: sessionId, lastUsedAt: { $lt: new Date(now.getTime() - 60 * 1000) } },
+    { $set: { lastUsedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
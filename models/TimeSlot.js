@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Bookings against one of a seller's time slots. Slots come from the
+// seller's weekly schedule (User.businessInfo.timeSlots); a record is only
+// created once the first order books the slot.
+const timeSlotSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Items the seller can prepare in the slot (from the schedule at booking time)
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Items booked by open orders
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Slots are purged by MongoDB a while after they end
+  purgeAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+timeSlotSchema.index({ seller: 1, startsAt: 1 }, { unique: true });
+timeSlotSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TimeSlot', timeSlotSchema);
@@ -1,5 +1,105 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/time');
+
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 10;
+
+// Seller schedule formats: HH:mm times and YYYY-MM-DD dates
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A weekly window of bookable time slots, e.g. Tuesday 17:00-20:00
+const timeSlotWindowSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Times must be HH:mm']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Times must be HH:mm'],
+    validate: {
+      validator: function(value) {
+        return value > this.start;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Delivery methods the window is offered for
+  methods: {
+    type: [{
+      type: String,
+      enum: ['pickup', 'delivery']
+    }],
+    default: ['pickup', 'delivery']
+  }
+});
+
+// Opening hours for one day of the week
+const openingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0, // Sunday
+    max: 6
+  },
+  open: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Times must be HH:mm']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Times must be HH:mm'],
+    validate: {
+      validator: function(value) {
+        return value > this.open;
+      },
+      message: 'Closing time must be after the opening time'
+    }
+  }
+}, { _id: false });
+
+// A closure such as a holiday, from one date to another (inclusive)
+const closureSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    match: [DATE, 'Dates must be YYYY-MM-DD']
+  },
+  to: {
+    type: String,
+    required: true,
+    match: [DATE, 'Dates must be YYYY-MM-DD'],
+    validate: {
+      validator: function(value) {
+        return value >= this.from;
+      },
+      message: 'Closure cannot end before it starts'
+    }
+  },
+  reason: {
+    type: String,
+    maxlength: [100, 'Closure reason cannot exceed 100 characters']
+  }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -70,6 +170,93 @@ const userSchema = new mongoose.Schema({
     isVerified: {
       type: Boolean,
       default: false
+    },
+    // Distance-based delivery fee (base fee plus a rate per km, free for
+    // orders above a subtotal). Products' flat fees are used when not set.
+    deliveryFees: {
+      baseFee: {
+        type: Number,
+        min: [0, 'Base fee cannot be negative']
+      },
+      perKm: {
+        type: Number,
+        min: [0, 'Per-km fee cannot be negative']
+      },
+      freeAbove: {
+        type: Number,
+        min: [0, 'Free delivery threshold cannot be negative']
+      }
+    },
+    // IANA timezone the seller's schedule is in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid timezone'
+      }
+    },
+    // Bookable pickup/delivery time slots. Each weekly window is split into
+    // slots of slotMinutes (one slot per window when not set); capacity is
+    // the number of items the seller can prepare per slot.
+    timeSlots: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      slotMinutes: {
+        type: Number,
+        min: [15, 'Slots must be at least 15 minutes long'],
+        max: [720, 'Slots cannot be longer than 12 hours']
+      },
+      // Minimum notice before a slot starts
+      leadTimeHours: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // How far ahead slots can be booked
+      bookingDays: {
+        type: Number,
+        default: 14,
+        min: 1,
+        max: 60
+      },
+      windows: [timeSlotWindowSchema]
+    },
+    // Weekly opening hours (open around the clock when empty)
+    openingHours: [openingHoursSchema],
+    // Days the seller is closed, e.g. holidays (dates in their timezone)
+    closures: [closureSchema],
+    vacation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Vacation ends by itself at this time (indefinite when not set)
+      until: Date,
+      message: {
+        type: String,
+        maxlength: [300, 'Vacation message cannot exceed 300 characters']
+      }
+    },
+    // Users the seller lets deliver their orders (they see the buyer's
+    // address and phone and the live tracking of orders they carry)
+    couriers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Made-to-order orders the seller takes on at once (no limit when not set)
+    madeToOrderLimit: {
+      type: Number,
+      min: [1, 'Made-to-order limit must be at least 1']
+    },
+    // While on vacation or closed: keep products listed and take orders to
+    // be made on return ('preorder'), or hide products and take no orders
+    whenAway: {
+      type: String,
+      enum: ['preorder', 'hide'],
+      default: 'preorder'
     }
   },
   ratings: {
@@ -161,6 +348,38 @@ userSchema.methods.updateLastSeen = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+  return token;
+};
+
+// Generate a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+  return token;
+};
+
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+};
+
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+};
+
 // Static method to find users within radius
 userSchema.statics.findNearby = function(longitude, latitude, maxDistance = 10000) {
   return this.find({
@@ -177,4 +396,9 @@ userSchema.statics.findNearby = function(longitude, latitude, maxDistance = 1000
   });
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+User.EMAIL_VERIFICATION_TTL_HOURS = EMAIL_VERIFICATION_TTL_HOURS;
+User.PASSWORD_RESET_TTL_MINUTES = PASSWORD_RESET_TTL_MINUTES;
+
+module.exports = User;
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { PAYMENT_PROVIDER_IDS } = require('../utils/paymentProviders');
+
+// Days processed webhook events are kept before MongoDB removes them
+const WEBHOOK_EVENT_RETENTION_DAYS = Number(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 90;
+
+// A claim on a "processing" event older than this is considered abandoned
+// (e.g. the server restarted mid-event) and the event may be processed again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Log of webhook events received from payment providers. Providers deliver
+// events at least once, so each event id is processed only once.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: PAYMENT_PROVIDER_IDS,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // Id of the object the event is about (payment intent, charge, dispute)
+  objectId: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ provider: 1, type: 1, createdAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim an event for processing. Returns the log entry, or
+// null if the event was already processed or is being processed right now.
+webhookEventSchema.statics.claim = async function(provider, event) {
+  try {
+    return await this.create({
+      provider,
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data && event.data.object && event.data.object.id
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Seen before: retry only if the earlier attempt failed or was abandoned
+  return this.findOneAndUpdate(
+    {
+      provider,
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing' },
+      $inc: { attempts: 1 },
+      $unset: { error: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Method to record the outcome of processing
+webhookEventSchema.methods.finish = function(error) {
+  if (error) {
+    this.status = 'failed';
+    this.error = error.message;
+  } else {
+    this.status = 'processed';
+    this.processedAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   register,
   login,
@@ -8,10 +8,16 @@ const {
   changePassword,
   forgotPassword,
   resetPassword,
-  logout
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
+const { isValidTimeZone } = require('../utils/time');
 
 const router = express.Router();
 
@@ -93,14 +99,73 @@ const resetPasswordValidation = [
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
+const profileValidation = [
+  body(['businessInfo.deliveryFees.baseFee', 'businessInfo.deliveryFees.perKm', 'businessInfo.deliveryFees.freeAbove'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Delivery fees cannot be negative')
+    .toFloat(),
+  body('businessInfo.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Invalid timezone'),
+  body(['businessInfo.timeSlots.windows', 'businessInfo.openingHours', 'businessInfo.closures'])
+    .optional()
+    .isArray()
+    .withMessage('Schedules must be arrays'),
+  body('businessInfo.vacation.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Vacation must be true or false')
+    .toBoolean(),
+  body('businessInfo.vacation.until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Vacation end must be a valid ISO 8601 date'),
+  body('businessInfo.madeToOrderLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Made-to-order limit must be at least 1')
+    .toInt(),
+  body('businessInfo.couriers')
+    .optional()
+    .isArray()
+    .withMessage('Couriers must be an array'),
+  body('businessInfo.couriers.*')
+    .isMongoId()
+    .withMessage('Valid courier ID is required'),
+  body('businessInfo.whenAway')
+    .optional()
+    .isIn(['preorder', 'hide'])
+    .withMessage('When away must be preorder or hide')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid session ID is required')
+];
+
 // Routes
 router.post('/register', registerValidation, handleValidationErrors, register);
 router.post('/login', loginValidation, handleValidationErrors, login);
 router.get('/me', protect, getMe);
-router.put('/profile', protect, updateProfile);
+router.put('/profile', protect, profileValidation, handleValidationErrors, updateProfile);
 router.put('/change-password', protect, changePasswordValidation, handleValidationErrors, changePassword);
 router.post('/forgot-password', forgotPasswordValidation, handleValidationErrors, forgotPassword);
 router.put('/reset-password/:resettoken', resetPasswordValidation, handleValidationErrors, resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/refresh', refreshValidation, handleValidationErrors, refreshSession);
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, sessionIdValidation, handleValidationErrors, revokeSession);
 
 module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart
+} = require('../controllers/cartController');
+const { protect, requireBuyer } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const addItemValidation = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('customizations')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Customization details cannot exceed 500 characters')
+];
+
+const updateItemValidation = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('customizations')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Customization details cannot exceed 500 characters')
+];
+
+// All cart routes are for buyers
+router.use(protect, requireBuyer);
+
+// Routes
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/items', addItemValidation, handleValidationErrors, addToCart);
+router.put('/items/:productId', updateItemValidation, handleValidationErrors, updateCartItem);
+router.delete('/items/:productId', removeFromCart);
+
+module.exports = router;
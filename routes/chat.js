@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getChats,
   getOrCreateDirectChat,
@@ -33,6 +33,21 @@ const directChatValidation = [
     .withMessage('Valid user ID is required')
 ];
 
+const getChatValidation = [
+  query('before')
+    .optional()
+    .isMongoId()
+    .withMessage('before must be a message ID'),
+  query('after')
+    .optional()
+    .isMongoId()
+    .withMessage('after must be a message ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
 // All routes are protected
 router.use(protect);
 
@@ -40,7 +55,7 @@ router.use(protect);
 router.get('/search', searchChats);
 router.get('/', getChats);
 router.post('/direct', directChatValidation, handleValidationErrors, getOrCreateDirectChat);
-router.get('/:id', getChat);
+router.get('/:id', getChatValidation, handleValidationErrors, getChat);
 router.post('/:id/messages', messageValidation, handleValidationErrors, sendMessage);
 router.put('/:id/read', markAsRead);
 router.put('/:id/block', toggleBlock);
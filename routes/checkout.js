@@ -0,0 +1,72 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { createQuote, getCheckoutGroup } = require('../controllers/checkoutController');
+const { createOrder } = require('../controllers/orderController');
+const { protect, requireBuyer } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { isPaymentMethodEnabled } = require('../utils/paymentProviders');
+const { isValidCoordinates } = require('../utils/geo');
+
+const router = express.Router();
+
+// Validation rules
+const quoteValidation = [
+  body('deliveryMethod')
+    .isIn(['pickup', 'delivery'])
+    .withMessage('Delivery method must be pickup or delivery'),
+  // Delivery fees and the delivery radius are worked out from the address
+  body('deliveryAddress.coordinates')
+    .if(body('deliveryMethod').equals('delivery'))
+    .custom(isValidCoordinates)
+    .withMessage('Delivery address coordinates [longitude, latitude] are required for delivery'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Valid product ID is required'),
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon code must be between 3 and 30 characters')
+];
+
+const checkoutValidation = [
+  body('quoteToken')
+    .isString()
+    .notEmpty()
+    .withMessage('A checkout quote is required. Request one from POST /api/checkout/quote'),
+  body('delivery.method')
+    .isIn(['pickup', 'delivery'])
+    .withMessage('Delivery method must be pickup or delivery'),
+  body('payment.method')
+    .custom(isPaymentMethodEnabled)
+    .withMessage('Payment method is not available'),
+  // Chosen time slot per seller, for sellers that take bookings
+  body('timeSlots')
+    .optional()
+    .isArray()
+    .withMessage('Time slots must be an array'),
+  body('timeSlots.*.seller')
+    .isMongoId()
+    .withMessage('Valid seller ID is required'),
+  body('timeSlots.*.startsAt')
+    .isISO8601()
+    .withMessage('Time slot start must be a valid ISO 8601 date')
+];
+
+// Routes
+router.post('/quote', protect, requireBuyer, quoteValidation, handleValidationErrors, createQuote);
+router.post('/', protect, requireBuyer, checkoutValidation, handleValidationErrors, createOrder);
+router.get('/groups/:id', protect, getCheckoutGroup);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getFeed } = require('../controllers/feedController');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const feedValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// Routes
+router.get('/', protect, feedValidation, handleValidationErrors, getFeed);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const listValidation = [
+  query('type')
+    .optional()
+    .isIn(Notification.TYPES)
+    .withMessage('Invalid notification type'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const notificationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid notification ID is required')
+];
+
+// All notification routes require authentication
+router.use(protect);
+
+// Routes
+router.get('/', listValidation, handleValidationErrors, getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:id/read', notificationIdValidation, handleValidationErrors, markNotificationRead);
+
+module.exports = router;
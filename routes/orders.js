@@ -4,6 +4,9 @@ const {
   createOrder,
   getOrders,
   getOrder,
+  getOrderTracking,
+  assignCourier,
+  shareOrderLocation,
   updateOrderStatus,
   cancelOrder,
   addOrderMessage,
@@ -12,26 +15,22 @@ const {
 } = require('../controllers/orderController');
 const { protect, requireSeller, requireBuyer } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
+const { isPaymentMethodEnabled } = require('../utils/paymentProviders');
 
 const router = express.Router();
 
 // Validation rules
 const createOrderValidation = [
-  body('items')
-    .isArray({ min: 1 })
-    .withMessage('At least one item is required'),
-  body('items.*.product')
-    .isMongoId()
-    .withMessage('Valid product ID is required'),
-  body('items.*.quantity')
-    .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+  body('quoteToken')
+    .isString()
+    .notEmpty()
+    .withMessage('A checkout quote is required. Request one from POST /api/checkout/quote'),
   body('delivery.method')
     .isIn(['pickup', 'delivery'])
     .withMessage('Delivery method must be pickup or delivery'),
   body('payment.method')
-    .isIn(['stripe', 'razorpay', 'cash_on_delivery'])
-    .withMessage('Invalid payment method')
+    .custom(isPaymentMethodEnabled)
+    .withMessage('Payment method is not available')
 ];
 
 const updateStatusValidation = [
@@ -40,6 +39,33 @@ const updateStatusValidation = [
     .withMessage('Invalid status')
 ];
 
+const courierValidation = [
+  body('courierId')
+    .isMongoId()
+    .withMessage('Valid courier ID is required')
+];
+
+const locationValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('speed')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be a positive number (meters per second)'),
+  body('heading')
+    .optional()
+    .isFloat({ min: 0, max: 360 })
+    .withMessage('Heading must be between 0 and 360'),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number (meters)')
+];
+
 const ratingValidation = [
   body('rating')
     .isInt({ min: 1, max: 5 })
@@ -51,6 +77,9 @@ router.get('/stats', protect, requireSeller, getOrderStats);
 router.get('/', protect, getOrders);
 router.post('/', protect, requireBuyer, createOrderValidation, handleValidationErrors, createOrder);
 router.get('/:id', protect, getOrder);
+router.get('/:id/tracking', protect, getOrderTracking);
+router.put('/:id/courier', protect, courierValidation, handleValidationErrors, assignCourier);
+router.post('/:id/location', protect, locationValidation, handleValidationErrors, shareOrderLocation);
 router.put('/:id/status', protect, updateStatusValidation, handleValidationErrors, updateOrderStatus);
 router.put('/:id/cancel', protect, cancelOrder);
 router.post('/:id/messages', protect, addOrderMessage);
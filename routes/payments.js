@@ -1,13 +1,11 @@
 const express = require('express');
 const { body } = require('express-validator');
 const {
-  createStripePaymentIntent,
-  confirmStripePayment,
-  createRazorpayOrder,
-  verifyRazorpayPayment,
+  createPaymentIntent,
+  confirmPayment,
   processRefund,
   getPaymentMethods,
-  stripeWebhook
+  paymentWebhook
 } = require('../controllers/paymentController');
 const { protect } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
@@ -17,8 +15,13 @@ const router = express.Router();
 // Validation rules
 const paymentValidation = [
   body('orderId')
+    .if(body('checkoutGroupId').not().exists())
     .isMongoId()
-    .withMessage('Valid order ID is required')
+    .withMessage('Valid order ID or checkout group ID is required'),
+  body('checkoutGroupId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid checkout group ID is required')
 ];
 
 const refundValidation = [
@@ -28,18 +31,21 @@ const refundValidation = [
   body('reason')
     .trim()
     .isLength({ min: 5, max: 500 })
-    .withMessage('Refund reason must be between 5 and 500 characters')
+    .withMessage('Refund reason must be between 5 and 500 characters'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than 0')
 ];
 
 // Public routes
 router.get('/methods', getPaymentMethods);
-router.post('/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhook);
+router.post('/:provider/webhook', express.raw({ type: 'application/json' }), paymentWebhook);
 
 // Protected routes
-router.post('/stripe/intent', protect, paymentValidation, handleValidationErrors, createStripePaymentIntent);
-router.post('/stripe/confirm', protect, confirmStripePayment);
-router.post('/razorpay/order', protect, paymentValidation, handleValidationErrors, createRazorpayOrder);
-router.post('/razorpay/verify', protect, verifyRazorpayPayment);
 router.post('/refund', protect, refundValidation, handleValidationErrors, processRefund);
+// Razorpay's order/verify paths are kept for existing clients
+router.post(['/:provider/intent', '/:provider(razorpay)/order'], protect, paymentValidation, handleValidationErrors, createPaymentIntent);
+router.post(['/:provider/confirm', '/:provider(razorpay)/verify'], protect, confirmPayment);
 
 module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getBalance,
+  getLedger,
+  getCommissionRules,
+  setCommissionRule,
+  deleteCommissionRule,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch
+} = require('../controllers/payoutController');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutBatch = require('../models/PayoutBatch');
+const { protect, requireSeller, requireAdmin } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const accountValidation = [
+  query('sellerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid seller ID is required'),
+  query('type')
+    .optional()
+    .isIn(LedgerTransaction.TYPES)
+    .withMessage(`Type must be one of: ${LedgerTransaction.TYPES.join(', ')}`)
+];
+
+const commissionRuleValidation = [
+  body('scope')
+    .isIn(CommissionRule.SCOPES)
+    .withMessage(`Scope must be one of: ${CommissionRule.SCOPES.join(', ')}`),
+  body('category')
+    .if(body('scope').equals('category'))
+    .isIn(['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other'])
+    .withMessage('Invalid category'),
+  body('sellerId')
+    .if(body('scope').equals('seller'))
+    .isMongoId()
+    .withMessage('Valid seller ID is required'),
+  body('rate')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Rate must be between 0 and 1')
+    .toFloat()
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid ID is required')
+];
+
+const batchListValidation = [
+  query('status')
+    .optional()
+    .isIn(PayoutBatch.STATUSES)
+    .withMessage('Invalid payout batch status')
+];
+
+const paidValidation = [
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+];
+
+const cancelValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// All payout routes require authentication
+router.use(protect);
+
+// Seller earnings
+router.get('/balance', requireSeller, accountValidation, handleValidationErrors, getBalance);
+router.get('/ledger', requireSeller, accountValidation, handleValidationErrors, getLedger);
+
+// Commission configuration
+router.get('/commission-rules', requireAdmin, getCommissionRules);
+router.put('/commission-rules', requireAdmin, commissionRuleValidation, handleValidationErrors, setCommissionRule);
+router.delete('/commission-rules/:id', requireAdmin, idValidation, handleValidationErrors, deleteCommissionRule);
+
+// Payout batches
+router.post('/batches', requireAdmin, createPayoutBatch);
+router.get('/batches', requireAdmin, batchListValidation, handleValidationErrors, getPayoutBatches);
+router.get('/batches/:id', requireAdmin, idValidation, handleValidationErrors, getPayoutBatch);
+router.get('/batches/:id/export', requireAdmin, idValidation, handleValidationErrors, exportPayoutBatch);
+router.put('/batches/:id/paid', requireAdmin, idValidation, paidValidation, handleValidationErrors, markPayoutBatchPaid);
+router.put('/batches/:id/cancel', requireAdmin, idValidation, cancelValidation, handleValidationErrors, cancelPayoutBatch);
+
+module.exports = router;
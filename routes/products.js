@@ -1,14 +1,18 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const {
   getProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
+  getReviews,
   addReview,
   updateReview,
   deleteReview,
+  voteReview,
+  replyToReview,
+  deleteReviewReply,
   canReview,
   getSellerProducts,
   toggleLike,
@@ -16,39 +20,36 @@ const {
   getFeaturedProducts,
   toggleFeatured
 } = require('../controllers/productController');
-const { protect, requireSeller, optionalAuth, preventBuyerSelling, requireBuyer } = require('../middleware/auth');
+const { importProducts, exportProducts } = require('../controllers/productImportController');
+const {
+  getQuestions,
+  askQuestion,
+  answerQuestion,
+  voteAnswer,
+  deleteQuestion,
+  deleteAnswer
+} = require('../controllers/questionController');
+const { protect, requireSeller, requireVerifiedEmail, optionalAuth, preventBuyerSelling, requireBuyer } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
+const { createProductValidation } = require('../middleware/productValidation');
+const importUpload = require('../middleware/importUpload');
+const { createImageUpload, removeUploadsOnError } = require('../middleware/upload');
+const Product = require('../models/Product');
 
 const router = express.Router();
 
+const reviewPhotoUpload = createImageUpload('reviews', 'review');
+
 // Validation rules
-const createProductValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Product name must be between 2 and 100 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 1000 })
-    .withMessage('Description must be between 10 and 1000 characters'),
-  body('price')
-    .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number'),
-  body('category')
-    .isIn(['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other'])
-    .withMessage('Invalid category'),
-  body('images')
-    .isArray({ min: 1 })
-    .withMessage('At least one image is required'),
-  body('images.*.url')
-    .custom((value) => {
-      // Accept full URLs or relative paths starting with /uploads/
-      if (value.startsWith('/uploads/') || value.match(/^https?:\/\//)) {
-        return true;
-      }
-      throw new Error('Invalid image URL');
-    })
-    .withMessage('Invalid image URL')
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
 ];
 
 const reviewValidation = [
@@ -62,21 +63,80 @@ const reviewValidation = [
     .withMessage('Comment cannot exceed 500 characters')
 ];
 
+const reviewListValidation = [
+  query('sort')
+    .optional()
+    .isIn(Product.REVIEW_SORTS)
+    .withMessage(`Sort must be one of: ${Product.REVIEW_SORTS.join(', ')}`),
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be true or false'),
+  ...paginationValidation
+];
+
+const reviewVoteValidation = [
+  body('helpful')
+    .isBoolean()
+    .withMessage('Helpful must be true or false')
+    .toBoolean()
+];
+
+const reviewReplyValidation = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reply must be between 1 and 500 characters')
+];
+
+const questionValidation = [
+  body('question')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Question must be between 1 and 500 characters')
+];
+
+const answerValidation = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Answer must be between 1 and 1000 characters')
+];
+
 // Public routes
 router.get('/categories', getCategories);
 router.get('/featured', getFeaturedProducts);
 router.get('/', optionalAuth, getProducts);
 router.get('/seller/:sellerId', getSellerProducts);
+
+// Seller catalogue import/export (before /:id)
+router.get('/export', protect, preventBuyerSelling, requireSeller, exportProducts);
+router.post('/import', protect, preventBuyerSelling, requireSeller, requireVerifiedEmail, importUpload.single('file'), importProducts);
+
 router.get('/:id', getProduct);
 
 // Protected routes
-router.post('/', protect, preventBuyerSelling, requireSeller, createProductValidation, handleValidationErrors, createProduct);
+router.post('/', protect, preventBuyerSelling, requireSeller, requireVerifiedEmail, createProductValidation, handleValidationErrors, createProduct);
 router.put('/:id', protect, preventBuyerSelling, requireSeller, updateProduct);
 router.delete('/:id', protect, preventBuyerSelling, requireSeller, deleteProduct);
 router.get('/:id/can-review', protect, canReview);
-router.post('/:id/reviews', protect, requireBuyer, reviewValidation, handleValidationErrors, addReview);
-router.put('/:id/reviews/:reviewId', protect, requireBuyer, reviewValidation, handleValidationErrors, updateReview);
+router.get('/:id/reviews', optionalAuth, reviewListValidation, handleValidationErrors, getReviews);
+router.post('/:id/reviews', protect, requireBuyer, reviewPhotoUpload.array('photos', Product.MAX_REVIEW_PHOTOS), removeUploadsOnError, reviewValidation, handleValidationErrors, addReview);
+router.put('/:id/reviews/:reviewId', protect, requireBuyer, reviewPhotoUpload.array('photos', Product.MAX_REVIEW_PHOTOS), removeUploadsOnError, reviewValidation, handleValidationErrors, updateReview);
 router.delete('/:id/reviews/:reviewId', protect, deleteReview);
+router.post('/:id/reviews/:reviewId/vote', protect, requireBuyer, reviewVoteValidation, handleValidationErrors, voteReview);
+router.put('/:id/reviews/:reviewId/reply', protect, preventBuyerSelling, requireSeller, reviewReplyValidation, handleValidationErrors, replyToReview);
+router.delete('/:id/reviews/:reviewId/reply', protect, deleteReviewReply);
+router.get('/:id/questions', optionalAuth, paginationValidation, handleValidationErrors, getQuestions);
+router.post('/:id/questions', protect, requireBuyer, questionValidation, handleValidationErrors, askQuestion);
+router.delete('/:id/questions/:questionId', protect, deleteQuestion);
+router.post('/:id/questions/:questionId/answers', protect, answerValidation, handleValidationErrors, answerQuestion);
+router.delete('/:id/questions/:questionId/answers/:answerId', protect, deleteAnswer);
+router.post('/:id/questions/:questionId/answers/:answerId/vote', protect, requireBuyer, voteAnswer);
 router.post('/:id/like', protect, requireBuyer, toggleLike);
 router.put('/:id/featured', protect, toggleFeatured);
 
@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createPromotion,
+  getPromotions,
+  getPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/promotionController');
+const Promotion = require('../models/Promotion');
+const { protect, requireSeller } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const CATEGORIES = ['handmade', 'food', 'art', 'clothing', 'jewelry', 'home_decor', 'other'];
+
+// Validation rules (fields are optional on update)
+const promotionValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Promotion name must be between 3 and 100 characters'),
+    field('type')
+      .isIn(Promotion.TYPES)
+      .withMessage(`Type must be one of: ${Promotion.TYPES.join(', ')}`),
+    body('code')
+      .optional({ nullable: true })
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+    body('value')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Value must be greater than 0')
+      .toFloat(),
+    body('maxDiscount')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Maximum discount must be greater than 0')
+      .toFloat(),
+    body(['buyQuantity', 'getQuantity', 'perUserLimit', 'usageLimit'])
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Quantities and limits must be whole numbers of at least 1')
+      .toInt(),
+    body('minSpend')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum spend cannot be negative')
+      .toFloat(),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .isIn(CATEGORIES)
+      .withMessage('Invalid category'),
+    body(['startsAt', 'endsAt'])
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates'),
+    body(['firstOrderOnly', 'isActive'])
+      .optional()
+      .isBoolean()
+      .withMessage('Must be true or false')
+      .toBoolean(),
+    body('sellerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid seller ID is required')
+  ];
+};
+
+const promotionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid promotion ID is required')
+];
+
+const listValidation = [
+  query('active')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('active must be true or false'),
+  query('sellerId')
+    .optional()
+    .custom(value => value === 'platform' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('sellerId must be platform or a seller ID')
+];
+
+// Promotions are managed by sellers (their own) and admins
+router.use(protect, requireSeller);
+
+router.post('/', promotionValidation(false), handleValidationErrors, createPromotion);
+router.get('/', listValidation, handleValidationErrors, getPromotions);
+router.get('/:id', promotionIdValidation, handleValidationErrors, getPromotion);
+router.put('/:id', promotionIdValidation, promotionValidation(true), handleValidationErrors, updatePromotion);
+router.delete('/:id', promotionIdValidation, handleValidationErrors, deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createReport,
+  getReports,
+  getReport,
+  assignReport,
+  updateReportStatus,
+  takeReportAction
+} = require('../controllers/reportController');
+const Report = require('../models/Report');
+const { ACTIONS_BY_TARGET } = require('../utils/moderation');
+const { protect, requireAdmin } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const MODERATION_ACTIONS = [...new Set(Object.values(ACTIONS_BY_TARGET).flat())];
+
+// Validation rules
+const createReportValidation = [
+  body('targetType')
+    .isIn(Report.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${Report.TARGET_TYPES.join(', ')}`),
+  body('targetId')
+    .isMongoId()
+    .withMessage('Valid target ID is required'),
+  body('productId')
+    .if(body('targetType').equals('review'))
+    .isMongoId()
+    .withMessage('Valid product ID is required when reporting a review'),
+  body('chatId')
+    .if(body('targetType').equals('message'))
+    .isMongoId()
+    .withMessage('Valid chat ID is required when reporting a message'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Report reason must be between 5 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const reportIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid report ID is required')
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(Report.STATUSES)
+    .withMessage('Invalid report status'),
+  query('targetType')
+    .optional()
+    .isIn(Report.TARGET_TYPES)
+    .withMessage('Invalid target type'),
+  query('assignedTo')
+    .optional()
+    .custom(value => ['me', 'none'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignedTo must be me, none or an admin ID'),
+  query('targetUser')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid user ID is required')
+];
+
+const assignValidation = [
+  body('adminId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid admin ID is required')
+];
+
+const statusValidation = [
+  body('status')
+    .isIn(Report.STATUSES)
+    .withMessage(`Status must be one of: ${Report.STATUSES.join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const actionValidation = [
+  body('action')
+    .isIn(MODERATION_ACTIONS)
+    .withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// All report routes require authentication
+router.use(protect);
+
+// Any user can file a report
+router.post('/', createReportValidation, handleValidationErrors, createReport);
+
+// Admin moderation queue
+router.get('/', requireAdmin, listValidation, handleValidationErrors, getReports);
+router.get('/:id', requireAdmin, reportIdValidation, handleValidationErrors, getReport);
+router.put('/:id/assign', requireAdmin, reportIdValidation, assignValidation, handleValidationErrors, assignReport);
+router.put('/:id/status', requireAdmin, reportIdValidation, statusValidation, handleValidationErrors, updateReportStatus);
+router.post('/:id/actions', requireAdmin, reportIdValidation, actionValidation, handleValidationErrors, takeReportAction);
+
+module.exports = router;
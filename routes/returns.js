@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createReturn,
+  getReturns,
+  getReturn,
+  approveReturnRequest,
+  rejectReturnRequest,
+  cancelReturnRequest
+} = require('../controllers/returnController');
+const { protect } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { createImageUpload, removeUploadsOnError } = require('../middleware/upload');
+const ReturnRequest = require('../models/ReturnRequest');
+
+const router = express.Router();
+
+const returnPhotoUpload = createImageUpload('returns', 'return');
+
+// Multipart forms send the items list as a JSON string
+const parseJSONField = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Validation rules
+const createReturnValidation = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+  body('items')
+    .customSanitizer(parseJSONField)
+    .isArray({ min: 1 })
+    .withMessage('Select at least one item to return'),
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('reason')
+    .isIn(ReturnRequest.REASONS)
+    .withMessage('Invalid return reason'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters')
+];
+
+const returnIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid return request ID is required')
+];
+
+const decisionValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters')
+];
+
+const approveValidation = [
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('Restock must be true or false')
+    .toBoolean(),
+  ...decisionValidation
+];
+
+const getReturnsValidation = [
+  query('status')
+    .optional()
+    .isIn(ReturnRequest.STATUSES)
+    .withMessage('Invalid status'),
+  query('orderId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', returnPhotoUpload.array('photos', 5), removeUploadsOnError, createReturnValidation, handleValidationErrors, createReturn);
+router.get('/', getReturnsValidation, handleValidationErrors, getReturns);
+router.get('/:id', returnIdValidation, handleValidationErrors, getReturn);
+router.put('/:id/approve', returnIdValidation, approveValidation, handleValidationErrors, approveReturnRequest);
+router.put('/:id/reject', returnIdValidation, decisionValidation, handleValidationErrors, rejectReturnRequest);
+router.put('/:id/cancel', returnIdValidation, handleValidationErrors, cancelReturnRequest);
+
+module.exports = router;
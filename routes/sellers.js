@@ -0,0 +1,30 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { getSellerSlots } = require('../controllers/sellerController');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const slotsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid seller ID is required'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('days must be between 1 and 60'),
+  query('method')
+    .optional()
+    .isIn(['pickup', 'delivery'])
+    .withMessage('Method must be pickup or delivery')
+];
+
+// Routes
+router.get('/:id/slots', slotsValidation, handleValidationErrors, getSellerSlots);
+
+module.exports = router;
@@ -7,12 +7,13 @@ const {
   getDashboardStats,
   searchUsers,
   toggleFollow,
+  getFollowing,
   reportUser,
   getFavorites,
   verifyBusiness,
   changeUserRole
 } = require('../controllers/userController');
-const { protect, requireAdmin } = require('../middleware/auth');
+const { protect, optionalAuth, requireAdmin } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -43,11 +44,11 @@ const reportValidation = [
 // Public routes
 router.get('/search', searchUsers);
 router.get('/nearby', getNearbyUsers);
-router.get('/:id', getUserProfile);
 
-// Protected routes
+// Protected routes (static paths before /:id)
 router.get('/dashboard', protect, getDashboardStats);
 router.get('/favorites', protect, getFavorites);
+router.get('/me/following', protect, getFollowing);
 router.put('/avatar', protect, avatarValidation, handleValidationErrors, updateAvatar);
 router.post('/:id/follow', protect, toggleFollow);
 router.post('/:id/report', protect, reportValidation, handleValidationErrors, reportUser);
@@ -60,4 +61,7 @@ router.put('/:id/role', protect, requireAdmin, [
     .withMessage('Invalid role. Valid roles are: buyer, seller, admin')
 ], handleValidationErrors, changeUserRole);
 
+// Public profile (registered last so it doesn't shadow the routes above)
+router.get('/:id', optionalAuth, getUserProfile);
+
 module.exports = router;
@@ -45,6 +45,7 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 
 // Database connection
 // Suppress punycode deprecation warning
@@ -565,7 +566,8 @@ const generateChats = async (users, count = 50) => {
     chats.push({
       participants,
       type: 'direct',
-      messages,
+      // Saved to the Message collection once the chat has an id
+      pendingMessages: messages,
       lastMessage: {
         content: lastMsg.content,
         sender: lastMsg.sender,
@@ -580,7 +582,10 @@ const generateChats = async (users, count = 50) => {
     });
   }
 
-  const savedChats = await Chat.insertMany(chats);
+  const savedChats = await Chat.insertMany(chats.map(({ pendingMessages, ...chat }) => chat));
+  await Message.insertMany(savedChats.flatMap((chat, index) => (
+    chats[index].pendingMessages.map(message => ({ ...message, chat: chat._id }))
+  )));
   log(`Created ${savedChats.length} chat conversations`, 'success');
   return savedChats;
 };
@@ -721,7 +726,8 @@ const cleanAllData = async () => {
     User.deleteMany({}),
     Product.deleteMany({}),
     Order.deleteMany({}),
-    Chat.deleteMany({})
+    Chat.deleteMany({}),
+    Message.deleteMany({})
   ]);
   
   log('🗑️  All data cleaned', 'success');
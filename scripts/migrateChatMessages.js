@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+require('dotenv').config();
+
+// Moves messages embedded in chats (the old Chat.messages array) into the
+// Message collection, recomputes each chat's lastMessage, totalMessages and
+// unread counts, then removes the embedded array. Message ids are kept, so
+// the script can be re-run safely after an interruption.
+//
+// Usage: node scripts/migrateChatMessages.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const toMessageDoc = (chatId, message) => ({
+  _id: message._id,
+  chat: chatId,
+  sender: message.sender,
+  content: message.content,
+  messageType: message.messageType || 'text',
+  attachments: message.attachments || [],
+  readBy: message.readBy || [],
+  editedAt: message.editedAt,
+  deletedAt: message.deletedAt,
+  isDeleted: !!message.isDeleted,
+  replyTo: message.replyTo,
+  createdAt: message.createdAt || chatId.getTimestamp()
+});
+
+// Insert messages, skipping ones copied by an earlier run
+const insertMessages = async (docs) => {
+  try {
+    const inserted = await Message.insertMany(docs, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    return docs.length - writeErrors.length;
+  }
+};
+
+// Move one chat's embedded messages and bring its summary up to date
+const migrateChat = async (rawChat) => {
+  const docs = rawChat.messages.map(message => toMessageDoc(rawChat._id, message));
+  const inserted = await insertMessages(docs);
+
+  const chat = await Chat.findById(rawChat._id);
+  await chat.refreshMessageSummary();
+
+  await Chat.collection.updateOne({ _id: rawChat._id }, { $unset: { messages: '' } });
+
+  return inserted;
+};
+
+const migrateChatMessages = async () => {
+  try {
+    // Connect to MongoDB Atlas
+    const mongoURI = process.env.MONGODB_URI;
+    if (!mongoURI) {
+      throw new Error('MONGODB_URI environment variable is required. Please provide your MongoDB Atlas connection string.');
+    }
+    await mongoose.connect(mongoURI);
+    console.log('📦 Connected to MongoDB');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - no changes will be written');
+    }
+
+    // Read the raw documents: the Chat model no longer has a messages path
+    const cursor = Chat.collection.find(
+      { 'messages.0': { $exists: true } },
+      { projection: { messages: 1 } }
+    );
+
+    let chatCount = 0;
+    let messageCount = 0;
+    let insertedCount = 0;
+
+    for await (const rawChat of cursor) {
+      chatCount++;
+      messageCount += rawChat.messages.length;
+
+      if (dryRun) {
+        continue;
+      }
+
+      insertedCount += await migrateChat(rawChat);
+    }
+
+    if (chatCount === 0) {
+      console.log('✅ No chats with embedded messages - nothing to migrate');
+    } else if (dryRun) {
+      console.log(`🔍 Would migrate ${messageCount} messages from ${chatCount} chats`);
+    } else {
+      console.log(`✅ Migrated ${chatCount} chats (${insertedCount} of ${messageCount} messages inserted, the rest were already migrated)`);
+      console.log('🎉 Chat message migration complete!');
+    }
+  } catch (error) {
+    console.error('❌ Error migrating chat messages:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+// Run the migration
+if (require.main === module) {
+  migrateChatMessages();
+}
+
+module.exports = {
+  toMessageDoc,
+  insertMessages,
+  migrateChat
+};
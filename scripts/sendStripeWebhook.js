@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_local');
+
+// Sends a fixture Stripe event to the local webhook endpoint, signed with
+// STRIPE_WEBHOOK_SECRET exactly like Stripe would sign it. Re-send with the
+// same --event-id to check that duplicate deliveries are ignored. With
+// --provider mock the event goes to the mock provider's webhook instead
+// (signed with MOCK_WEBHOOK_SECRET).
+//
+// Usage: node scripts/sendStripeWebhook.js <event-type> --payment-intent <pi_id>
+//          [--order <orderId> | --checkout-group <checkoutGroupId>]
+//          [--amount <dollars>] [--event-id <evt_id>] [--provider stripe|mock]
+//          [--url <webhook url>]
+//
+// Event types: the fixtures in scripts/fixtures/stripe, e.g.
+// payment_intent.succeeded, payment_intent.payment_failed, charge.refunded,
+// charge.dispute.created
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+
+const parseArgs = (argv) => {
+  const [type, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+  return { type, options };
+};
+
+// Replace "{{name}}" placeholders; a value that is only a placeholder takes
+// the value's own type (numbers, objects)
+const fillPlaceholders = (value, values) => {
+  if (typeof value === 'string') {
+    const whole = value.match(/^{{(\w+)}}$/);
+    if (whole) {
+      return values[whole[1]];
+    }
+    return value.replace(/{{(\w+)}}/g, (match, name) => values[name]);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, values));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, values)])
+    );
+  }
+  return value;
+};
+
+const sendStripeWebhook = async () => {
+  const { type, options } = parseArgs(process.argv.slice(2));
+  const fixturePath = path.join(FIXTURES_DIR, `${type}.json`);
+
+  if (!type || !fs.existsSync(fixturePath)) {
+    const available = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+    throw new Error(`Unknown event type "${type}". Available: ${available.join(', ')}`);
+  }
+  if (!options['payment-intent']) {
+    throw new Error('--payment-intent is required');
+  }
+
+  const provider = options.provider || 'stripe';
+  if (!['stripe', 'mock'].includes(provider)) {
+    throw new Error('--provider must be stripe or mock');
+  }
+
+  const secretName = provider === 'stripe' ? 'STRIPE_WEBHOOK_SECRET' : 'MOCK_WEBHOOK_SECRET';
+  const secret = process.env[secretName];
+  if (!secret) {
+    throw new Error(`${secretName} environment variable is required`);
+  }
+
+  const paymentIntentId = options['payment-intent'];
+  const suffix = paymentIntentId.replace(/^pi_/, '');
+  const metadata = {};
+  if (options.order) {
+    metadata.orderId = options.order;
+  }
+  if (options['checkout-group']) {
+    metadata.checkoutGroupId = options['checkout-group'];
+  }
+
+  const event = fillPlaceholders(JSON.parse(fs.readFileSync(fixturePath, 'utf8')), {
+    eventId: options['event-id'] || `evt_${crypto.randomBytes(12).toString('hex')}`,
+    created: Math.floor(Date.now() / 1000),
+    paymentIntentId,
+    chargeId: `ch_${suffix}`,
+    suffix,
+    amount: Math.round(Number(options.amount || 10) * 100),
+    metadata
+  });
+
+  const payload = JSON.stringify(event);
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider === 'stripe') {
+    headers['Stripe-Signature'] = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  } else {
+    headers['X-Mock-Signature'] = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  const url = options.url || `http://localhost:${process.env.PORT || 5000}/api/payments/${provider}/webhook`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: payload
+  });
+
+  console.log(`📨 Sent ${event.type} (${event.id}) to ${url}`);
+  console.log(`↩️  ${response.status} ${await response.text()}`);
+
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+};
+
+sendStripeWebhook().catch(error => {
+  console.error('❌ Error sending webhook:', error.message);
+  process.exitCode = 1;
+});
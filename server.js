@@ -16,13 +16,26 @@ const chatRoutes = require('./routes/chat');
 const paymentRoutes = require('./routes/payments');
 const uploadRoutes = require('./routes/upload');
 const wishlistRoutes = require('./routes/wishlist');
+const cartRoutes = require('./routes/cart');
+const checkoutRoutes = require('./routes/checkout');
+const notificationRoutes = require('./routes/notifications');
+const feedRoutes = require('./routes/feed');
+const reportRoutes = require('./routes/reports');
+const returnRoutes = require('./routes/returns');
+const payoutRoutes = require('./routes/payouts');
+const promotionRoutes = require('./routes/promotions');
+const sellerRoutes = require('./routes/sellers');
 
 // Import socket handlers
 const socketHandlers = require('./utils/socketHandlers');
+const { configurePresence } = require('./utils/presence');
 
 // Import database connection
 const { connectDB } = require('./config/database');
 
+// Import stock reservation sweeper
+const { startReservationSweeper } = require('./utils/inventory');
+
 const app = express();
 const server = createServer(app);
 
@@ -112,6 +125,8 @@ app.options('*', (req, res) => {
   res.sendStatus(200);
 });
 
+// Payment providers sign the raw request body, so webhooks must skip JSON parsing
+app.use('/api/payments/:provider/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -151,6 +166,15 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/sellers', sellerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -179,9 +203,6 @@ app.get('/manifest.json', (req, res) => {
   });
 });
 
-// Socket.io connection handling
-socketHandlers(io);
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error stack:', err.stack);
@@ -213,6 +234,13 @@ const startServer = async () => {
     await connectDB();
     console.log('Database connected successfully');
 
+    // Socket.io connection handling (Redis adapter and presence when REDIS_URL is set)
+    const presence = await configurePresence(io);
+    socketHandlers(io, { presence });
+
+    // Release stock held by unpaid orders
+    startReservationSweeper();
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult } = require('./helpers');
+
+const User = require('../models/User');
+const {
+  BusinessHoursError,
+  getBusinessStatus,
+  applyBusinessHours,
+  getHiddenSellerIds
+} = require('../utils/businessHours');
+
+// Monday 1 June 2026, 08:00 in New York
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+// Open 09:00-17:00 in New York on weekdays
+const seller = (fields = {}) => ({
+  _id: objectId(),
+  name: 'Corner bakery',
+  businessInfo: {
+    timezone: 'America/New_York',
+    openingHours: [1, 2, 3, 4, 5].map(day => ({ day, open: '09:00', close: '17:00' })),
+    ...fields
+  }
+});
+
+test('a seller is closed before opening time and opens later that day', () => {
+  const status = getBusinessStatus(seller(), NOW);
+
+  assert.equal(status.isOpen, false);
+  assert.equal(status.reason, 'hours');
+  assert.equal(status.opensAt.toISOString(), '2026-06-01T13:00:00.000Z');
+  assert.equal(status.timezone, 'America/New_York');
+});
+
+test('a seller is open during opening hours', () => {
+  const status = getBusinessStatus(seller(), new Date('2026-06-01T15:00:00Z'));
+
+  assert.equal(status.isOpen, true);
+  assert.equal(status.closesAt.toISOString(), '2026-06-01T21:00:00.000Z');
+});
+
+test('sellers without opening hours are always open', () => {
+  const status = getBusinessStatus(seller({ openingHours: [] }), NOW);
+
+  assert.equal(status.isOpen, true);
+  assert.equal(status.message, 'Open now');
+});
+
+test('closures skip whole days in the seller\'s timezone', () => {
+  const closed = seller({ closures: [{ from: '2026-06-01', to: '2026-06-02' }] });
+
+  const status = getBusinessStatus(closed, NOW);
+
+  assert.equal(status.status, 'away');
+  assert.equal(status.reason, 'closure');
+  assert.equal(status.opensAt.toISOString(), '2026-06-03T13:00:00.000Z');
+});
+
+test('a vacation without an end date has no next opening', () => {
+  const status = getBusinessStatus(seller({
+    vacation: { enabled: true, message: 'Back soon' }
+  }), NOW);
+
+  assert.equal(status.reason, 'vacation');
+  assert.equal(status.opensAt, null);
+  assert.equal(status.vacationMessage, 'Back soon');
+  assert.match(status.message, /until further notice/);
+});
+
+test('orders placed while closed are scheduled for the next opening', () => {
+  const order = {};
+
+  applyBusinessHours(order, seller(), NOW);
+
+  assert.equal(order.scheduledFor.toISOString(), '2026-06-01T13:00:00.000Z');
+});
+
+test('sellers who hide their shop while away take no orders', () => {
+  const away = seller({ whenAway: 'hide', vacation: { enabled: true } });
+
+  assert.throws(
+    () => applyBusinessHours({}, away, NOW),
+    (error) => error instanceof BusinessHoursError && /not taking orders/.test(error.message)
+  );
+});
+
+test('only sellers away right now are hidden from listings', async (t) => {
+  const away = seller({ whenAway: 'hide', vacation: { enabled: true } });
+  const back = seller({ whenAway: 'hide', vacation: { enabled: true, until: new Date('2026-05-31T00:00:00Z') } });
+  t.mock.method(User, 'find', () => queryResult([away, back]));
+
+  assert.deepEqual(await getHiddenSellerIds(NOW), [away._id]);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult } = require('./helpers');
+
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { toMessageDoc, insertMessages, migrateChat } = require('../scripts/migrateChatMessages');
+
+// A chat as stored before the migration, with its messages embedded
+const embeddedChat = () => {
+  const sender = objectId();
+  return {
+    _id: objectId(),
+    messages: [
+      { _id: objectId(), sender, content: 'Is the honey raw?', createdAt: new Date('2026-05-01T10:00:00Z') },
+      { _id: objectId(), sender, content: 'Thanks!', isDeleted: true }
+    ]
+  };
+};
+
+const duplicateKeyError = (count) => Object.assign(new Error('E11000 duplicate key error'), {
+  writeErrors: Array.from({ length: count }, () => ({ code: 11000 }))
+});
+
+test('migrated messages keep their ids and get defaults for missing fields', () => {
+  const chat = embeddedChat();
+
+  const [first, second] = chat.messages.map(message => toMessageDoc(chat._id, message));
+
+  assert.equal(first._id, chat.messages[0]._id);
+  assert.equal(first.chat, chat._id);
+  assert.equal(first.messageType, 'text');
+  assert.deepEqual(first.readBy, []);
+  assert.equal(first.isDeleted, false);
+  // Messages without a timestamp fall back to the chat's creation time
+  assert.equal(second.createdAt.getTime(), chat._id.getTimestamp().getTime());
+  assert.equal(second.isDeleted, true);
+});
+
+test('re-running the migration skips messages that were already copied', async (t) => {
+  const insertMany = t.mock.method(Message, 'insertMany', async () => {
+    throw duplicateKeyError(1);
+  });
+
+  assert.equal(await insertMessages([{}, {}]), 1);
+  assert.deepEqual(insertMany.mock.calls[0].arguments[1], { ordered: false });
+
+  insertMany.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('validation failed'), { writeErrors: [{ code: 121 }] });
+  });
+
+  await assert.rejects(insertMessages([{}]), /validation failed/);
+});
+
+test('migrating a chat moves its messages, refreshes its summary and drops the embedded array', async (t) => {
+  const raw = embeddedChat();
+  const chat = Chat.hydrate({ _id: raw._id, participants: [] });
+  const insertMany = t.mock.method(Message, 'insertMany', async (docs) => docs);
+  t.mock.method(Chat, 'findById', async () => chat);
+  const refresh = t.mock.method(chat, 'refreshMessageSummary', async () => chat);
+  const unset = t.mock.method(Chat.collection, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await migrateChat(raw), 2);
+
+  assert.deepEqual(insertMany.mock.calls[0].arguments[0].map(doc => doc._id), raw.messages.map(message => message._id));
+  assert.equal(refresh.mock.callCount(), 1);
+  assert.deepEqual(unset.mock.calls[0].arguments, [{ _id: raw._id }, { $unset: { messages: '' } }]);
+});
+
+test('a page of older messages is read before the cursor and returned oldest first', async (t) => {
+  const chatId = objectId();
+  const cursor = { _id: objectId(), createdAt: new Date('2026-05-01T12:00:00Z') };
+  // Newest first, one more than the limit
+  const newest = [3, 2, 1].map(n => ({ _id: objectId(), content: `message ${n}` }));
+  t.mock.method(Message, 'findOne', () => queryResult(cursor));
+  const find = t.mock.method(Message, 'find', () => queryResult(newest));
+
+  const page = await Message.getPage(chatId, { before: cursor._id, limit: 2 });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].$or, [
+    { createdAt: { $lt: cursor.createdAt } },
+    { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+  ]);
+  assert.deepEqual(page.messages.map(message => message.content), ['message 2', 'message 3']);
+  assert.equal(page.hasMore, true);
+});
+
+test('a cursor from another chat finds no page', async (t) => {
+  t.mock.method(Message, 'findOne', () => queryResult(null));
+
+  assert.equal(await Message.getPage(objectId(), { after: objectId() }), null);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult, callHandler } = require('./helpers');
+
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const { toggleFollow } = require('../controllers/userController');
+const { getFeed } = require('../controllers/feedController');
+
+const account = (role) => User.hydrate({ _id: objectId(), name: 'Corner bakery', email: 'shop@example.com', role, isActive: true });
+
+const followRequest = (follower, target) => ({
+  params: { id: target._id.toString() },
+  user: follower
+});
+
+test('following a seller notifies them and following again unfollows', async (t) => {
+  const buyer = account('buyer');
+  const seller = account('seller');
+  const follow = Follow.hydrate({ _id: objectId(), follower: buyer._id, seller: seller._id });
+  t.mock.method(User, 'findById', async () => seller);
+  const findOne = t.mock.method(Follow, 'findOne', async () => null);
+  const create = t.mock.method(Follow, 'create', async (fields) => fields);
+  t.mock.method(Follow, 'countDocuments', async () => 1);
+  t.mock.method(Notification, 'findOneAndDelete', async () => null);
+  const notification = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  const followed = await callHandler(toggleFollow, followRequest(buyer, seller));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(followed.body.following, true);
+  assert.equal(followed.body.followerCount, 1);
+  assert.deepEqual(create.mock.calls[0].arguments[0], { follower: buyer._id, seller: seller._id });
+  assert.equal(notification.mock.calls[0].arguments[0].recipient, seller._id);
+  assert.equal(notification.mock.calls[0].arguments[0].type, 'new_follower');
+
+  findOne.mock.mockImplementation(async () => follow);
+  const deleteOne = t.mock.method(follow, 'deleteOne', async () => follow);
+  Follow.countDocuments.mock.mockImplementation(async () => 0);
+
+  const unfollowed = await callHandler(toggleFollow, followRequest(buyer, seller));
+
+  assert.equal(unfollowed.body.following, false);
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
+
+test('only other users who are sellers can be followed', async (t) => {
+  const buyer = account('buyer');
+  const otherBuyer = account('buyer');
+  t.mock.method(User, 'findById', async () => otherBuyer);
+
+  const self = await callHandler(toggleFollow, followRequest(buyer, buyer));
+  const notSeller = await callHandler(toggleFollow, followRequest(buyer, otherBuyer));
+
+  assert.equal(self.status, 400);
+  assert.equal(self.body.message, 'Cannot follow yourself');
+  assert.equal(notSeller.status, 400);
+  assert.equal(notSeller.body.message, 'Only sellers can be followed');
+});
+
+test('a follow created by a concurrent request still counts as following', async (t) => {
+  const buyer = account('buyer');
+  const seller = account('seller');
+  t.mock.method(User, 'findById', async () => seller);
+  t.mock.method(Follow, 'findOne', async () => null);
+  t.mock.method(Follow, 'create', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    throw error;
+  });
+  t.mock.method(Follow, 'countDocuments', async () => 1);
+  t.mock.method(Notification, 'findOneAndDelete', async () => null);
+  t.mock.method(Notification, 'create', async (fields) => fields);
+
+  const { status, body } = await callHandler(toggleFollow, followRequest(buyer, seller));
+
+  assert.equal(status, 200);
+  assert.equal(body.following, true);
+});
+
+test('the feed lists new and restocked products of followed sellers only', async (t) => {
+  const user = { _id: objectId() };
+  const followed = [objectId(), objectId()];
+  const at = new Date('2026-06-01T12:00:00Z');
+  t.mock.method(Follow, 'find', () => queryResult(followed.map(seller => ({ seller }))));
+  const aggregate = t.mock.method(Product, 'aggregate', async () => [
+    { feedAt: at, feedReason: 'restocked', product: { name: 'Sourdough' } }
+  ]);
+  t.mock.method(Product, 'countDocuments', async () => 1);
+
+  const { body } = await callHandler(getFeed, { user });
+
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0], {
+    $match: { seller: { $in: followed }, isActive: true }
+  });
+  assert.deepEqual(body.items, [{ type: 'restocked', at: at.toISOString(), product: { name: 'Sourdough' } }]);
+  assert.equal(body.total, 1);
+});
+
+test('the feed is empty for users who follow nobody', async (t) => {
+  t.mock.method(Follow, 'find', () => queryResult([]));
+  const aggregate = t.mock.method(Product, 'aggregate', async () => []);
+
+  const { body } = await callHandler(getFeed, { user: { _id: objectId() } });
+
+  assert.deepEqual(body.items, []);
+  assert.equal(body.total, 0);
+  assert.equal(aggregate.mock.callCount(), 0);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, productFields } = require('./helpers');
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { priceItems, estimateDeliveryTime } = require('../utils/pricing');
+const { InventoryError, checkMadeToOrderLimit, reserveOrderItems } = require('../utils/inventory');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+const madeToOrder = (fields = {}) => Product.hydrate(productFields({
+  isActive: true,
+  fulfilment: { mode: 'made_to_order', leadTimeDays: 3 },
+  availability: { inStock: true, quantity: 0, reservedQuantity: 0 },
+  ...fields
+}));
+
+test('made-to-order products need a lead time and stay in stock without quantity', async () => {
+  const product = madeToOrder({ availability: { inStock: false, quantity: 0, reservedQuantity: 0 } });
+
+  await product.validate();
+
+  assert.equal(product.availability.inStock, true);
+
+  product.fulfilment.leadTimeDays = undefined;
+
+  await assert.rejects(product.validate(), /Lead time is required/);
+});
+
+test('pre-orders need a release date and become regular stock once released', async () => {
+  const product = Product.hydrate(productFields({ fulfilment: { mode: 'pre_order' } }));
+
+  await assert.rejects(product.validate(), /Release date is required/);
+
+  product.fulfilment.releaseDate = new Date('2026-06-03T12:00:00Z');
+
+  assert.equal(product.getFulfilmentMode(NOW), 'pre_order');
+  assert.equal(product.getFulfilmentMode(new Date('2026-06-04T00:00:00Z')), 'in_stock');
+});
+
+test('made-to-order and pre-order items are quoted with the time until they are ready', async (t) => {
+  const made = madeToOrder();
+  const preOrder = Product.hydrate(productFields({
+    isActive: true,
+    fulfilment: { mode: 'pre_order', releaseDate: new Date('2026-06-02T18:00:00Z') },
+    availability: { inStock: true, quantity: 10, reservedQuantity: 0 }
+  }));
+  const products = [made, preOrder];
+  t.mock.method(Product, 'findById', async (id) => products.find(product => product._id.equals(id)));
+
+  const items = await priceItems(
+    products.map(product => ({ product: product._id, quantity: 2 })),
+    'pickup',
+    NOW
+  );
+
+  assert.deepEqual(items.map(item => [item.fulfilmentMode, item.readyInHours]), [
+    ['made_to_order', 72],
+    ['pre_order', 30]
+  ]);
+});
+
+test('the delivery estimate adds the longest lead time to the slowest delivery', () => {
+  const items = [
+    { readyInHours: 72, deliveryTime: { min: 2, max: 4 } },
+    { readyInHours: 0, deliveryTime: { min: 1, max: 24 } }
+  ];
+
+  assert.deepEqual(estimateDeliveryTime(items, 'delivery'), { min: 74, max: 96 });
+  assert.deepEqual(estimateDeliveryTime(items, 'pickup'), { min: 72, max: 72 });
+});
+
+test('sellers can cap how many made-to-order orders they have open', async (t) => {
+  const seller = { _id: objectId(), name: 'Potter', businessInfo: { madeToOrderLimit: 2 } };
+  const order = Order.hydrate({ _id: objectId(), items: [{ product: objectId(), quantity: 1, price: 40, fulfilmentMode: 'made_to_order' }] });
+  const countDocuments = t.mock.method(Order, 'countDocuments', async () => 1);
+
+  await checkMadeToOrderLimit(order, seller);
+
+  countDocuments.mock.mockImplementation(async () => 2);
+
+  await assert.rejects(
+    checkMadeToOrderLimit(order, seller),
+    (error) => error instanceof InventoryError && error.statusCode === 409
+  );
+});
+
+test('made-to-order items reserve no stock', async (t) => {
+  const order = Order.hydrate({
+    _id: objectId(),
+    buyer: objectId(),
+    items: [
+      { product: objectId(), quantity: 1, price: 40, fulfilmentMode: 'made_to_order' },
+      { product: objectId(), quantity: 2, price: 10, fulfilmentMode: 'in_stock' }
+    ],
+    payment: { method: 'cash_on_delivery' }
+  });
+  const reserve = t.mock.method(Product, 'findOneAndUpdate', async () => Product.hydrate(productFields()));
+  const create = t.mock.method(Reservation, 'create', async (fields) => fields);
+
+  await reserveOrderItems(order);
+
+  assert.equal(reserve.mock.callCount(), 1);
+  assert.equal(reserve.mock.calls[0].arguments[0]._id, order.items[1].product);
+  assert.deepEqual(create.mock.calls.map(call => call.arguments[0].quantity), [2]);
+});
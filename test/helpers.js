@@ -0,0 +1,69 @@
+// Shared setup for the tests. Models are used without a database: tests
+// replace the model methods a code path calls with t.mock.method().
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+const mongoose = require('mongoose');
+
+// Fail fast instead of waiting for a connection when a call isn't mocked
+mongoose.set('bufferCommands', false);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Fields of a valid product; overrides replace top-level fields
+const productFields = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Wildflower honey',
+  description: 'Raw honey from local hives',
+  price: 10,
+  category: 'food',
+  seller: objectId(),
+  images: [{ public_id: 'honey', url: '/uploads/products/honey.jpg' }],
+  location: { type: 'Point', coordinates: [-73.99, 40.73] },
+  ...overrides
+});
+
+// Stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+const queryResult = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  for (const method of ['populate', 'select', 'sort', 'skip', 'limit', 'lean']) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+// Call an Express handler and resolve with the status, body and headers it
+// sent. Errors passed to next() reject the promise.
+const callHandler = (handler, req = {}) => new Promise((resolve, reject) => {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+    },
+    json(body) {
+      // Serialize like Express so Maps, dates and ids look as clients see them
+      resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(body)), headers });
+      return this;
+    },
+    send(body) {
+      resolve({ status: this.statusCode, body, headers });
+      return this;
+    }
+  };
+
+  handler({ params: {}, query: {}, body: {}, headers: {}, ...req }, res, reject);
+});
+
+module.exports = {
+  objectId,
+  productFields,
+  queryResult,
+  callHandler
+};
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, productFields } = require('./helpers');
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const Notification = require('../models/Notification');
+const Chat = require('../models/Chat');
+const { commitStock, restockItem, cancelUnpaidOrder } = require('../utils/inventory');
+
+const unpaidOrder = () => Order.hydrate({
+  _id: objectId(),
+  orderNumber: 'LT-TEST',
+  buyer: objectId(),
+  seller: objectId(),
+  status: 'pending',
+  items: [{ product: objectId(), quantity: 1, price: 10 }],
+  payment: { method: 'mock', status: 'processing' }
+});
+
+test('a sold out product is back in stock once its quantity is raised', async () => {
+  const product = Product.hydrate(productFields({
+    availability: { inStock: false, quantity: 0, reservedQuantity: 0 }
+  }));
+
+  product.set('availability.quantity', 5);
+  await product.validate();
+
+  assert.equal(product.availability.inStock, true);
+
+  product.set('availability.quantity', 0);
+  await product.validate();
+
+  assert.equal(product.availability.inStock, false);
+});
+
+test('commitStock marks a product out of stock when the last unit sells', async (t) => {
+  const fields = productFields({ availability: { inStock: true, quantity: 0, reservedQuantity: 0 } });
+  t.mock.method(Product, 'findOneAndUpdate', async () => Product.hydrate(fields));
+  const updateOne = t.mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await commitStock(fields._id, 1);
+
+  assert.equal(updateOne.mock.callCount(), 1);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { 'availability.inStock': false } });
+});
+
+test('restockItem records a restock when it brings a sold out product back', async (t) => {
+  // State after the atomic update put 2 units back
+  const fields = productFields({ availability: { inStock: true, quantity: 2, reservedQuantity: 0 } });
+  t.mock.method(Product, 'findOneAndUpdate', async () => Product.hydrate(fields));
+  const updateOne = t.mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const product = await restockItem(fields._id, 2);
+
+  assert.ok(product.restockedAt instanceof Date);
+  assert.equal(updateOne.mock.callCount(), 1);
+  assert.ok(updateOne.mock.calls[0].arguments[1].$set.restockedAt instanceof Date);
+});
+
+test('restockItem does not record a restock for a product that was still on sale', async (t) => {
+  const fields = productFields({ availability: { inStock: true, quantity: 5, reservedQuantity: 0 } });
+  t.mock.method(Product, 'findOneAndUpdate', async () => Product.hydrate(fields));
+  const updateOne = t.mock.method(Product, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const product = await restockItem(fields._id, 2);
+
+  assert.equal(product.restockedAt, undefined);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('an unpaid pending order is cancelled and its stock released', async (t) => {
+  const order = unpaidOrder();
+  const cancelled = Order.hydrate({
+    ...order.toObject(),
+    status: 'cancelled',
+    statusHistory: [{ status: 'cancelled', timestamp: new Date(), note: 'Cancelled: payment not received' }]
+  });
+  const cancel = t.mock.method(Order, 'findOneAndUpdate', async () => cancelled);
+  const reservations = t.mock.method(Reservation, 'find', async () => []);
+  t.mock.method(Chat, 'findOneAndUpdate', async () => ({ addMessage: async () => ({ $locals: {} }) }));
+  const notification = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  await cancelUnpaidOrder(order, 'payment_timeout', 'payment not received within 30 minutes');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(cancel.mock.calls[0].arguments[0], {
+    _id: order._id,
+    status: 'pending',
+    'payment.status': { $nin: Order.PAID_PAYMENT_STATUSES }
+  });
+  assert.equal(cancel.mock.calls[0].arguments[1].$set.status, 'cancelled');
+  assert.deepEqual(reservations.mock.calls[0].arguments[0], { order: order._id, status: 'active' });
+  assert.equal(notification.mock.calls[0].arguments[0].message,
+    'Order LT-TEST was cancelled: payment not received within 30 minutes.');
+});
+
+test('an order paid while it was being cancelled keeps its stock', async (t) => {
+  const order = unpaidOrder();
+  t.mock.method(Order, 'findOneAndUpdate', async () => null);
+  const reservations = t.mock.method(Reservation, 'find', async () => []);
+  const clearExpiry = t.mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+  const notification = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  const released = await cancelUnpaidOrder(order, 'payment_timeout', 'payment not received');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(released, 0);
+  assert.equal(reservations.mock.callCount(), 0);
+  assert.deepEqual(clearExpiry.mock.calls[0].arguments[1], { $unset: { expiresAt: 1 } });
+  assert.equal(notification.mock.callCount(), 0);
+});
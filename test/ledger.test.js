@@ -0,0 +1,198 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult } = require('./helpers');
+
+const LedgerTransaction = require('../models/LedgerTransaction');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutBatch = require('../models/PayoutBatch');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { roundCurrency } = require('../utils/pricing');
+const {
+  COMMISSION_RATE,
+  calculateCommission,
+  recordOrderSale,
+  recordOrderRefunds,
+  generatePayoutBatch
+} = require('../utils/ledger');
+
+// Delivered order: $40 of items, 8% tax and $5 delivery
+const deliveredOrder = ({ method = 'mock', promotions = [], refunds = [] } = {}) => {
+  const itemDiscount = promotions.reduce((total, discount) => total + discount.amount, 0);
+  const tax = roundCurrency((40 - itemDiscount) * 0.08);
+
+  return Order.hydrate({
+    _id: objectId(),
+    orderNumber: 'LT-TEST',
+    buyer: objectId(),
+    seller: objectId(),
+    status: 'delivered',
+    items: [{ _id: objectId(), product: objectId(), quantity: 4, price: 10 }],
+    promotions,
+    totals: { subtotal: 40, deliveryFee: 5, tax, total: roundCurrency(40 - itemDiscount + tax + 5) },
+    payment: { method, status: 'completed', refunds },
+    statusHistory: [{ status: 'delivered', timestamp: new Date() }]
+  });
+};
+
+const debits = (transaction) => roundCurrency(transaction.entries.reduce((sum, entry) => sum + entry.debit, 0));
+const credits = (transaction) => roundCurrency(transaction.entries.reduce((sum, entry) => sum + entry.credit, 0));
+const entry = (transaction, account) => transaction.entries.find(item => item.account === account);
+
+let recorded;
+
+beforeEach(() => {
+  mock.restoreAll();
+  recorded = [];
+
+  // Transactions are validated like a real save, which rejects unbalanced ones
+  mock.method(LedgerTransaction, 'create', async (fields) => {
+    const transaction = new LedgerTransaction(fields);
+    await transaction.validate();
+    recorded.push(transaction);
+    return transaction;
+  });
+  mock.method(LedgerTransaction, 'findOne', async ({ key }) => recorded.find(item => item.key === key) || null);
+  mock.method(LedgerTransaction, 'find', async ({ type }) => recorded.filter(item => item.type === type));
+  mock.method(CommissionRule, 'find', async () => []);
+  mock.method(Product, 'find', () => queryResult([]));
+  mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+test('commission uses the seller rule, then category rates, then the default rate', async () => {
+  const order = deliveredOrder();
+
+  assert.equal(await calculateCommission(order), roundCurrency(40 * COMMISSION_RATE));
+
+  Product.find.mock.mockImplementation(() => queryResult([{ _id: order.items[0].product, category: 'crafts' }]));
+  CommissionRule.find.mock.mockImplementation(async () => [{ scope: 'category', category: 'crafts', rate: 0.05 }]);
+  assert.equal(await calculateCommission(order), 2);
+
+  CommissionRule.find.mock.mockImplementation(async () => [
+    { scope: 'category', category: 'crafts', rate: 0.05 },
+    { scope: 'seller', seller: order.seller, rate: 0.2 }
+  ]);
+  assert.equal(await calculateCommission(order), 8);
+});
+
+test('seller discounts lower the commission and platform discounts do not', async () => {
+  CommissionRule.find.mock.mockImplementation(async () => [{ scope: 'seller', rate: 0.1 }]);
+
+  const sellerFunded = deliveredOrder({ promotions: [{ appliesTo: 'items', fundedBy: 'seller', amount: 10 }] });
+  const platformFunded = deliveredOrder({ promotions: [{ appliesTo: 'items', fundedBy: 'platform', amount: 10 }] });
+
+  assert.equal(await calculateCommission(sellerFunded), 3);
+  assert.equal(await calculateCommission(platformFunded), 4);
+});
+
+test('a card sale is balanced and owes the seller the total less commission plus platform discounts', async () => {
+  const order = deliveredOrder({ promotions: [{ appliesTo: 'items', fundedBy: 'platform', amount: 5 }] });
+
+  await recordOrderSale(order);
+
+  const [sale] = recorded;
+  assert.equal(sale.key, `sale:${order._id}`);
+  assert.equal(debits(sale), credits(sale));
+  assert.equal(entry(sale, 'platform_cash').debit, order.totals.total);
+  assert.equal(entry(sale, 'commission_revenue').credit, 4);
+  assert.equal(entry(sale, 'seller_payable').credit, roundCurrency(order.totals.total - 4 + 5));
+  assert.equal(order.settlement.commission, 4);
+});
+
+test('a cash on delivery sale leaves the seller owing the commission', async () => {
+  const order = deliveredOrder({ method: 'cash_on_delivery' });
+
+  await recordOrderSale(order);
+
+  const [sale] = recorded;
+  const payable = sale.entries.filter(item => item.account === 'seller_payable');
+  assert.equal(debits(sale), credits(sale));
+  assert.equal(roundCurrency(payable.reduce((sum, item) => sum + item.credit - item.debit, 0)), -4);
+});
+
+test('a sale is recorded once', async () => {
+  const order = deliveredOrder();
+  LedgerTransaction.create.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  });
+  const existing = new LedgerTransaction({
+    key: `sale:${order._id}`,
+    type: 'sale',
+    seller: order.seller,
+    amount: order.totals.total,
+    commission: 4,
+    entries: [
+      { account: 'platform_cash', debit: order.totals.total },
+      { account: 'seller_payable', seller: order.seller, credit: order.totals.total - 4, availableAt: new Date() },
+      { account: 'commission_revenue', credit: 4 }
+    ]
+  });
+  recorded.push(existing);
+
+  await recordOrderSale(order);
+
+  assert.equal(recorded.length, 1);
+  assert.equal(order.settlement.commission, 4);
+});
+
+test('refunds take back their share of the commission and the last one takes the rest', async () => {
+  const order = deliveredOrder();
+  await recordOrderSale(order);
+
+  order.payment.refunds.push({ amount: 10, refundedAt: new Date() });
+  await recordOrderRefunds(order);
+
+  order.payment.refunds.push({ amount: roundCurrency(order.totals.total - 10), refundedAt: new Date() });
+  await recordOrderRefunds(order);
+  await recordOrderRefunds(order);
+
+  const refunds = recorded.filter(item => item.type === 'refund');
+  assert.equal(refunds.length, 2);
+  refunds.forEach(refund => assert.equal(debits(refund), credits(refund)));
+  assert.equal(refunds[0].commission, roundCurrency(4 * 10 / order.totals.total));
+  assert.equal(roundCurrency(refunds[0].commission + refunds[1].commission), 4);
+});
+
+test('unbalanced transactions are rejected', async () => {
+  const transaction = new LedgerTransaction({
+    key: 'test',
+    type: 'payout',
+    seller: objectId(),
+    amount: 10,
+    entries: [
+      { account: 'seller_payable', seller: objectId(), debit: 10 },
+      { account: 'platform_cash', credit: 9 }
+    ]
+  });
+
+  await assert.rejects(transaction.validate(), /is not balanced/);
+});
+
+test('only one payout batch can be generated at a time', async () => {
+  mock.method(Order, 'find', async () => []);
+  mock.method(PayoutBatch, 'create', async () => {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  });
+
+  await assert.rejects(generatePayoutBatch({ _id: objectId() }), (error) => error.statusCode === 409);
+});
+
+test('a payout batch pays each seller\'s available balance', async () => {
+  const sellers = [objectId(), objectId()];
+  const batch = PayoutBatch.hydrate({ _id: objectId(), batchNumber: 'PB-TEST', createdBy: objectId(), payouts: [] });
+  mock.method(Order, 'find', async () => []);
+  mock.method(PayoutBatch, 'create', async () => batch);
+  mock.method(batch, 'save', async () => batch);
+  mock.method(LedgerTransaction, 'getAvailableBalances', async () => [
+    { seller: sellers[0], amount: 25.5 },
+    { seller: sellers[1], amount: 12 }
+  ]);
+
+  await generatePayoutBatch({ _id: objectId() });
+
+  assert.equal(batch.status, 'pending');
+  assert.equal(batch.total, 37.5);
+  assert.equal(recorded.length, 2);
+  recorded.forEach(payout => assert.equal(debits(payout), credits(payout)));
+  assert.equal(entry(recorded[0], 'seller_payable').debit, 25.5);
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, callHandler } = require('./helpers');
+
+const User = require('../models/User');
+const { registerTransport } = require('../utils/mailer');
+const { passwordResetEmail } = require('../utils/emailTemplates');
+const { forgotPassword, verifyEmail } = require('../controllers/authController');
+
+let sent;
+let failDelivery;
+
+// Capture outgoing mail instead of delivering it
+registerTransport('test', () => ({
+  send: async (message) => {
+    if (failDelivery) {
+      throw new Error('SMTP connection refused');
+    }
+    sent.push(message);
+    return { messageId: `test-${sent.length}` };
+  }
+}));
+process.env.MAIL_TRANSPORT = 'test';
+
+const account = () => User.hydrate({
+  _id: objectId(),
+  name: 'Ada',
+  email: 'ada@example.com',
+  role: 'buyer',
+  isActive: true,
+  emailVerified: false
+});
+
+// The token in the link of a sent email
+const linkToken = (message) => message.text.match(/\/(?:reset-password|verify-email)\/([a-f\d]+)/)[1];
+
+beforeEach(() => {
+  mock.restoreAll();
+  sent = [];
+  failDelivery = false;
+});
+
+test('a password reset email links a token that is only stored hashed', async () => {
+  const user = account();
+  mock.method(User, 'findOne', async () => user);
+  mock.method(user, 'save', async () => user);
+
+  const { status } = await callHandler(forgotPassword, { body: { email: user.email } });
+
+  assert.equal(status, 200);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'ada@example.com');
+  assert.match(sent[0].subject, /Reset your/);
+
+  const token = linkToken(sent[0]);
+  assert.notEqual(user.resetPasswordToken, token);
+
+  // The link finds the user again
+  const findOne = mock.method(User, 'findOne', async () => user);
+  await User.findByPasswordResetToken(token);
+
+  assert.equal(findOne.mock.calls[0].arguments[0].resetPasswordToken, user.resetPasswordToken);
+});
+
+test('a reset email that cannot be sent leaves no usable token', async () => {
+  const user = account();
+  mock.method(User, 'findOne', async () => user);
+  mock.method(user, 'save', async () => user);
+  failDelivery = true;
+
+  const { status, body } = await callHandler(forgotPassword, { body: { email: user.email } });
+
+  assert.equal(status, 500);
+  assert.match(body.message, /could not be sent/);
+  assert.equal(user.resetPasswordToken, undefined);
+  assert.equal(user.resetPasswordExpire, undefined);
+});
+
+test('the link of a verification email verifies the address', async () => {
+  const user = account();
+  const token = user.createEmailVerificationToken();
+  mock.method(User, 'findOne', async (filter) => (
+    filter.emailVerificationToken === user.emailVerificationToken ? user : null
+  ));
+  mock.method(user, 'save', async () => user);
+
+  const invalid = await callHandler(verifyEmail, { params: { token: 'not-the-token' } });
+
+  assert.equal(invalid.status, 400);
+  assert.equal(user.emailVerified, false);
+
+  const { status } = await callHandler(verifyEmail, { params: { token } });
+
+  assert.equal(status, 200);
+  assert.equal(user.emailVerified, true);
+  assert.equal(user.emailVerificationToken, undefined);
+});
+
+test('email templates escape user supplied names in HTML', () => {
+  const email = passwordResetEmail({ name: '<b>Ada</b>', token: 'abc', expiresInMinutes: 10 });
+
+  assert.match(email.html, /&lt;b&gt;Ada&lt;\/b&gt;/);
+  assert.doesNotMatch(email.html, /<b>Ada/);
+  assert.match(email.text, /Hi <b>Ada<\/b>,/);
+});
@@ -0,0 +1,100 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult, callHandler } = require('./helpers');
+
+const Notification = require('../models/Notification');
+const { setIO } = require('../utils/realtime');
+const { notify, notifyNewMessage } = require('../utils/notifications');
+const { getNotifications, markAllNotificationsRead } = require('../controllers/notificationController');
+
+// Socket.IO server that records emitted events; `viewers` are the sockets in chat rooms
+const fakeIO = (viewers = []) => {
+  const emitted = [];
+  setIO({
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: () => ({ fetchSockets: async () => viewers.map(userId => ({ data: { userId } })) })
+  });
+  return emitted;
+};
+
+afterEach(() => setIO(null));
+
+test('a notification is stored and pushed to the user with their unread count', async (t) => {
+  const emitted = fakeIO();
+  const recipient = objectId();
+  t.mock.method(Notification, 'create', async (fields) => ({ _id: objectId(), ...fields }));
+  t.mock.method(Notification, 'countDocuments', async () => 3);
+
+  const notification = await notify(recipient, { type: 'order_status', title: 'Order update', message: 'Shipped' });
+
+  assert.equal(notification.count, 1);
+  assert.deepEqual(emitted, [{
+    room: `user_${recipient}`,
+    event: 'notification',
+    payload: { notification, unreadCount: 3 }
+  }]);
+});
+
+test('messages in one chat collapse into a single unread notification', async (t) => {
+  fakeIO();
+  const [sender, recipient] = [objectId(), objectId()];
+  const chat = { _id: objectId(), participants: [{ user: sender }, { user: recipient }] };
+  const findOneAndDelete = t.mock.method(Notification, 'findOneAndDelete', async () => ({ count: 2 }));
+  const create = t.mock.method(Notification, 'create', async (fields) => fields);
+  t.mock.method(Notification, 'countDocuments', async () => 1);
+
+  await notifyNewMessage(chat, { _id: sender, name: 'Ada' }, 'Is the honey still available?');
+
+  assert.deepEqual(findOneAndDelete.mock.calls[0].arguments[0], {
+    recipient: recipient.toString(),
+    collapseKey: `chat_${chat._id}`,
+    isRead: false
+  });
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(create.mock.calls[0].arguments[0].count, 3);
+});
+
+test('participants looking at the chat are not notified of its messages', async (t) => {
+  const [sender, recipient] = [objectId(), objectId()];
+  fakeIO([recipient.toString()]);
+  const chat = { _id: objectId(), participants: [{ user: sender }, { user: recipient }] };
+  const create = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  await notifyNewMessage(chat, { _id: sender, name: 'Ada' }, 'Hello');
+
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('failures to notify are logged instead of thrown', async (t) => {
+  t.mock.method(Notification, 'create', async () => {
+    throw new Error('database unavailable');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal(await notify(objectId(), { type: 'order_status', title: 'Order update', message: 'Shipped' }), null);
+});
+
+test('the notification list includes the unread count', async (t) => {
+  const user = { _id: objectId() };
+  t.mock.method(Notification, 'find', () => queryResult([{ title: 'Order update' }]));
+  t.mock.method(Notification, 'countDocuments', async (query) => (query.isRead === false ? 2 : 5));
+
+  const { body } = await callHandler(getNotifications, { user, query: { limit: '1' } });
+
+  assert.equal(body.total, 5);
+  assert.equal(body.unreadCount, 2);
+  assert.deepEqual(body.pagination, { page: 1, limit: 1, pages: 5 });
+});
+
+test('reading all notifications updates the unread count on the user\'s other devices', async (t) => {
+  const emitted = fakeIO();
+  const user = { _id: objectId() };
+  const markRead = t.mock.method(Notification, 'updateMany', async () => ({ modifiedCount: 4 }));
+  t.mock.method(Notification, 'countDocuments', async () => 0);
+
+  const { body } = await callHandler(markAllNotificationsRead, { user });
+
+  assert.equal(body.updated, 4);
+  assert.deepEqual(markRead.mock.calls[0].arguments[0], { recipient: user._id, isRead: false });
+  assert.deepEqual(emitted, [{ room: `user_${user._id}`, event: 'notifications_read', payload: { unreadCount: 0 } }]);
+});
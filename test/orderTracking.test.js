@@ -0,0 +1,119 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+
+const Order = require('../models/Order');
+const Chat = require('../models/Chat');
+const Notification = require('../models/Notification');
+const { setIO } = require('../utils/realtime');
+const { orderRoom, canAccessOrder, publishOrderUpdate } = require('../utils/orderTracking');
+const { OrderStatusError, changeOrderStatus } = require('../utils/orderStatus');
+
+// Socket.IO server that records emitted events
+const fakeIO = () => {
+  const emitted = [];
+  setIO({ to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+  return emitted;
+};
+
+// Order chat whose addMessage records the posted messages
+const orderChat = (t, { duplicate = false } = {}) => {
+  const chat = { _id: objectId(), posted: [] };
+  chat.addMessage = async (sender, content, messageType) => {
+    chat.posted.push({ sender, content, messageType });
+    return { content, $locals: { isDuplicate: duplicate }, populate: async () => {} };
+  };
+  const findOneAndUpdate = t.mock.method(Chat, 'findOneAndUpdate', async () => chat);
+  return { chat, findOneAndUpdate };
+};
+
+const placedOrder = () => Order.hydrate({
+  _id: objectId(),
+  orderNumber: 'LT-TEST',
+  buyer: objectId(),
+  seller: objectId(),
+  status: 'confirmed',
+  items: [{ product: objectId(), quantity: 1, price: 10 }],
+  delivery: { method: 'delivery', courier: objectId() },
+  payment: { method: 'mock', status: 'completed' },
+  statusHistory: [{ status: 'confirmed', timestamp: new Date() }]
+});
+
+afterEach(() => setIO(null));
+
+test('the buyer, seller, courier and admins can follow an order', () => {
+  const order = placedOrder();
+
+  assert.equal(canAccessOrder(order, { _id: order.buyer, role: 'buyer' }), true);
+  assert.equal(canAccessOrder(order, { _id: order.seller, role: 'seller' }), true);
+  assert.equal(canAccessOrder(order, { _id: order.delivery.courier, role: 'buyer' }), true);
+  assert.equal(canAccessOrder(order, { _id: objectId(), role: 'admin' }), true);
+  assert.equal(canAccessOrder(order, { _id: objectId(), role: 'buyer' }), false);
+});
+
+test('a status change is broadcast to the order room and posted to the order chat', async (t) => {
+  const emitted = fakeIO();
+  const order = placedOrder();
+  const { chat, findOneAndUpdate } = orderChat(t);
+  order.statusHistory.push({ status: 'preparing', timestamp: new Date(), note: 'Baking now', updatedBy: order.seller });
+  order.status = 'preparing';
+
+  await publishOrderUpdate(order);
+
+  assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [
+    [orderRoom(order._id), 'order_updated'],
+    [`chat_${chat._id}`, 'new_message']
+  ]);
+  assert.equal(emitted[0].payload.status, 'preparing');
+  assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], { type: 'order_related', relatedOrder: order._id });
+  assert.equal(findOneAndUpdate.mock.calls[0].arguments[2].upsert, true);
+  assert.deepEqual(chat.posted, [{
+    sender: order.seller,
+    content: 'Order LT-TEST is now preparing. Note: Baking now',
+    messageType: 'order_update'
+  }]);
+});
+
+test('a repeated status message is not broadcast to the chat again', async (t) => {
+  const emitted = fakeIO();
+  orderChat(t, { duplicate: true });
+
+  await publishOrderUpdate(placedOrder());
+
+  assert.deepEqual(emitted.map(({ event }) => event), ['order_updated']);
+});
+
+test('a failed broadcast does not fail the status change', async (t) => {
+  t.mock.method(Chat, 'findOneAndUpdate', async () => {
+    throw new Error('database unavailable');
+  });
+  const logged = t.mock.method(console, 'error', () => {});
+
+  await publishOrderUpdate(placedOrder());
+
+  assert.equal(logged.mock.callCount(), 1);
+});
+
+test('only the seller or an admin can change an order\'s status, along allowed transitions', async (t) => {
+  const emitted = fakeIO();
+  const order = placedOrder();
+  orderChat(t);
+  t.mock.method(order, 'save', async () => order);
+  t.mock.method(Notification, 'create', async (fields) => fields);
+  t.mock.method(Notification, 'countDocuments', async () => 1);
+
+  await assert.rejects(
+    changeOrderStatus(order, 'preparing', { _id: order.buyer, role: 'buyer' }),
+    (error) => error instanceof OrderStatusError && error.statusCode === 403
+  );
+  await assert.rejects(
+    changeOrderStatus(order, 'delivered', { _id: order.seller, role: 'seller' }),
+    /Cannot change status from confirmed to delivered/
+  );
+
+  await changeOrderStatus(order, 'preparing', { _id: order.seller, role: 'seller' });
+
+  assert.equal(order.status, 'preparing');
+  assert.equal(emitted[0].event, 'order_updated');
+  assert.equal(emitted[0].payload.historyEntry.status, 'preparing');
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult, callHandler } = require('./helpers');
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { assignCourier } = require('../controllers/orderController');
+
+const deliveryOrder = (seller) => Order.hydrate({
+  _id: objectId(),
+  orderNumber: 'LT-TEST',
+  buyer: objectId(),
+  seller,
+  status: 'ready',
+  delivery: { method: 'delivery' }
+});
+
+const assign = (t, { approved = [], courierId }) => {
+  const sellerId = objectId();
+  const order = deliveryOrder(sellerId);
+  const seller = User.hydrate({ _id: sellerId, name: 'Seller', businessInfo: { couriers: approved } });
+  const courier = User.hydrate({ _id: courierId, name: 'Courier', isActive: true });
+
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(User, 'findById', (id) => queryResult(id.toString() === sellerId.toString() ? seller : courier));
+  const save = t.mock.method(order, 'save', async () => order);
+
+  return {
+    order,
+    save,
+    sellerId,
+    call: (id = courierId) => callHandler(assignCourier, {
+      params: { id: order._id.toString() },
+      body: { courierId: id.toString() },
+      user: { _id: sellerId, role: 'seller' }
+    })
+  };
+};
+
+test('assignCourier rejects a user the seller has not approved', async (t) => {
+  const { call, save, order } = assign(t, { courierId: objectId() });
+
+  const { status } = await call();
+
+  assert.equal(status, 403);
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(order.delivery.courier, undefined);
+});
+
+test('assignCourier accepts an approved courier or the seller', async (t) => {
+  const courierId = objectId();
+  const { call, order, sellerId } = assign(t, { approved: [courierId], courierId });
+
+  assert.equal((await call()).status, 200);
+  assert.equal(order.delivery.courier.toString(), courierId.toString());
+
+  assert.equal((await call(sellerId)).status, 200);
+});
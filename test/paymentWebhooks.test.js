@@ -0,0 +1,187 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const Reservation = require('../models/Reservation');
+const WebhookEvent = require('../models/WebhookEvent');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Notification = require('../models/Notification');
+const Chat = require('../models/Chat');
+const { processPaymentEvent } = require('../utils/paymentWebhooks');
+
+const paymentEvent = (type, id, object = {}) => ({
+  id,
+  type,
+  data: { object: { id: 'pi_1', metadata: {}, ...object } }
+});
+
+const failedEvent = (id = 'evt_failed') => paymentEvent('payment_intent.payment_failed', id, {
+  last_payment_error: { message: 'card declined' }
+});
+
+const succeededEvent = (id = 'evt_succeeded') => paymentEvent('payment_intent.succeeded', id);
+
+// Notifications are sent without waiting; let them reach the model
+const flushNotifications = () => new Promise(resolve => setImmediate(resolve));
+
+// Whether a document matches a filter of equality, $ne and $nin conditions
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = doc.get(path);
+  const plain = value && value.toString();
+  if (condition && condition.$ne !== undefined) {
+    return plain !== condition.$ne.toString();
+  }
+  if (condition && condition.$nin) {
+    return !condition.$nin.includes(plain);
+  }
+  return plain === condition.toString();
+});
+
+// A stored order: conditional updates apply to it like MongoDB would
+const storeOrder = (t, fields) => {
+  const order = Order.hydrate({
+    _id: objectId(),
+    orderNumber: 'LT-TEST',
+    buyer: objectId(),
+    seller: objectId(),
+    status: 'pending',
+    items: [{ product: objectId(), quantity: 1, price: 20 }],
+    totals: { subtotal: 20, tax: 1.6, deliveryFee: 0, total: 21.6 },
+    payment: { method: 'mock', status: 'processing', paymentIntentId: 'pi_1' },
+    statusHistory: [{ status: 'pending', timestamp: new Date() }],
+    ...fields
+  });
+
+  const findOneAndUpdate = async (filter, update) => {
+    if (!matches(order, filter)) {
+      return null;
+    }
+    Object.entries(update.$set || {}).forEach(([path, value]) => order.set(path, value));
+    Object.entries(update.$push || {}).forEach(([path, value]) => order.get(path).push(value));
+    return order;
+  };
+
+  t.mock.method(Order, 'find', async (filter) => (matches(order, filter) ? [order] : []));
+  t.mock.method(Order, 'findOneAndUpdate', findOneAndUpdate);
+  t.mock.method(Order, 'updateOne', async (filter, update) => ({
+    modifiedCount: (await findOneAndUpdate(filter, update)) ? 1 : 0
+  }));
+  t.mock.method(order, 'save', async () => order);
+  return order;
+};
+
+const mockServices = (t) => {
+  process.env.MOCK_PAYMENTS_ENABLED = 'true';
+  t.mock.method(WebhookEvent, 'claim', async (provider, event) => {
+    const log = WebhookEvent.hydrate({ _id: objectId(), provider, eventId: event.id, type: event.type });
+    t.mock.method(log, 'save', async () => log);
+    return log;
+  });
+  t.mock.method(CheckoutGroup, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(CheckoutGroup, 'findOne', async () => null);
+  const reservations = t.mock.method(Reservation, 'find', async () => []);
+  t.mock.method(Reservation, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(LedgerTransaction, 'findOne', async () => null);
+  t.mock.method(Chat, 'findOneAndUpdate', async () => ({
+    addMessage: async () => ({ $locals: {} })
+  }));
+  const notifications = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  return {
+    reservations,
+    messages: () => notifications.mock.calls.map(call => call.arguments[0].message)
+  };
+};
+
+test('a failed payment is recorded and the order keeps its stock for a retry', async (t) => {
+  const { reservations, messages } = mockServices(t);
+  const order = storeOrder(t);
+
+  const result = await processPaymentEvent('mock', failedEvent());
+  await flushNotifications();
+
+  assert.deepEqual(result, { handled: true });
+  assert.equal(order.status, 'pending');
+  assert.equal(order.payment.status, 'failed');
+  assert.equal(order.payment.failureReason, 'card declined');
+  assert.equal(reservations.mock.callCount(), 0);
+  assert.deepEqual(messages(), ['The payment for order LT-TEST failed: card declined.']);
+});
+
+test('a payment retried after a failure confirms the order', async (t) => {
+  mockServices(t);
+  const order = storeOrder(t);
+
+  await processPaymentEvent('mock', failedEvent());
+  await processPaymentEvent('mock', succeededEvent());
+
+  assert.equal(order.status, 'confirmed');
+  assert.equal(order.payment.status, 'completed');
+  assert.equal(order.payment.transactionId, 'pi_1');
+});
+
+test('a payment that succeeds after the order was cancelled is refunded', async (t) => {
+  const { messages } = mockServices(t);
+  const order = storeOrder(t);
+
+  await processPaymentEvent('mock', failedEvent());
+  // The reservation sweeper cancelled the unpaid order
+  order.status = 'cancelled';
+  await processPaymentEvent('mock', succeededEvent());
+  await flushNotifications();
+
+  assert.equal(order.payment.status, 'refunded');
+  assert.equal(order.payment.refundedAmount, 21.6);
+  assert.notEqual(order.status, 'confirmed');
+  assert.ok(messages().includes('A refund of $21.60 for order LT-TEST has been issued.'));
+});
+
+test('a late payment that cannot be refunded is flagged for review', async (t) => {
+  mockServices(t);
+  const order = storeOrder(t, { status: 'cancelled' });
+  process.env.MOCK_PAYMENTS_ENABLED = 'false';
+  t.after(() => {
+    process.env.MOCK_PAYMENTS_ENABLED = 'true';
+  });
+
+  await processPaymentEvent('mock', succeededEvent());
+
+  assert.equal(order.payment.status, 'completed');
+  assert.equal(order.payment.needsReview, true);
+  assert.match(order.payment.reviewReason, /automatic refund failed/);
+});
+
+test('an event that was already processed is not handled again', async (t) => {
+  t.mock.method(WebhookEvent, 'claim', async () => null);
+  const find = t.mock.method(Order, 'find', async () => []);
+
+  const result = await processPaymentEvent('stripe', failedEvent());
+
+  assert.deepEqual(result, { handled: true, duplicate: true });
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('a failed handler marks the event failed so a retry can claim it', async (t) => {
+  const log = WebhookEvent.hydrate({ _id: objectId(), provider: 'stripe', eventId: 'evt_failed', type: 'x' });
+  t.mock.method(WebhookEvent, 'claim', async () => log);
+  t.mock.method(log, 'save', async () => log);
+  t.mock.method(Order, 'find', async () => {
+    throw new Error('database unavailable');
+  });
+
+  await assert.rejects(processPaymentEvent('stripe', failedEvent()), /database unavailable/);
+
+  assert.equal(log.status, 'failed');
+  assert.equal(log.error, 'database unavailable');
+});
+
+test('events without a handler are left unhandled', async (t) => {
+  const claim = t.mock.method(WebhookEvent, 'claim', async () => null);
+
+  const result = await processPaymentEvent('stripe', { id: 'evt_x', type: 'customer.created', data: { object: {} } });
+
+  assert.deepEqual(result, { handled: false });
+  assert.equal(claim.mock.callCount(), 0);
+});
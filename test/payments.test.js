@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { objectId, callHandler } = require('./helpers');
+
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const WebhookEvent = require('../models/WebhookEvent');
+const createMockProvider = require('../utils/paymentProviders/mock');
+const { PAYMENT_PROVIDER_IDS, PAYMENT_METHODS } = require('../utils/paymentProviders');
+const { confirmPayment } = require('../controllers/paymentController');
+
+const withEnv = (t, values) => {
+  const previous = {};
+  for (const [name, value] of Object.entries(values)) {
+    previous[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+};
+
+test('payment method and provider enums come from the provider registry', () => {
+  assert.deepEqual(Order.schema.path('payment.method').enumValues, PAYMENT_METHODS);
+  assert.deepEqual(CheckoutGroup.schema.path('payment.method').enumValues, PAYMENT_METHODS);
+  assert.deepEqual(WebhookEvent.schema.path('provider').enumValues, PAYMENT_PROVIDER_IDS);
+  assert.ok(PAYMENT_METHODS.includes('cash_on_delivery'));
+});
+
+test('mock webhooks are rejected when MOCK_WEBHOOK_SECRET is not set', (t) => {
+  withEnv(t, { MOCK_WEBHOOK_SECRET: undefined });
+  const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' }));
+
+  assert.throws(() => createMockProvider().parseWebhook(body, {}), /MOCK_WEBHOOK_SECRET is not set/);
+});
+
+test('mock webhooks must carry a valid signature', (t) => {
+  withEnv(t, { MOCK_WEBHOOK_SECRET: 'mock-secret' });
+  const provider = createMockProvider();
+  const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' }));
+  const signature = crypto.createHmac('sha256', 'mock-secret').update(body).digest('hex');
+
+  assert.throws(() => provider.parseWebhook(body, {}), /Invalid webhook signature/);
+  assert.throws(() => provider.parseWebhook(body, { 'x-mock-signature': 'a'.repeat(64) }), /Invalid webhook signature/);
+  assert.equal(provider.parseWebhook(body, { 'x-mock-signature': signature }).id, 'evt_1');
+});
+
+test('confirmPayment only looks up the caller\'s own orders', async (t) => {
+  withEnv(t, { MOCK_PAYMENTS_ENABLED: 'true' });
+  const buyerId = objectId();
+  const find = t.mock.method(Order, 'find', async () => []);
+  const findOne = t.mock.method(CheckoutGroup, 'findOne', async () => null);
+
+  const { status } = await callHandler(confirmPayment, {
+    params: { provider: 'mock' },
+    body: { paymentIntentId: 'mock_pi_1' },
+    user: { _id: buyerId, role: 'buyer' }
+  });
+
+  assert.equal(status, 404);
+  assert.equal(find.mock.calls[0].arguments[0].buyer, buyerId);
+  assert.equal(find.mock.calls[0].arguments[0]['payment.paymentIntentId'], 'mock_pi_1');
+  assert.equal(findOne.mock.calls[0].arguments[0].buyer, buyerId);
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+
+const { createMemoryPresenceStore, createRedisPresenceStore } = require('../utils/presence');
+
+// ioredis-mock is an in-memory Redis (with Lua scripting) shared by every
+// client in the process, so two stores behave like two server instances
+const redis = new RedisMock();
+const command = (name, ...args) => redis[name.toLowerCase()](...args);
+const createStore = (instanceId, options = {}) => createRedisPresenceStore(command, { instanceId, ...options });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => redis.flushall());
+
+test('memory store keeps a user online until their last socket disconnects', async () => {
+  const presence = createMemoryPresenceStore();
+
+  assert.equal(await presence.addSocket('u1', 's1'), 1);
+  assert.equal(await presence.addSocket('u1', 's2'), 2);
+  assert.equal(await presence.removeSocket('u1', 's1'), 1);
+  assert.equal(await presence.isOnline('u1'), true);
+  assert.equal(await presence.removeSocket('u1', 's2'), 0);
+  assert.equal(await presence.isOnline('u1'), false);
+});
+
+test('redis store shares presence between instances', async () => {
+  const first = createStore('a');
+  const second = createStore('b');
+
+  assert.equal(await first.addSocket('u1', 's1'), 1);
+  assert.equal(await second.addSocket('u1', 's2'), 2);
+  await first.addSocket('u2', 's3');
+
+  assert.deepEqual(await second.filterOnline(['u1', 'u2', 'u3']), ['u1', 'u2']);
+  assert.equal(await second.countOnlineUsers(), 2);
+
+  assert.equal(await first.removeSocket('u1', 's1'), 1);
+  assert.equal(await first.isOnline('u1'), true);
+  assert.equal(await second.removeSocket('u1', 's2'), 0);
+  assert.equal(await first.isOnline('u1'), false);
+  assert.equal(await first.countOnlineUsers(), 1);
+});
+
+test('redis store keeps counts right under concurrent connects and disconnects', async () => {
+  const first = createStore('a');
+  const second = createStore('b');
+  const sockets = Array.from({ length: 20 }, (value, index) => `s${index}`);
+
+  await Promise.all(sockets.map((socketId, index) => (index % 2 ? first : second).addSocket('u1', socketId)));
+  await Promise.all(sockets.map((socketId, index) => (
+    index % 2 ? first.removeSocket('u1', socketId) : second.addSocket('u2', socketId)
+  )));
+  await Promise.all(sockets.filter((socketId, index) => index % 2 === 0).map(socketId => second.removeSocket('u1', socketId)));
+
+  assert.equal(await first.isOnline('u1'), false);
+  assert.equal(await first.isOnline('u2'), true);
+  assert.equal(await first.countOnlineUsers(), 1);
+});
+
+test('reset clears only the sockets of the restarting instance', async () => {
+  const first = createStore('a');
+  const second = createStore('b');
+
+  await first.addSocket('u1', 's1');
+  await second.addSocket('u1', 's2');
+  await first.addSocket('u2', 's3');
+
+  await first.reset();
+
+  assert.deepEqual(await first.filterOnline(['u1', 'u2']), ['u1']);
+  assert.equal(await first.countOnlineUsers(), 1);
+});
+
+test('sockets of an instance that stops its heartbeat are cleared by the others', async () => {
+  const crashed = createStore('crashed', { heartbeatSeconds: 0.01 });
+  const survivor = createStore('survivor', { heartbeatSeconds: 0.01 });
+
+  await crashed.heartbeat();
+  await crashed.addSocket('u1', 's1');
+  await survivor.heartbeat();
+  await survivor.addSocket('u2', 's2');
+
+  // Still alive: nothing is cleared
+  await survivor.heartbeat();
+  assert.equal(await survivor.isOnline('u1'), true);
+
+  // The crashed instance never renews its heartbeat (TTL is 3 intervals)
+  await wait(50);
+  await survivor.heartbeat();
+
+  assert.equal(await survivor.isOnline('u1'), false);
+  assert.equal(await survivor.isOnline('u2'), true);
+  assert.equal(await survivor.countOnlineUsers(), 1);
+  assert.deepEqual(await command('SMEMBERS', 'presence:instances'), ['survivor']);
+});
+
+test('start runs the heartbeat until stopped', async () => {
+  const presence = createStore('a', { heartbeatSeconds: 0.01 });
+
+  await presence.start();
+  await wait(50);
+  assert.equal(await command('EXISTS', 'presence:instance:a:alive'), 1);
+
+  presence.stop();
+  await wait(50);
+  assert.equal(await command('EXISTS', 'presence:instance:a:alive'), 0);
+});
@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { objectId, productFields, queryResult, callHandler } = require('./helpers');
+
+const { buildQuote, quoteDelivery, verifyQuote, QuoteError } = require('../utils/pricing');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createOrder } = require('../controllers/orderController');
+
+const signQuote = (payload, options = {}) => jwt.sign(
+  { type: 'checkout_quote', deliveryMethod: 'pickup', groups: [], totals: { subtotal: 0, total: 0 }, ...payload },
+  process.env.JWT_SECRET,
+  { expiresIn: '15m', ...options }
+);
+
+test('verifyQuote accepts a quote with an id for its buyer', () => {
+  const buyer = objectId();
+  const quote = verifyQuote(signQuote({ buyer: buyer.toString() }, { jwtid: 'quote-1' }), buyer);
+
+  assert.equal(quote.jti, 'quote-1');
+});
+
+test('verifyQuote rejects quotes without an id and quotes for another buyer', () => {
+  const buyer = objectId();
+
+  assert.throws(() => verifyQuote(signQuote({ buyer: buyer.toString() }), buyer), QuoteError);
+  assert.throws(
+    () => verifyQuote(signQuote({ buyer: buyer.toString() }, { jwtid: 'quote-1' }), objectId()),
+    error => error instanceof QuoteError && error.statusCode === 403
+  );
+});
+
+test('createOrder claims the quote id and answers 409 when the quote was already used', async (t) => {
+  const buyer = objectId();
+  const claimed = [];
+
+  t.mock.method(CheckoutGroup.prototype, 'save', async function() {
+    claimed.push(this.quoteId);
+    const error = new Error('E11000 duplicate key error');
+    error.code = 11000;
+    throw error;
+  });
+
+  const { status, body } = await callHandler(createOrder, {
+    user: { _id: buyer, role: 'buyer' },
+    body: {
+      quoteToken: signQuote({ buyer: buyer.toString() }, { jwtid: 'quote-1' }),
+      delivery: { method: 'pickup' },
+      payment: { method: 'cash_on_delivery' }
+    }
+  });
+
+  assert.deepEqual(claimed, ['quote-1']);
+  assert.equal(status, 409);
+  assert.equal(body.success, false);
+});
+
+test('a cart with items from two sellers is quoted as one group per seller', async (t) => {
+  const [farm, bakery] = [objectId(), objectId()];
+  const products = [
+    Product.hydrate(productFields({ seller: farm, price: 10, availability: { inStock: true, quantity: 5, reservedQuantity: 0 } })),
+    Product.hydrate(productFields({ seller: bakery, price: 4, availability: { inStock: true, quantity: 5, reservedQuantity: 0 } })),
+    Product.hydrate(productFields({ seller: farm, price: 6, availability: { inStock: true, quantity: 5, reservedQuantity: 0 } }))
+  ];
+  t.mock.method(Product, 'findById', async (id) => products.find(product => product._id.equals(id)));
+  t.mock.method(Promotion, 'findForCheckout', async () => []);
+
+  const quote = await buildQuote({
+    buyerId: objectId(),
+    items: products.map(product => ({ product: product._id.toString(), quantity: 1 })),
+    deliveryMethod: 'pickup'
+  });
+
+  assert.deepEqual(quote.groups.map(group => group.seller), [farm.toString(), bakery.toString()]);
+  assert.deepEqual(quote.groups.map(group => group.items.length), [2, 1]);
+  assert.deepEqual(quote.groups.map(group => group.totals.total), [17.28, 4.32]);
+  assert.equal(quote.totals.subtotal, 20);
+  assert.equal(quote.totals.total, 21.6);
+  assert.deepEqual(jwt.decode(quote.token).groups.map(group => group.totals.total), [17.28, 4.32]);
+});
+
+test('checkout places one order per seller under a single checkout group', async (t) => {
+  const buyer = objectId();
+  const sellers = [objectId(), objectId()];
+  const quoteGroup = (seller, price) => ({
+    seller: seller.toString(),
+    items: [{ product: objectId().toString(), quantity: 1, price, fulfilmentMode: 'in_stock' }],
+    promotions: [],
+    totals: { subtotal: price, discount: 0, deliveryFee: 0, tax: price * 0.08, total: price * 1.08 }
+  });
+
+  const groupSaves = t.mock.method(CheckoutGroup.prototype, 'save', async function() {
+    return this;
+  });
+  const saved = [];
+  t.mock.method(Order.prototype, 'save', async function() {
+    saved.push(this);
+    return this;
+  });
+  t.mock.method(Order.prototype, 'populate', async function() {
+    return this;
+  });
+  t.mock.method(User, 'find', () => queryResult(sellers.map(_id => ({ _id, name: 'Seller' }))));
+  t.mock.method(Product, 'findOneAndUpdate', async () => Product.hydrate(productFields()));
+  t.mock.method(Reservation, 'create', async (fields) => fields);
+  t.mock.method(Notification, 'create', async (fields) => fields);
+
+  const { status, body } = await callHandler(createOrder, {
+    user: { _id: buyer, role: 'buyer' },
+    body: {
+      quoteToken: signQuote({
+        buyer: buyer.toString(),
+        groups: [quoteGroup(sellers[0], 10), quoteGroup(sellers[1], 5)],
+        totals: { subtotal: 15, discount: 0, deliveryFee: 0, tax: 1.2, total: 16.2 }
+      }, { jwtid: 'quote-2' }),
+      delivery: { method: 'pickup' },
+      payment: { method: 'cash_on_delivery' }
+    }
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.message, '2 orders created successfully');
+  assert.deepEqual(saved.map(order => order.seller.toString()), sellers.map(String));
+  assert.ok(saved.every(order => order.checkoutGroup.equals(body.checkoutGroup._id)));
+  assert.deepEqual(body.checkoutGroup.orders, saved.map(order => order._id.toString()));
+  assert.equal(body.checkoutGroup.totals.total, 16.2);
+  assert.equal(groupSaves.mock.callCount(), 2);
+});
+
+// Buyer in New York and places north of them (0.009 degrees of latitude to the km)
+const BUYER = [-73.99, 40.73];
+const north = (km) => [-73.99, 40.73 + km * 0.009];
+
+const deliveredItem = (fields = {}) => ({
+  product: objectId().toString(),
+  name: 'Wildflower honey',
+  price: 10,
+  quantity: 1,
+  deliveryFee: 3,
+  deliveryRadius: 10,
+  location: { type: 'Point', coordinates: north(5) },
+  ...fields
+});
+
+test('delivery fees follow the seller\'s schedule for the farthest product', () => {
+  const items = [deliveredItem(), deliveredItem({ location: { type: 'Point', coordinates: north(2) } })];
+
+  assert.deepEqual(quoteDelivery(items, BUYER, { baseFee: 2, perKm: 0.5 }), { distanceKm: 5, fee: 4.5 });
+  assert.deepEqual(quoteDelivery(items, BUYER, { baseFee: 2, perKm: 0.5, freeAbove: 20 }), { distanceKm: 5, fee: 0 });
+});
+
+test('without a fee schedule the highest flat product fee is charged once', () => {
+  const items = [deliveredItem({ deliveryFee: 3 }), deliveredItem({ deliveryFee: 5 })];
+
+  assert.deepEqual(quoteDelivery(items, BUYER, {}), { distanceKm: 5, fee: 5 });
+});
+
+test('products beyond their delivery radius are refused with the nearest pickup instead', () => {
+  const far = deliveredItem({ name: 'Cheese wheel', deliveryRadius: 3 });
+  const pickup = deliveredItem({
+    name: 'Honey',
+    location: { type: 'Point', coordinates: north(2), address: { street: '1 Market St', city: 'New York' } },
+    pickup: {}
+  });
+
+  assert.throws(() => quoteDelivery([far, pickup], BUYER), (error) => {
+    assert.ok(error instanceof QuoteError);
+    assert.match(error.message, /Cheese wheel cannot be delivered to this address: it is 5 km away and is only delivered within 3 km/);
+    assert.match(error.message, /pick it up at 1 Market St, New York \(2 km away\)/);
+    assert.equal(error.details.radiusKm, 3);
+    assert.equal(error.details.pickupAlternative.product, pickup.product);
+    return true;
+  });
+
+  assert.throws(() => quoteDelivery([far], BUYER), /Pickup is not available from this seller/);
+});
+
+test('a delivery quote charges each seller\'s fee and signs the address it was worked out for', async (t) => {
+  const seller = objectId();
+  const product = Product.hydrate(productFields({
+    seller,
+    location: { type: 'Point', coordinates: north(4) },
+    delivery: { available: true, radius: 10, fee: 3 },
+    availability: { inStock: true, quantity: 5, reservedQuantity: 0 }
+  }));
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Promotion, 'findForCheckout', async () => []);
+  t.mock.method(User, 'find', () => queryResult([{ _id: seller, businessInfo: { deliveryFees: { baseFee: 1, perKm: 1 } } }]));
+
+  const quote = await buildQuote({
+    buyerId: objectId(),
+    items: [{ product: product._id.toString(), quantity: 1 }],
+    deliveryMethod: 'delivery',
+    deliveryCoordinates: BUYER
+  });
+
+  assert.equal(quote.groups[0].deliveryDistanceKm, 4);
+  assert.equal(quote.groups[0].totals.deliveryFee, 5);
+  assert.deepEqual(jwt.decode(quote.token).deliveryCoordinates, BUYER);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, productFields, queryResult, callHandler } = require('./helpers');
+
+const Product = require('../models/Product');
+const { parseCSV, toCSV } = require('../utils/csv');
+const { importProducts, exportProducts } = require('../controllers/productImportController');
+
+const seller = () => ({ _id: objectId(), location: { coordinates: [-73.99, 40.73] } });
+
+const importFile = (name, text) => ({ originalname: name, buffer: Buffer.from(text, 'utf8') });
+
+test('a JSON export keeps variant options and imports again', async (t) => {
+  const product = Product.hydrate(productFields({
+    sku: 'TEE',
+    name: 'Screen printed tee',
+    description: 'Organic cotton tee, printed by hand',
+    category: 'clothing',
+    variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+    variants: [
+      { _id: objectId(), sku: 'TEE-S', options: { Size: 'S' }, price: 20, quantity: 4, reservedQuantity: 1 },
+      { _id: objectId(), sku: 'TEE-M', options: { Size: 'M' }, price: 22, quantity: 0, reservedQuantity: 0 }
+    ]
+  }));
+  t.mock.method(Product, 'find', () => queryResult([product]));
+
+  const exported = await callHandler(exportProducts, { user: seller(), query: { format: 'json' } });
+
+  assert.deepEqual(exported.body.products[0].variants.map(variant => variant.options), [{ Size: 'S' }, { Size: 'M' }]);
+
+  // Import the file into another seller's empty catalogue
+  t.mock.method(Product, 'find', async () => []);
+  const saved = [];
+  t.mock.method(Product.prototype, 'save', async function() {
+    await this.validate();
+    saved.push(this);
+    return this;
+  });
+
+  const imported = await callHandler(importProducts, {
+    user: seller(),
+    file: importFile('products.json', JSON.stringify(exported.body))
+  });
+
+  assert.deepEqual(imported.body.summary, { total: 1, created: 1, updated: 0, failed: 0 });
+  assert.deepEqual(saved[0].variants.map(variant => variant.options.get('Size')), ['S', 'M']);
+  assert.deepEqual(saved[0].variants.map(variant => variant.reservedQuantity), [0, 0]);
+});
+
+test('an update matches the trimmed SKU and saves the sanitized values', async (t) => {
+  const owner = seller();
+  const existing = Product.hydrate(productFields({
+    seller: owner._id,
+    sku: 'JAM',
+    name: 'Jam',
+    description: 'Small batch strawberry jam'
+  }));
+  const find = t.mock.method(Product, 'find', async () => [existing]);
+  t.mock.method(existing, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+
+  const { body } = await callHandler(importProducts, {
+    user: owner,
+    file: importFile('products.json', JSON.stringify([{ sku: ' JAM ', name: '  Strawberry jam  ' }]))
+  });
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].sku, { $in: ['JAM'] });
+  assert.deepEqual(body.summary, { total: 1, created: 0, updated: 1, failed: 0 });
+  assert.equal(existing.sku, 'JAM');
+  assert.equal(existing.name, 'Strawberry jam');
+  assert.equal(existing.description, 'Small batch strawberry jam');
+});
+
+test('parseCSV reports the file line of each row', () => {
+  const text = 'sku,name\r\n\r\nA,"Two\nline name"\r\n\r\n\r\nB,Plain\r\n';
+
+  assert.deepEqual(parseCSV(text), [
+    { line: 3, record: { sku: 'A', name: 'Two\nline name' } },
+    { line: 7, record: { sku: 'B', name: 'Plain' } }
+  ]);
+});
+
+test('CSV import errors point at the file line after blank lines', async (t) => {
+  t.mock.method(Product, 'find', async () => []);
+  t.mock.method(Product.prototype, 'save', async function() {
+    return this;
+  });
+
+  const text = [
+    'sku,name,description,price,category,images',
+    '',
+    'JAM,Jam,Small batch strawberry jam,6,food,/uploads/products/jam.jpg',
+    '',
+    'BAD,Bad row,Has an unknown category,6,toys,/uploads/products/bad.jpg'
+  ].join('\r\n');
+
+  const { body } = await callHandler(importProducts, { user: seller(), file: importFile('products.csv', text) });
+
+  assert.deepEqual(body.results.map(result => [result.row, result.action]), [[3, 'create'], [5, 'error']]);
+});
+
+test('toCSV writes formula-like text as text and parseCSV reads it back', () => {
+  const records = [{ name: '=HYPERLINK("http://evil")', note: '@SUM(A1)', price: -1, plain: 'Jam' }];
+  const csv = toCSV(['name', 'note', 'price', 'plain'], records);
+
+  assert.match(csv, /^name,note,price,plain\r\n"'=HYPERLINK\(""http:\/\/evil""\)",'@SUM\(A1\),-1,Jam\r\n$/);
+  assert.deepEqual(parseCSV(csv)[0].record, {
+    name: '=HYPERLINK("http://evil")',
+    note: '@SUM(A1)',
+    price: '-1',
+    plain: 'Jam'
+  });
+});
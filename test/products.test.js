@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, productFields, queryResult, callHandler } = require('./helpers');
+
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { getProducts } = require('../controllers/productController');
+const { releaseStock } = require('../utils/inventory');
+
+const variantProduct = () => Product.hydrate(productFields({
+  variantOptions: [{ name: 'Size', values: ['S', 'M'] }],
+  variants: [
+    { _id: objectId(), sku: 'TEE-S', options: { Size: 'S' }, price: 20, quantity: 5, reservedQuantity: 2 },
+    { _id: objectId(), sku: 'TEE-M', options: { Size: 'M' }, price: 20, quantity: 5, reservedQuantity: 0 }
+  ]
+}));
+
+test('replaceVariants keeps ids and reserved stock of variants matched by id or SKU', () => {
+  const product = variantProduct();
+  const [small, medium] = product.variants.map(variant => variant._id);
+
+  const error = product.replaceVariants([
+    { _id: small.toString(), sku: 'TEE-S', options: { Size: 'S' }, price: 22, quantity: 8, reservedQuantity: 0 },
+    { sku: 'TEE-M', options: { Size: 'M' }, price: 22, quantity: 3 }
+  ]);
+
+  assert.equal(error, null);
+  assert.deepEqual(product.variants.map(variant => variant._id.toString()), [small.toString(), medium.toString()]);
+  assert.deepEqual(product.variants.map(variant => variant.reservedQuantity), [2, 0]);
+  assert.equal(product.variants[0].price, 22);
+});
+
+test('replaceVariants refuses to drop a variant with reserved stock', () => {
+  const product = variantProduct();
+  const before = product.variants.map(variant => variant._id.toString());
+
+  const error = product.replaceVariants([
+    { sku: 'TEE-M', options: { Size: 'M' }, price: 20, quantity: 5 },
+    { sku: 'TEE-S2', options: { Size: 'S' }, price: 20, quantity: 5 }
+  ]);
+
+  assert.match(error, /TEE-S has stock reserved/);
+  assert.deepEqual(product.variants.map(variant => variant._id.toString()), before);
+});
+
+test('replaceVariants gives new variants a fresh id instead of a client supplied one', () => {
+  const product = variantProduct();
+  const foreignId = objectId();
+
+  product.replaceVariants([
+    ...product.variants.map(variant => variant.toObject()),
+    { _id: foreignId, sku: 'TEE-L', options: { Size: 'M' }, price: 20, quantity: 1, reservedQuantity: 9 }
+  ]);
+
+  const added = product.variants.find(variant => variant.sku === 'TEE-L');
+  assert.notEqual(added._id.toString(), foreignId.toString());
+  assert.equal(added.reservedQuantity, 0);
+});
+
+test('a deactivated variant keeps its reserved stock in the product totals until released', async (t) => {
+  const product = variantProduct();
+  const [small] = product.variants;
+
+  small.isActive = false;
+  await product.validate();
+
+  assert.equal(product.availability.quantity, 10);
+  assert.equal(product.availability.reservedQuantity, 2);
+  assert.equal(product.availability.inStock, true);
+
+  // Apply the atomic release to the loaded product
+  t.mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+    Object.entries(update.$inc).forEach(([path, amount]) => {
+      const target = path.replace('variants.$', 'variants.0');
+      product.set(target, product.get(target) + amount);
+    });
+    return product;
+  });
+
+  await releaseStock(product._id, 2, small._id);
+
+  assert.equal(small.reservedQuantity, 0);
+  assert.equal(product.availability.reservedQuantity, 0);
+
+  product.syncVariantSummary();
+
+  assert.equal(product.availability.reservedQuantity, 0);
+  assert.equal(product.availability.quantity, 10);
+});
+
+test('getProducts drops query operators from option and SKU filters', async (t) => {
+  t.mock.method(User, 'find', () => queryResult([]));
+  t.mock.method(Product, 'distinct', async () => ['Size', 'Color']);
+  const find = t.mock.method(Product, 'find', () => queryResult([]));
+  t.mock.method(Product, 'countDocuments', async () => 0);
+
+  const { status } = await callHandler(getProducts, {
+    query: {
+      sku: { $regex: '.' },
+      options: { Size: { $ne: 'x' }, Color: 'Red', $where: 'sleep(1000)' }
+    }
+  });
+
+  const query = find.mock.calls[0].arguments[0];
+  assert.equal(status, 200);
+  assert.equal(query['variants.sku'], undefined);
+  assert.deepEqual(query.$and, [{
+    variants: { $elemMatch: { isActive: true, 'options.Color': { $in: ['Red'] } } }
+  }]);
+});
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const Reservation = require('../models/Reservation');
+const Notification = require('../models/Notification');
+const {
+  PromotionError,
+  applyPromotions,
+  redeemPromotions,
+  releaseOrderPromotions
+} = require('../utils/promotions');
+const { changeOrderStatus } = require('../utils/orderStatus');
+
+const promotion = (fields = {}) => Promotion.hydrate({
+  _id: objectId(),
+  name: 'Spring sale',
+  type: 'percentage',
+  value: 10,
+  categories: [],
+  minSpend: 0,
+  redemptionCount: 0,
+  isActive: true,
+  ...fields
+});
+
+const checkoutGroup = (seller, items) => ({
+  seller: seller.toString(),
+  items,
+  totals: {
+    subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+    deliveryFee: 5
+  }
+});
+
+const quoteFor = (promotionId) => ({ groups: [{ promotions: [{ promotion: promotionId.toString() }] }] });
+
+const cancelledOrder = (promotionIds) => Order.hydrate({
+  _id: objectId(),
+  orderNumber: 'LT-TEST',
+  buyer: objectId(),
+  seller: objectId(),
+  checkoutGroup: objectId(),
+  status: 'cancelled',
+  promotions: promotionIds.map(id => ({ promotion: id, appliesTo: 'items', amount: 2 }))
+});
+
+test('a promotion without a usage limit is unlimited and one at its limit has none left', () => {
+  assert.equal(promotion({ redemptionCount: 500 }).isRedeemable(), true);
+  assert.equal(promotion({ usageLimit: 2, redemptionCount: 1 }).isRedeemable(), true);
+  assert.equal(promotion({ usageLimit: 2, redemptionCount: 2 }).isRedeemable(), false);
+});
+
+test('a percentage discount is capped and split across sellers by their eligible items', async (t) => {
+  const sellers = [objectId(), objectId()];
+  t.mock.method(Promotion, 'findForCheckout', async () => [promotion({ value: 50, maxDiscount: 15 })]);
+
+  const applied = await applyPromotions({
+    buyerId: objectId(),
+    groups: [
+      checkoutGroup(sellers[0], [{ price: 20, quantity: 1, category: 'food' }]),
+      checkoutGroup(sellers[1], [{ price: 10, quantity: 1, category: 'food' }])
+    ],
+    deliveryMethod: 'pickup'
+  });
+
+  assert.deepEqual(applied.map(discounts => discounts[0].amount), [10, 5]);
+  assert.equal(applied[0][0].fundedBy, 'platform');
+});
+
+test('an unknown or used up coupon is an error', async (t) => {
+  const groups = [checkoutGroup(objectId(), [{ price: 20, quantity: 1, category: 'food' }])];
+  t.mock.method(Promotion, 'findForCheckout', async () => []);
+
+  await assert.rejects(
+    applyPromotions({ buyerId: objectId(), groups, couponCode: 'spring' }),
+    (error) => error instanceof PromotionError && error.statusCode === 404
+  );
+
+  Promotion.findForCheckout.mock.mockImplementation(async () => [
+    promotion({ code: 'SPRING', usageLimit: 3, redemptionCount: 3 })
+  ]);
+
+  await assert.rejects(
+    applyPromotions({ buyerId: objectId(), groups, couponCode: 'spring' }),
+    /fully redeemed/
+  );
+});
+
+test('redeeming a promotion claims one redemption within its usage limit', async (t) => {
+  const spring = promotion({ usageLimit: 5, redemptionCount: 1 });
+  t.mock.method(Promotion, 'findById', async () => spring);
+  const claim = t.mock.method(Promotion, 'findOneAndUpdate', async () => spring);
+
+  const redeemed = await redeemPromotions(quoteFor(spring._id), objectId());
+
+  assert.deepEqual(redeemed, [spring._id]);
+  assert.deepEqual(claim.mock.calls[0].arguments[0].$or, [
+    { usageLimit: null },
+    { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+  ]);
+  assert.deepEqual(claim.mock.calls[0].arguments[1], { $inc: { redemptionCount: 1 } });
+});
+
+test('a redemption lost to a concurrent checkout is a conflict', async (t) => {
+  const spring = promotion({ usageLimit: 5, redemptionCount: 4 });
+  t.mock.method(Promotion, 'findById', async () => spring);
+  t.mock.method(Promotion, 'findOneAndUpdate', async () => null);
+
+  await assert.rejects(
+    redeemPromotions(quoteFor(spring._id), objectId()),
+    (error) => error.statusCode === 409 && /fully redeemed/.test(error.message)
+  );
+});
+
+test('a cancelled order gives its promotion redemptions back once', async (t) => {
+  const promotionId = objectId();
+  const order = cancelledOrder([promotionId]);
+  t.mock.method(Order, 'exists', async () => null);
+  const claim = t.mock.method(CheckoutGroup, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = t.mock.method(Promotion, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  assert.deepEqual(await releaseOrderPromotions(order), [promotionId.toString()]);
+  assert.deepEqual(claim.mock.calls[0].arguments[0], {
+    _id: order.checkoutGroup,
+    releasedPromotions: { $ne: promotionId.toString() }
+  });
+  assert.deepEqual(release.mock.calls[0].arguments[1], { $inc: { redemptionCount: -1 } });
+
+  // Already released for this checkout
+  claim.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+  assert.deepEqual(await releaseOrderPromotions(order), []);
+  assert.equal(release.mock.callCount(), 1);
+});
+
+test('a redemption stays counted while another order of the checkout uses it', async (t) => {
+  const order = cancelledOrder([objectId()]);
+  t.mock.method(Order, 'exists', async () => ({ _id: objectId() }));
+  const claim = t.mock.method(CheckoutGroup, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = t.mock.method(Promotion, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  assert.deepEqual(await releaseOrderPromotions(order), []);
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(release.mock.callCount(), 0);
+});
+
+test('a seller cancelling an order gives its promotion redemptions back', async (t) => {
+  const promotionId = objectId();
+  const order = cancelledOrder([promotionId]);
+  order.status = 'confirmed';
+  order.payment = { method: 'mock', status: 'completed' };
+
+  t.mock.method(order, 'updateStatus', async (status) => {
+    order.status = status;
+    return order;
+  });
+  t.mock.method(Reservation, 'find', async () => []);
+  t.mock.method(Notification, 'create', async (fields) => fields);
+  t.mock.method(Order, 'exists', async () => null);
+  t.mock.method(CheckoutGroup, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = t.mock.method(Promotion, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  await changeOrderStatus(order, 'cancelled', { _id: order.seller, role: 'seller' }, 'Out of stock');
+
+  assert.equal(release.mock.callCount(), 1);
+  assert.deepEqual(release.mock.calls[0].arguments[0]._id, { $in: [promotionId.toString()] });
+});
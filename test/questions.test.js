@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult, callHandler } = require('./helpers');
+
+const Product = require('../models/Product');
+const ProductQuestion = require('../models/ProductQuestion');
+const Notification = require('../models/Notification');
+const { getQuestions, answerQuestion, voteAnswer } = require('../controllers/questionController');
+
+const listing = () => ({ _id: objectId(), name: 'Walnut bowl', seller: objectId(), isActive: true });
+
+const askedQuestion = (product, answers = []) => ProductQuestion.hydrate({
+  _id: objectId(),
+  product: product._id,
+  seller: product.seller,
+  asker: objectId(),
+  question: 'Is it food safe?',
+  answers
+});
+
+// Mock loading the product and question and saving the question
+const mockQuestion = (t, product, question) => {
+  t.mock.method(Product, 'findById', () => queryResult(product));
+  t.mock.method(ProductQuestion, 'findOne', async () => question);
+  t.mock.method(question, 'save', async () => question);
+  t.mock.method(question, 'populate', async () => question);
+};
+
+const questionRequest = (product, question, user, fields = {}) => ({
+  params: { id: product._id.toString(), questionId: question._id.toString(), ...fields.params },
+  body: fields.body || {},
+  user
+});
+
+test('answers by the product\'s seller are official and listed first', async (t) => {
+  const product = listing();
+  const question = askedQuestion(product, [
+    { _id: objectId(), user: objectId(), text: 'Mine is fine', voteCount: 4, createdAt: new Date('2026-05-01') }
+  ]);
+  mockQuestion(t, product, question);
+  t.mock.method(Notification, 'findOneAndDelete', async () => null);
+  t.mock.method(Notification, 'create', async (fields) => fields);
+
+  const { status, body } = await callHandler(answerQuestion, questionRequest(product, question,
+    { _id: product.seller, role: 'seller' }, { body: { text: 'Yes, finished with food safe oil' } }));
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.question.answers.map(answer => [answer.text, answer.isOfficial]), [
+    ['Yes, finished with food safe oil', true],
+    ['Mine is fine', false]
+  ]);
+});
+
+test('other sellers cannot answer as the seller', async (t) => {
+  const product = listing();
+  const question = askedQuestion(product);
+  mockQuestion(t, product, question);
+
+  const { status } = await callHandler(answerQuestion, questionRequest(product, question,
+    { _id: objectId(), role: 'seller' }, { body: { text: 'Buy mine instead' } }));
+
+  assert.equal(status, 403);
+  assert.equal(question.answers.length, 0);
+});
+
+test('the asker is told about answers from others only', async (t) => {
+  const product = listing();
+  const question = askedQuestion(product);
+  mockQuestion(t, product, question);
+  t.mock.method(Notification, 'findOneAndDelete', async () => null);
+  const notification = t.mock.method(Notification, 'create', async (fields) => fields);
+
+  await callHandler(answerQuestion, questionRequest(product, question,
+    { _id: question.asker, role: 'buyer' }, { body: { text: 'Never mind, found it' } }));
+  await callHandler(answerQuestion, questionRequest(product, question,
+    { _id: product.seller, role: 'seller' }, { body: { text: 'Yes it is' } }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(notification.mock.callCount(), 1);
+  assert.equal(notification.mock.calls[0].arguments[0].recipient, question.asker);
+  assert.equal(notification.mock.calls[0].arguments[0].type, 'question_answered');
+});
+
+test('a second vote for an answer takes the first one back', async (t) => {
+  const [questionId, answerId, userId] = [objectId(), objectId(), objectId()];
+  const updateOne = t.mock.method(ProductQuestion, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await ProductQuestion.toggleAnswerVote(questionId, answerId, userId), true);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[0], {
+    _id: questionId,
+    answers: { $elemMatch: { _id: answerId, voters: { $ne: userId } } }
+  });
+
+  // Already voted: the vote is removed instead
+  updateOne.mock.mockImplementation(async (filter) => ({ modifiedCount: filter.answers.$elemMatch.voters.$ne ? 0 : 1 }));
+
+  assert.equal(await ProductQuestion.toggleAnswerVote(questionId, answerId, userId), false);
+  assert.deepEqual(updateOne.mock.calls[2].arguments[1], {
+    $pull: { 'answers.$.voters': userId },
+    $inc: { 'answers.$.voteCount': -1 }
+  });
+});
+
+test('users cannot vote for their own answers', async (t) => {
+  const product = listing();
+  const author = objectId();
+  const question = askedQuestion(product, [{ _id: objectId(), user: author, text: 'Yes' }]);
+  mockQuestion(t, product, question);
+  const updateOne = t.mock.method(ProductQuestion, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const { status } = await callHandler(voteAnswer, questionRequest(product, question,
+    { _id: author, role: 'buyer' }, { params: { answerId: question.answers[0]._id.toString() } }));
+
+  assert.equal(status, 400);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('questions show vote counts and the caller\'s own vote but not the voters', async (t) => {
+  const product = listing();
+  const voter = objectId();
+  const question = askedQuestion(product, [
+    { _id: objectId(), user: objectId(), text: 'Yes', voters: [voter, objectId()], voteCount: 2 }
+  ]);
+  t.mock.method(Product, 'findById', () => queryResult(product));
+  t.mock.method(ProductQuestion, 'find', () => queryResult([question]));
+  t.mock.method(ProductQuestion, 'countDocuments', async () => 1);
+
+  const { body } = await callHandler(getQuestions, { params: { id: product._id.toString() }, user: { _id: voter } });
+  const [answer] = body.questions[0].answers;
+
+  assert.equal(answer.voteCount, 2);
+  assert.equal(answer.hasVoted, true);
+  assert.equal(answer.voters, undefined);
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, productFields, queryResult } = require('./helpers');
+
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const Session = require('../models/Session');
+const { ModerationError, createReport, applyModerationAction } = require('../utils/moderation');
+
+const report = (fields = {}) => Report.hydrate({
+  _id: objectId(),
+  reporter: objectId(),
+  targetUser: objectId(),
+  reason: 'spam',
+  status: 'open',
+  actions: [],
+  ...fields
+});
+
+test('a product report is filed against its seller with a snapshot of the listing', async (t) => {
+  const product = Product.hydrate(productFields());
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Report, 'findOne', async () => null);
+  const create = t.mock.method(Report, 'create', async (fields) => fields);
+
+  await createReport(objectId(), { targetType: 'product', targetId: product._id, reason: 'counterfeit' });
+
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.targetUser, product.seller);
+  assert.equal(fields.product, product._id);
+  assert.deepEqual(fields.snapshot, { name: product.name, description: product.description });
+});
+
+test('sellers cannot report their own products and reporters cannot report twice', async (t) => {
+  const product = Product.hydrate(productFields());
+  t.mock.method(Product, 'findById', async () => product);
+  const findOne = t.mock.method(Report, 'findOne', async () => null);
+
+  await assert.rejects(
+    createReport(product.seller, { targetType: 'product', targetId: product._id, reason: 'spam' }),
+    (error) => error instanceof ModerationError && /your own content/.test(error.message)
+  );
+
+  findOne.mock.mockImplementation(async () => report());
+
+  await assert.rejects(
+    createReport(objectId(), { targetType: 'product', targetId: product._id, reason: 'spam' }),
+    /already reported this/
+  );
+});
+
+test('only participants of a chat can report its messages', async (t) => {
+  const chat = { _id: objectId(), participants: [{ user: objectId() }, { user: objectId() }] };
+  t.mock.method(Chat, 'findById', async () => chat);
+  t.mock.method(Message, 'findOne', async () => ({ _id: objectId(), sender: chat.participants[0].user, content: 'Hi' }));
+
+  await assert.rejects(
+    createReport(objectId(), { targetType: 'message', targetId: objectId(), chatId: chat._id, reason: 'harassment' }),
+    (error) => error.statusCode === 403
+  );
+});
+
+test('hiding a reported product records the action and closes the report', async (t) => {
+  const admin = objectId();
+  const product = Product.hydrate(productFields({ isActive: true }));
+  const hidden = report({ targetType: 'product', targetUser: product.seller, product: product._id });
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(product, 'save', async () => product);
+  t.mock.method(hidden, 'save', async () => hidden);
+
+  await applyModerationAction(hidden, 'hide_product', admin, 'Counterfeit goods');
+
+  assert.equal(product.isActive, false);
+  assert.equal(product.moderation.isHidden, true);
+  assert.equal(product.moderation.reason, 'Counterfeit goods');
+  assert.deepEqual(hidden.actions.map(action => action.action), ['hide_product']);
+  assert.equal(hidden.status, 'actioned');
+  assert.equal(hidden.resolution.resolvedBy, admin);
+});
+
+test('deactivating a reported user signs them out everywhere', async (t) => {
+  const user = User.hydrate({ _id: objectId(), name: 'Spammer', email: 'spam@example.com', role: 'buyer', isActive: true });
+  const filed = report({ targetType: 'user', targetUser: user._id });
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(filed, 'save', async () => filed);
+  t.mock.method(Session, 'find', () => queryResult([{ _id: objectId() }]));
+  const revoke = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+  await applyModerationAction(filed, 'deactivate_user', objectId());
+
+  assert.equal(user.isActive, false);
+  assert.equal(revoke.mock.calls[0].arguments[1].$set.revokedReason, 'account_deactivated');
+  assert.equal(filed.status, 'actioned');
+});
+
+test('reactivating a user is audited but leaves the report open', async (t) => {
+  const user = User.hydrate({ _id: objectId(), name: 'Ada', email: 'ada@example.com', role: 'buyer', isActive: false });
+  const filed = report({ targetType: 'user', targetUser: user._id, status: 'investigating' });
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(filed, 'save', async () => filed);
+
+  await applyModerationAction(filed, 'reactivate_user', objectId());
+
+  assert.equal(user.isActive, true);
+  assert.deepEqual(filed.actions.map(action => action.action), ['reactivate_user']);
+  assert.equal(filed.status, 'investigating');
+});
+
+test('actions must fit the report target and admins cannot be deactivated', async (t) => {
+  const admin = User.hydrate({ _id: objectId(), name: 'Admin', email: 'admin@example.com', role: 'admin', isActive: true });
+  t.mock.method(User, 'findById', async () => admin);
+  const save = t.mock.method(admin, 'save', async () => admin);
+
+  await assert.rejects(
+    applyModerationAction(report({ targetType: 'user' }), 'hide_product', objectId()),
+    /not available for user reports/
+  );
+  await assert.rejects(
+    applyModerationAction(report({ targetType: 'user', targetUser: admin._id }), 'deactivate_user', objectId()),
+    /Admin accounts cannot be deactivated/
+  );
+  assert.equal(save.mock.callCount(), 0);
+});
@@ -0,0 +1,170 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('./helpers');
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const Notification = require('../models/Notification');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Chat = require('../models/Chat');
+const { ReturnError, createReturnRequest, approveReturn } = require('../utils/returns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delivered order: 2 x $10 and 4 x $5, $5 delivery and 8% tax
+const deliveredOrder = ({ deliveredDaysAgo = 1, promotions = [], tax = 3.2, refundedAmount = 0 } = {}) => {
+  const itemDiscount = promotions.reduce((total, discount) => total + discount.amount, 0);
+
+  return Order.hydrate({
+    _id: objectId(),
+    orderNumber: 'LT-TEST',
+    buyer: objectId(),
+    seller: objectId(),
+    status: 'delivered',
+    items: [
+      { _id: objectId(), product: objectId(), quantity: 2, price: 10 },
+      { _id: objectId(), product: objectId(), quantity: 4, price: 5 }
+    ],
+    promotions,
+    totals: { subtotal: 40, deliveryFee: 5, tax, total: 40 - itemDiscount + tax + 5 },
+    payment: { method: 'mock', status: 'completed', refundedAmount },
+    statusHistory: [{ status: 'delivered', timestamp: new Date(Date.now() - deliveredDaysAgo * DAY_MS) }]
+  });
+};
+
+const buyerOf = (order) => ({ _id: order.buyer, role: 'buyer' });
+
+let create;
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Notification, 'create', async (fields) => fields);
+  mock.method(ReturnRequest, 'getOpenQuantities', async () => new Map());
+  create = mock.method(ReturnRequest, 'create', async (fields) => ReturnRequest.hydrate({ _id: objectId(), ...fields }));
+});
+
+test('a partial return refunds the units\' share of the subtotal and tax', async () => {
+  const order = deliveredOrder();
+
+  const request = await createReturnRequest(order, buyerOf(order), {
+    items: [{ itemId: order.items[0]._id, quantity: 1 }],
+    reason: 'damaged'
+  });
+
+  // $10 of $40 is a quarter of the subtotal and the tax
+  assert.equal(request.refundAmount, 10.8);
+  assert.equal(create.mock.calls[0].arguments[0].items[0].quantity, 1);
+});
+
+test('item discounts lower the refund of a partial return', async () => {
+  const order = deliveredOrder({
+    promotions: [{ appliesTo: 'items', amount: 8 }],
+    tax: 2.56
+  });
+
+  const request = await createReturnRequest(order, buyerOf(order), {
+    items: [{ itemId: order.items[0]._id, quantity: 1 }],
+    reason: 'damaged'
+  });
+
+  assert.equal(request.refundAmount, 8.64);
+});
+
+test('returning everything left refunds the rest of the payment, delivery fee included', async () => {
+  const order = deliveredOrder({ refundedAmount: 10.8 });
+  order.items[0].returnedQuantity = 1;
+
+  const request = await createReturnRequest(order, buyerOf(order), {
+    items: [
+      { itemId: order.items[0]._id, quantity: 1 },
+      { itemId: order.items[1]._id, quantity: 4 }
+    ],
+    reason: 'not_as_described'
+  });
+
+  assert.equal(request.refundAmount, 37.4);
+});
+
+test('units already waiting in an open return cannot be requested again', async () => {
+  const order = deliveredOrder();
+  ReturnRequest.getOpenQuantities.mock.mockImplementation(async () => new Map([[order.items[0]._id.toString(), 2]]));
+
+  await assert.rejects(
+    createReturnRequest(order, buyerOf(order), {
+      items: [{ itemId: order.items[0]._id, quantity: 1 }],
+      reason: 'damaged'
+    }),
+    (error) => error instanceof ReturnError && error.statusCode === 400 && /Only 0 unit/.test(error.message)
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('returns are refused after the return window and for other buyers', async () => {
+  const late = deliveredOrder({ deliveredDaysAgo: 30 });
+  const items = [{ itemId: late.items[0]._id, quantity: 1 }];
+
+  await assert.rejects(
+    createReturnRequest(late, buyerOf(late), { items, reason: 'damaged' }),
+    /Returns must be requested within/
+  );
+  await assert.rejects(
+    createReturnRequest(late, { _id: objectId() }, { items, reason: 'damaged' }),
+    (error) => error.statusCode === 403
+  );
+});
+
+test('a return that is already being approved cannot be approved again', async () => {
+  const seller = { _id: objectId(), role: 'seller' };
+  const request = ReturnRequest.hydrate({ _id: objectId(), seller: seller._id, status: 'processing' });
+  mock.method(ReturnRequest, 'findOneAndUpdate', async () => null);
+
+  await assert.rejects(approveReturn(request, seller), (error) => error.statusCode === 409);
+});
+
+test('a failed approval puts the return back to requested', async () => {
+  const seller = { _id: objectId(), role: 'seller' };
+  const request = ReturnRequest.hydrate({ _id: objectId(), seller: seller._id, order: objectId(), status: 'requested' });
+  mock.method(ReturnRequest, 'findOneAndUpdate', async () => request);
+  mock.method(Order, 'findById', async () => null);
+  const updateOne = mock.method(ReturnRequest, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(approveReturn(request, seller), (error) => error.statusCode === 404);
+
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { status: 'requested' } });
+});
+
+test('an approval that fails after refunding the buyer needs attention instead of going back to requested', async () => {
+  process.env.MOCK_PAYMENTS_ENABLED = 'true';
+  const seller = { _id: objectId(), role: 'seller' };
+  const order = deliveredOrder();
+  const request = ReturnRequest.hydrate({
+    _id: objectId(),
+    order: order._id,
+    buyer: order.buyer,
+    seller: seller._id,
+    items: [{ orderItem: order.items[0]._id, product: order.items[0].product, quantity: 1, unitPrice: 10 }],
+    reason: 'damaged',
+    status: 'processing',
+    refundAmount: 10.8
+  });
+  mock.method(ReturnRequest, 'findOneAndUpdate', async () => request);
+  mock.method(Order, 'findById', async () => order);
+  mock.method(order, 'save', async () => order);
+  mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(LedgerTransaction, 'findOne', async () => null);
+  mock.method(Chat, 'findOneAndUpdate', async () => ({ addMessage: async () => ({ $locals: {} }) }));
+  mock.method(Product, 'findOneAndUpdate', async () => {
+    throw new Error('database unavailable');
+  });
+  const updateOne = mock.method(ReturnRequest, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(approveReturn(request, seller, { restock: true }), /database unavailable/);
+
+  assert.equal(order.payment.refundedAmount, 10.8);
+  const [recorded, failed] = updateOne.mock.calls.map(call => call.arguments);
+  assert.equal(recorded[1].$set.refundAmount, 10.8);
+  assert.ok(recorded[1].$set.refundId);
+  assert.deepEqual(failed[0], { _id: request._id, status: 'processing' });
+  assert.deepEqual(failed[1], { $set: { status: 'needs_attention', failureReason: 'database unavailable' } });
+});
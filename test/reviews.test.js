@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { objectId, productFields, queryResult, callHandler } = require('./helpers');
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getReviews, addReview, updateReview, deleteReview } = require('../controllers/productController');
+const { removeUploadsOnError } = require('../middleware/upload');
+
+const REVIEWS_DIR = path.join(__dirname, '../public/uploads/reviews');
+
+const reviewedProduct = (voter) => Product.hydrate(productFields({
+  isActive: true,
+  reviews: [{
+    _id: objectId(),
+    user: objectId(),
+    rating: 5,
+    comment: 'Lovely',
+    photos: [{ url: '/uploads/reviews/review-old.jpg', filename: 'review-old.jpg' }],
+    helpfulVotes: [voter],
+    notHelpfulVotes: [objectId()],
+    helpfulCount: 1,
+    notHelpfulCount: 1
+  }]
+}));
+
+// Run the cleanup middleware for a request answered with `status`
+const finishRequest = (files, status) => {
+  const res = new EventEmitter();
+  removeUploadsOnError({ files }, res, () => {});
+  res.statusCode = status;
+  res.emit('finish');
+};
+
+test('products never send who voted on a review', () => {
+  const product = reviewedProduct(objectId());
+
+  const [review] = product.toJSON().reviews;
+
+  assert.equal(review.helpfulVotes, undefined);
+  assert.equal(review.notHelpfulVotes, undefined);
+  assert.equal(review.helpfulCount, 1);
+  assert.equal(review.notHelpfulCount, 1);
+});
+
+test('getReviews shows the counts and only the caller\'s own vote', async (t) => {
+  const voter = objectId();
+  const product = reviewedProduct(voter);
+  t.mock.method(Product, 'findById', () => queryResult(product));
+
+  const { body } = await callHandler(getReviews, { params: { id: product._id.toString() }, user: { _id: voter } });
+  const [review] = body.reviews;
+
+  assert.equal(review.myVote, true);
+  assert.equal(review.helpfulCount, 1);
+  assert.equal(review.helpfulVotes, undefined);
+  assert.equal(review.notHelpfulVotes, undefined);
+
+  const anonymous = await callHandler(getReviews, { params: { id: product._id.toString() } });
+
+  assert.equal(anonymous.body.reviews[0].myVote, null);
+});
+
+test('uploads of a rejected request are deleted and those of a successful one kept', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  const files = ['a.jpg', 'b.jpg'].map(name => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, 'image');
+    return { path: filePath, filename: name };
+  });
+
+  finishRequest([files[0]], 201);
+  finishRequest([files[1]], 400);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(fs.existsSync(files[0].path), true);
+  assert.equal(fs.existsSync(files[1].path), false);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('addReview is rejected for buyers who have not received the product', async (t) => {
+  const product = reviewedProduct(objectId());
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(Order, 'findOne', () => queryResult(null));
+  const save = t.mock.method(product, 'save', async () => product);
+
+  const { status } = await callHandler(addReview, {
+    params: { id: product._id.toString() },
+    body: { rating: 4 },
+    user: { _id: objectId(), role: 'buyer' },
+    files: [{ filename: 'review-new.jpg', path: path.join(REVIEWS_DIR, 'review-new.jpg') }]
+  });
+
+  assert.equal(status, 400);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('replacing a review\'s photos deletes the old files', async (t) => {
+  const product = reviewedProduct(objectId());
+  const [review] = product.reviews;
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(product, 'save', async () => product);
+  t.mock.method(product, 'populate', async () => product);
+  const unlink = t.mock.method(fs.promises, 'unlink', async () => {});
+
+  const { status, body } = await callHandler(updateReview, {
+    params: { id: product._id.toString(), reviewId: review._id.toString() },
+    body: { rating: 3, comment: 'Changed my mind' },
+    user: { _id: review.user, role: 'buyer' },
+    files: [{ filename: 'review-new.jpg' }]
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.reviews[0].photos, [{ url: '/uploads/reviews/review-new.jpg', filename: 'review-new.jpg' }]);
+  assert.deepEqual(unlink.mock.calls.map(call => call.arguments[0]), [path.join(REVIEWS_DIR, 'review-old.jpg')]);
+});
+
+test('deleting a review deletes its photos', async (t) => {
+  const product = reviewedProduct(objectId());
+  const [review] = product.reviews;
+  t.mock.method(Product, 'findById', async () => product);
+  t.mock.method(product, 'save', async () => product);
+  const unlink = t.mock.method(fs.promises, 'unlink', async () => {});
+
+  const { status, body } = await callHandler(deleteReview, {
+    params: { id: product._id.toString(), reviewId: review._id.toString() },
+    user: { _id: review.user, role: 'buyer' }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.reviews, []);
+  assert.deepEqual(unlink.mock.calls.map(call => call.arguments[0]), [path.join(REVIEWS_DIR, 'review-old.jpg')]);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { objectId, queryResult, callHandler } = require('./helpers');
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  AuthError,
+  createSession,
+  rotateRefreshToken,
+  authenticateAccessToken
+} = require('../utils/tokens');
+const { logout } = require('../controllers/authController');
+
+const request = () => ({ body: {}, ip: '127.0.0.1', get: () => 'test-agent' });
+
+// Sessions saved by the code under test, looked up by id
+const mockSessions = (t) => {
+  const sessions = new Map();
+  t.mock.method(Session.prototype, 'save', async function() {
+    sessions.set(this._id.toString(), this);
+    return this;
+  });
+  t.mock.method(Session, 'findById', (id) => queryResult(sessions.get(id.toString()) || null));
+  return sessions;
+};
+
+test('a refresh token is exchanged once for a new token pair', async (t) => {
+  mockSessions(t);
+  const user = { _id: objectId(), isActive: true };
+  t.mock.method(User, 'findById', async () => user);
+
+  const login = await createSession(user, request());
+  const refreshed = await rotateRefreshToken(login.refreshToken, request());
+
+  assert.notEqual(refreshed.refreshToken, login.refreshToken);
+  assert.equal(refreshed.session._id, login.session._id);
+  assert.equal(jwt.decode(refreshed.token).sid, login.session._id.toString());
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  mockSessions(t);
+  const user = { _id: objectId(), isActive: true };
+  t.mock.method(User, 'findById', async () => user);
+
+  const login = await createSession(user, request());
+  const refreshed = await rotateRefreshToken(login.refreshToken, request());
+
+  await assert.rejects(
+    rotateRefreshToken(login.refreshToken, request()),
+    (error) => error instanceof AuthError && /already been used/.test(error.message)
+  );
+  assert.equal(login.session.revokedReason, 'refresh_token_reuse');
+  await assert.rejects(rotateRefreshToken(refreshed.refreshToken, request()), /Session has expired/);
+});
+
+test('access tokens are only accepted while their session is active', async (t) => {
+  const user = User.hydrate({ _id: objectId(), name: 'Ada', email: 'ada@example.com', isActive: true });
+  const session = Session.hydrate({ _id: objectId(), user: user._id });
+  const findActive = t.mock.method(Session, 'findActive', async () => session);
+  t.mock.method(Session, 'touch', async () => ({ modifiedCount: 1 }));
+  t.mock.method(User, 'findById', () => queryResult(user));
+
+  const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+  const authenticated = await authenticateAccessToken(token);
+
+  assert.equal(authenticated.user, user);
+  assert.equal(authenticated.session, session);
+
+  // Logged out or revoked
+  findActive.mock.mockImplementation(async () => null);
+
+  await assert.rejects(authenticateAccessToken(token), /Session has been revoked/);
+  await assert.rejects(
+    authenticateAccessToken(jwt.sign({ id: user._id }, process.env.JWT_SECRET)),
+    /Session has expired/
+  );
+});
+
+test('logout revokes the current session', async (t) => {
+  const session = Session.hydrate({ _id: objectId(), user: objectId(), expiresAt: new Date(Date.now() + 60000) });
+  t.mock.method(session, 'save', async () => session);
+
+  const { status } = await callHandler(logout, { authSession: session });
+
+  assert.equal(status, 200);
+  assert.equal(session.isActive(), false);
+  assert.equal(session.revokedReason, 'logout');
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, queryResult } = require('./helpers');
+
+const TimeSlot = require('../models/TimeSlot');
+const Order = require('../models/Order');
+const {
+  TimeSlotError,
+  getAvailableSlots,
+  bookOrderSlot,
+  releaseOrderSlot
+} = require('../utils/timeSlots');
+
+// Monday 1 June 2026, 08:00 in New York
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+// Hourly slots on Monday mornings in New York, booked at least 2 hours ahead
+const slotSeller = (fields = {}) => ({
+  _id: objectId(),
+  name: 'Farm stand',
+  businessInfo: {
+    timezone: 'America/New_York',
+    timeSlots: {
+      enabled: true,
+      slotMinutes: 60,
+      leadTimeHours: 2,
+      bookingDays: 7,
+      windows: [{ day: 1, start: '09:00', end: '12:00', capacity: 5, methods: ['pickup'] }]
+    },
+    ...fields
+  }
+});
+
+const pickupOrder = (quantity) => Order.hydrate({
+  _id: objectId(),
+  orderNumber: 'LT-TEST',
+  buyer: objectId(),
+  seller: objectId(),
+  status: 'pending',
+  delivery: { method: 'pickup' },
+  items: [{ product: objectId(), quantity, price: 10 }]
+});
+
+test('available slots follow the seller\'s timezone and lead time and count bookings', async (t) => {
+  t.mock.method(TimeSlot, 'find', () => queryResult([
+    { startsAt: new Date('2026-06-01T14:00:00Z'), booked: 3 }
+  ]));
+
+  const slots = await getAvailableSlots(slotSeller(), {}, NOW);
+
+  // 09:00 is within the lead time; 10:00 and 11:00 New York time are left
+  assert.deepEqual(slots.map(slot => slot.startsAt.toISOString()), [
+    '2026-06-01T14:00:00.000Z',
+    '2026-06-01T15:00:00.000Z'
+  ]);
+  assert.deepEqual(slots.map(slot => slot.remaining), [2, 5]);
+  assert.equal(slots[0].endsAt.toISOString(), '2026-06-01T15:00:00.000Z');
+});
+
+test('no slots are offered on closure days or for other fulfilment methods', async (t) => {
+  t.mock.method(TimeSlot, 'find', () => queryResult([]));
+
+  const closed = slotSeller({ closures: [{ from: '2026-06-01', to: '2026-06-01' }] });
+
+  assert.deepEqual(await getAvailableSlots(closed, {}, NOW), []);
+  assert.deepEqual(await getAvailableSlots(slotSeller(), { method: 'delivery' }, NOW), []);
+});
+
+test('bookOrderSlot requires a slot from the seller\'s open slots', async () => {
+  const order = pickupOrder(1);
+
+  await assert.rejects(bookOrderSlot(order, slotSeller(), undefined, NOW), /Please choose a time slot/);
+  await assert.rejects(
+    bookOrderSlot(order, slotSeller(), '2026-06-01T13:00:00Z', NOW),
+    (error) => error instanceof TimeSlotError && /not available/.test(error.message)
+  );
+  await assert.rejects(
+    bookOrderSlot(order, { _id: objectId(), name: 'Bakery' }, '2026-06-01T14:00:00Z', NOW),
+    /does not take time slot bookings/
+  );
+  assert.equal(await bookOrderSlot(order, { _id: objectId(), name: 'Bakery' }, undefined, NOW), null);
+});
+
+test('bookOrderSlot takes the order\'s items from the slot\'s capacity', async (t) => {
+  const order = pickupOrder(2);
+  const slot = TimeSlot.hydrate({ _id: objectId(), booked: 2, capacity: 5 });
+  t.mock.method(TimeSlot, 'updateOne', async () => ({ upsertedCount: 1 }));
+  const claim = t.mock.method(TimeSlot, 'findOneAndUpdate', async () => slot);
+
+  await bookOrderSlot(order, slotSeller(), '2026-06-01T14:00:00Z', NOW);
+
+  assert.deepEqual(claim.mock.calls[0].arguments[1], { $inc: { booked: 2 } });
+  assert.equal(order.scheduledFor.toISOString(), '2026-06-01T14:00:00.000Z');
+  assert.equal(order.timeSlot.quantity, 2);
+  assert.equal(order.timeSlot.slot, slot._id);
+});
+
+test('bookOrderSlot refuses more items than the slot has left', async (t) => {
+  t.mock.method(TimeSlot, 'updateOne', async () => ({ upsertedCount: 0 }));
+  t.mock.method(TimeSlot, 'findOneAndUpdate', async () => null);
+  t.mock.method(TimeSlot, 'findOne', async () => ({ capacity: 5, booked: 4 }));
+
+  await assert.rejects(
+    bookOrderSlot(pickupOrder(3), slotSeller(), '2026-06-01T14:00:00Z', NOW),
+    (error) => error.statusCode === 409 && /Only 1 more item/.test(error.message)
+  );
+});
+
+test('a cancelled order frees its slot once', async (t) => {
+  const order = pickupOrder(2);
+  order.timeSlot = { slot: objectId(), quantity: 2 };
+  const claim = t.mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = t.mock.method(TimeSlot, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  assert.equal(await releaseOrderSlot(order), true);
+  assert.deepEqual(release.mock.calls[0].arguments[1], { $inc: { booked: -2 } });
+
+  claim.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await releaseOrderSlot(order), false);
+  assert.equal(release.mock.callCount(), 1);
+});
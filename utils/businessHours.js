@@ -0,0 +1,180 @@
+const User = require('../models/User');
+const {
+  DEFAULT_TIMEZONE,
+  parseTimeOfDay,
+  getZonedParts,
+  zonedDateTime,
+  addDays,
+  formatDate,
+  formatZonedDateTime
+} = require('./time');
+
+// How far ahead to look for the next opening (closures can be long)
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error raised when a seller is not taking orders
+class BusinessHoursError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BusinessHoursError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getBusinessInfo = (seller) => seller.businessInfo || {};
+
+const getTimeZone = (seller) => getBusinessInfo(seller).timezone || DEFAULT_TIMEZONE;
+
+const getSellerName = (seller) => getBusinessInfo(seller).businessName || seller.name;
+
+const isOnVacation = (vacation, at) => (
+  !!vacation && !!vacation.enabled && (!vacation.until || vacation.until > at)
+);
+
+// Why the seller is away at an instant ('vacation' or 'closure'), or null.
+// Closures are whole days in the seller's timezone.
+const getAwayReason = (seller, at = new Date()) => {
+  const info = getBusinessInfo(seller);
+
+  if (isOnVacation(info.vacation, at)) {
+    return 'vacation';
+  }
+
+  const today = formatDate(getZonedParts(at, getTimeZone(seller)));
+  if ((info.closures || []).some(closure => closure.from <= today && today <= closure.to)) {
+    return 'closure';
+  }
+
+  return null;
+};
+
+// The opening hours window the seller is next open in, starting at or after
+// `from`: { opensAt, closesAt }. Sellers without opening hours are open all
+// day (closesAt is null). Null when the seller is away until further notice.
+const getNextOpening = (seller, from = new Date()) => {
+  const info = getBusinessInfo(seller);
+  const timeZone = getTimeZone(seller);
+  const hours = info.openingHours || [];
+
+  if (isOnVacation(info.vacation, from) && !info.vacation.until) {
+    return null;
+  }
+
+  const firstDay = getZonedParts(from, timeZone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(firstDay, offset);
+
+    const windows = hours.length > 0
+      ? hours
+        .filter(window => window.day === date.weekday)
+        .map(window => [parseTimeOfDay(window.open), parseTimeOfDay(window.close)])
+        .sort((a, b) => a[0] - b[0])
+      : [[0, 24 * 60]];
+
+    for (const [open, close] of windows) {
+      const closesAt = zonedDateTime(date, close, timeZone);
+      // Earliest moment in the window after `from` (and after a vacation ends)
+      const opensAt = new Date(Math.max(
+        zonedDateTime(date, open, timeZone).getTime(),
+        from.getTime(),
+        isOnVacation(info.vacation, from) ? info.vacation.until.getTime() : 0
+      ));
+
+      if (opensAt < closesAt && !getAwayReason(seller, opensAt)) {
+        return {
+          opensAt,
+          closesAt: hours.length > 0 ? closesAt : null
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Whether the seller is open now and, if not, when they open again. Worked
+// out in the seller's timezone; times in `message` are local to the seller.
+const getBusinessStatus = (seller, now = new Date()) => {
+  const info = getBusinessInfo(seller);
+  const timeZone = getTimeZone(seller);
+  const awayReason = getAwayReason(seller, now);
+  const opening = getNextOpening(seller, now);
+  const isOpen = !!opening && opening.opensAt.getTime() <= now.getTime();
+
+  let message;
+  if (isOpen) {
+    message = opening.closesAt
+      ? `Open now, closes at ${formatZonedDateTime(opening.closesAt, timeZone)}`
+      : 'Open now';
+  } else {
+    const state = {
+      vacation: 'On vacation',
+      closure: 'Temporarily closed'
+    }[awayReason] || 'Closed';
+    message = opening
+      ? `${state}, opens at ${formatZonedDateTime(opening.opensAt, timeZone)}`
+      : `${state} until further notice`;
+  }
+
+  return {
+    isOpen,
+    status: isOpen ? 'open' : (awayReason ? 'away' : 'closed'),
+    reason: isOpen ? null : (awayReason || 'hours'),
+    opensAt: isOpen ? null : (opening ? opening.opensAt : null),
+    closesAt: isOpen ? opening.closesAt : null,
+    message,
+    vacationMessage: awayReason === 'vacation' ? info.vacation.message : undefined,
+    // Sellers who hide their shop while away take no orders until they are back
+    acceptsOrders: !awayReason || info.whenAway !== 'hide',
+    timezone: timeZone
+  };
+};
+
+// Schedule an order placed while its seller is closed for when they open
+// again, or reject it if the seller hides their shop while away. Orders with
+// a booked time slot keep it.
+const applyBusinessHours = (order, seller, now = new Date()) => {
+  const status = getBusinessStatus(seller, now);
+
+  if (!status.acceptsOrders) {
+    throw new BusinessHoursError(`${getSellerName(seller)} is not taking orders right now. ${status.message}.`);
+  }
+
+  if (!status.isOpen && !order.scheduledFor && status.opensAt) {
+    order.scheduledFor = status.opensAt;
+  }
+
+  return status;
+};
+
+// Sellers whose products are hidden from listings because they are away
+const getHiddenSellerIds = async (now = new Date()) => {
+  // A day either side covers every timezone; the exact check is per seller
+  const yesterday = formatDate(getZonedParts(new Date(now.getTime() - DAY_MS), 'UTC'));
+  const tomorrow = formatDate(getZonedParts(new Date(now.getTime() + DAY_MS), 'UTC'));
+
+  const sellers = await User.find({
+    role: 'seller',
+    'businessInfo.whenAway': 'hide',
+    $or: [
+      { 'businessInfo.vacation.enabled': true },
+      { 'businessInfo.closures': { $elemMatch: { from: { $lte: tomorrow }, to: { $gte: yesterday } } } }
+    ]
+  }).select('businessInfo.timezone businessInfo.vacation businessInfo.closures');
+
+  return sellers.filter(seller => getAwayReason(seller, now)).map(seller => seller._id);
+};
+
+module.exports = {
+  BusinessHoursError,
+  getTimeZone,
+  getSellerName,
+  getAwayReason,
+  getNextOpening,
+  getBusinessStatus,
+  applyBusinessHours,
+  getHiddenSellerIds
+};
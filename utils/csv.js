@@ -0,0 +1,111 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF)
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text cells that would be read as a formula are written with a leading
+// apostrophe (shown as text by spreadsheets) and read back without it
+const guardFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+const unguardFormula = (text) => (
+  text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Parse CSV text into row objects keyed by the header row. Each entry is
+// { line, record }, where line is the file line the row starts on, so errors
+// can point at the right row even when blank lines were skipped.
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  const nonEmptyRows = rows.filter(r => r.values.some(value => value.trim() !== ''));
+  if (nonEmptyRows.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmptyRows[0].values.map(header => header.trim());
+
+  return nonEmptyRows.slice(1).map(({ line: rowNumber, values }) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] !== undefined ? unguardFormula(values[index].trim()) : '';
+    });
+    return { line: rowNumber, record };
+  });
+};
+
+// Quote a value for CSV output when needed
+const escapeCSVValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = typeof value === 'string' ? guardFormula(value) : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Serialize row objects to CSV text using the given column order
+const toCSV = (columns, records) => {
+  const lines = [columns.map(escapeCSVValue).join(',')];
+
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCSVValue(record[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCSV,
+  toCSV
+};
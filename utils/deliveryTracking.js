@@ -0,0 +1,129 @@
+const Order = require('../models/Order');
+const { getIO } = require('./realtime');
+const { orderRoom } = require('./orderTracking');
+const { distanceMeters, isValidCoordinates } = require('./geo');
+
+// Pings kept in an order's breadcrumb trail (oldest are dropped)
+const DELIVERY_TRAIL_LIMIT = Number(process.env.DELIVERY_TRAIL_LIMIT) || 200;
+
+// Speed assumed for the ETA when the device reports none (or is stopped)
+const COURIER_DEFAULT_SPEED_KMH = Number(process.env.COURIER_DEFAULT_SPEED_KMH) || 25;
+const MIN_REPORTED_SPEED = 1; // meters per second
+
+class DeliveryTrackingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeliveryTrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value._id || value).toString();
+
+// Optional numeric reading from the device (speed, heading, accuracy)
+const optionalNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// The seller, or the courier assigned to the order, can share its location
+const canShareLocation = (order, user) => (
+  idOf(order.seller) === user._id.toString() ||
+  (!!order.delivery.courier && idOf(order.delivery.courier) === user._id.toString())
+);
+
+// Distance left and expected arrival, or null without a delivery address
+const estimateArrival = (order, coordinates, speed, now) => {
+  const destination = order.delivery.address && order.delivery.address.coordinates;
+  if (!isValidCoordinates(destination)) {
+    return null;
+  }
+
+  const remaining = distanceMeters(coordinates, destination);
+  const metersPerSecond = speed >= MIN_REPORTED_SPEED ? speed : COURIER_DEFAULT_SPEED_KMH / 3.6;
+
+  return {
+    distanceMeters: Math.round(remaining),
+    estimatedArrival: new Date(now.getTime() + (remaining / metersPerSecond) * 1000),
+    computedAt: now
+  };
+};
+
+// Record a location ping for an order that is out for delivery and push it,
+// with the new ETA, to the order room and the buyer
+const recordLocationPing = async (order, user, { latitude, longitude, speed, heading, accuracy }) => {
+  if (order.delivery.method !== 'delivery') {
+    throw new DeliveryTrackingError('Location sharing is only available for delivery orders');
+  }
+
+  if (!canShareLocation(order, user)) {
+    throw new DeliveryTrackingError('Not authorized to share location for this order', 403);
+  }
+
+  if (order.status === 'delivered') {
+    throw new DeliveryTrackingError('Order has already been delivered', 409);
+  }
+
+  if (order.status !== 'out_for_delivery') {
+    throw new DeliveryTrackingError('Location can only be shared while the order is out for delivery', 409);
+  }
+
+  const coordinates = [Number(longitude), Number(latitude)];
+  if (!isValidCoordinates(coordinates)) {
+    throw new DeliveryTrackingError('Valid latitude and longitude are required');
+  }
+
+  const now = new Date();
+  const reportedSpeed = optionalNumber(speed);
+  const location = {
+    coordinates,
+    speed: reportedSpeed,
+    heading: optionalNumber(heading),
+    accuracy: optionalNumber(accuracy),
+    recordedAt: now,
+    recordedBy: user._id
+  };
+  const eta = estimateArrival(order, coordinates, reportedSpeed, now);
+
+  // Only while still out for delivery, so a ping racing the delivered update is dropped
+  const result = await Order.updateOne(
+    { _id: order._id, status: 'out_for_delivery' },
+    {
+      $set: {
+        'delivery.tracking.lastLocation': location,
+        'delivery.tracking.eta': eta
+      },
+      $push: {
+        'delivery.tracking.trail': {
+          $each: [{ coordinates, speed: reportedSpeed, recordedAt: now }],
+          $slice: -DELIVERY_TRAIL_LIMIT
+        }
+      }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new DeliveryTrackingError('Order is no longer out for delivery', 409);
+  }
+
+  const io = getIO();
+  if (io) {
+    io.to([orderRoom(order._id), `user_${idOf(order.buyer)}`]).emit('delivery_location', {
+      orderId: order._id,
+      location,
+      eta
+    });
+  }
+
+  return { location, eta };
+};
+
+module.exports = {
+  DELIVERY_TRAIL_LIMIT,
+  DeliveryTrackingError,
+  canShareLocation,
+  recordLocationPing
+};
@@ -0,0 +1,74 @@
+// Email templates. Each template returns { subject, text, html }.
+const APP_NAME = 'Local Treasures';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML layout with a single call-to-action button
+const layout = ({ heading, paragraphs, actionLabel, actionUrl, footer }) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #4285f4;">${escapeHtml(heading)}</h2>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <p style="margin: 32px 0;">
+      <a href="${escapeHtml(actionUrl)}" style="background: #4285f4; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">${escapeHtml(actionLabel)}</a>
+    </p>
+    <p style="font-size: 12px; color: #888;">If the button doesn't work, copy this link into your browser:<br>${escapeHtml(actionUrl)}</p>
+    <p style="font-size: 12px; color: #888;">${escapeHtml(footer)}</p>
+  </body>
+</html>`;
+
+const verificationEmail = ({ name, token, expiresInHours }) => {
+  const url = `${getFrontendUrl()}/verify-email/${token}`;
+  const paragraphs = [
+    `Hi ${name},`,
+    `Welcome to ${APP_NAME}! Please confirm your email address to finish setting up your account.`,
+    `This link expires in ${expiresInHours} hours.`
+  ];
+  const footer = `If you didn't create a ${APP_NAME} account, you can ignore this email.`;
+
+  return {
+    subject: `Verify your ${APP_NAME} email address`,
+    text: `${paragraphs.join('\n\n')}\n\nVerify your email: ${url}\n\n${footer}`,
+    html: layout({
+      heading: 'Verify your email',
+      paragraphs,
+      actionLabel: 'Verify email',
+      actionUrl: url,
+      footer
+    })
+  };
+};
+
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const url = `${getFrontendUrl()}/reset-password/${token}`;
+  const paragraphs = [
+    `Hi ${name},`,
+    `We received a request to reset your ${APP_NAME} password.`,
+    `This link expires in ${expiresInMinutes} minutes.`
+  ];
+  const footer = "If you didn't request a password reset, you can ignore this email. Your password won't change.";
+
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    text: `${paragraphs.join('\n\n')}\n\nReset your password: ${url}\n\n${footer}`,
+    html: layout({
+      heading: 'Reset your password',
+      paragraphs,
+      actionLabel: 'Reset password',
+      actionUrl: url,
+      footer
+    })
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail
+};
@@ -0,0 +1,26 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two [longitude, latitude] points
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const isValidCoordinates = (coordinates) => (
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(Number.isFinite) &&
+  Math.abs(coordinates[0]) <= 180 &&
+  Math.abs(coordinates[1]) <= 90
+);
+
+module.exports = {
+  distanceMeters,
+  isValidCoordinates
+};
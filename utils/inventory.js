@@ -0,0 +1,446 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { notifyPaymentFailed } = require('./notifications');
+const { publishOrderUpdate } = require('./orderTracking');
+const { releaseOrderSlot } = require('./timeSlots');
+const { releaseOrderPromotions } = require('./promotions');
+const { getSellerName } = require('./businessHours');
+
+// Minutes an unpaid online order may hold stock before it is released
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+// How often the sweeper looks for expired reservations
+const SWEEP_INTERVAL_SECONDS = Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60;
+
+// How long released/committed reservation records are kept
+const RESERVATION_RETENTION_DAYS = 7;
+
+// Orders a seller is still working on
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+const retentionDate = () => new Date(Date.now() + RESERVATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Error raised when stock cannot be reserved
+class InventoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InventoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Query condition matching a variant with at least `quantity` available
+const variantAvailableExpr = (variantId, quantity) => ({
+  $anyElementTrue: [{
+    $map: {
+      input: '$variants',
+      as: 'variant',
+      in: {
+        $and: [
+          { $eq: ['$$variant._id', variantId] },
+          { $eq: ['$$variant.isActive', true] },
+          {
+            $gte: [
+              { $subtract: ['$$variant.quantity', '$$variant.reservedQuantity'] },
+              quantity
+            ]
+          }
+        ]
+      }
+    }
+  }]
+});
+
+// Atomically reserve stock. Only succeeds while the available stock
+// (quantity minus reserved) covers the request, so concurrent buyers
+// cannot oversell. Variant stock is reserved on the variant and on the
+// product-level totals in the same update.
+const reserveStock = (productId, quantity, variantId) => {
+  if (variantId) {
+    const id = new mongoose.Types.ObjectId(variantId);
+    return Product.findOneAndUpdate(
+      {
+        _id: productId,
+        isActive: true,
+        $expr: variantAvailableExpr(id, quantity)
+      },
+      {
+        $inc: {
+          'variants.$[variant].reservedQuantity': quantity,
+          'availability.reservedQuantity': quantity
+        }
+      },
+      { new: true, arrayFilters: [{ 'variant._id': id }] }
+    );
+  }
+
+  return Product.findOneAndUpdate(
+    {
+      _id: productId,
+      isActive: true,
+      'availability.inStock': true,
+      $expr: {
+        $gte: [
+          { $subtract: ['$availability.quantity', '$availability.reservedQuantity'] },
+          quantity
+        ]
+      }
+    },
+    { $inc: { 'availability.reservedQuantity': quantity } },
+    { new: true }
+  );
+};
+
+// Atomically give reserved stock back
+const releaseStock = (productId, quantity, variantId) => {
+  if (variantId) {
+    return Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: { $elemMatch: { _id: variantId, reservedQuantity: { $gte: quantity } } }
+      },
+      {
+        $inc: {
+          'variants.$.reservedQuantity': -quantity,
+          'availability.reservedQuantity': -quantity
+        }
+      },
+      { new: true }
+    );
+  }
+
+  return Product.findOneAndUpdate(
+    { _id: productId, 'availability.reservedQuantity': { $gte: quantity } },
+    { $inc: { 'availability.reservedQuantity': -quantity } },
+    { new: true }
+  );
+};
+
+// Atomically turn reserved stock into a real decrement
+const commitStock = async (productId, quantity, variantId) => {
+  let product;
+
+  if (variantId) {
+    product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: {
+          $elemMatch: {
+            _id: variantId,
+            quantity: { $gte: quantity },
+            reservedQuantity: { $gte: quantity }
+          }
+        }
+      },
+      {
+        $inc: {
+          'variants.$.quantity': -quantity,
+          'variants.$.reservedQuantity': -quantity,
+          'availability.quantity': -quantity,
+          'availability.reservedQuantity': -quantity
+        }
+      },
+      { new: true }
+    );
+  } else {
+    product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        'availability.quantity': { $gte: quantity },
+        'availability.reservedQuantity': { $gte: quantity }
+      },
+      {
+        $inc: {
+          'availability.quantity': -quantity,
+          'availability.reservedQuantity': -quantity
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Mark sold out products as out of stock
+  if (product && product.availability.quantity <= 0) {
+    await Product.updateOne(
+      { _id: productId, 'availability.quantity': { $lte: 0 } },
+      { $set: { 'availability.inStock': false } }
+    );
+  }
+
+  return product;
+};
+
+// Record a restock for follower feeds when units put back with an atomic
+// update bring a sold out product back on sale. Saves record restocks in the
+// Product pre-save hook, which updates skip.
+const recordRestock = async (product, quantity) => {
+  if (!product || !product.isAvailable()) {
+    return product;
+  }
+
+  const { quantity: current, reservedQuantity } = product.availability;
+  if (current - quantity - reservedQuantity > 0) {
+    return product;
+  }
+
+  product.restockedAt = new Date();
+  await Product.updateOne({ _id: product._id }, { $set: { restockedAt: product.restockedAt } });
+  return product;
+};
+
+// Put returned units back on sale
+const restockItem = async (productId, quantity, variantId) => {
+  let product;
+
+  if (variantId) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, 'variants._id': variantId },
+      {
+        $inc: {
+          'variants.$.quantity': quantity,
+          'availability.quantity': quantity
+        },
+        $set: { 'availability.inStock': true }
+      },
+      { new: true }
+    );
+  } else {
+    product = await Product.findOneAndUpdate(
+      { _id: productId },
+      {
+        $inc: { 'availability.quantity': quantity },
+        $set: { 'availability.inStock': true }
+      },
+      { new: true }
+    );
+  }
+
+  return recordRestock(product, quantity);
+};
+
+// Move one reservation out of 'active' and apply the matching stock update.
+// The status change is conditional so a reservation is never applied twice.
+const closeReservation = async (reservationId, status, fields = {}) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    { $set: { status, purgeAt: retentionDate(), ...fields } },
+    { new: true }
+  );
+
+  if (!reservation) {
+    return null;
+  }
+
+  if (status === 'committed') {
+    await commitStock(reservation.product, reservation.quantity, reservation.variant);
+  } else {
+    await releaseStock(reservation.product, reservation.quantity, reservation.variant);
+  }
+
+  return reservation;
+};
+
+// Release every active reservation held by an order
+const releaseOrderReservations = async (orderId, reason = 'released') => {
+  const reservations = await Reservation.find({ order: orderId, status: 'active' });
+
+  for (const reservation of reservations) {
+    await closeReservation(reservation._id, 'released', {
+      releasedAt: new Date(),
+      releaseReason: reason
+    });
+  }
+
+  return reservations.length;
+};
+
+// Reserve stock for every item of an order and record the reservations.
+// Either all items are reserved or none are. Made-to-order items hold no stock.
+const reserveOrderItems = async (order) => {
+  const expiresAt = order.payment.method === 'cash_on_delivery'
+    ? undefined
+    : new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+  for (const item of order.items) {
+    if (item.fulfilmentMode === 'made_to_order') {
+      continue;
+    }
+
+    const product = await reserveStock(item.product, item.quantity, item.variant);
+
+    if (!product) {
+      await releaseOrderReservations(order._id, 'reservation_failed');
+
+      const current = await Product.findById(item.product);
+      if (!current) {
+        throw new InventoryError(`Product not found: ${item.product}`, 404);
+      }
+
+      const variant = current.getVariant(item.variant);
+      const stock = variant || current.availability;
+      const label = variant ? `${current.name} (${variant.sku})` : current.name;
+
+      if (!current.isActive || (variant ? !variant.isActive : !current.availability.inStock)) {
+        throw new InventoryError(`Product is not available: ${label}`);
+      }
+      const available = stock.quantity - stock.reservedQuantity;
+      throw new InventoryError(
+        `Insufficient stock for: ${label}. Available: ${Math.max(available, 0)}, Requested: ${item.quantity}`
+      );
+    }
+
+    await Reservation.create({
+      product: item.product,
+      variant: item.variant,
+      order: order._id,
+      buyer: order.buyer,
+      quantity: item.quantity,
+      expiresAt
+    });
+  }
+};
+
+// Sellers can cap how many made-to-order orders they have open at once, since
+// those are limited by what they can make rather than by stock
+const checkMadeToOrderLimit = async (order, seller) => {
+  const limit = seller.businessInfo && seller.businessInfo.madeToOrderLimit;
+
+  if (!limit || !order.items.some(item => item.fulfilmentMode === 'made_to_order')) {
+    return;
+  }
+
+  const open = await Order.countDocuments({
+    seller: seller._id,
+    status: { $in: OPEN_ORDER_STATUSES },
+    'items.fulfilmentMode': 'made_to_order'
+  });
+
+  if (open >= limit) {
+    throw new InventoryError(
+      `${getSellerName(seller)} is not taking more made-to-order orders right now. Please try again later.`,
+      409
+    );
+  }
+};
+
+// Turn an order's reservations into real stock decrements (on delivery)
+const commitOrderReservations = async (orderId) => {
+  const reservations = await Reservation.find({ order: orderId, status: 'active' });
+
+  for (const reservation of reservations) {
+    await closeReservation(reservation._id, 'committed', { committedAt: new Date() });
+  }
+
+  return reservations.length;
+};
+
+// Paid orders keep their stock until delivery
+const clearReservationExpiry = (orderId) => {
+  return Reservation.updateMany(
+    { order: orderId, status: 'active' },
+    { $unset: { expiresAt: 1 } }
+  );
+};
+
+// Cancel an unpaid order that has not progressed and release its stock. The
+// cancellation is a conditional update, so a payment recorded by a webhook
+// in the meantime is never overwritten; orders that are paid or already
+// being handled keep their stock until delivery.
+const cancelUnpaidOrder = async (order, releaseReason, note) => {
+  const cancelledAt = new Date();
+
+  const cancelled = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'pending', 'payment.status': { $nin: Order.PAID_PAYMENT_STATUSES } },
+    {
+      $set: {
+        status: 'cancelled',
+        'payment.status': 'failed',
+        cancellation: { reason: note, cancelledAt }
+      },
+      $push: { statusHistory: { status: 'cancelled', timestamp: cancelledAt, note: `Cancelled: ${note}` } }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    await clearReservationExpiry(order._id);
+    return 0;
+  }
+
+  const released = await releaseOrderReservations(cancelled._id, releaseReason);
+
+  await releaseOrderSlot(cancelled);
+  await releaseOrderPromotions(cancelled);
+  await publishOrderUpdate(cancelled);
+
+  notifyPaymentFailed(cancelled, note, true);
+  return released;
+};
+
+// Release reservations of orders still unpaid after the reservation TTL
+// and cancel those orders
+const sweepExpiredReservations = async () => {
+  const orderIds = await Reservation.distinct('order', {
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  });
+
+  let released = 0;
+
+  for (const orderId of orderIds) {
+    const order = await Order.findById(orderId);
+
+    if (order && Order.PAID_PAYMENT_STATUSES.includes(order.payment.status)) {
+      await clearReservationExpiry(orderId);
+      continue;
+    }
+
+    if (order) {
+      released += await cancelUnpaidOrder(
+        order,
+        'payment_timeout',
+        `payment not received within ${RESERVATION_TTL_MINUTES} minutes`
+      );
+    } else {
+      released += await releaseOrderReservations(orderId, 'payment_timeout');
+    }
+  }
+
+  return released;
+};
+
+// Run the sweeper periodically
+const startReservationSweeper = () => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await sweepExpiredReservations();
+      if (released > 0) {
+        console.log(`🧹 Released ${released} expired stock reservation(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweeper error:', error);
+    }
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  InventoryError,
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restockItem,
+  reserveOrderItems,
+  checkMadeToOrderLimit,
+  releaseOrderReservations,
+  commitOrderReservations,
+  clearReservationExpiry,
+  cancelUnpaidOrder,
+  sweepExpiredReservations,
+  startReservationSweeper
+};
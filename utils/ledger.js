@@ -0,0 +1,370 @@
+const LedgerTransaction = require('../models/LedgerTransaction');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutBatch = require('../models/PayoutBatch');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { roundCurrency } = require('./pricing');
+const { OFFLINE_PAYMENT_METHODS } = require('./paymentProviders');
+
+// Platform commission on the item subtotal when no rule matches (defaults to 10%)
+const COMMISSION_RATE = process.env.COMMISSION_RATE !== undefined ? Number(process.env.COMMISSION_RATE) : 0.1;
+
+// Days after delivery before a sale's earnings can be paid out (covers the return window)
+const SELLER_PAYOUT_HOLD_DAYS = process.env.SELLER_PAYOUT_HOLD_DAYS !== undefined
+  ? Number(process.env.SELLER_PAYOUT_HOLD_DAYS)
+  : 14;
+
+// Sellers with less available than this are left for a later batch
+const PAYOUT_MINIMUM_AMOUNT = Number(process.env.PAYOUT_MINIMUM_AMOUNT) || 10;
+
+class LedgerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Record a transaction once; a duplicate key means it was already recorded
+const recordTransaction = async (transaction) => {
+  try {
+    return await LedgerTransaction.create(transaction);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Discounts an order received from promotions funded by the given party
+const sumPromotions = (order, fundedBy, appliesTo) => roundCurrency((order.promotions || [])
+  .filter(discount => discount.fundedBy === fundedBy && (!appliesTo || discount.appliesTo === appliesTo))
+  .reduce((sum, discount) => sum + discount.amount, 0));
+
+// Commission on an order's items: the seller's rate if one is set, otherwise
+// the rate of each product's category. Discounts the seller gives lower the
+// commission; the platform's own promotions don't.
+const calculateCommission = async (order) => {
+  const subtotal = order.totals.subtotal;
+  const discountFactor = subtotal > 0 ? (subtotal - sumPromotions(order, 'seller', 'items')) / subtotal : 0;
+
+  const rules = await CommissionRule.find({
+    $or: [{ scope: 'seller', seller: order.seller }, { scope: 'category' }]
+  });
+
+  const sellerRule = rules.find(rule => rule.scope === 'seller');
+  if (sellerRule) {
+    return roundCurrency(subtotal * discountFactor * sellerRule.rate);
+  }
+
+  const categoryRates = new Map(
+    rules.filter(rule => rule.scope === 'category').map(rule => [rule.category, rule.rate])
+  );
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } }).select('category');
+  const categories = new Map(products.map(product => [product._id.toString(), product.category]));
+
+  const commission = order.items.reduce((sum, item) => {
+    const category = categories.get((item.product._id || item.product).toString());
+    const rate = categoryRates.has(category) ? categoryRates.get(category) : COMMISSION_RATE;
+    return sum + item.price * item.quantity * rate;
+  }, 0);
+
+  return roundCurrency(commission * discountFactor);
+};
+
+// Entries with an amount (a transaction needs at least two)
+const nonZero = (entries) => entries.filter(entry => entry.debit || entry.credit);
+
+// Record the refunds of an order whose sale is in the ledger. Each refund
+// takes back its share of the commission and of the platform's discount;
+// the last one takes what is left.
+const recordOrderRefunds = async (order) => {
+  const sale = await LedgerTransaction.findOne({ key: `sale:${order._id}` });
+  if (!sale) {
+    return;
+  }
+
+  const recorded = await LedgerTransaction.find({ order: order._id, type: 'refund' });
+  const recordedKeys = new Set(recorded.map(transaction => transaction.key));
+  let refundedAmount = recorded.reduce((sum, transaction) => sum + transaction.amount, 0);
+  let commissionReturned = recorded.reduce((sum, transaction) => sum + transaction.commission, 0);
+  let discountReturned = recorded.reduce((sum, transaction) => sum + transaction.platformDiscount, 0);
+
+  const cashOnDelivery = OFFLINE_PAYMENT_METHODS.includes(order.payment.method);
+  const { availableAt } = sale.entries.find(entry => entry.account === 'seller_payable');
+
+  for (const refund of order.payment.refunds) {
+    const key = `refund:${order._id}:${refund._id}`;
+    if (recordedKeys.has(key)) {
+      continue;
+    }
+
+    refundedAmount = roundCurrency(refundedAmount + refund.amount);
+    const fullyRefunded = refundedAmount >= sale.amount;
+    const shareOf = (total, returned) => {
+      const left = roundCurrency(total - returned);
+      return fullyRefunded || sale.amount <= 0
+        ? left
+        : Math.min(roundCurrency(total * refund.amount / sale.amount), left);
+    };
+    const commission = shareOf(sale.commission, commissionReturned);
+    const platformDiscount = shareOf(sale.platformDiscount, discountReturned);
+
+    // Cash on delivery refunds are paid by the seller, who gets the
+    // commission back and returns the platform's discount
+    const sellerChange = roundCurrency(commission - platformDiscount);
+    const entries = cashOnDelivery
+      ? [
+        { account: 'commission_revenue', debit: commission },
+        { account: 'promotion_expense', credit: platformDiscount },
+        {
+          account: 'seller_payable',
+          seller: order.seller,
+          credit: Math.max(sellerChange, 0),
+          debit: Math.max(-sellerChange, 0),
+          availableAt
+        }
+      ]
+      : [
+        {
+          account: 'seller_payable',
+          seller: order.seller,
+          debit: roundCurrency(refund.amount - commission + platformDiscount),
+          availableAt
+        },
+        { account: 'commission_revenue', debit: commission },
+        { account: 'platform_cash', credit: refund.amount },
+        { account: 'promotion_expense', credit: platformDiscount }
+      ];
+
+    // Nothing moves when the sale had no commission or platform discount
+    if (nonZero(entries).length < 2) {
+      continue;
+    }
+
+    await recordTransaction({
+      key,
+      type: 'refund',
+      seller: order.seller,
+      order: order._id,
+      amount: refund.amount,
+      commission,
+      platformDiscount,
+      description: `Refund for order ${order.orderNumber}`,
+      entries: nonZero(entries)
+    });
+
+    commissionReturned = roundCurrency(commissionReturned + commission);
+    discountReturned = roundCurrency(discountReturned + platformDiscount);
+  }
+};
+
+// Record a delivered order's sale: the gross amount, the platform's
+// commission and the seller's share (which includes the discounts the
+// platform paid for), held until the hold period ends
+const recordOrderSale = async (order) => {
+  if (!order.settlement || !order.settlement.recordedAt) {
+    const deliveredAt = order.getDeliveredAt() || new Date();
+    const availableAt = new Date(deliveredAt.getTime() + SELLER_PAYOUT_HOLD_DAYS * 24 * 60 * 60 * 1000);
+    const commission = await calculateCommission(order);
+    const gross = order.totals.total;
+    const platformDiscount = sumPromotions(order, 'platform');
+    const sellerShare = roundCurrency(gross - commission + platformDiscount);
+
+    // Cash on delivery: the seller collected the payment and keeps it,
+    // so only the commission (less the platform's discount) is left owing
+    const entries = OFFLINE_PAYMENT_METHODS.includes(order.payment.method)
+      ? [
+        { account: 'seller_collected', seller: order.seller, debit: gross },
+        { account: 'promotion_expense', debit: platformDiscount },
+        { account: 'seller_payable', seller: order.seller, credit: sellerShare, availableAt },
+        { account: 'commission_revenue', credit: commission },
+        { account: 'seller_payable', seller: order.seller, debit: gross, availableAt },
+        { account: 'seller_collected', seller: order.seller, credit: gross }
+      ]
+      : [
+        { account: 'platform_cash', debit: gross },
+        { account: 'promotion_expense', debit: platformDiscount },
+        { account: 'seller_payable', seller: order.seller, credit: sellerShare, availableAt },
+        { account: 'commission_revenue', credit: commission }
+      ];
+
+    const key = `sale:${order._id}`;
+    const sale = await recordTransaction({
+      key,
+      type: 'sale',
+      seller: order.seller,
+      order: order._id,
+      amount: gross,
+      commission,
+      platformDiscount,
+      description: `Sale of order ${order.orderNumber}`,
+      entries: nonZero(entries)
+    }) || await LedgerTransaction.findOne({ key });
+
+    const settlement = {
+      commission: sale.commission,
+      availableAt: sale.entries.find(entry => entry.account === 'seller_payable').availableAt,
+      recordedAt: sale.createdAt
+    };
+    order.settlement = settlement;
+    await Order.updateOne({ _id: order._id }, { $set: { settlement } });
+  }
+
+  // Refunds issued before delivery are recorded along with the sale
+  await recordOrderRefunds(order);
+};
+
+// Record sales of delivered orders that are missing from the ledger (e.g.
+// the recording failed when the order was delivered)
+const recordPendingSales = async (sellerId) => {
+  const query = {
+    status: 'delivered',
+    'payment.status': { $in: ['completed', 'partially_refunded'] },
+    'settlement.recordedAt': null
+  };
+  if (sellerId) {
+    query.seller = sellerId;
+  }
+
+  const orders = await Order.find(query);
+  for (const order of orders) {
+    await recordOrderSale(order);
+  }
+};
+
+const getSellerBalance = async (sellerId) => {
+  await recordPendingSales(sellerId);
+
+  const balance = await LedgerTransaction.getSellerBalance(sellerId);
+
+  return {
+    ...balance,
+    holdDays: SELLER_PAYOUT_HOLD_DAYS,
+    minimumPayout: PAYOUT_MINIMUM_AMOUNT
+  };
+};
+
+// Move a payout back to the seller's available funds
+const reversePayout = (batch, payout) => recordTransaction({
+  key: `payout_reversal:${batch._id}:${payout.seller}`,
+  type: 'payout_reversal',
+  seller: payout.seller,
+  payoutBatch: batch._id,
+  amount: payout.amount,
+  description: `Payout batch ${batch.batchNumber} cancelled`,
+  entries: [
+    { account: 'platform_cash', debit: payout.amount },
+    { account: 'seller_payable', seller: payout.seller, credit: payout.amount, availableAt: new Date() }
+  ]
+});
+
+// Pay out every seller's available funds in a new batch
+const generatePayoutBatch = async (admin) => {
+  await recordPendingSales();
+
+  let batch;
+  try {
+    batch = await PayoutBatch.create({
+      batchNumber: PayoutBatch.generateBatchNumber(),
+      createdBy: admin._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new LedgerError('Another payout batch is being generated', 409);
+    }
+    throw error;
+  }
+
+  try {
+    const balances = await LedgerTransaction.getAvailableBalances(PAYOUT_MINIMUM_AMOUNT);
+
+    if (balances.length === 0) {
+      await batch.deleteOne();
+      throw new LedgerError('No seller has funds available for payout');
+    }
+
+    for (const { seller, amount } of balances) {
+      await recordTransaction({
+        key: `payout:${batch._id}:${seller}`,
+        type: 'payout',
+        seller,
+        payoutBatch: batch._id,
+        amount,
+        description: `Payout batch ${batch.batchNumber}`,
+        entries: [
+          { account: 'seller_payable', seller, debit: amount, availableAt: new Date() },
+          { account: 'platform_cash', credit: amount }
+        ]
+      });
+      batch.payouts.push({ seller, amount });
+    }
+
+    batch.total = roundCurrency(balances.reduce((sum, payout) => sum + payout.amount, 0));
+    batch.status = 'pending';
+    await batch.save();
+
+    return batch;
+  } catch (error) {
+    if (!(error instanceof LedgerError)) {
+      // Give back whatever was already paid out
+      for (const payout of batch.payouts) {
+        await reversePayout(batch, payout);
+      }
+      batch.status = 'cancelled';
+      batch.note = `Generation failed: ${error.message}`;
+      await batch.save();
+    }
+    throw error;
+  }
+};
+
+// Move a pending batch to paid or cancelled. Only one change can win.
+const closeBatch = async (batch, status, fields) => {
+  const closed = await PayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'pending' },
+    { $set: { status, ...fields } },
+    { new: true }
+  );
+  if (!closed) {
+    throw new LedgerError(`Payout batch is already ${batch.status}`, 409);
+  }
+  return closed;
+};
+
+const markBatchPaid = (batch, admin, reference) => closeBatch(batch, 'paid', {
+  paidAt: new Date(),
+  paidBy: admin._id,
+  reference
+});
+
+// Cancel a batch that was not paid: its payouts return to the sellers' available funds
+const cancelBatch = async (batch, admin, note) => {
+  const cancelled = await closeBatch(batch, 'cancelled', {
+    cancelledAt: new Date(),
+    cancelledBy: admin._id,
+    note
+  });
+
+  for (const payout of cancelled.payouts) {
+    await reversePayout(cancelled, payout);
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  COMMISSION_RATE,
+  SELLER_PAYOUT_HOLD_DAYS,
+  PAYOUT_MINIMUM_AMOUNT,
+  LedgerError,
+  calculateCommission,
+  recordOrderSale,
+  recordOrderRefunds,
+  recordPendingSales,
+  getSellerBalance,
+  generatePayoutBatch,
+  markBatchPaid,
+  cancelBatch
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email. The transport is chosen with MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   console - print messages to the log (default outside production)
+//   file    - write each message as JSON to MAIL_DROP_DIR for local testing
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Local Treasures <no-reply@localtreasures.app>';
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  }),
+
+  file: () => {
+    const dropDir = path.resolve(process.env.MAIL_DROP_DIR || 'tmp/mail');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(dropDir, { recursive: true });
+
+        const messageId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        const filePath = path.join(dropDir, `${messageId}.json`);
+
+        await fs.promises.writeFile(filePath, JSON.stringify({
+          ...message,
+          messageId,
+          sentAt: new Date().toISOString()
+        }, null, 2));
+
+        return { messageId, path: filePath };
+      }
+    };
+  }
+};
+
+let transport = null;
+
+// Register an additional transport (e.g. a provider API)
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Send an email rendered by one of the templates in utils/emailTemplates.js
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,222 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const Session = require('../models/Session');
+const { disconnectSessions } = require('./realtime');
+
+class ModerationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModerationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Moderation actions allowed for each report target type
+const ACTIONS_BY_TARGET = {
+  user: ['deactivate_user', 'reactivate_user'],
+  product: ['hide_product', 'unhide_product', 'deactivate_user', 'reactivate_user'],
+  review: ['remove_review', 'deactivate_user', 'reactivate_user'],
+  message: ['remove_message', 'deactivate_user', 'reactivate_user']
+};
+
+// Actions that undo an earlier action and don't close the report
+const REVERSAL_ACTIONS = ['reactivate_user', 'unhide_product'];
+
+const truncate = (text, length = 500) => (
+  text && text.length > length ? `${text.slice(0, length - 3)}...` : text
+);
+
+// Look up the reported content and who is responsible for it
+const resolveReportTarget = async (reporterId, { targetType, targetId, productId, chatId }) => {
+  if (targetType === 'user') {
+    const user = await User.findById(targetId);
+    if (!user) {
+      throw new ModerationError('User not found', 404);
+    }
+    return {
+      targetUser: user._id,
+      snapshot: { name: user.name, email: user.email, role: user.role }
+    };
+  }
+
+  if (targetType === 'product') {
+    const product = await Product.findById(targetId);
+    if (!product) {
+      throw new ModerationError('Product not found', 404);
+    }
+    return {
+      targetUser: product.seller,
+      product: product._id,
+      snapshot: { name: product.name, description: truncate(product.description) }
+    };
+  }
+
+  if (targetType === 'review') {
+    const product = await Product.findById(productId);
+    const review = product && product.reviews.id(targetId);
+    if (!review) {
+      throw new ModerationError('Review not found', 404);
+    }
+    return {
+      targetUser: review.user,
+      product: product._id,
+      review: review._id,
+      snapshot: { productName: product.name, rating: review.rating, comment: review.comment }
+    };
+  }
+
+  if (targetType === 'message') {
+    const chat = await Chat.findById(chatId);
+    const message = chat && await Message.findOne({ _id: targetId, chat: chat._id });
+    if (!message) {
+      throw new ModerationError('Message not found', 404);
+    }
+
+    // Only participants can report messages from a chat
+    const isParticipant = chat.participants.some(
+      participant => participant.user.toString() === reporterId.toString()
+    );
+    if (!isParticipant) {
+      throw new ModerationError('Not authorized to report messages in this chat', 403);
+    }
+
+    return {
+      targetUser: message.sender,
+      chat: chat._id,
+      message: message._id,
+      snapshot: { content: message.content, sentAt: message.createdAt }
+    };
+  }
+
+  throw new ModerationError('Invalid report target type');
+};
+
+// File a report. A reporter can have one unresolved report per target.
+const createReport = async (reporterId, { targetType, targetId, productId, chatId, reason, description }) => {
+  const target = await resolveReportTarget(reporterId, { targetType, targetId, productId, chatId });
+
+  if (target.targetUser.toString() === reporterId.toString()) {
+    throw new ModerationError('You cannot report yourself or your own content');
+  }
+
+  const existing = await Report.findOne({
+    reporter: reporterId,
+    targetType,
+    targetUser: target.targetUser,
+    product: target.product,
+    review: target.review,
+    message: target.message,
+    status: { $in: ['open', 'investigating'] }
+  });
+
+  if (existing) {
+    throw new ModerationError('You have already reported this. Our team is reviewing it.');
+  }
+
+  return Report.create({
+    reporter: reporterId,
+    targetType,
+    reason,
+    description,
+    ...target
+  });
+};
+
+const setUserActive = async (report, isActive) => {
+  const user = await User.findById(report.targetUser);
+  if (!user) {
+    throw new ModerationError('Reported user no longer exists', 404);
+  }
+  if (user.role === 'admin') {
+    throw new ModerationError('Admin accounts cannot be deactivated through reports');
+  }
+
+  user.isActive = isActive;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign the user out everywhere
+  if (!isActive) {
+    const sessionIds = await Session.revokeAllForUser(user._id, 'account_deactivated');
+    disconnectSessions(sessionIds);
+  }
+};
+
+const setProductHidden = async (report, isHidden, adminId, note) => {
+  const product = await Product.findById(report.product);
+  if (!product) {
+    throw new ModerationError('Reported product no longer exists', 404);
+  }
+
+  product.isActive = !isHidden;
+  product.moderation = isHidden
+    ? { isHidden: true, hiddenAt: new Date(), hiddenBy: adminId, reason: note || report.reason }
+    : { isHidden: false };
+  await product.save({ validateBeforeSave: false });
+};
+
+const removeReview = async (report) => {
+  const product = await Product.findById(report.product);
+  const review = product && product.reviews.id(report.review);
+  if (!review) {
+    throw new ModerationError('Review has already been removed', 404);
+  }
+
+  product.reviews.pull(review._id);
+  await product.save({ validateBeforeSave: false });
+};
+
+const removeMessage = async (report) => {
+  const chat = await Chat.findById(report.chat);
+  const message = chat && await Message.findOne({ _id: report.message, chat: chat._id });
+  if (!message || message.isDeleted) {
+    throw new ModerationError('Message has already been removed', 404);
+  }
+
+  await chat.deleteMessage(message);
+};
+
+// Apply a moderation action for a report and record it in the audit trail
+const applyModerationAction = async (report, action, adminId, note) => {
+  if (!ACTIONS_BY_TARGET[report.targetType].includes(action)) {
+    throw new ModerationError(`Action ${action} is not available for ${report.targetType} reports`);
+  }
+
+  switch (action) {
+    case 'deactivate_user':
+      await setUserActive(report, false);
+      break;
+    case 'reactivate_user':
+      await setUserActive(report, true);
+      break;
+    case 'hide_product':
+      await setProductHidden(report, true, adminId, note);
+      break;
+    case 'unhide_product':
+      await setProductHidden(report, false, adminId, note);
+      break;
+    case 'remove_review':
+      await removeReview(report);
+      break;
+    case 'remove_message':
+      await removeMessage(report);
+      break;
+  }
+
+  report.recordAction(action, adminId, note);
+  if (!REVERSAL_ACTIONS.includes(action)) {
+    report.resolve('actioned', adminId, note);
+  }
+  await report.save();
+
+  return report;
+};
+
+module.exports = {
+  ACTIONS_BY_TARGET,
+  ModerationError,
+  createReport,
+  applyModerationAction
+};
@@ -0,0 +1,206 @@
+const Notification = require('../models/Notification');
+const { getIO } = require('./realtime');
+
+// Push the notification and the new unread count to the user's sockets
+const pushToUser = async (userId, notification) => {
+  const io = getIO();
+  if (!io) {
+    return;
+  }
+
+  const unreadCount = await Notification.getUnreadCount(userId);
+  io.to(`user_${userId}`).emit('notification', {
+    notification,
+    unreadCount
+  });
+};
+
+// Store a notification and deliver it live. Users who are offline see it the
+// next time they load /api/notifications. Failures are logged, never thrown,
+// so a notification problem can't fail the request that triggered it.
+const notify = async (recipient, { type, title, message, data = {}, collapseKey }) => {
+  try {
+    let count = 1;
+
+    // Replace the unread notification with the same key so it moves to the top
+    if (collapseKey) {
+      const previous = await Notification.findOneAndDelete({ recipient, collapseKey, isRead: false });
+      if (previous) {
+        count = previous.count + 1;
+      }
+    }
+
+    const notification = await Notification.create({
+      recipient,
+      type,
+      title,
+      message,
+      data,
+      collapseKey,
+      count
+    });
+
+    await pushToUser(recipient.toString(), notification);
+    return notification;
+  } catch (error) {
+    console.error(`Failed to send ${type} notification:`, error);
+    return null;
+  }
+};
+
+// Notify several users with the same payload
+const notifyMany = (recipients, payload) => {
+  return Promise.all(recipients.map(recipient => notify(recipient, payload)));
+};
+
+// Human readable order status for notification text
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Shorten user text to fit a notification message
+const preview = (text, length = 100) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+const notifyOrderPlaced = (order) => notify(order.seller, {
+  type: 'order_placed',
+  title: 'New order received',
+  message: `Order ${order.orderNumber} was placed (${order.items.length} item(s), $${order.totals.total.toFixed(2)}).`,
+  data: { orderId: order._id, orderNumber: order.orderNumber }
+});
+
+const notifyOrderStatus = (order, recipient) => notify(recipient, {
+  type: order.status === 'cancelled' ? 'order_cancelled' : 'order_status',
+  title: order.status === 'cancelled' ? 'Order cancelled' : 'Order update',
+  message: `Order ${order.orderNumber} is now ${formatStatus(order.status)}.`,
+  data: { orderId: order._id, orderNumber: order.orderNumber, status: order.status }
+});
+
+const notifyPaymentReceived = (order) => notifyMany([order.buyer, order.seller], {
+  type: 'payment_received',
+  title: 'Payment received',
+  message: `Payment of $${order.totals.total.toFixed(2)} for order ${order.orderNumber} was received.`,
+  data: { orderId: order._id, orderNumber: order.orderNumber }
+});
+
+// Says the order was cancelled only when it was; a declined payment can be
+// retried while the order keeps its stock
+const notifyPaymentFailed = (order, reason, cancelled) => notify(order.buyer, {
+  type: 'payment_failed',
+  title: 'Payment failed',
+  message: cancelled
+    ? `Order ${order.orderNumber} was cancelled: ${reason}.`
+    : `The payment for order ${order.orderNumber} failed: ${reason}.`,
+  data: { orderId: order._id, orderNumber: order.orderNumber }
+});
+
+const notifyRefundIssued = (order, amount) => notify(order.buyer, {
+  type: 'refund_issued',
+  title: 'Refund issued',
+  message: `A refund of $${Number(amount).toFixed(2)} for order ${order.orderNumber} has been issued.`,
+  data: { orderId: order._id, orderNumber: order.orderNumber, amount }
+});
+
+const notifyPaymentDisputed = (order, reason) => notify(order.seller, {
+  type: 'payment_disputed',
+  title: 'Payment disputed',
+  message: `The payment for order ${order.orderNumber} was disputed (${reason.replace(/_/g, ' ')}).`,
+  data: { orderId: order._id, orderNumber: order.orderNumber, reason }
+});
+
+const notifyReturnRequested = (request, order) => notify(order.seller, {
+  type: 'return_requested',
+  title: 'Return requested',
+  message: `A return of ${request.items.length} item(s) was requested for order ${order.orderNumber} (${formatStatus(request.reason)}).`,
+  data: { returnRequestId: request._id, orderId: order._id, orderNumber: order.orderNumber }
+});
+
+const notifyReturnUpdated = (request, order) => notify(request.buyer, {
+  type: 'return_updated',
+  title: request.status === 'approved' ? 'Return approved' : 'Return rejected',
+  message: request.status === 'approved'
+    ? `Your return for order ${order.orderNumber} was approved and $${request.refundAmount.toFixed(2)} will be refunded.`
+    : `Your return for order ${order.orderNumber} was rejected.` +
+      (request.decision.note ? ` ${request.decision.note}` : ''),
+  data: { returnRequestId: request._id, orderId: order._id, orderNumber: order.orderNumber, status: request.status }
+});
+
+const notifyNewReview = (product, review, reviewer) => notify(product.seller, {
+  type: 'new_review',
+  title: 'New review',
+  message: `${reviewer.name} rated ${product.name} ${review.rating}/5.`,
+  data: { productId: product._id, reviewId: review._id }
+});
+
+const notifyReviewReply = (product, review) => notify(review.user, {
+  type: 'review_reply',
+  title: 'The seller replied to your review',
+  message: `The seller of ${product.name} replied: ${preview(review.sellerReply.text)}`,
+  data: { productId: product._id, reviewId: review._id }
+});
+
+const notifyNewQuestion = (question, product, asker) => notify(product.seller, {
+  type: 'new_question',
+  title: 'New question',
+  message: `${asker.name} asked about ${product.name}: ${preview(question.question)}`,
+  data: { productId: product._id, questionId: question._id }
+});
+
+const notifyQuestionAnswered = (question, product, answer) => notify(question.asker, {
+  type: 'question_answered',
+  title: answer.isOfficial ? 'The seller answered your question' : 'New answer to your question',
+  message: `Your question about ${product.name} has a new answer.`,
+  data: { productId: product._id, questionId: question._id, answerId: answer._id },
+  collapseKey: `question_${question._id}`
+});
+
+const notifyNewFollower = (seller, follower) => notify(seller, {
+  type: 'new_follower',
+  title: 'New follower',
+  message: `${follower.name} started following your shop.`,
+  data: { userId: follower._id },
+  collapseKey: `follow_${follower._id}`
+});
+
+// Notify chat participants who aren't currently viewing the chat
+const notifyNewMessage = async (chat, sender, content) => {
+  const io = getIO();
+  const viewers = new Set();
+
+  if (io) {
+    try {
+      const sockets = await io.in(`chat_${chat._id}`).fetchSockets();
+      sockets.forEach(socket => viewers.add(socket.data.userId));
+    } catch (error) {
+      console.error('Failed to look up chat viewers:', error);
+    }
+  }
+
+  const recipients = chat.participants
+    .map(participant => participant.user.toString())
+    .filter(userId => userId !== sender._id.toString() && !viewers.has(userId));
+
+  return notifyMany(recipients, {
+    type: 'new_message',
+    title: `New message from ${sender.name}`,
+    message: content.length > 100 ? `${content.slice(0, 97)}...` : content,
+    data: { chatId: chat._id, senderId: sender._id },
+    collapseKey: `chat_${chat._id}`
+  });
+};
+
+module.exports = {
+  notify,
+  notifyMany,
+  notifyOrderPlaced,
+  notifyOrderStatus,
+  notifyPaymentReceived,
+  notifyPaymentFailed,
+  notifyRefundIssued,
+  notifyPaymentDisputed,
+  notifyReturnRequested,
+  notifyReturnUpdated,
+  notifyNewReview,
+  notifyReviewReply,
+  notifyNewQuestion,
+  notifyQuestionAnswered,
+  notifyNewFollower,
+  notifyNewMessage
+};
@@ -0,0 +1,49 @@
+const { releaseOrderReservations, commitOrderReservations } = require('./inventory');
+const { notifyOrderStatus } = require('./notifications');
+const { recordOrderSale } = require('./ledger');
+const { releaseOrderSlot } = require('./timeSlots');
+const { releaseOrderPromotions } = require('./promotions');
+
+class OrderStatusError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Move an order to a new status on behalf of its seller or an admin. Used by
+// the REST endpoint and the order_update socket event.
+const changeOrderStatus = async (order, status, user, note) => {
+  if (order.seller.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw new OrderStatusError('Not authorized to update this order', 403);
+  }
+
+  if (!order.canTransitionTo(status)) {
+    throw new OrderStatusError(`Cannot change status from ${order.status} to ${status}`);
+  }
+
+  await order.updateStatus(status, user._id, note);
+
+  // Delivered orders take their reserved stock for good; cancelled ones give
+  // it back along with their time slot and promotion redemptions
+  if (status === 'delivered') {
+    await commitOrderReservations(order._id);
+
+    // A sale that fails to record here is recorded by recordPendingSales later
+    await recordOrderSale(order).catch(error => console.error('Error recording sale in ledger:', error));
+  } else if (status === 'cancelled') {
+    await releaseOrderReservations(order._id, 'order_cancelled');
+    await releaseOrderSlot(order);
+    await releaseOrderPromotions(order);
+  }
+
+  notifyOrderStatus(order, order.buyer);
+
+  return order;
+};
+
+module.exports = {
+  OrderStatusError,
+  changeOrderStatus
+};
@@ -0,0 +1,76 @@
+const Chat = require('../models/Chat');
+const { getIO } = require('./realtime');
+
+// Room for live updates about one order
+const orderRoom = (orderId) => `order_${orderId}`;
+
+const idOf = (value) => (value._id || value).toString();
+
+// Buyer, seller, the assigned courier and admins can follow an order
+const canAccessOrder = (order, user) => (
+  user.role === 'admin' ||
+  idOf(order.buyer) === user._id.toString() ||
+  idOf(order.seller) === user._id.toString() ||
+  (!!order.delivery.courier && idOf(order.delivery.courier) === user._id.toString())
+);
+
+// Find the buyer/seller chat for an order, creating it on first use
+const findOrCreateOrderChat = (order) => {
+  const buyerId = idOf(order.buyer);
+  const sellerId = idOf(order.seller);
+
+  return Chat.findOneAndUpdate(
+    { type: 'order_related', relatedOrder: order._id },
+    {
+      $setOnInsert: {
+        participants: [{ user: buyerId }, { user: sellerId }],
+        participantIds: [buyerId, sellerId].sort()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Broadcast an order's latest status change to its room and post it to the
+// order chat. Never throws: a failed broadcast must not fail the update.
+const publishOrderUpdate = async (order) => {
+  try {
+    const entry = order.statusHistory[order.statusHistory.length - 1];
+    const io = getIO();
+
+    if (io) {
+      io.to(orderRoom(order._id)).emit('order_updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        historyEntry: entry
+      });
+    }
+
+    const chat = await findOrCreateOrderChat(order);
+    const content = `Order ${order.orderNumber} is now ${formatStatus(order.status)}.` +
+      (entry.note ? ` Note: ${entry.note}` : '');
+
+    // Posted on behalf of whoever made the change (the seller for system updates)
+    const message = await chat.addMessage(entry.updatedBy || idOf(order.seller), content, 'order_update');
+
+    if (io && !message.$locals.isDuplicate) {
+      await message.populate('sender', 'name avatar');
+      io.to(`chat_${chat._id}`).emit('new_message', {
+        chatId: chat._id,
+        message
+      });
+    }
+  } catch (error) {
+    console.error('Error publishing order update:', error);
+  }
+};
+
+module.exports = {
+  orderRoom,
+  canAccessOrder,
+  findOrCreateOrderChat,
+  publishOrderUpdate
+};
@@ -0,0 +1,78 @@
+const createStripeProvider = require('./stripe');
+const createRazorpayProvider = require('./razorpay');
+const createMockProvider = require('./mock');
+
+// Online payment providers. Each adapter implements:
+//   id, name, description
+//   isConfigured()                         -> whether its credentials are set
+//   createIntent({ amount, receipt, metadata })
+//                                          -> { payment, client }: fields to store
+//                                             on Order.payment, data for the client
+//   confirm(body)                          -> { succeeded, message, query, payment }:
+//                                             the Order.payment query finding the
+//                                             paid orders and fields to store
+//   refund({ payment, amount, reason, orderId }) -> { refundId }
+//   parseWebhook(rawBody, headers)         -> verified event { id, type, data }
+const factories = {
+  stripe: createStripeProvider,
+  razorpay: createRazorpayProvider,
+  mock: createMockProvider
+};
+
+// Payment methods that don't go through a provider
+const OFFLINE_PAYMENT_METHODS = ['cash_on_delivery'];
+
+// Ids the models accept for a provider and for a payment method
+const PAYMENT_PROVIDER_IDS = Object.keys(factories);
+const PAYMENT_METHODS = [...PAYMENT_PROVIDER_IDS, ...OFFLINE_PAYMENT_METHODS];
+
+const providers = {};
+
+class PaymentProviderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Adapters are created on first use, so clients aren't built at startup
+const loadProvider = (id) => {
+  if (!providers[id]) {
+    providers[id] = factories[id]();
+  }
+  return providers[id];
+};
+
+// Get a configured provider by id
+const getProvider = (id) => {
+  if (!Object.prototype.hasOwnProperty.call(factories, id)) {
+    throw new PaymentProviderError(`Unknown payment provider: ${id}`, 404);
+  }
+
+  const provider = loadProvider(id);
+  if (!provider.isConfigured()) {
+    throw new PaymentProviderError(`Payment provider ${id} is not available`, 404);
+  }
+  return provider;
+};
+
+const getConfiguredProviders = () => Object.keys(factories)
+  .map(loadProvider)
+  .filter(provider => provider.isConfigured());
+
+// Whether buyers can currently pay with a method
+const isPaymentMethodEnabled = (method) => (
+  OFFLINE_PAYMENT_METHODS.includes(method) ||
+  getConfiguredProviders().some(provider => provider.id === method)
+);
+
+module.exports = {
+  PaymentProviderError,
+  OFFLINE_PAYMENT_METHODS,
+  PAYMENT_PROVIDER_IDS,
+  PAYMENT_METHODS,
+  getProvider,
+  getConfiguredProviders,
+  isPaymentMethodEnabled
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Offline gateway for development and tests, enabled with
+// MOCK_PAYMENTS_ENABLED=true (never in production). Payments succeed on
+// confirm unless the client sends outcome: 'failed'. Webhook events use the
+// same event types and shapes as Stripe.
+const createMockProvider = () => ({
+  id: 'mock',
+  name: 'Test Payment',
+  description: 'Simulated payment for development and testing',
+
+  isConfigured: () => process.env.NODE_ENV !== 'production' && process.env.MOCK_PAYMENTS_ENABLED === 'true',
+
+  createIntent: async ({ amount }) => {
+    const paymentIntentId = randomId('mock_pi');
+
+    return {
+      payment: { paymentIntentId },
+      client: {
+        paymentIntentId,
+        clientSecret: `${paymentIntentId}_secret`,
+        amount
+      }
+    };
+  },
+
+  confirm: async ({ paymentIntentId, outcome = 'succeeded' }) => ({
+    succeeded: outcome === 'succeeded',
+    message: 'Simulated payment failure',
+    query: { 'payment.paymentIntentId': paymentIntentId },
+    payment: { transactionId: paymentIntentId }
+  }),
+
+  refund: async () => ({ refundId: randomId('mock_re') }),
+
+  // Events are signed with MOCK_WEBHOOK_SECRET; unsigned events are rejected
+  parseWebhook: (rawBody, headers) => {
+    const secret = process.env.MOCK_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('MOCK_WEBHOOK_SECRET is not set');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const signature = headers['x-mock-signature'] || '';
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+});
+
+module.exports = createMockProvider;
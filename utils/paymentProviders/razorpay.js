@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+const hmacSha256 = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeEqual = (a, b) => (
+  typeof a === 'string' &&
+  typeof b === 'string' &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+);
+
+// Razorpay (UPI, net banking, cards). The Razorpay order id is stored as the
+// transaction id and the captured payment id as the payment intent id.
+const createRazorpayProvider = () => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET
+      });
+    }
+    return client;
+  };
+
+  return {
+    id: 'razorpay',
+    name: 'Razorpay',
+    description: 'Pay with UPI, Net Banking, or Cards',
+
+    isConfigured: () => !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+
+    createIntent: async ({ amount, receipt, metadata }) => {
+      const razorpayOrder = await getClient().orders.create({
+        amount: Math.round(amount * 100), // Amount in paise
+        currency: 'INR',
+        receipt,
+        notes: metadata
+      });
+
+      return {
+        payment: { transactionId: razorpayOrder.id },
+        client: {
+          razorpayOrderId: razorpayOrder.id,
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency
+        }
+      };
+    },
+
+    confirm: async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+      const expected = hmacSha256(process.env.RAZORPAY_KEY_SECRET, `${razorpay_order_id}|${razorpay_payment_id}`);
+
+      return {
+        succeeded: safeEqual(expected, razorpay_signature),
+        message: 'Invalid payment signature',
+        query: { 'payment.transactionId': razorpay_order_id },
+        payment: { paymentIntentId: razorpay_payment_id }
+      };
+    },
+
+    refund: async ({ payment, amount, reason, orderId }) => {
+      const refund = await getClient().payments.refund(payment.paymentIntentId, {
+        amount: Math.round(amount * 100),
+        notes: {
+          reason,
+          orderId: orderId.toString()
+        }
+      });
+
+      return { refundId: refund.id };
+    },
+
+    parseWebhook: (rawBody, headers) => {
+      if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        throw new Error('RAZORPAY_WEBHOOK_SECRET is not set');
+      }
+
+      const expected = hmacSha256(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody);
+      if (!safeEqual(expected, headers['x-razorpay-signature'])) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const event = JSON.parse(rawBody.toString());
+      return {
+        id: headers['x-razorpay-event-id'] || `${event.event}_${event.created_at}`,
+        type: event.event,
+        data: { object: event.payload }
+      };
+    }
+  };
+};
+
+module.exports = createRazorpayProvider;
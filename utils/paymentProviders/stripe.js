@@ -0,0 +1,73 @@
+const Stripe = require('stripe');
+
+// Stripe card payments. The client confirms the PaymentIntent with the
+// returned client secret; webhooks report the outcome as well.
+const createStripeProvider = () => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return client;
+  };
+
+  return {
+    id: 'stripe',
+    name: 'Credit/Debit Card',
+    description: 'Pay securely with your credit or debit card',
+
+    isConfigured: () => !!process.env.STRIPE_SECRET_KEY,
+
+    createIntent: async ({ amount, metadata }) => {
+      const paymentIntent = await getClient().paymentIntents.create({
+        amount: Math.round(amount * 100), // Amount in cents
+        currency: 'usd',
+        metadata
+      });
+
+      return {
+        payment: { paymentIntentId: paymentIntent.id },
+        client: {
+          clientSecret: paymentIntent.client_secret,
+          paymentIntentId: paymentIntent.id
+        }
+      };
+    },
+
+    confirm: async ({ paymentIntentId }) => {
+      const paymentIntent = await getClient().paymentIntents.retrieve(paymentIntentId);
+
+      return {
+        succeeded: paymentIntent.status === 'succeeded',
+        query: { 'payment.paymentIntentId': paymentIntent.id },
+        payment: { transactionId: paymentIntent.id }
+      };
+    },
+
+    // Orders paid as part of a checkout group share a payment intent,
+    // so always refund just the given amount
+    refund: async ({ payment, amount }) => {
+      const refund = await getClient().refunds.create({
+        payment_intent: payment.paymentIntentId,
+        amount: Math.round(amount * 100),
+        reason: 'requested_by_customer'
+      });
+
+      return { refundId: refund.id };
+    },
+
+    parseWebhook: (rawBody, headers) => {
+      if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+      }
+
+      return getClient().webhooks.constructEvent(
+        rawBody,
+        headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    }
+  };
+};
+
+module.exports = createStripeProvider;
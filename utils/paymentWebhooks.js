@@ -0,0 +1,163 @@
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const WebhookEvent = require('../models/WebhookEvent');
+const { markOrdersPaid, findPaymentIntentOrders } = require('./payments');
+const { notifyPaymentFailed, notifyRefundIssued, notifyPaymentDisputed } = require('./notifications');
+const { publishOrderUpdate } = require('./orderTracking');
+const { recordOrderRefunds } = require('./ledger');
+
+// Payment events use Stripe's event types and object shapes; the mock
+// provider sends the same events. Other providers' events are logged as
+// unhandled (their payments are confirmed through the confirm endpoint).
+//
+// Handlers only change orders that are not already in the target state, so
+// replaying an event (or receiving it after the client confirmed) is harmless.
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  const { orders, group } = await findPaymentIntentOrders(paymentIntent);
+
+  await markOrdersPaid(orders, group, {
+    transactionId: paymentIntent.id,
+    paymentIntentId: paymentIntent.id
+  }, 'Payment confirmed by payment provider');
+};
+
+// Buyers can retry a declined payment intent, so the failure is only
+// recorded: the orders keep their stock until the reservation sweeper
+// cancels those still unpaid
+const handlePaymentFailed = async (paymentIntent) => {
+  const reason = (paymentIntent.last_payment_error && paymentIntent.last_payment_error.message) ||
+    'payment failed';
+
+  const orders = await Order.find({
+    'payment.paymentIntentId': paymentIntent.id,
+    'payment.status': { $nin: [...Order.PAID_PAYMENT_STATUSES, 'failed'] }
+  });
+
+  for (const order of orders) {
+    const failed = await Order.findOneAndUpdate(
+      { _id: order._id, 'payment.status': { $nin: [...Order.PAID_PAYMENT_STATUSES, 'failed'] } },
+      { $set: { 'payment.status': 'failed', 'payment.failureReason': reason } },
+      { new: true }
+    );
+
+    if (failed) {
+      notifyPaymentFailed(failed, reason, false);
+    }
+  }
+
+  await CheckoutGroup.updateMany(
+    { 'payment.paymentIntentId': paymentIntent.id, 'payment.status': { $nin: ['completed', 'refunded'] } },
+    { $set: { 'payment.status': 'failed' } }
+  );
+};
+
+// Fully refunded charges (e.g. refunded from the provider's dashboard). Partial
+// refunds are recorded by the refund endpoint that creates them.
+const handleChargeRefunded = async (charge) => {
+  if (!charge.refunded) {
+    return;
+  }
+
+  const orders = await Order.find({
+    'payment.paymentIntentId': charge.payment_intent,
+    'payment.status': { $in: ['completed', 'partially_refunded'] }
+  });
+
+  const latestRefund = charge.refunds && charge.refunds.data && charge.refunds.data[0];
+
+  for (const order of orders) {
+    const amount = order.getRefundableAmount();
+    const refundedAt = new Date();
+    const reason = 'Refunded with the payment provider';
+
+    order.payment.refunds.push({
+      refundId: latestRefund ? latestRefund.id : undefined,
+      amount,
+      reason,
+      refundedAt
+    });
+    order.payment.refundedAmount = order.totals.total;
+    order.payment.status = 'refunded';
+    order.payment.refundedAt = refundedAt;
+    order.payment.refundId = latestRefund ? latestRefund.id : order.payment.refundId;
+    order.payment.refundReason = reason;
+    order.status = 'refunded';
+
+    order.statusHistory.push({
+      status: 'refunded',
+      timestamp: refundedAt,
+      note: 'Refunded: charge refunded with the payment provider'
+    });
+
+    await order.save();
+    await publishOrderUpdate(order);
+    await recordOrderRefunds(order).catch(error => console.error('Error recording refund in ledger:', error));
+
+    notifyRefundIssued(order, amount);
+  }
+};
+
+const handleDisputeCreated = async (dispute) => {
+  const orders = await Order.find({
+    'payment.paymentIntentId': dispute.payment_intent,
+    'payment.dispute.id': { $ne: dispute.id }
+  });
+
+  for (const order of orders) {
+    order.payment.dispute = {
+      id: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+      amount: dispute.amount / 100,
+      openedAt: new Date(dispute.created * 1000)
+    };
+
+    // Recorded in the history without changing the order status
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Payment disputed: ${dispute.reason}`
+    });
+
+    await order.save();
+
+    notifyPaymentDisputed(order, dispute.reason);
+  }
+};
+
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated
+};
+
+// Process a verified provider event once. Failures are logged on the event
+// and rethrown so the webhook responds with an error and the provider retries.
+const processPaymentEvent = async (providerId, event) => {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    return { handled: false };
+  }
+
+  const log = await WebhookEvent.claim(providerId, event);
+  if (!log) {
+    return { handled: true, duplicate: true };
+  }
+
+  try {
+    await handler(event.data.object);
+  } catch (error) {
+    await log.finish(error);
+    throw error;
+  }
+
+  await log.finish();
+  return { handled: true };
+};
+
+module.exports = {
+  PAYMENT_WEBHOOK_EVENTS: Object.keys(EVENT_HANDLERS),
+  processPaymentEvent
+};
@@ -0,0 +1,182 @@
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const { roundCurrency } = require('./pricing');
+const { clearReservationExpiry } = require('./inventory');
+const { notifyPaymentReceived, notifyRefundIssued } = require('./notifications');
+const { publishOrderUpdate } = require('./orderTracking');
+const { recordOrderRefunds } = require('./ledger');
+const {
+  PaymentProviderError,
+  OFFLINE_PAYMENT_METHODS,
+  getProvider
+} = require('./paymentProviders');
+
+// Update of Order.payment recording a received payment
+const paidFields = (details, paidAt) => Object.fromEntries(
+  Object.entries({ ...details, status: 'completed', paidAt }).map(([key, value]) => [`payment.${key}`, value])
+);
+
+// Refund a payment received for an order that was cancelled in the meantime
+// (e.g. the buyer retried a declined payment after the order was swept). If
+// the refund fails the order is flagged for an admin to refund by hand.
+const refundLatePayment = async (order) => {
+  try {
+    await refundOrder(order, {
+      amount: order.getRefundableAmount(),
+      reason: 'Payment received after the order was cancelled'
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error refunding the late payment of order ${order.orderNumber}:`, error);
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          'payment.needsReview': true,
+          'payment.reviewReason': `Paid after cancellation and the automatic refund failed: ${error.message}`
+        }
+      }
+    );
+    return false;
+  }
+};
+
+// Mark orders (and their checkout group) as paid and confirm pending orders.
+// Each order is claimed with a conditional update, so a payment confirmed by
+// both the client and a webhook is only applied once, and an order cancelled
+// in the meantime is refunded instead of being marked paid.
+const markOrdersPaid = async (orders, group, details, note) => {
+  let kept = 0;
+
+  for (const order of orders) {
+    const paidAt = new Date();
+
+    const paid = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $ne: 'cancelled' }, 'payment.status': { $nin: Order.PAID_PAYMENT_STATUSES } },
+      { $set: paidFields(details, paidAt) },
+      { new: true }
+    );
+
+    if (!paid) {
+      const late = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'cancelled', 'payment.status': { $nin: Order.PAID_PAYMENT_STATUSES } },
+        { $set: paidFields(details, paidAt) },
+        { new: true }
+      );
+
+      if (late) {
+        await refundLatePayment(late);
+      } else {
+        kept += 1;
+      }
+      continue;
+    }
+
+    kept += 1;
+
+    // Paid orders keep their stock until delivery
+    await clearReservationExpiry(paid._id);
+
+    const confirmed = await Order.findOneAndUpdate(
+      { _id: paid._id, status: 'pending' },
+      {
+        $set: { status: 'confirmed' },
+        $push: { statusHistory: { status: 'confirmed', timestamp: paidAt, note, updatedBy: paid.buyer } }
+      },
+      { new: true }
+    );
+
+    if (confirmed) {
+      await publishOrderUpdate(confirmed);
+    }
+
+    notifyPaymentReceived(confirmed || paid);
+  }
+
+  // A group whose orders were all cancelled has had its payment refunded
+  if (group && !Order.PAID_PAYMENT_STATUSES.includes(group.payment.status)) {
+    Object.assign(group.payment, details, {
+      status: kept > 0 || orders.length === 0 ? 'completed' : 'refunded',
+      paidAt: new Date()
+    });
+    await group.save();
+  }
+};
+
+// Find the orders (and checkout group) a Stripe payment intent pays for
+const findPaymentIntentOrders = async (paymentIntent) => {
+  const { orderId, checkoutGroupId } = paymentIntent.metadata || {};
+
+  if (checkoutGroupId) {
+    return {
+      group: await CheckoutGroup.findById(checkoutGroupId),
+      orders: await Order.find({ checkoutGroup: checkoutGroupId })
+    };
+  }
+
+  if (orderId) {
+    return { group: null, orders: await Order.find({ _id: orderId }) };
+  }
+
+  return {
+    group: await CheckoutGroup.findOne({ 'payment.paymentIntentId': paymentIntent.id }),
+    orders: await Order.find({ 'payment.paymentIntentId': paymentIntent.id })
+  };
+};
+
+// Refund some or all of what is left of an order's payment through its
+// provider (cash on delivery is refunded outside the platform) and record it.
+// The order becomes refunded once nothing is left.
+const refundOrder = async (order, { amount, reason, refundedBy, returnRequest }) => {
+  const refundAmount = roundCurrency(Math.min(amount, order.getRefundableAmount()));
+  if (refundAmount <= 0) {
+    throw new PaymentProviderError('Nothing left to refund for this order');
+  }
+
+  let refundId;
+  if (!OFFLINE_PAYMENT_METHODS.includes(order.payment.method)) {
+    const provider = getProvider(order.payment.method);
+    ({ refundId } = await provider.refund({
+      payment: order.payment,
+      amount: refundAmount,
+      reason,
+      orderId: order._id
+    }));
+  }
+
+  const refundedAt = new Date();
+  order.payment.refunds.push({ refundId, amount: refundAmount, reason, returnRequest, refundedBy, refundedAt });
+  order.payment.refundedAmount = roundCurrency((order.payment.refundedAmount || 0) + refundAmount);
+  order.payment.refundId = refundId;
+  order.payment.refundedAt = refundedAt;
+  order.payment.refundReason = reason;
+
+  const fullyRefunded = order.getRefundableAmount() <= 0;
+  order.payment.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  if (fullyRefunded) {
+    order.status = 'refunded';
+  }
+
+  order.statusHistory.push({
+    status: order.status,
+    timestamp: refundedAt,
+    note: fullyRefunded
+      ? `Refunded: ${reason}`
+      : `Partially refunded $${refundAmount.toFixed(2)}: ${reason}`,
+    updatedBy: refundedBy
+  });
+
+  await order.save();
+  await publishOrderUpdate(order);
+  await recordOrderRefunds(order).catch(error => console.error('Error recording refund in ledger:', error));
+
+  notifyRefundIssued(order, refundAmount);
+
+  return { refundId, amount: refundAmount, fullyRefunded };
+};
+
+module.exports = {
+  markOrdersPaid,
+  refundOrder,
+  findPaymentIntentOrders
+};
@@ -0,0 +1,220 @@
+const os = require('os');
+
+// How often a Redis-backed instance renews its heartbeat. An instance whose
+// heartbeat is missed for three intervals is treated as gone and the sockets
+// it held are cleared by the others.
+const HEARTBEAT_SECONDS = Number(process.env.PRESENCE_HEARTBEAT_SECONDS) || 10;
+
+// Presence tracks every connected socket per user, so a user stays online
+// until their last tab/device disconnects. Stores share one async interface:
+//   addSocket(userId, socketId)    -> number of sockets the user now has
+//   removeSocket(userId, socketId) -> number of sockets the user has left
+//   isOnline(userId)               -> boolean
+//   filterOnline(userIds)          -> the ids that are online
+//   countOnlineUsers()             -> number of online users
+//   reset()                        -> forget sockets held by this instance
+//   start() / stop()               -> run / stop background upkeep
+
+// Single-process store (the default)
+const createMemoryPresenceStore = () => {
+  const socketsByUser = new Map();
+
+  return {
+    async addSocket(userId, socketId) {
+      userId = userId.toString();
+      if (!socketsByUser.has(userId)) {
+        socketsByUser.set(userId, new Set());
+      }
+      const sockets = socketsByUser.get(userId);
+      sockets.add(socketId);
+      return sockets.size;
+    },
+
+    async removeSocket(userId, socketId) {
+      userId = userId.toString();
+      const sockets = socketsByUser.get(userId);
+      if (!sockets) {
+        return 0;
+      }
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        socketsByUser.delete(userId);
+      }
+      return sockets.size;
+    },
+
+    async isOnline(userId) {
+      return socketsByUser.has(userId.toString());
+    },
+
+    async filterOnline(userIds) {
+      return userIds.filter(userId => socketsByUser.has(userId.toString()));
+    },
+
+    async countOnlineUsers() {
+      return socketsByUser.size;
+    },
+
+    async reset() {
+      socketsByUser.clear();
+    },
+
+    async start() {},
+
+    stop() {}
+  };
+};
+
+// Lua scripts so each socket change is applied atomically.
+// KEYS: user's sockets, online users, instance's sockets
+// ARGV: socket id, user id, instance entry
+const ADD_SOCKET_SCRIPT = `
+redis.call('SADD', KEYS[1], ARGV[1])
+redis.call('SADD', KEYS[2], ARGV[2])
+redis.call('SADD', KEYS[3], ARGV[3])
+return redis.call('SCARD', KEYS[1])
+`;
+
+const REMOVE_SOCKET_SCRIPT = `
+redis.call('SREM', KEYS[1], ARGV[1])
+redis.call('SREM', KEYS[3], ARGV[3])
+local remaining = redis.call('SCARD', KEYS[1])
+if remaining == 0 then
+  redis.call('SREM', KEYS[2], ARGV[2])
+end
+return remaining
+`;
+
+// Store shared by all server instances, backed by Redis sets. `command` sends
+// one Redis command and resolves with its reply, e.g.
+//   (...args) => client.sendCommand(args)                  (node-redis)
+//   (name, ...args) => client[name.toLowerCase()](...args) (ioredis, ioredis-mock)
+// so any client, or the in-memory ioredis-mock used by the tests, can be
+// plugged in. Each instance keeps a heartbeat key with a TTL; the sockets of
+// an instance that stops renewing it (a crash) are cleared by the others.
+const createRedisPresenceStore = (command, {
+  keyPrefix = 'presence',
+  instanceId = process.env.INSTANCE_ID || os.hostname(),
+  heartbeatSeconds = HEARTBEAT_SECONDS
+} = {}) => {
+  const userKey = (userId) => `${keyPrefix}:user:${userId}`;
+  const onlineKey = `${keyPrefix}:online`;
+  const instancesKey = `${keyPrefix}:instances`;
+  // Sockets owned by an instance, and its heartbeat
+  const socketsKey = (id) => `${keyPrefix}:instance:${id}`;
+  const aliveKey = (id) => `${keyPrefix}:instance:${id}:alive`;
+  let timer = null;
+
+  const updateSocket = async (script, id, userId, socketId) => Number(await command(
+    'EVAL', script, 3,
+    userKey(userId), onlineKey, socketsKey(id),
+    socketId, userId, `${userId}:${socketId}`
+  ));
+
+  // Remove every socket an instance held
+  const clearInstance = async (id) => {
+    const entries = await command('SMEMBERS', socketsKey(id)) || [];
+    for (const entry of entries) {
+      const separator = entry.indexOf(':');
+      await updateSocket(REMOVE_SOCKET_SCRIPT, id, entry.slice(0, separator), entry.slice(separator + 1));
+    }
+    await command('DEL', socketsKey(id));
+  };
+
+  return {
+    async addSocket(userId, socketId) {
+      return updateSocket(ADD_SOCKET_SCRIPT, instanceId, userId.toString(), socketId);
+    },
+
+    async removeSocket(userId, socketId) {
+      return updateSocket(REMOVE_SOCKET_SCRIPT, instanceId, userId.toString(), socketId);
+    },
+
+    async isOnline(userId) {
+      return Number(await command('SCARD', userKey(userId.toString()))) > 0;
+    },
+
+    async filterOnline(userIds) {
+      const online = await Promise.all(userIds.map(userId => this.isOnline(userId)));
+      return userIds.filter((userId, index) => online[index]);
+    },
+
+    async countOnlineUsers() {
+      return Number(await command('SCARD', onlineKey));
+    },
+
+    async reset() {
+      await clearInstance(instanceId);
+    },
+
+    // Renew this instance's heartbeat and clear instances that missed theirs
+    async heartbeat() {
+      await command('SET', aliveKey(instanceId), '1', 'PX', String(heartbeatSeconds * 3 * 1000));
+      await command('SADD', instancesKey, instanceId);
+
+      const instances = await command('SMEMBERS', instancesKey) || [];
+      for (const id of instances) {
+        if (id === instanceId || Number(await command('EXISTS', aliveKey(id))) > 0) {
+          continue;
+        }
+        // Only the instance that takes it off the list clears it
+        if (Number(await command('SREM', instancesKey, id)) > 0) {
+          await clearInstance(id);
+        }
+      }
+    },
+
+    async start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(() => {
+        this.heartbeat().catch(error => console.error('Presence heartbeat error:', error));
+      }, heartbeatSeconds * 1000);
+      timer.unref();
+      await this.heartbeat();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+// Configure the Socket.IO adapter and presence store. With REDIS_URL set,
+// rooms and broadcasts work across instances through the Redis adapter and
+// presence is shared; otherwise everything stays in this process.
+const configurePresence = async (io) => {
+  let presence;
+
+  if (process.env.REDIS_URL) {
+    // Only loaded when Redis is configured
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', error => console.error('Redis pub client error:', error));
+    subClient.on('error', error => console.error('Redis sub client error:', error));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+
+    presence = createRedisPresenceStore((...args) => pubClient.sendCommand(args.map(String)));
+    console.log('📡 Socket.IO using Redis adapter and shared presence');
+  } else {
+    presence = createMemoryPresenceStore();
+  }
+
+  await presence.reset();
+  await presence.start();
+  return presence;
+};
+
+module.exports = {
+  HEARTBEAT_SECONDS,
+  createMemoryPresenceStore,
+  createRedisPresenceStore,
+  configurePresence
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { distanceMeters } = require('./geo');
+
+// Tax rate applied to the item subtotal (defaults to 8%)
+const TAX_RATE = process.env.TAX_RATE !== undefined ? Number(process.env.TAX_RATE) : 0.08;
+
+// How long a checkout quote stays valid
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES) || 15;
+
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+
+// Round a currency amount to 2 decimal places
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Error raised when a cart cannot be priced (bad product, stock, delivery method)
+class QuoteError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'QuoteError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Hours before an item can be handed over: the lead time of made-to-order
+// items, or the time left until a pre-order is released
+const getReadyInHours = (product, fulfilmentMode, now) => {
+  if (fulfilmentMode === 'made_to_order') {
+    return product.fulfilment.leadTimeDays * 24;
+  }
+  if (fulfilmentMode === 'pre_order') {
+    return Math.ceil((product.fulfilment.releaseDate - now) / (60 * 60 * 1000));
+  }
+  return 0;
+};
+
+// Load the products for the requested items and price them from the database.
+// Client-supplied prices are never read.
+const priceItems = async (items, deliveryMethod, now = new Date()) => {
+  if (!items || items.length === 0) {
+    throw new QuoteError('Order items are required');
+  }
+
+  const pricedItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      throw new QuoteError(`Product not found: ${item.product}`, 404);
+    }
+
+    // Products with variants are priced and stocked per variant
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.getVariant(item.variant);
+
+      if (!variant) {
+        throw new QuoteError(`Please choose an option for: ${product.name}`);
+      }
+    }
+
+    const label = variant ? `${product.name} (${variant.sku})` : product.name;
+
+    // Made-to-order products are made after ordering, so need no stock
+    const fulfilmentMode = product.getFulfilmentMode(now);
+    const madeToOrder = fulfilmentMode === 'made_to_order';
+
+    if (!product.isActive || (variant ? !variant.isActive : !madeToOrder && !product.availability.inStock)) {
+      throw new QuoteError(`Product is not available: ${label}`);
+    }
+
+    // Stock held by other buyers' unpaid orders is not available
+    const stock = variant || product.availability;
+    const available = stock.quantity - stock.reservedQuantity;
+    if (!madeToOrder && available < item.quantity) {
+      throw new QuoteError(
+        `Insufficient stock for: ${label}. Available: ${Math.max(available, 0)}, Requested: ${item.quantity}`
+      );
+    }
+
+    if (deliveryMethod === 'delivery' && !product.delivery.available) {
+      throw new QuoteError(`Delivery is not available for: ${product.name}`);
+    }
+
+    if (deliveryMethod === 'pickup' && !product.pickup.available) {
+      throw new QuoteError(`Pickup is not available for: ${product.name}`);
+    }
+
+    pricedItems.push({
+      product: product._id.toString(),
+      variant: variant ? variant._id.toString() : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantOptions: variant ? Object.fromEntries(variant.options) : undefined,
+      name: product.name,
+      seller: product.seller.toString(),
+      category: product.category,
+      quantity: Number(item.quantity),
+      price: variant ? variant.price : product.price,
+      deliveryFee: product.delivery.fee || 0,
+      deliveryRadius: product.delivery.radius,
+      location: product.location,
+      pickup: product.pickup.available ? product.pickup.location : undefined,
+      fulfilmentMode,
+      readyInHours: getReadyInHours(product, fulfilmentMode, now),
+      deliveryTime: {
+        min: product.delivery.estimatedTime?.min || 0,
+        max: product.delivery.estimatedTime?.max || 0
+      },
+      customizations: item.customizations
+    });
+  }
+
+  return pricedItems;
+};
+
+// Split promotion discounts into the part taken off the items (which
+// lowers the tax) and the part taken off the delivery fee
+const sumDiscounts = (promotions, subtotal, deliveryFee) => {
+  const sum = (appliesTo) => roundCurrency(promotions
+    .filter(discount => discount.appliesTo === appliesTo)
+    .reduce((total, discount) => total + discount.amount, 0));
+
+  return {
+    items: Math.min(sum('items'), subtotal),
+    delivery: Math.min(sum('delivery'), deliveryFee)
+  };
+};
+
+// Distance in km, rounded to 0.1 km for display
+const toKilometers = (meters) => Math.round(meters / 100) / 10;
+
+const formatAddress = (address = {}) => (
+  [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ')
+);
+
+const hasFeeSchedule = (schedule) => (
+  !!schedule && (schedule.baseFee != null || schedule.perKm != null)
+);
+
+// Work out one seller's delivery to the buyer. Every product has to be within
+// its delivery radius of the address; otherwise the quote is rejected with the
+// nearest place the buyer could pick the order up instead. The fee follows the
+// seller's fee schedule, or the highest flat product fee without one.
+const quoteDelivery = (pricedItems, coordinates, feeSchedule) => {
+  const distances = pricedItems.map(item => distanceMeters(item.location.coordinates, coordinates));
+
+  const outOfRange = pricedItems.find((item, index) => distances[index] > item.deliveryRadius * 1000);
+  if (outOfRange) {
+    const distanceKm = toKilometers(distances[pricedItems.indexOf(outOfRange)]);
+
+    const [nearestPickup] = pricedItems
+      .map((item, index) => ({ item, distance: distances[index] }))
+      .filter(option => option.item.pickup)
+      .sort((a, b) => a.distance - b.distance);
+
+    const pickupAlternative = nearestPickup ? {
+      product: nearestPickup.item.product,
+      name: nearestPickup.item.name,
+      address: nearestPickup.item.pickup.address || formatAddress(nearestPickup.item.location.address),
+      instructions: nearestPickup.item.pickup.instructions,
+      coordinates: nearestPickup.item.location.coordinates,
+      distanceKm: toKilometers(nearestPickup.distance)
+    } : null;
+
+    let message = `${outOfRange.name} cannot be delivered to this address: ` +
+      `it is ${distanceKm} km away and is only delivered within ${outOfRange.deliveryRadius} km.`;
+    message += pickupAlternative
+      ? ` You can pick it up at ${pickupAlternative.address || 'the seller\'s location'} (${pickupAlternative.distanceKm} km away) instead.`
+      : ' Pickup is not available from this seller.';
+
+    throw new QuoteError(message, 400, {
+      product: outOfRange.product,
+      distanceKm,
+      radiusKm: outOfRange.deliveryRadius,
+      pickupAlternative
+    });
+  }
+
+  // One delivery per order, so the fee is for the farthest product
+  const distance = Math.max(...distances) / 1000;
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  let fee;
+  if (!hasFeeSchedule(feeSchedule)) {
+    fee = Math.max(0, ...pricedItems.map(item => item.deliveryFee));
+  } else if (feeSchedule.freeAbove != null && subtotal >= feeSchedule.freeAbove) {
+    fee = 0;
+  } else {
+    fee = roundCurrency((feeSchedule.baseFee || 0) + (feeSchedule.perKm || 0) * distance);
+  }
+
+  return {
+    distanceKm: toKilometers(distance * 1000),
+    fee
+  };
+};
+
+// Estimated hours until an order reaches the buyer (or is ready for pickup):
+// the longest any item takes to be made or released, plus the slowest delivery
+const estimateDeliveryTime = (pricedItems, deliveryMethod) => {
+  const readyIn = Math.max(0, ...pricedItems.map(item => item.readyInHours));
+  const travelTime = (bound) => (deliveryMethod === 'delivery'
+    ? Math.max(0, ...pricedItems.map(item => item.deliveryTime[bound]))
+    : 0);
+
+  return {
+    min: readyIn + travelTime('min'),
+    max: readyIn + travelTime('max')
+  };
+};
+
+// Compute totals for a set of priced items. One delivery is made per order,
+// so the delivery fee is worked out once per seller (see quoteDelivery).
+const calculateQuoteTotals = (pricedItems, deliveryFee, promotions = []) => {
+  const subtotal = roundCurrency(
+    pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  const discounts = sumDiscounts(promotions, subtotal, deliveryFee);
+  const discount = roundCurrency(discounts.items + discounts.delivery);
+  const tax = roundCurrency((subtotal - discounts.items) * TAX_RATE);
+
+  return {
+    subtotal,
+    discount,
+    deliveryFee,
+    tax,
+    total: roundCurrency(subtotal - discount + deliveryFee + tax)
+  };
+};
+
+// Group priced items by seller. Each seller fulfils (and is paid for) its own order.
+const groupBySeller = (pricedItems) => {
+  const groups = new Map();
+
+  for (const item of pricedItems) {
+    if (!groups.has(item.seller)) {
+      groups.set(item.seller, []);
+    }
+    groups.get(item.seller).push(item);
+  }
+
+  return Array.from(groups.entries()).map(([seller, items]) => ({ seller, items }));
+};
+
+// Sum the totals of several seller groups
+const sumTotals = (totalsList) => {
+  return totalsList.reduce((sum, totals) => ({
+    subtotal: roundCurrency(sum.subtotal + totals.subtotal),
+    discount: roundCurrency(sum.discount + totals.discount),
+    deliveryFee: roundCurrency(sum.deliveryFee + totals.deliveryFee),
+    tax: roundCurrency(sum.tax + totals.tax),
+    total: roundCurrency(sum.total + totals.total)
+  }), { subtotal: 0, discount: 0, deliveryFee: 0, tax: 0, total: 0 });
+};
+
+// Build a signed checkout quote for a buyer. Items are split into one group
+// per seller; each group becomes its own order at checkout. Delivery fees and
+// promotions are worked out here and signed into the quote with the prices,
+// along with the delivery coordinates they were worked out for.
+const buildQuote = async ({ buyerId, items, deliveryMethod, deliveryCoordinates, fromCart = false, couponCode }) => {
+  // Required here: promotions use the Order model, which requires this module
+  const { applyPromotions } = require('./promotions');
+
+  const pricedItems = await priceItems(items, deliveryMethod);
+  const sellerGroups = groupBySeller(pricedItems);
+
+  let deliveries = sellerGroups.map(() => ({ distanceKm: undefined, fee: 0 }));
+  if (deliveryMethod === 'delivery') {
+    const sellers = await User.find({ _id: { $in: sellerGroups.map(group => group.seller) } })
+      .select('businessInfo.deliveryFees');
+    const feeSchedules = new Map(sellers.map(seller => [
+      seller._id.toString(),
+      seller.businessInfo && seller.businessInfo.deliveryFees
+    ]));
+
+    deliveries = sellerGroups.map(group => quoteDelivery(
+      group.items,
+      deliveryCoordinates,
+      feeSchedules.get(group.seller)
+    ));
+  }
+
+  const groups = sellerGroups.map((group, index) => ({
+    seller: group.seller,
+    items: group.items,
+    deliveryDistanceKm: deliveries[index].distanceKm,
+    estimatedTime: estimateDeliveryTime(group.items, deliveryMethod),
+    totals: calculateQuoteTotals(group.items, deliveries[index].fee)
+  }));
+
+  const groupPromotions = await applyPromotions({ buyerId, groups, deliveryMethod, couponCode });
+
+  const quotedGroups = groups.map((group, index) => ({
+    ...group,
+    promotions: groupPromotions[index],
+    totals: calculateQuoteTotals(group.items, group.totals.deliveryFee, groupPromotions[index])
+  }));
+
+  const totals = sumTotals(quotedGroups.map(group => group.totals));
+
+  const payload = {
+    type: 'checkout_quote',
+    buyer: buyerId.toString(),
+    deliveryMethod,
+    deliveryCoordinates: deliveryMethod === 'delivery' ? deliveryCoordinates : undefined,
+    fromCart,
+    groups: quotedGroups.map(group => ({
+      seller: group.seller,
+      items: group.items.map(item => ({
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        variantOptions: item.variantOptions,
+        quantity: item.quantity,
+        price: item.price,
+        fulfilmentMode: item.fulfilmentMode,
+        customizations: item.customizations
+      })),
+      deliveryDistanceKm: group.deliveryDistanceKm,
+      estimatedTime: group.estimatedTime,
+      promotions: group.promotions,
+      totals: group.totals
+    })),
+    totals
+  };
+
+  // The quote id (jti) is claimed by the checkout group, so a quote is used once
+  const token = jwt.sign(payload, getQuoteSecret(), {
+    expiresIn: `${QUOTE_TTL_MINUTES}m`,
+    jwtid: crypto.randomUUID()
+  });
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    deliveryMethod,
+    groups: quotedGroups.map(group => ({
+      seller: group.seller,
+      items: group.items.map(item => ({
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        variantOptions: item.variantOptions,
+        name: item.name,
+        quantity: item.quantity,
+        price: item.price,
+        lineTotal: roundCurrency(item.price * item.quantity),
+        fulfilmentMode: item.fulfilmentMode,
+        customizations: item.customizations
+      })),
+      deliveryDistanceKm: group.deliveryDistanceKm,
+      estimatedTime: group.estimatedTime,
+      promotions: group.promotions,
+      totals: group.totals
+    })),
+    totals
+  };
+};
+
+// Verify a signed quote and return its payload
+const verifyQuote = (token, buyerId) => {
+  let quote;
+
+  try {
+    quote = jwt.verify(token, getQuoteSecret());
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError'
+      ? 'Checkout quote has expired. Please request a new quote.'
+      : 'Invalid checkout quote';
+    throw new QuoteError(message);
+  }
+
+  if (quote.type !== 'checkout_quote' || !quote.jti) {
+    throw new QuoteError('Invalid checkout quote');
+  }
+
+  if (quote.buyer !== buyerId.toString()) {
+    throw new QuoteError('Checkout quote does not belong to this user', 403);
+  }
+
+  return quote;
+};
+
+module.exports = {
+  TAX_RATE,
+  QuoteError,
+  roundCurrency,
+  sumDiscounts,
+  priceItems,
+  quoteDelivery,
+  estimateDeliveryTime,
+  calculateQuoteTotals,
+  sumTotals,
+  buildQuote,
+  verifyQuote
+};
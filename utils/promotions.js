@@ -0,0 +1,278 @@
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const CheckoutGroup = require('../models/CheckoutGroup');
+const { roundCurrency } = require('./pricing');
+
+class PromotionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value._id || value).toString();
+
+// Why the buyer can't use a promotion, or null if they can
+const getBuyerIneligibility = async (promotion, buyerId) => {
+  if (!promotion.hasRedemptionsLeft()) {
+    return 'This promotion has been fully redeemed';
+  }
+
+  if (promotion.firstOrderOnly && await Order.exists({ buyer: buyerId, status: { $ne: 'cancelled' } })) {
+    return 'This promotion is only available on your first order';
+  }
+
+  if (promotion.perUserLimit) {
+    const checkouts = await Order.distinct('checkoutGroup', {
+      buyer: buyerId,
+      'promotions.promotion': promotion._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (checkouts.length >= promotion.perUserLimit) {
+      return 'You have already used this promotion';
+    }
+  }
+
+  return null;
+};
+
+// Split an amount across groups in proportion to their weights; the last
+// group takes the rounding difference
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return roundCurrency(amount - allocated);
+    }
+    const share = roundCurrency(amount * weight / totalWeight);
+    allocated += share;
+    return share;
+  });
+};
+
+// Discount a promotion gives each checkout group, given the discounts already
+// applied. Returns { amounts, appliesTo } or { reason } when it doesn't apply.
+const calculateDiscount = (promotion, groups, applied, deliveryMethod) => {
+  const targets = groups
+    .map((group, index) => ({
+      index,
+      items: group.items.filter(item => (
+        promotion.categories.length === 0 || promotion.categories.includes(item.category)
+      ))
+    }))
+    .filter(target => (
+      target.items.length > 0 &&
+      (!promotion.seller || idOf(promotion.seller) === groups[target.index].seller)
+    ));
+
+  if (targets.length === 0) {
+    return { reason: 'This promotion does not apply to the items in your cart' };
+  }
+
+  const eligibleSubtotals = targets.map(target => roundCurrency(
+    target.items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  ));
+  const eligibleSubtotal = eligibleSubtotals.reduce((sum, subtotal) => sum + subtotal, 0);
+
+  if (eligibleSubtotal < promotion.minSpend) {
+    return { reason: `Spend at least $${promotion.minSpend.toFixed(2)} on eligible items to use this promotion` };
+  }
+
+  // What is left to discount in each group after earlier promotions
+  const remaining = (index, appliesTo) => {
+    const base = appliesTo === 'delivery' ? groups[index].totals.deliveryFee : groups[index].totals.subtotal;
+    const discounted = applied[index]
+      .filter(discount => discount.appliesTo === appliesTo)
+      .reduce((sum, discount) => sum + discount.amount, 0);
+    return roundCurrency(Math.max(base - discounted, 0));
+  };
+
+  const amounts = groups.map(() => 0);
+
+  if (promotion.type === 'free_delivery') {
+    if (deliveryMethod !== 'delivery') {
+      return { reason: 'Free delivery only applies to delivery orders' };
+    }
+    targets.forEach(target => {
+      amounts[target.index] = remaining(target.index, 'delivery');
+    });
+    return { amounts, appliesTo: 'delivery' };
+  }
+
+  let discount;
+  if (promotion.type === 'percentage') {
+    discount = eligibleSubtotal * promotion.value / 100;
+    if (promotion.maxDiscount) {
+      discount = Math.min(discount, promotion.maxDiscount);
+    }
+  } else if (promotion.type === 'fixed_amount') {
+    discount = Math.min(promotion.value, eligibleSubtotal);
+  } else {
+    // buy_x_get_y: the cheapest units of each full set are discounted
+    const unitPrices = targets
+      .flatMap(target => target.items.flatMap(item => Array(item.quantity).fill(item.price)))
+      .sort((a, b) => a - b);
+    const setSize = promotion.buyQuantity + promotion.getQuantity;
+    const discountedUnits = Math.floor(unitPrices.length / setSize) * promotion.getQuantity;
+
+    if (discountedUnits === 0) {
+      return { reason: `Add at least ${setSize} eligible items to use this promotion` };
+    }
+    discount = unitPrices.slice(0, discountedUnits).reduce((sum, price) => sum + price, 0) * promotion.value / 100;
+  }
+
+  allocate(roundCurrency(discount), eligibleSubtotals).forEach((amount, position) => {
+    const { index } = targets[position];
+    amounts[index] = Math.min(amount, remaining(index, 'items'));
+  });
+
+  return { amounts, appliesTo: 'items' };
+};
+
+// Work out the promotions for a checkout: every running automatic promotion
+// the buyer qualifies for, plus the coupon they entered. Returns the
+// discounts of each group. An unusable coupon is an error; automatic
+// promotions that don't apply are skipped.
+const applyPromotions = async ({ buyerId, groups, deliveryMethod, couponCode }) => {
+  const promotions = await Promotion.findForCheckout(groups.map(group => group.seller), couponCode);
+  const code = couponCode && couponCode.trim().toUpperCase();
+
+  if (code && !promotions.some(promotion => promotion.code === code)) {
+    throw new PromotionError('Coupon code is not valid', 404);
+  }
+
+  const applied = groups.map(() => []);
+
+  for (const promotion of promotions) {
+    const isCoupon = !!promotion.code;
+    const reason = await getBuyerIneligibility(promotion, buyerId);
+    const result = reason ? { reason } : calculateDiscount(promotion, groups, applied, deliveryMethod);
+
+    if (result.reason) {
+      if (isCoupon) {
+        throw new PromotionError(result.reason);
+      }
+      continue;
+    }
+
+    result.amounts.forEach((amount, index) => {
+      if (amount > 0) {
+        applied[index].push({
+          promotion: promotion._id.toString(),
+          code: promotion.code,
+          name: promotion.name,
+          type: promotion.type,
+          appliesTo: result.appliesTo,
+          fundedBy: promotion.seller ? 'seller' : 'platform',
+          amount
+        });
+      }
+    });
+  }
+
+  return applied;
+};
+
+const releasePromotions = (promotionIds) => {
+  if (promotionIds.length === 0) {
+    return Promise.resolve();
+  }
+  return Promotion.updateMany(
+    { _id: { $in: promotionIds }, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+};
+
+// Give back the redemptions of a cancelled order's promotions. A checkout
+// counts one redemption per promotion, so it is given back once no other
+// order of the checkout uses the promotion. The checkout group records each
+// release, so cancelling again never gives a redemption back twice.
+const releaseOrderPromotions = async (order) => {
+  if (!order.checkoutGroup || !order.promotions || order.promotions.length === 0) {
+    return [];
+  }
+
+  const promotionIds = [...new Set(order.promotions.map(discount => idOf(discount.promotion)))];
+  const released = [];
+
+  for (const promotionId of promotionIds) {
+    const stillUsed = await Order.exists({
+      checkoutGroup: order.checkoutGroup,
+      _id: { $ne: order._id },
+      'promotions.promotion': promotionId,
+      status: { $ne: 'cancelled' }
+    });
+    if (stillUsed) {
+      continue;
+    }
+
+    const claimed = await CheckoutGroup.updateOne(
+      { _id: order.checkoutGroup, releasedPromotions: { $ne: promotionId } },
+      { $push: { releasedPromotions: promotionId } }
+    );
+    if (claimed.modifiedCount > 0) {
+      released.push(promotionId);
+    }
+  }
+
+  await releasePromotions(released);
+  return released;
+};
+
+// Check the promotions of a quote are still usable and count one redemption
+// for each. Returns the redeemed ids so a failed checkout can release them.
+const redeemPromotions = async (quote, buyerId) => {
+  const promotionIds = [...new Set(
+    quote.groups.flatMap(group => (group.promotions || []).map(discount => discount.promotion))
+  )];
+  const redeemed = [];
+
+  try {
+    for (const promotionId of promotionIds) {
+      const promotion = await Promotion.findById(promotionId);
+
+      if (!promotion || !promotion.isRedeemable()) {
+        throw new PromotionError('A promotion in your checkout has ended. Please request a new quote.', 409);
+      }
+
+      const reason = await getBuyerIneligibility(promotion, buyerId);
+      if (reason) {
+        throw new PromotionError(reason, 409);
+      }
+
+      // Conditional increment so the usage limit holds under concurrent
+      // checkouts. No usage limit means unlimited, like hasRedemptionsLeft().
+      const claimed = await Promotion.findOneAndUpdate(
+        {
+          _id: promotion._id,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+          ]
+        },
+        { $inc: { redemptionCount: 1 } }
+      );
+      if (!claimed) {
+        throw new PromotionError('This promotion has been fully redeemed', 409);
+      }
+
+      redeemed.push(promotion._id);
+    }
+  } catch (error) {
+    await releasePromotions(redeemed);
+    throw error;
+  }
+
+  return redeemed;
+};
+
+module.exports = {
+  PromotionError,
+  applyPromotions,
+  redeemPromotions,
+  releasePromotions,
+  releaseOrderPromotions
+};
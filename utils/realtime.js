@@ -0,0 +1,25 @@
+// Shared access to the Socket.IO server so controllers can push events
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const getIO = () => io;
+
+// Disconnect every socket opened with one of the given sessions
+const disconnectSessions = (sessionIds) => {
+  if (!io) {
+    return;
+  }
+
+  for (const sessionId of sessionIds) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  disconnectSessions
+};
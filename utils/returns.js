@@ -0,0 +1,226 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const { roundCurrency } = require('./pricing');
+const { restockItem } = require('./inventory');
+const { refundOrder } = require('./payments');
+const { notifyReturnRequested, notifyReturnUpdated } = require('./notifications');
+
+// Days after delivery during which items can be returned
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 14;
+
+class ReturnError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReturnError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value._id || value).toString();
+
+// Open a return for some units of a delivered order's lines. Each line can
+// only be returned up to what was bought, minus units already returned or
+// waiting in another open request.
+const createReturnRequest = async (order, buyer, { items, reason, description, photos = [] }) => {
+  if (idOf(order.buyer) !== buyer._id.toString()) {
+    throw new ReturnError('Not authorized to return items from this order', 403);
+  }
+
+  if (order.status !== 'delivered') {
+    throw new ReturnError('Only delivered orders can be returned');
+  }
+
+  if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+    throw new ReturnError('This order has no payment left to refund');
+  }
+
+  const deliveredAt = order.getDeliveredAt();
+  const deadline = deliveredAt && new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (!deadline || deadline < new Date()) {
+    throw new ReturnError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+
+  const openQuantities = await ReturnRequest.getOpenQuantities(order._id);
+  const requested = new Map();
+
+  items.forEach(({ itemId, quantity }) => {
+    requested.set(itemId.toString(), (requested.get(itemId.toString()) || 0) + Number(quantity));
+  });
+
+  let refundAmount = 0;
+  let returnsEverything = true;
+  const returnItems = [];
+
+  order.items.forEach(item => {
+    const key = item._id.toString();
+    const available = item.quantity - (item.returnedQuantity || 0) - (openQuantities.get(key) || 0);
+    const quantity = requested.get(key) || 0;
+
+    if (quantity < available) {
+      returnsEverything = false;
+    }
+    if (!quantity) {
+      return;
+    }
+    if (quantity > available) {
+      throw new ReturnError(`Only ${Math.max(available, 0)} unit(s) of this item can be returned`);
+    }
+
+    returnItems.push({
+      orderItem: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity,
+      unitPrice: item.price
+    });
+    refundAmount += order.getLineRefundAmount(item, quantity);
+    requested.delete(key);
+  });
+
+  if (requested.size > 0) {
+    throw new ReturnError('Item not found in this order', 404);
+  }
+
+  if (returnItems.length === 0) {
+    throw new ReturnError('Select at least one item to return');
+  }
+
+  // Returning everything that is left refunds the rest of the payment,
+  // delivery fee and rounding included
+  const refundable = order.getRefundableAmount();
+  refundAmount = returnsEverything ? refundable : Math.min(roundCurrency(refundAmount), refundable);
+
+  const request = await ReturnRequest.create({
+    order: order._id,
+    buyer: buyer._id,
+    seller: order.seller,
+    items: returnItems,
+    reason,
+    description,
+    photos,
+    refundAmount
+  });
+
+  notifyReturnRequested(request, order);
+
+  return request;
+};
+
+// Only the order's seller or an admin decides on a return
+const assertCanDecide = (request, user) => {
+  if (idOf(request.seller) !== user._id.toString() && user.role !== 'admin') {
+    throw new ReturnError('Not authorized to update this return request', 403);
+  }
+};
+
+// Approve a return: refund its lines and optionally put the units back in
+// stock. The request is claimed first so it can't be refunded twice; if the
+// refund fails it goes back to 'requested' and can be approved again.
+const approveReturn = async (request, user, { restock = false, note } = {}) => {
+  assertCanDecide(request, user);
+
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: 'requested' },
+    { $set: { status: 'processing' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ReturnError(`Return request is already ${request.status}`, 409);
+  }
+
+  let refund = null;
+
+  try {
+    const order = await Order.findById(claimed.order);
+    if (!order) {
+      throw new ReturnError('Order not found', 404);
+    }
+
+    refund = await refundOrder(order, {
+      amount: claimed.refundAmount,
+      reason: `Return approved (${claimed.reason.replace(/_/g, ' ')})`,
+      refundedBy: user._id,
+      returnRequest: claimed._id
+    });
+
+    // Record the refund at once, so a later failure can't lead to a second one
+    claimed.refundAmount = refund.amount;
+    claimed.refundId = refund.refundId;
+    claimed.refundedAt = new Date();
+    await ReturnRequest.updateOne(
+      { _id: claimed._id },
+      { $set: { refundAmount: claimed.refundAmount, refundId: claimed.refundId, refundedAt: claimed.refundedAt } }
+    );
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $inc: Object.fromEntries(claimed.items.map((item, index) => [`items.$[line${index}].returnedQuantity`, item.quantity]))
+      },
+      { arrayFilters: claimed.items.map((item, index) => ({ [`line${index}._id`]: item.orderItem })) }
+    );
+
+    if (restock) {
+      await Promise.all(claimed.items.map(item => restockItem(item.product, item.quantity, item.variant)));
+    }
+
+    claimed.decide('approved', user._id, note);
+    claimed.restock = restock;
+    await claimed.save();
+
+    notifyReturnUpdated(claimed, order);
+
+    return claimed;
+  } catch (error) {
+    // Without a refund the seller can try again; after one the request is
+    // left for an admin to finish
+    await ReturnRequest.updateOne(
+      { _id: claimed._id, status: 'processing' },
+      refund
+        ? { $set: { status: 'needs_attention', failureReason: error.message } }
+        : { $set: { status: 'requested' } }
+    );
+    throw error;
+  }
+};
+
+const rejectReturn = async (request, user, note) => {
+  assertCanDecide(request, user);
+
+  if (request.status !== 'requested') {
+    throw new ReturnError(`Return request is already ${request.status}`, 409);
+  }
+
+  request.decide('rejected', user._id, note);
+  await request.save();
+
+  const order = await Order.findById(request.order);
+  notifyReturnUpdated(request, order);
+
+  return request;
+};
+
+// Buyers can withdraw a request until the seller decides on it
+const cancelReturn = async (request, user) => {
+  if (idOf(request.buyer) !== user._id.toString()) {
+    throw new ReturnError('Not authorized to cancel this return request', 403);
+  }
+
+  if (request.status !== 'requested') {
+    throw new ReturnError(`Return request is already ${request.status}`, 409);
+  }
+
+  request.decide('cancelled', user._id);
+  await request.save();
+
+  return request;
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  ReturnError,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  cancelReturn
+};
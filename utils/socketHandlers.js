@@ -1,11 +1,71 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Chat = require('../models/Chat');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const { authenticateAccessToken } = require('./tokens');
+const { setIO } = require('./realtime');
+const { notify, notifyNewMessage } = require('./notifications');
+const { createMemoryPresenceStore } = require('./presence');
+const { orderRoom, canAccessOrder } = require('./orderTracking');
+const { OrderStatusError, changeOrderStatus } = require('./orderStatus');
+const { DeliveryTrackingError, recordLocationPing } = require('./deliveryTracking');
+
+// Rooms of the users someone shares an active chat with
+const contactRooms = (contactIds) => contactIds.map(id => `user_${id}`);
+
+const socketHandlers = (io, { presence = createMemoryPresenceStore() } = {}) => {
+  setIO(io);
+
+  // Tell a user's contacts they came online or went offline
+  const emitToContacts = async (userId, event, payload) => {
+    const contactIds = await Chat.getContactIds(userId);
+    if (contactIds.length > 0) {
+      io.to(contactRooms(contactIds)).emit(event, payload);
+    }
+  };
+
+  // Send a user which of their contacts are online
+  const sendOnlineContacts = async (socket) => {
+    const contactIds = await Chat.getContactIds(socket.userId);
+    const onlineIds = await presence.filterOnline(contactIds);
+    const contacts = await User.find({ _id: { $in: onlineIds } }).select('name avatar');
 
-// Store active users
-const activeUsers = new Map();
+    socket.emit('online_users', contacts.map(contact => ({
+      userId: contact._id,
+      name: contact.name,
+      avatar: contact.avatar
+    })));
+  };
+
+  const handlePresenceConnect = async (socket) => {
+    const socketCount = await presence.addSocket(socket.userId, socket.id);
+
+    // Only the user's first tab/device brings them online
+    if (socketCount === 1) {
+      await emitToContacts(socket.userId, 'user_online', {
+        userId: socket.userId,
+        name: socket.user.name
+      });
+    }
+
+    await sendOnlineContacts(socket);
+  };
+
+  const handlePresenceDisconnect = async (socket) => {
+    const remaining = await presence.removeSocket(socket.userId, socket.id);
+    if (remaining > 0) {
+      return;
+    }
+
+    const lastSeen = new Date();
+    await User.findByIdAndUpdate(socket.userId, { lastSeen });
+    await emitToContacts(socket.userId, 'user_offline', {
+      userId: socket.userId,
+      name: socket.user.name,
+      lastSeen
+    });
+  };
 
-const socketHandlers = (io) => {
   // Socket authentication middleware
   io.use(async (socket, next) => {
     try {
@@ -15,15 +75,14 @@ const socketHandlers = (io) => {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return next(new Error('User not found'));
-      }
+      // Rejects revoked sessions and deactivated accounts
+      const { user, session } = await authenticateAccessToken(token);
 
       socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
       socket.user = user;
+      // Visible to io.fetchSockets() lookups
+      socket.data.userId = socket.userId;
       next();
     } catch (error) {
       next(new Error('Authentication error'));
@@ -31,20 +90,15 @@ const socketHandlers = (io) => {
   });
 
   io.on('connection', (socket) => {
-    // Add user to active users
-    activeUsers.set(socket.userId, {
-      socketId: socket.id,
-      user: socket.user,
-      lastSeen: new Date()
-    });
-
     // Join user to their personal room
     socket.join(`user_${socket.userId}`);
 
-    // Emit user online status
-    socket.broadcast.emit('user_online', {
-      userId: socket.userId,
-      name: socket.user.name
+    // Session room, used to disconnect the socket when the session is revoked
+    socket.join(`session_${socket.sessionId}`);
+
+    // Track the socket and announce the user to their contacts
+    handlePresenceConnect(socket).catch(error => {
+      console.error('Error updating presence:', error);
     });
 
     // Handle joining chat rooms
@@ -109,10 +163,14 @@ const socketHandlers = (io) => {
         }
 
         // Add message to chat
-        await chat.addMessage(socket.userId, content, messageType, attachments);
-        await chat.populate('messages.sender', 'name avatar');
+        const newMessage = await chat.addMessage(socket.userId, content, messageType, attachments);
 
-        const newMessage = chat.messages[chat.messages.length - 1];
+        // Double submit: the message was already delivered
+        if (newMessage.$locals.isDuplicate) {
+          return;
+        }
+
+        await newMessage.populate('sender', 'name avatar');
 
         // Emit message to all participants in the chat
         io.to(`chat_${chatId}`).emit('new_message', {
@@ -120,13 +178,8 @@ const socketHandlers = (io) => {
           message: newMessage
         });
 
-        // Send push notification to offline users (implement later)
-        const offlineParticipants = chat.participants.filter(
-          p => p.user.toString() !== socket.userId && 
-               !activeUsers.has(p.user.toString())
-        );
-
-        // TODO: Implement push notifications for offline users
+        // Notify participants who aren't viewing the chat (stored for offline users)
+        notifyNewMessage(chat, socket.user, content);
 
       } catch (error) {
         console.error('Error sending message:', error);
@@ -147,6 +200,7 @@ const socketHandlers = (io) => {
         }
 
         await chat.markAsRead(socket.userId);
+        await Notification.markRead(socket.userId, { collapseKey: `chat_${chat._id}` });
 
         // Notify other participants
         socket.to(`chat_${chatId}`).emit('messages_read', {
@@ -178,10 +232,24 @@ const socketHandlers = (io) => {
       });
     });
 
-    // Handle location sharing
+    // Handle location sharing. With an orderId it is a live delivery ping
+    // from the seller or courier; otherwise it is posted to a chat.
     socket.on('share_location', async (data) => {
       try {
-        const { chatId, latitude, longitude, address } = data;
+        const { chatId, orderId, latitude, longitude, address } = data;
+
+        if (orderId) {
+          const order = await Order.findById(orderId);
+
+          if (!order) {
+            socket.emit('error', { message: 'Order not found' });
+            return;
+          }
+
+          // Broadcasts delivery_location with the ETA to the order room and buyer
+          await recordLocationPing(order, socket.user, data);
+          return;
+        }
 
         const chat = await Chat.findById(chatId);
         
@@ -206,26 +274,72 @@ const socketHandlers = (io) => {
         });
 
       } catch (error) {
+        if (error instanceof DeliveryTrackingError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         console.error('Error sharing location:', error);
         socket.emit('error', { message: 'Error sharing location' });
       }
     });
 
-    // Handle order updates (for order-related chats)
-    socket.on('order_update', async (data) => {
+    // Handle following an order's live status updates
+    socket.on('join_order', async (orderId) => {
       try {
-        const { orderId, status, message } = data;
+        const order = await Order.findById(orderId);
 
-        // TODO: Implement order update logic
-        // This would involve updating the order status and notifying relevant users
+        if (!order) {
+          socket.emit('error', { message: 'Order not found' });
+          return;
+        }
+
+        // Buyer, seller and admins only
+        if (!canAccessOrder(order, socket.user)) {
+          socket.emit('error', { message: 'Not authorized to track this order' });
+          return;
+        }
 
-        socket.emit('order_updated', {
-          orderId,
-          status,
-          message
+        socket.join(orderRoom(order._id));
+        socket.emit('joined_order', {
+          orderId: order._id,
+          status: order.status,
+          statusHistory: order.statusHistory
         });
+      } catch (error) {
+        socket.emit('error', { message: 'Error joining order' });
+      }
+    });
+
+    socket.on('leave_order', (orderId) => {
+      socket.leave(orderRoom(orderId));
+      socket.emit('left_order', { orderId });
+    });
+
+    // Handle order status updates from the seller (or an admin)
+    socket.on('order_update', async (data) => {
+      try {
+        const { orderId, status, note } = data;
+
+        const order = await Order.findById(orderId);
+
+        if (!order) {
+          socket.emit('error', { message: 'Order not found' });
+          return;
+        }
+
+        // Follow the order so the sender sees the broadcast too
+        if (canAccessOrder(order, socket.user)) {
+          socket.join(orderRoom(order._id));
+        }
+
+        // Broadcasts order_updated to the order room
+        await changeOrderStatus(order, status, socket.user, note);
 
       } catch (error) {
+        if (error instanceof OrderStatusError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         console.error('Error updating order:', error);
         socket.emit('error', { message: 'Error updating order' });
       }
@@ -233,39 +347,21 @@ const socketHandlers = (io) => {
 
     // Handle disconnect
     socket.on('disconnect', () => {
-      // Remove user from active users
-      activeUsers.delete(socket.userId);
-
-      // Emit user offline status
-      socket.broadcast.emit('user_offline', {
-        userId: socket.userId,
-        name: socket.user.name
+      // Offline (and last seen) only once the user's last socket is gone
+      handlePresenceDisconnect(socket).catch(error => {
+        console.error('Error updating presence:', error);
       });
-
-      // Update user's last seen
-      User.findByIdAndUpdate(socket.userId, {
-        lastSeen: new Date()
-      }).exec();
     });
-
-    // Send current online users to the connected user
-    socket.emit('online_users', Array.from(activeUsers.values()).map(u => ({
-      userId: u.user._id,
-      name: u.user.name,
-      avatar: u.user.avatar
-    })));
   });
 
-  // Helper function to get online users count
-  const getOnlineUsersCount = () => activeUsers.size;
+  // Helper function to get online users count (across all instances)
+  const getOnlineUsersCount = () => presence.countOnlineUsers();
 
   // Helper function to check if user is online
-  const isUserOnline = (userId) => activeUsers.has(userId);
+  const isUserOnline = (userId) => presence.isOnline(userId);
 
-  // Helper function to send notification to user
-  const sendNotificationToUser = (userId, notification) => {
-    io.to(`user_${userId}`).emit('notification', notification);
-  };
+  // Helper function to send notification to user (stored and pushed live)
+  const sendNotificationToUser = (userId, notification) => notify(userId, notification);
 
   return {
     getOnlineUsersCount,
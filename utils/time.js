@@ -0,0 +1,108 @@
+// Timezone helpers built on Intl, so seller schedules can be worked out in
+// the seller's own timezone without a date library.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// 'HH:mm' to minutes after midnight
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes after midnight to 'HH:mm'
+const formatTimeOfDay = (minutes) => (
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+);
+
+// Calendar date, weekday (0 = Sunday) and time of day of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+
+  return {
+    year,
+    month,
+    day,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+};
+
+// Offset of a timezone from UTC at an instant, in minutes
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// The instant at `minutes` after midnight on a calendar date in a timezone.
+// The offset is checked again at the result so times near a DST change land
+// on the right side of it.
+const zonedDateTime = ({ year, month, day }, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset * 60000;
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+
+  return new Date(guess - correctedOffset * 60000);
+};
+
+// The calendar date `days` after a date
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+// 'YYYY-MM-DD' for a calendar date
+const formatDate = ({ year, month, day }) => (
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+);
+
+// 'YYYY-MM-DD HH:mm' for an instant in a timezone
+const formatZonedDateTime = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${formatDate(parts)} ${formatTimeOfDay(parts.minutes)}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  getZonedParts,
+  zonedDateTime,
+  addDays,
+  formatDate,
+  formatZonedDateTime
+};
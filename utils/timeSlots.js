@@ -0,0 +1,243 @@
+const TimeSlot = require('../models/TimeSlot');
+const Order = require('../models/Order');
+const {
+  parseTimeOfDay,
+  getZonedParts,
+  zonedDateTime,
+  addDays,
+  formatZonedDateTime
+} = require('./time');
+const { getTimeZone, getSellerName, getAwayReason } = require('./businessHours');
+
+// How long slot records are kept after the slot ends
+const SLOT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error raised when a time slot cannot be booked
+class TimeSlotError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TimeSlotError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getSchedule = (seller) => (seller.businessInfo && seller.businessInfo.timeSlots) || {};
+
+// Whether the seller takes orders for time slots
+const usesTimeSlots = (seller) => {
+  const schedule = getSchedule(seller);
+  return !!schedule.enabled && !!schedule.windows && schedule.windows.length > 0;
+};
+
+// Earliest and latest slot start a buyer can book now
+const getBookableRange = (seller, now = new Date()) => {
+  const schedule = getSchedule(seller);
+
+  return {
+    from: new Date(now.getTime() + (schedule.leadTimeHours || 0) * 60 * 60 * 1000),
+    to: new Date(now.getTime() + (schedule.bookingDays || 14) * DAY_MS)
+  };
+};
+
+// Slots in the seller's weekly schedule starting between two instants,
+// worked out in the seller's timezone. Slots while the seller is on vacation
+// or closed for a holiday are left out. Bookings are not counted here.
+const generateSlots = (seller, from, to, method) => {
+  const schedule = getSchedule(seller);
+  const timeZone = getTimeZone(seller);
+  const firstDay = getZonedParts(from, timeZone);
+  const slots = new Map();
+
+  for (let offset = 0; zonedDateTime(addDays(firstDay, offset), 0, timeZone) < to; offset++) {
+    const date = addDays(firstDay, offset);
+
+    for (const window of schedule.windows) {
+      if (window.day !== date.weekday || (method && !window.methods.includes(method))) {
+        continue;
+      }
+
+      const start = parseTimeOfDay(window.start);
+      const end = parseTimeOfDay(window.end);
+      const length = schedule.slotMinutes || end - start;
+
+      for (let minutes = start; minutes + length <= end; minutes += length) {
+        const startsAt = zonedDateTime(date, minutes, timeZone);
+
+        // Overlapping windows keep the first slot at a given time
+        if (
+          startsAt >= from &&
+          startsAt < to &&
+          !slots.has(startsAt.getTime()) &&
+          !getAwayReason(seller, startsAt)
+        ) {
+          slots.set(startsAt.getTime(), {
+            startsAt,
+            endsAt: zonedDateTime(date, minutes + length, timeZone),
+            capacity: window.capacity,
+            methods: window.methods
+          });
+        }
+      }
+    }
+  }
+
+  return Array.from(slots.values()).sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// Bookable slots of a seller with the capacity left in each
+const getAvailableSlots = async (seller, { from, days, method } = {}, now = new Date()) => {
+  if (!usesTimeSlots(seller)) {
+    return [];
+  }
+
+  const range = getBookableRange(seller, now);
+  const start = from && from > range.from ? from : range.from;
+  const end = days ? new Date(Math.min(start.getTime() + days * DAY_MS, range.to.getTime())) : range.to;
+
+  if (start >= end) {
+    return [];
+  }
+
+  const slots = generateSlots(seller, start, end, method);
+
+  const bookings = await TimeSlot.find({
+    seller: seller._id,
+    startsAt: { $gte: start, $lt: end }
+  }).select('startsAt booked');
+  const booked = new Map(bookings.map(booking => [booking.startsAt.getTime(), booking.booked]));
+
+  return slots.map(slot => {
+    const count = booked.get(slot.startsAt.getTime()) || 0;
+
+    return {
+      ...slot,
+      booked: count,
+      remaining: Math.max(slot.capacity - count, 0)
+    };
+  });
+};
+
+// Book the chosen slot for an order. Capacity is counted in items and taken
+// with a conditional update, so concurrent checkouts cannot overbook a slot.
+// Sets the order's scheduledFor and timeSlot; returns null for sellers that
+// don't take time slot bookings.
+const bookOrderSlot = async (order, seller, startsAt, now = new Date()) => {
+  const sellerName = getSellerName(seller);
+
+  if (!usesTimeSlots(seller)) {
+    if (startsAt) {
+      throw new TimeSlotError(`${sellerName} does not take time slot bookings`);
+    }
+    return null;
+  }
+
+  if (!startsAt) {
+    throw new TimeSlotError(`Please choose a time slot for your order from ${sellerName}`);
+  }
+
+  const requested = new Date(startsAt);
+  const range = getBookableRange(seller, now);
+  const slot = requested >= range.from && requested < range.to
+    ? generateSlots(seller, requested, new Date(requested.getTime() + 1), order.delivery.method)[0]
+    : undefined;
+
+  if (!slot) {
+    throw new TimeSlotError(
+      `The chosen time slot is not available from ${sellerName}. Please choose one of the seller's open slots.`
+    );
+  }
+
+  const quantity = order.items.reduce((sum, item) => sum + item.quantity, 0);
+
+  // The slot record is created by the first booking; capacity follows the current schedule
+  try {
+    await TimeSlot.updateOne(
+      { seller: seller._id, startsAt: slot.startsAt },
+      {
+        $set: {
+          endsAt: slot.endsAt,
+          capacity: slot.capacity,
+          purgeAt: new Date(slot.endsAt.getTime() + SLOT_RETENTION_DAYS * DAY_MS)
+        },
+        $setOnInsert: { booked: 0 }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another checkout created it at the same moment
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const timeSlot = await TimeSlot.findOneAndUpdate(
+    {
+      seller: seller._id,
+      startsAt: slot.startsAt,
+      $expr: { $lte: [{ $add: ['$booked', quantity] }, '$capacity'] }
+    },
+    { $inc: { booked: quantity } },
+    { new: true }
+  );
+
+  if (!timeSlot) {
+    const current = await TimeSlot.findOne({ seller: seller._id, startsAt: slot.startsAt });
+    const remaining = current ? Math.max(current.capacity - current.booked, 0) : 0;
+    const description = formatZonedDateTime(slot.startsAt, getTimeZone(seller));
+
+    throw new TimeSlotError(
+      remaining > 0
+        ? `Only ${remaining} more item(s) can be booked for the ${description} slot. Please choose another slot.`
+        : `The ${description} slot is full. Please choose another slot.`,
+      409
+    );
+  }
+
+  order.scheduledFor = slot.startsAt;
+  order.timeSlot = {
+    slot: timeSlot._id,
+    endsAt: slot.endsAt,
+    quantity
+  };
+
+  return timeSlot;
+};
+
+// Give a booking's items back to its slot
+const releaseSlotBooking = ({ slot, quantity }) => {
+  return TimeSlot.updateOne(
+    { _id: slot, booked: { $gte: quantity } },
+    { $inc: { booked: -quantity } }
+  );
+};
+
+// Free the slot booked by a cancelled order. The order is marked first so the
+// slot is only freed once, whichever cancellation path gets there first.
+const releaseOrderSlot = async (order) => {
+  if (!order.timeSlot || !order.timeSlot.slot) {
+    return false;
+  }
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'timeSlot.slot': { $exists: true }, 'timeSlot.releasedAt': null },
+    { $set: { 'timeSlot.releasedAt': new Date() } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  await releaseSlotBooking(order.timeSlot);
+  return true;
+};
+
+module.exports = {
+  TimeSlotError,
+  usesTimeSlots,
+  getAvailableSlots,
+  bookOrderSlot,
+  releaseSlotBooking,
+  releaseOrderSlot
+};
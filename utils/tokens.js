@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; refresh tokens keep the session going
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = 401;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const issueTokens = (session, userId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+
+  return {
+    token: generateAccessToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Start a new session for a user signing in from this request
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    deviceName: req.body && req.body.deviceName,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const tokens = issueTokens(session, user._id);
+  await session.save();
+
+  return { session, ...tokens };
+};
+
+// Exchange a refresh token for a new token pair. A refresh token can only be
+// used once; presenting an already-rotated token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    throw new AuthError('Session has expired. Please log in again.');
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    await session.revoke('refresh_token_reuse');
+    throw new AuthError('Refresh token has already been used. Please log in again.');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    await session.revoke('account_inactive');
+    throw new AuthError('Account has been deactivated.');
+  }
+
+  const tokens = issueTokens(session, user._id);
+  session.lastUsedAt = new Date();
+  session.userAgent = req.get('user-agent') || session.userAgent;
+  session.ipAddress = req.ip;
+  await session.save();
+
+  return { session, user, ...tokens };
+};
+
+// Resolve an access token to its user and active session
+const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AuthError('Invalid token.');
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sid) {
+    throw new AuthError('Session has expired. Please log in again.');
+  }
+
+  const session = await Session.findActive(decoded.sid, decoded.id);
+
+  if (!session) {
+    throw new AuthError('Session has been revoked. Please log in again.');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw new AuthError('User not found. Invalid token.');
+  }
+
+  if (!user.isActive) {
+    throw new AuthError('Account has been deactivated.');
+  }
+
+  Session.touch(session._id).catch(error => {
+    console.error('Failed to update session last use:', error);
+  });
+
+  return { user, session };
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  AuthError,
+  createSession,
+  rotateRefreshToken,
+  authenticateAccessToken
+};